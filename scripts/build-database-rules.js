@@ -0,0 +1,150 @@
+/**
+ * Generate database.rules.json from GameConfig.
+ * The rules mirror RunValidator so the server rejects the same impossible runs
+ * as the client. Run `npm run rules:build` after changing points, enemy/boss
+ * types or parts, COMBO.MAX_MULTIPLIER or RUN_VALIDATION limits.
+ */
+import { writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import GameConfig from '../src/config/GameConfig.js';
+import { getMaxMinesPerSpawn, getBossPoints, getBossPartLimits, getBossSpacing } from '../src/services/RunValidator.js';
+
+export const RULES_PATH = fileURLToPath(new URL('../database.rules.json', import.meta.url));
+
+// Must match getBoardPath() in src/services/LeaderboardPeriods.js
+const BOARDS = {
+  alltime: 'leaderboard',
+  daily: 'leaderboard_daily',
+  weekly: 'leaderboard_weekly',
+  challenge: 'leaderboard_challenge',
+  bossrush: 'leaderboard_bossrush',
+};
+
+const COUNT_RULE = { '.validate': 'newData.isNumber() && newData.val() >= 0 && newData.val() % 1 == 0' };
+
+/**
+ * @param {string} path - Child path under the new entry
+ * @returns {string} Rule expression reading that child
+ */
+const field = (path) => `newData.child('${path}').val()`;
+
+/**
+ * Rules for each child of a count map, rejecting unknown types.
+ * @param {Object<string, *>} registry
+ * @returns {Object}
+ */
+function countMapRules(registry) {
+  const keys = Object.keys(registry);
+  const rules = {
+    '.validate': `newData.hasChildren([${keys.map(k => `'${k}'`).join(', ')}])`,
+    '$other': { '.validate': false },
+  };
+  for (const key of keys) {
+    rules[key] = COUNT_RULE;
+  }
+  return rules;
+}
+
+/**
+ * Cross-field checks - same limits as RunValidator.validateRun().
+ * @param {import('../src/services/RunValidator.js').RunValidationOptions} [options]
+ * @returns {string}
+ */
+function entryValidation(options = {}) {
+  const enemyTypes = Object.entries(GameConfig.ENEMY.TYPES);
+  const bossTypes = Object.entries(GameConfig.BOSS.TYPES);
+  const kills = enemyTypes.map(([type]) => field(`run/kills/${type}`)).join(' + ');
+  const bosses = bossTypes.map(([type]) => field(`run/bosses/${type}`)).join(' + ');
+  const maxScore = [
+    `${field('run/mines')} * ${GameConfig.MINE.POINTS}`,
+    ...enemyTypes.map(([type, config]) => `${field(`run/kills/${type}`)} * ${config.points * GameConfig.COMBO.MAX_MULTIPLIER}`),
+    ...bossTypes.map(([type, config]) => `${field(`run/bosses/${type}`)} * ${getBossPoints(config)}`),
+    ...bossTypes.map(([type, config]) => `${field(`run/parts/${type}`)} * ${getBossPartLimits(config).maxPoints}`),
+  ].join(' + ');
+  const parts = bossTypes.map(([type, config]) =>
+    `${field(`run/parts/${type}`)} <= (${field(`run/bosses/${type}`)} + 1) * ${getBossPartLimits(config).count}`);
+
+  const duration = field('run/duration');
+  const waveSeconds = GameConfig.DIFFICULTY.INTERVAL / 1000;
+  const { firstBossSeconds, bossSeconds } = getBossSpacing(options);
+  const mineSeconds = GameConfig.DIFFICULTY.MIN_MINE_SPAWN_INTERVAL / 1000;
+  const minesPerSpawn = getMaxMinesPerSpawn();
+
+  return [
+    "newData.hasChildren(['initials', 'score', 'wave', 'enemiesKilled', 'timeSurvived', 'timestamp', 'run'])",
+    `${field('enemiesKilled')} == ${kills}`,
+    `${field('timeSurvived')} == ${duration}`,
+    `(!newData.hasChild('maxCombo') || ${field('maxCombo')} <= ${field('enemiesKilled')})`,
+    `${field('score')} <= ${maxScore}`,
+    `${field('enemiesKilled')} <= (${duration} + 1) * ${GameConfig.RUN_VALIDATION.MAX_KILLS_PER_SECOND}`,
+    `(${field('wave')} - 1) * ${waveSeconds} <= ${duration}`,
+    `(${bosses} - 1) * ${bossSeconds} <= ${duration} - ${firstBossSeconds}`,
+    `(${field('run/mines')} - ${minesPerSpawn}) * ${mineSeconds} <= ${duration} * ${minesPerSpawn}`,
+    ...parts,
+  ].join(' && ');
+}
+
+/**
+ * Rules for a single leaderboard entry.
+ * @param {import('../src/services/RunValidator.js').RunValidationOptions} [options]
+ * @returns {Object}
+ */
+function entryRules(options = {}) {
+  return {
+    // Entries can be added but never edited or removed
+    '.write': '!data.exists()',
+    '.validate': entryValidation(options),
+    initials: {
+      '.validate': `newData.isString() && newData.val().length >= 1 && newData.val().length <= ${GameConfig.RUN_VALIDATION.MAX_INITIALS_LENGTH}`,
+    },
+    score: COUNT_RULE,
+    wave: { '.validate': 'newData.isNumber() && newData.val() >= 1 && newData.val() % 1 == 0' },
+    enemiesKilled: COUNT_RULE,
+    timeSurvived: COUNT_RULE,
+    maxCombo: COUNT_RULE,
+    timestamp: { '.validate': 'newData.isNumber()' },
+    run: {
+      '.validate': "newData.hasChildren(['v', 'seed', 'duration', 'kills', 'mines', 'bosses', 'parts', 'hash'])",
+      v: { '.validate': `newData.val() == ${GameConfig.RUN_VALIDATION.SUMMARY_VERSION}` },
+      seed: COUNT_RULE,
+      duration: COUNT_RULE,
+      kills: countMapRules(GameConfig.ENEMY.TYPES),
+      mines: COUNT_RULE,
+      bosses: countMapRules(GameConfig.BOSS.TYPES),
+      parts: countMapRules(GameConfig.BOSS.TYPES),
+      hash: { '.validate': 'newData.isString() && newData.val().length == 8' },
+      '$other': { '.validate': false },
+    },
+    '$other': { '.validate': false },
+  };
+}
+
+/**
+ * Build the full database rules object.
+ * @returns {Object}
+ */
+export function buildDatabaseRules() {
+  const board = { '.indexOn': ['score'], '$entry': entryRules() };
+  return {
+    rules: {
+      [BOARDS.alltime]: { '.read': true, ...board },
+      [BOARDS.daily]: { '.read': true, '$day': board },
+      [BOARDS.weekly]: { '.read': true, '$week': board },
+      [BOARDS.challenge]: { '.read': true, '$day': board },
+      [BOARDS.bossrush]: { '.read': true, '.indexOn': ['score'], '$entry': entryRules({ bossRush: true }) },
+    },
+  };
+}
+
+/**
+ * Serialize rules the way they are committed.
+ * @returns {string}
+ */
+export function formatDatabaseRules() {
+  return `${JSON.stringify(buildDatabaseRules(), null, 2)}\n`;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  writeFileSync(RULES_PATH, formatDatabaseRules());
+  console.log(`Wrote ${RULES_PATH}`);
+}
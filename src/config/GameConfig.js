@@ -32,11 +32,12 @@
 
 /**
  * @typedef {Object} WeaponLevelConfig
- * @property {'single'|'dual'|'spread'|'burst'} pattern - Fire pattern
+ * @property {'single'|'dual'|'spread'|'burst'|'beam'} pattern - Fire pattern
  * @property {number} bulletCount - Number of bullets per shot
  * @property {number} fireRateMult - Fire rate multiplier
  * @property {number} [spread] - Pixel spread for dual pattern
  * @property {number} [spreadAngle] - Angle spread for spread pattern
+ * @property {number} [beamWidth] - Beam width in pixels (beam pattern)
  */
 
 /**
@@ -46,6 +47,15 @@
  * @property {string} projectile - Projectile type key
  * @property {number} baseFireRate - Base fire rate (ms)
  * @property {WeaponLevelConfig[]} levels - Upgrade levels
+ * @property {number} [unlockCost] - Credits to unlock in the hangar (omit for the default weapon)
+ * @property {WeaponMilestoneConfig} [milestone] - Achievement that unlocks the weapon for free
+ */
+
+/**
+ * A weapon unlock milestone. Set one field.
+ * @typedef {Object} WeaponMilestoneConfig
+ * @property {number} [wave] - Reach this wave in a single run
+ * @property {string} [boss] - Defeat this boss type (BOSS.TYPES key)
  */
 
 /**
@@ -54,8 +64,11 @@
  * @property {string} frame - Frame name in atlas
  * @property {number} speed - Movement speed
  * @property {-1|1} direction - -1 for upward, 1 for downward
- * @property {number} [damage] - Damage dealt
- * @property {boolean} [piercing] - Whether bullet pierces enemies
+ * @property {number} [damage] - Damage dealt per hit (default 1)
+ * @property {boolean} [piercing] - Whether bullet passes through targets (each target is hit once)
+ * @property {'straight'|'homing'|'beam'} [motion] - How the projectile flies (default 'straight'; beams don't fly)
+ * @property {number} [turnRate] - Steering in radians per second (homing motion)
+ * @property {number} [color] - Beam color (beam weapons)
  */
 
 /**
@@ -75,6 +88,176 @@
  * @property {number} [speedMult] - Speed multiplier (speed type)
  * @property {number} [duration] - Effect duration (speed/shield types)
  * @property {string} [weaponType] - Weapon to switch to (weapon pickup types)
+ * @property {number} [charges] - Bomb charges to add (bomb type)
+ */
+
+/**
+ * @typedef {Object} ChallengeModifierConfig
+ * @property {string} name - Display name
+ * @property {string} description - Short description shown on the title screen
+ * @property {string} [weapon] - Only weapon used this run (starting weapon and pickups)
+ * @property {number} [minesPerSpawn] - Mines spawned at a time
+ * @property {number} [bossSpeed] - Boss movement and attack speed multiplier
+ */
+
+/**
+ * @typedef {Object} UpgradeConfig
+ * @property {string} name - Display name
+ * @property {string} description - Effect of one level, shown in the hangar
+ * @property {'maxHealth'|'weaponLevel'|'magnetRange'|'shieldDuration'|'lives'} stat - Player stat the upgrade raises
+ * @property {number} perLevel - Stat increase per level bought
+ * @property {number} maxLevel - Highest level that can be bought
+ * @property {number} baseCost - Credits for the first level
+ * @property {number} costGrowth - Each level costs this much more than the last (multiplier)
+ */
+
+/**
+ * Default bindings of a rebindable action (see InputManager).
+ * @typedef {Object} InputActionConfig
+ * @property {string} label - Display name
+ * @property {Array<string|null>} keys - Phaser key name for each key column (null for unbound)
+ * @property {number|null} pad - Gamepad button index (standard mapping)
+ * @property {string|null} [touch] - Touch zone key (omit for actions that can't use a zone)
+ */
+
+/**
+ * A screen area that triggers an action when touched, in fractions of the screen.
+ * @typedef {Object} TouchZoneConfig
+ * @property {string} label - Display name
+ * @property {number} x - Left edge (0-1)
+ * @property {number} y - Top edge (0-1)
+ * @property {number} width - Width (0-1)
+ * @property {number} height - Height (0-1)
+ */
+
+/**
+ * A synthesized sound effect (see AudioManager.playSfx).
+ * @typedef {Object} SfxConfig
+ * @property {OscillatorType} [wave] - Oscillator shape (omit for filtered noise)
+ * @property {number} freq - Start frequency in Hz (noise: filter cutoff)
+ * @property {number} endFreq - Frequency swept to by the end
+ * @property {number} duration - Seconds
+ * @property {number} volume - Peak gain (0-1)
+ * @property {number} [cooldown=0] - Minimum ms between plays, so bursts of events don't stack up
+ */
+
+/**
+ * One looping part of a music track. Each note lasts one step (an eighth note).
+ * @typedef {Object} MusicVoiceConfig
+ * @property {OscillatorType} wave - Oscillator shape
+ * @property {number} volume - Gain (0-1)
+ * @property {Array<number|null>} notes - MIDI note per step (null for a rest)
+ */
+
+/**
+ * A player setting (see SettingsManager).
+ * @typedef {Object} SettingOptionConfig
+ * @property {string} label - Display name
+ * @property {string[]} values - Choices, in the order they cycle; the first is the default
+ * @property {string} description - Shown while the option is selected
+ */
+
+/**
+ * Colors for the parts of the game that are told apart by color.
+ * @typedef {Object} PaletteConfig
+ * @property {string} label - Display name
+ * @property {Object<string, string>} enemyColors - Sprite color variant ('r', 'g', 'b') drawn for each enemy color
+ * @property {Object<string, number>} powerUpColors - Tint per power-up type (types not listed keep their own)
+ * @property {{high: number, mid: number, low: number}} healthColors - Health bar color by remaining health
+ */
+
+/**
+ * A sequenced music track (see AudioManager.playMusic).
+ * @typedef {Object} MusicTrackConfig
+ * @property {number} tempo - Beats per minute
+ * @property {MusicVoiceConfig[]} voices - Parts played together; each loops on its own length
+ */
+
+/**
+ * @typedef {Object} AchievementConfig
+ * @property {string} name - Display name
+ * @property {string} description - What it takes, shown in the gallery
+ * @property {'kills'|'bossKills'|'credits'|'time'|'noHitTime'} stat - What is counted
+ *   (time and noHitTime are seconds, counted within a run)
+ * @property {number} goal - Count that unlocks the achievement
+ * @property {'run'|'total'} [scope='run'] - Reach the goal in a single run, or across all runs
+ * @property {string} [bossType] - Only count this boss type (bossKills, BOSS.TYPES key)
+ */
+
+/**
+ * A boss bullet pattern (see BulletPattern). Angles are in degrees, 0 pointing right and 90 down.
+ * @typedef {Object} BulletPatternConfig
+ * @property {number} cooldown - Time between uses (ms)
+ * @property {number} [minPhase] - First boss phase that uses the pattern
+ * @property {PatternEmitterConfig[]} [emitters] - Where volleys come from (default one emitter below the boss)
+ * @property {number} [count] - Bullets per volley from each emitter (default 1)
+ * @property {number} [angle] - Direction of the volley's middle bullet (default 90)
+ * @property {boolean} [aim] - Point each emitter's volley at the nearest ship instead
+ * @property {number} [arc] - Fan the bullets over this many degrees (360 for a ring)
+ * @property {number} [line] - Spread the bullets' starting points side to side over this many pixels
+ * @property {number|SpeedCurveConfig} [speed] - Bullet speed, or how it changes in flight (default ENEMY_BULLET.SPEED)
+ * @property {number} [volleys] - Volleys fired (default 1)
+ * @property {number} [interval] - Time between volleys (ms)
+ * @property {number} [delay] - Time between the wind-up and the first volley (ms)
+ * @property {number} [rotation] - Degrees each volley turns from the one before (spirals)
+ * @property {PatternWindupConfig} [windup] - Squash before firing (omit to fire straight away)
+ * @property {{intensity: number, duration: number}} [shake] - Screen shake with each volley
+ */
+
+/**
+ * @typedef {Object} PatternEmitterConfig
+ * @property {number} [x] - Offset from the boss's center (default 0)
+ * @property {number} [y] - Offset from the boss's center (default BOSS.BULLET_Y_OFFSET)
+ * @property {number} [angle] - Degrees added to the volley's direction
+ */
+
+/**
+ * @typedef {Object} PatternWindupConfig
+ * @property {number} duration - Time to squash (and again to return) in ms
+ * @property {number} [scaleX] - Width relative to the boss's scale
+ * @property {number} [scaleY] - Height relative to the boss's scale
+ * @property {number} [tint] - Boss tint until the pattern ends
+ */
+
+/**
+ * A destructible piece of a boss (see BossPart). Offsets and sizes are in screen pixels.
+ * @typedef {Object} BossPartConfig
+ * @property {string} name - Shown when the part is destroyed
+ * @property {number} x - Offset from the boss's center
+ * @property {number} y - Offset from the boss's center
+ * @property {number} width - Hitbox width
+ * @property {number} height - Hitbox height
+ * @property {number} health - Hits to destroy (at 1 damage each)
+ * @property {number} [points] - Score for destroying it
+ * @property {string[]} [attacks] - Attacks fired from the part until it is destroyed (BOSS.PATTERNS keys or 'summon')
+ * @property {boolean} [guardsCore] - The boss can't be damaged until this part is destroyed
+ * @property {number} [color] - Outline color
+ */
+
+/**
+ * One phase of a boss fight (see Boss). Phases are listed in order; each
+ * starts once the core's health falls to its threshold.
+ * @typedef {Object} BossPhaseConfig
+ * @property {number} threshold - Health (0-1) at which the phase starts; the first phase is 1
+ * @property {string[]} attacks - Attacks in priority order (BOSS.PATTERNS keys or 'summon')
+ * @property {number} [cooldownMult] - Scales every attack cooldown (below 1 attacks more often)
+ * @property {'sweep'|'dash'|'hover'} [movement] - Side to side (default), dashes between random points, or trailing the nearest ship
+ * @property {number} [speedMult] - Scales movement speed
+ * @property {number} [tint] - Boss tint during the phase (default the type's tint)
+ * @property {BossPhaseEnterConfig} [onEnter] - What happens when the phase starts
+ */
+
+/**
+ * @typedef {Object} BossPhaseEnterConfig
+ * @property {{type: string, count: number}} [summon] - Call in enemies (ENEMY.TYPES key)
+ * @property {number} [mines] - Drop this many mines into the arena
+ */
+
+/**
+ * @typedef {Object} SpeedCurveConfig
+ * @property {number} from - Speed when fired
+ * @property {number} to - Speed reached after duration
+ * @property {number} duration - Time to change speed (ms)
  */
 
 /**
@@ -89,14 +272,40 @@
  * @property {Object<string, EnemyTypeConfig>} ENEMY.TYPES - Enemy type registry
  * @property {Object} MINE - Mine configuration
  * @property {Object} BOSS - Boss configuration
+ * @property {Object<string, BulletPatternConfig>} BOSS.PATTERNS - Boss bullet pattern registry
+ * @property {BossPhaseConfig[]} BOSS.DEFAULT_PHASES - Phases for boss types without their own
  * @property {Object} DIFFICULTY - Difficulty scaling
  * @property {Object} SPAWNER - Spawn configuration
  * @property {Object<string, FormationConfig>} FORMATIONS - Formation registry
  * @property {Object} POWER_UP - Power-up configuration
+ * @property {Object} BOMB - Smart bomb charges and effect
  * @property {Object<string, PowerUpTypeConfig>} POWER_UP.TYPES - Power-up type registry
  * @property {Object} DISPLAY - Display constants
  * @property {Object} UI - UI configuration
  * @property {Object} DIFFICULTY_SCALING - Difficulty formulas
+ * @property {Object} DAILY_CHALLENGE - Daily Challenge settings
+ * @property {Object<string, ChallengeModifierConfig>} DAILY_CHALLENGE.MODIFIERS - Challenge modifier registry
+ * @property {Object} CAMPAIGN - Scripted campaign settings (levels live in src/levels)
+ * @property {Object} BOSS_RUSH - Boss Rush breaks and per-loop scaling
+ * @property {Object<string, UpgradeConfig>} UPGRADES - Hangar upgrade registry
+ * @property {Object} COMBO - Kill chain window and score multiplier
+ * @property {Object} RUN_VALIDATION - Limits used to reject impossible leaderboard runs
+ * @property {Object} REPLAY - Fixed-step simulation and replay settings
+ * @property {Object} MENU - Main menu layout and navigation
+ * @property {Object} PAUSE - Pause menu layout and resume countdown
+ * @property {Object} COOP - Local two-player co-op rules
+ * @property {Object} GAMEPAD - Gamepad deadzone and button mapping
+ * @property {Object} CONTROLS - Default bindings for rebindable actions
+ * @property {Object<string, InputActionConfig>} CONTROLS.ACTIONS - Action registry
+ * @property {Object<string, TouchZoneConfig>} CONTROLS.TOUCH_ZONES - Touch zone registry
+ * @property {Object} AUDIO - Default volumes, synthesized sound effects and music
+ * @property {Object<string, SfxConfig>} AUDIO.SFX - Sound effect registry
+ * @property {Object<string, MusicTrackConfig>} AUDIO.MUSIC - Music track registry
+ * @property {Object} SETTINGS - Comfort and accessibility options
+ * @property {Object<string, SettingOptionConfig>} SETTINGS.OPTIONS - Option registry
+ * @property {Object<string, PaletteConfig>} SETTINGS.PALETTES - Palette registry
+ * @property {Object} ACHIEVEMENTS - Achievement toast and gallery settings
+ * @property {Object<string, AchievementConfig>} ACHIEVEMENTS.LIST - Achievement registry, in gallery order
  */
 
 /** @type {GameConfigType} */
@@ -109,6 +318,7 @@ const GameConfig = {
     INVINCIBILITY_DURATION: 1600, // 100ms * 16 flashes
     TOUCH_DEADZONE: 10, // pixels from player center to ignore touch
     SPAWN_Y_OFFSET: 100, // pixels from bottom of screen
+    MUZZLE_Y_OFFSET: 20, // shots leave this far above the ship's center
 
     // Visual effects
     EXHAUST_Y_OFFSET: 35,
@@ -144,6 +354,17 @@ const GameConfig = {
     SHIELD_FADE_DURATION: 300,
   },
 
+  // Smart bomb (see BombManager). Each ship carries its own charges.
+  BOMB: {
+    START_CHARGES: 2, // also refilled to this on respawn
+    MAX_CHARGES: 5,
+    RADIUS: null, // pixels around the ship; null clears the whole screen
+    BOSS_DAMAGE: 60,
+    FLASH_DURATION: 400,
+    SHAKE_INTENSITY: 0.02,
+    SHAKE_DURATION: 300,
+  },
+
   BULLET: {
     SPEED: 500,
     POOL_SIZE: 30,
@@ -183,7 +404,25 @@ const GameConfig = {
       speed: 350,
       direction: -1,
       damage: 4,
-      piercing: true, // future: goes through enemies
+      piercing: true, // passes through targets, hitting each once
+    },
+    player_missile: {
+      texture: 'sprites',
+      frame: 'vulcan_3.png',
+      speed: 320,
+      direction: -1,
+      damage: 3,
+      motion: 'homing', // steers towards the nearest enemy or boss
+      turnRate: 4,
+    },
+    player_beam: {
+      texture: 'sprites',
+      frame: 'vulcan_1.png',
+      speed: 0,
+      direction: -1,
+      damage: 1, // per tick
+      motion: 'beam', // drawn and hit along a line by BeamWeapon, never fired as a bullet
+      color: 0x66ccff,
     },
     enemy_bullet: {
       texture: 'sprites',
@@ -208,6 +447,7 @@ const GameConfig = {
   //   'spread' - multiple bullets in a fan pattern
   //   'dual' - two parallel bullets
   //   'burst' - rapid fire burst then cooldown
+  //   'beam' - continuous beam, damaging what it touches every fire rate tick (needs a 'beam' motion projectile)
   WEAPONS: {
     vulcan: {
       name: 'Vulcan Cannon',
@@ -225,6 +465,8 @@ const GameConfig = {
       description: 'High-speed precision laser',
       projectile: 'player_laser',
       baseFireRate: 200,
+      unlockCost: 500,
+      milestone: { wave: 5 },
       levels: [
         { pattern: 'single', bulletCount: 1, fireRateMult: 1.0, spread: 0 },
         { pattern: 'single', bulletCount: 1, fireRateMult: 0.6, spread: 0 }, // faster
@@ -236,6 +478,8 @@ const GameConfig = {
       description: 'Wide-angle coverage weapon',
       projectile: 'player_spread',
       baseFireRate: 250,
+      unlockCost: 800,
+      milestone: { boss: 'megaship' },
       levels: [
         { pattern: 'spread', bulletCount: 3, fireRateMult: 1.0, spread: 25, spreadAngle: 0.2 },
         { pattern: 'spread', bulletCount: 5, fireRateMult: 0.9, spread: 35, spreadAngle: 0.25 },
@@ -247,15 +491,43 @@ const GameConfig = {
       description: 'Slow but devastating plasma bolts',
       projectile: 'player_plasma',
       baseFireRate: 500,
+      unlockCost: 1500,
+      milestone: { boss: 'destroyer' },
       levels: [
         { pattern: 'single', bulletCount: 1, fireRateMult: 1.0, spread: 0 },
         { pattern: 'single', bulletCount: 1, fireRateMult: 0.7, spread: 0 },
         { pattern: 'dual', bulletCount: 2, fireRateMult: 0.6, spread: 20 },
       ],
     },
+    homing: {
+      name: 'Homing Missiles',
+      description: 'Missiles that seek out the nearest target',
+      projectile: 'player_missile',
+      baseFireRate: 400,
+      unlockCost: 1200,
+      milestone: { wave: 10 },
+      levels: [
+        { pattern: 'single', bulletCount: 1, fireRateMult: 1.0, spread: 0 },
+        { pattern: 'dual', bulletCount: 2, fireRateMult: 1.0, spread: 16 },
+        { pattern: 'spread', bulletCount: 3, fireRateMult: 0.8, spread: 20, spreadAngle: 0.3 },
+      ],
+    },
+    beam: {
+      name: 'Ion Beam',
+      description: 'Continuous beam that burns through its target',
+      projectile: 'player_beam',
+      baseFireRate: 100, // damage tick
+      unlockCost: 2000,
+      milestone: { boss: 'carrier' },
+      levels: [
+        { pattern: 'beam', bulletCount: 1, fireRateMult: 1.0, beamWidth: 6 },
+        { pattern: 'beam', bulletCount: 1, fireRateMult: 1.0, beamWidth: 12 },
+        { pattern: 'beam', bulletCount: 1, fireRateMult: 0.75, beamWidth: 18 },
+      ],
+    },
   },
 
-  // Default starting weapon
+  // Default starting weapon (always unlocked)
   DEFAULT_WEAPON: 'vulcan',
 
   ENEMY: {
@@ -336,8 +608,9 @@ const GameConfig = {
           credits: { min: 15, max: 40 },
           dropTable: [
             { item: 'health', chance: 0.4 },
-            { item: 'weapon', chance: 0.4 },
+            { item: 'weapon', chance: 0.3 },
             { item: 'shield', chance: 0.2 },
+            { item: 'bomb', chance: 0.1 },
           ],
         },
       },
@@ -420,33 +693,21 @@ const GameConfig = {
     SPAWN_INTERVAL: 120000, // 2 minutes between bosses
     FIRST_SPAWN_DELAY: 30000, // 30 seconds before first boss
 
-    // Phase thresholds (percentage of max health)
-    PHASE_2_THRESHOLD: 0.66,
-    PHASE_3_THRESHOLD: 0.33,
-
-    // Attack cooldowns (ms)
-    SPRAY_COOLDOWN: 2000,
-    AIMED_COOLDOWN: 1500,
-    SUMMON_COOLDOWN: 5000,
-
-    // Phase 3 speed multiplier (faster attacks)
-    PHASE_3_SPEED_MULT: 0.5,
-
-    // Spray attack
-    SPRAY_BULLET_COUNT: 7,
-    SPRAY_ANGLE: 90, // degrees spread
-    SPRAY_BULLET_SPEED: 280,
+    // Phases for boss types that don't list their own (BossPhaseConfig)
+    DEFAULT_PHASES: [
+      { threshold: 1, attacks: ['spray', 'aimed'] },
+      { threshold: 0.66, attacks: ['spray', 'aimed'], tint: 0xffaa00 },
+      { threshold: 0.33, attacks: ['spray', 'aimed', 'ring'], cooldownMult: 0.5, tint: 0xff4444 },
+    ],
 
-    // Aimed attack
-    AIMED_BULLET_COUNT: 3,
-    AIMED_BULLET_SPEED: 320,
+    // 'dash' movement: speed multiplier while dashing, and rest between dashes (ms)
+    DASH_SPEED_MULT: 4,
+    DASH_PAUSE: 800,
 
-    // Ring attack (phase 3 only)
-    RING_COOLDOWN: 3000,
-    RING_BULLET_COUNT: 12,
-    RING_BULLET_SPEED: 200,
+    // Summon attack cooldown (ms); bullet patterns set their own
+    SUMMON_COOLDOWN: 5000,
 
-    // Summon counts per phase
+    // Summon counts (heavies in the final phase)
     SUMMON_FIGHTERS: 3,
     SUMMON_HEAVIES: 2,
 
@@ -475,6 +736,11 @@ const GameConfig = {
     DAMAGE_SHAKE_DURATION: 50,
     DAMAGE_SHAKE_INTENSITY: 0.005,
 
+    // Intro: WARNING banner while the boss enters (invulnerable until it
+    // reaches Y_POSITION), with its name shown after a delay (ms)
+    INTRO_NAME_DELAY: 600,
+    INTRO_BLINK_DURATION: 250,
+
     // Death sequence
     DEATH_SHAKE_DURATION: 500,
     DEATH_SHAKE_INTENSITY: 0.03,
@@ -483,18 +749,98 @@ const GameConfig = {
     DEATH_SPIN_ANGLE: 720,
     DEATH_DURATION: 1500,
 
-    // Attack visual effects
-    SPRAY_TWEEN_DURATION: 150,
-    SPRAY_SHAKE_INTENSITY: 0.008,
-    AIMED_TWEEN_DURATION: 100,
-    AIMED_SPREAD: 20,
-    RING_TWEEN_DURATION: 300,
-    RING_SHAKE_INTENSITY: 0.012,
+    // Default emitter offset below the boss's center
     BULLET_Y_OFFSET: 30,
 
+    // Bullet pattern registry (see BulletPattern) - add new attacks here,
+    // then list them in a boss type's attacks. No code changes needed.
+    PATTERNS: {
+      // Fan of bullets downward
+      spray: {
+        cooldown: 2000,
+        windup: { scaleX: 1.2, scaleY: 1.2, duration: 150 },
+        count: 7,
+        arc: 90,
+        speed: 280,
+        shake: { intensity: 0.008, duration: 100 },
+      },
+      // One bullet from each side and the middle, aimed at the nearest ship
+      aimed: {
+        cooldown: 1500,
+        windup: { scaleX: 1.2, scaleY: 0.85, duration: 100 },
+        emitters: [{ x: -20 }, { x: 0 }, { x: 20 }],
+        aim: true,
+        speed: 320,
+      },
+      // 360 degree burst from the boss's center
+      ring: {
+        cooldown: 3000,
+        windup: { scaleX: 1.33, scaleY: 1.33, duration: 300, tint: 0xff00ff },
+        emitters: [{ y: 0 }],
+        count: 12,
+        arc: 360,
+        speed: 200,
+        shake: { intensity: 0.012, duration: 150 },
+      },
+      denseRing: {
+        cooldown: 3000,
+        windup: { scaleX: 1.33, scaleY: 1.33, duration: 300, tint: 0xff00ff },
+        emitters: [{ y: 0 }],
+        count: 16,
+        arc: 360,
+        speed: 200,
+        shake: { intensity: 0.012, duration: 150 },
+      },
+      // Four arms turning as they are fired
+      spiral: {
+        cooldown: 4000,
+        windup: { scaleX: 1.1, scaleY: 1.1, duration: 200, tint: 0x00ffff },
+        emitters: [{ y: 0 }],
+        count: 4,
+        arc: 360,
+        speed: 180,
+        volleys: 16,
+        interval: 120,
+        rotation: 11,
+      },
+      // Rings that burst out slowly, then speed up
+      flower: {
+        cooldown: 5000,
+        windup: { scaleX: 1.3, scaleY: 1.3, duration: 250, tint: 0xff88ff },
+        emitters: [{ y: 0 }],
+        count: 10,
+        arc: 360,
+        speed: { from: 40, to: 240, duration: 1200 },
+        volleys: 3,
+        interval: 200,
+        rotation: 12,
+      },
+      // Single shot from a boss part, no wind-up so the boss keeps moving
+      turretShot: {
+        cooldown: 2200,
+        emitters: [{ y: 12 }],
+        aim: true,
+        speed: 300,
+      },
+      // Rows of bullets across the screen with gaps to slip through
+      wall: {
+        cooldown: 4500,
+        windup: { scaleX: 1.25, scaleY: 0.9, duration: 200 },
+        count: 7,
+        line: 420,
+        speed: 150,
+        volleys: 2,
+        interval: 700,
+      },
+    },
+
     // Boss type registry - add new boss types here
     // Each type can override default values above
-    // Attacks: 'spray', 'aimed', 'ring', 'summon'
+    // Phases (BossPhaseConfig) set attacks, movement and effects as health falls.
+    // Attacks are BOSS.PATTERNS keys or 'summon', listed by priority: when several
+    // are off cooldown, the first one listed goes. '<attack>CooldownMult' scales a cooldown.
+    // Parts (BossPartConfig) are destructible pieces with their own health and attacks;
+    // boss health and phases belong to the core.
     TYPES: {
       megaship: {
         name: 'Megaship Alpha',
@@ -503,10 +849,24 @@ const GameConfig = {
         health: 300,
         points: 5000,
         speed: 80,
-        attacks: ['spray', 'aimed', 'summon'],
-        phase3Attacks: ['spray', 'aimed', 'ring', 'summon'],
+        phases: [
+          { threshold: 1, attacks: ['spray', 'aimed'] },
+          { threshold: 0.66, attacks: ['spray', 'aimed', 'summon'], tint: 0xffaa00 },
+          {
+            threshold: 0.33,
+            attacks: ['spray', 'aimed', 'summon', 'ring', 'flower'],
+            cooldownMult: 0.5,
+            movement: 'hover',
+            tint: 0xff4444,
+          },
+        ],
+        parts: {
+          leftTurret: { name: 'L.TURRET', x: -60, y: 20, width: 26, height: 26, health: 40, points: 500, attacks: ['turretShot'] },
+          rightTurret: { name: 'R.TURRET', x: 60, y: 20, width: 26, height: 26, health: 40, points: 500, attacks: ['turretShot'] },
+        },
         summonTypes: ['fighter', 'heavy'],
         tint: null, // no tint
+        music: 'bossMegaship',
       },
       destroyer: {
         name: 'Destroyer Class',
@@ -515,12 +875,27 @@ const GameConfig = {
         health: 400,
         points: 7500,
         speed: 60,
-        attacks: ['spray', 'ring'],
-        phase3Attacks: ['spray', 'ring', 'aimed'],
+        phases: [
+          { threshold: 1, attacks: ['spray', 'denseRing'] },
+          { threshold: 0.66, attacks: ['spray', 'denseRing'], movement: 'dash', tint: 0xffaa00 },
+          {
+            threshold: 0.33,
+            attacks: ['spray', 'aimed', 'denseRing', 'spiral'],
+            cooldownMult: 0.5,
+            movement: 'dash',
+            tint: 0xff4444,
+            onEnter: { mines: 3 },
+          },
+        ],
+        // Shield generators keep the core safe until both are down
+        parts: {
+          leftShield: { name: 'L.SHIELD', x: -50, y: 0, width: 24, height: 30, health: 60, points: 750, guardsCore: true, color: 0x66ccff },
+          rightShield: { name: 'R.SHIELD', x: 50, y: 0, width: 24, height: 30, health: 60, points: 750, guardsCore: true, color: 0x66ccff },
+        },
         summonTypes: ['bomber'],
         sprayCooldownMult: 0.8, // faster spray
-        ringBulletCount: 16, // more bullets
         tint: 0xff6666, // reddish tint
+        music: 'bossDestroyer',
       },
       carrier: {
         name: 'Carrier Behemoth',
@@ -529,12 +904,29 @@ const GameConfig = {
         health: 500,
         points: 10000,
         speed: 40,
-        attacks: ['aimed', 'summon'],
-        phase3Attacks: ['aimed', 'summon', 'spray'],
+        phases: [
+          { threshold: 1, attacks: ['aimed'] },
+          { threshold: 0.75, attacks: ['aimed'], tint: 0xffaa00, onEnter: { summon: { type: 'scout', count: 4 } } },
+          { threshold: 0.5, attacks: ['spray', 'aimed'], movement: 'hover', speedMult: 1.5, tint: 0xff8800 },
+          {
+            threshold: 0.25,
+            attacks: ['spray', 'aimed', 'wall'],
+            cooldownMult: 0.5,
+            movement: 'hover',
+            speedMult: 1.5,
+            tint: 0xff4444,
+            onEnter: { summon: { type: 'heavy', count: 2 }, mines: 2 },
+          },
+        ],
+        // Reinforcements launch from the hangar; destroying it stops them
+        parts: {
+          hangar: { name: 'HANGAR', x: 0, y: 45, width: 56, height: 22, health: 100, points: 1500, attacks: ['summon'] },
+        },
         summonTypes: ['fighter', 'scout', 'heavy'],
         summonCooldownMult: 0.6, // summons more often
         summonCount: 5, // summons more enemies
         tint: 0x66ff66, // greenish tint
+        music: 'bossCarrier',
       },
     },
 
@@ -703,6 +1095,12 @@ const GameConfig = {
         textColor: '#aa44ff',
         duration: 4000,
       },
+      bomb: {
+        color: 0xff3344,
+        text: 'BOMB +1',
+        textColor: '#ff3344',
+        charges: 1,
+      },
       // Weapon pickups - switch to a new weapon type
       laser: {
         color: 0x00ffff,
@@ -722,6 +1120,18 @@ const GameConfig = {
         textColor: '#ff00ff',
         weaponType: 'plasma',
       },
+      homing: {
+        color: 0xffaa00,
+        text: 'MISSILES!',
+        textColor: '#ffaa00',
+        weaponType: 'homing',
+      },
+      beam: {
+        color: 0x66ccff,
+        text: 'ION BEAM!',
+        textColor: '#66ccff',
+        weaponType: 'beam',
+      },
     },
   },
 
@@ -737,7 +1147,419 @@ const GameConfig = {
     DROP_SPEED: 80, // How fast coins fall
     COLLECT_RADIUS: 30, // Pickup distance
     LIFETIME: 8000, // ms before despawn
-    MAGNET_RANGE: 100, // pixels - coins drift toward player within this range
+    MAGNET_RANGE: 100, // pixels - coins drift toward player within this range (before upgrades)
+  },
+
+  // Daily Challenge - everyone plays the same seed and modifiers on a given day
+  DAILY_CHALLENGE: {
+    MODIFIER_COUNT: 2, // modifiers picked from the registry each day
+
+    // Modifier registry - add new modifiers here
+    // Each modifier overrides one or more run settings (see ChallengeModifierConfig)
+    MODIFIERS: {
+      spreaderOnly: {
+        name: 'SPREADER ONLY',
+        description: 'The spreader is the only weapon',
+        weapon: 'spreader',
+      },
+      doubleMines: {
+        name: 'DOUBLE MINES',
+        description: 'Mines arrive in pairs',
+        minesPerSpawn: 2,
+      },
+      fastBosses: {
+        name: 'FAST BOSSES',
+        description: 'Bosses move and attack 50% faster',
+        bossSpeed: 1.5,
+      },
+    },
+  },
+
+  // Scripted campaign - level timelines are JSON files in src/levels
+  CAMPAIGN: {
+    DIALOGUE_DURATION: 3500, // default time a dialogue line stays up (ms)
+    LEVEL_TRANSITION_DELAY: 3000, // pause between a cleared level and the next
+    MINE_FIELD_STAGGER: 40, // vertical offset between alternate mines in a field
+    POWER_UP_SPAWN_Y: 40, // scripted drops appear near the top so they live long enough to reach the player
+  },
+
+  // Boss Rush - every boss type back to back in BOSS.TYPES order, looping until the run ends
+  BOSS_RUSH: {
+    START_DELAY: 3000, // time before the first boss (ms)
+    REFIT_DELAY: 5000, // break between fights (ms)
+    REFIT_REPAIR: 0.5, // share of max health restored at each refit
+    REFIT_BOMBS: 1, // bombs restocked at each refit
+    LOOP_HEALTH_MULT: 0.5, // extra boss and part health per loop after the first
+    LOOP_SPEED_MULT: 0.2, // extra boss movement and attack speed per loop after the first
+  },
+
+  // Permanent upgrades bought in the hangar - add new upgrades here
+  // Cost of level n (0-based) is baseCost * costGrowth^n, rounded
+  UPGRADES: {
+    maxHull: {
+      name: 'REINFORCED HULL',
+      description: '+20 max health',
+      stat: 'maxHealth',
+      perLevel: 20,
+      maxLevel: 5,
+      baseCost: 100,
+      costGrowth: 1.6,
+    },
+    weaponTuning: {
+      name: 'WEAPON TUNING',
+      description: 'Weapons start one level higher',
+      stat: 'weaponLevel',
+      perLevel: 1,
+      maxLevel: 2,
+      baseCost: 300,
+      costGrowth: 2,
+    },
+    coinMagnet: {
+      name: 'COIN MAGNET',
+      description: '+30 coin magnet range',
+      stat: 'magnetRange',
+      perLevel: 30,
+      maxLevel: 4,
+      baseCost: 80,
+      costGrowth: 1.5,
+    },
+    shieldCapacitor: {
+      name: 'SHIELD CAPACITOR',
+      description: '+25% shield duration',
+      stat: 'shieldDuration',
+      perLevel: 0.25,
+      maxLevel: 4,
+      baseCost: 120,
+      costGrowth: 1.5,
+    },
+    extraLife: {
+      name: 'SPARE SHIP',
+      description: '+1 starting life',
+      stat: 'lives',
+      perLevel: 1,
+      maxLevel: 2,
+      baseCost: 500,
+      costGrowth: 2.5,
+    },
+  },
+
+  // Kill chains: each kill within WINDOW of the last extends the chain, and every
+  // KILLS_PER_STEP kills in it raise the multiplier on enemy points by 1
+  COMBO: {
+    WINDOW: 2500, // ms
+    KILLS_PER_STEP: 5,
+    MAX_MULTIPLIER: 5,
+    METER_MIN_CHAIN: 2, // chains shorter than this aren't shown
+  },
+
+  // Sanity limits for submitted runs (checked by RunValidator and database rules)
+  RUN_VALIDATION: {
+    SUMMARY_VERSION: 2, // 2: boss parts destroyed
+    MAX_KILLS_PER_SECOND: 12, // spawner peaks at 5 ships every 500ms, plus boss summons
+    MAX_INITIALS_LENGTH: 3,
+  },
+
+  // Fixed-step simulation (required for exact replays)
+  REPLAY: {
+    VERSION: 2, // 2 added analog stick axes to every step
+    STEP_MS: 1000 / 60, // matches the arcade physics step
+    MAX_STEPS_PER_FRAME: 4, // after a long stall, drop time instead of catching up
+  },
+
+  // Main menu
+  MENU: {
+    ITEMS_Y: 190, // first menu item
+    ITEM_SPACING: 34,
+    STICK_THRESHOLD: 0.5, // stick deflection that moves the selection
+  },
+
+  // Pause menu
+  PAUSE: {
+    ITEMS_Y: 260, // first menu item
+    ITEM_SPACING: 50,
+    COUNTDOWN: 3, // seconds counted down before play resumes
+    COUNTDOWN_STEP: 1000, // ms per count
+  },
+
+  // Local two-player co-op - lives are per ship, but a ship that runs out
+  // borrows a spare from its partner, and a ship with none left can be revived
+  COOP: {
+    PLAYER_COUNT: 2,
+    SPAWN_SPACING: 120, // horizontal gap between the ships at spawn
+    PLAYER_TINTS: [0xffffff, 0x88ff88], // per ship; white is untinted
+    REVIVE_RADIUS: 60, // partner must stay this close to a downed ship
+    REVIVE_TIME: 2000, // ms the partner must stay close to revive it
+    REVIVE_HEALTH: 0.5, // share of max health a revived ship comes back with
+    DOWN_ALPHA: 0.35, // downed ships stay on screen as a faded wreck
+  },
+
+  // Gamepads - button indices follow the browser's standard mapping
+  GAMEPAD: {
+    DEADZONE: 0.2, // stick deflection ignored as drift; the rest is rescaled to 0-1
+    BUTTONS: {
+      A: 0,
+      B: 1,
+      X: 2,
+      Y: 3,
+      LB: 4,
+      RB: 5,
+      LT: 6,
+      RT: 7,
+      BACK: 8,
+      START: 9,
+      UP: 12,
+      DOWN: 13,
+      LEFT: 14,
+      RIGHT: 15,
+    },
+  },
+
+  // Rebindable controls - the defaults InputManager starts from. Solo play reads
+  // both key columns; co-op gives the first column to P2 and the second to P1.
+  // Menus keep fixed keys so a bad binding can't lock anyone out.
+  CONTROLS: {
+    KEY_COLUMNS: 2,
+    ACTIONS: {
+      moveLeft: { label: 'Move left', keys: ['LEFT', 'A'], pad: 14 },
+      moveRight: { label: 'Move right', keys: ['RIGHT', 'D'], pad: 15 },
+      moveUp: { label: 'Move up', keys: ['UP', 'W'], pad: 12 },
+      moveDown: { label: 'Move down', keys: ['DOWN', 'S'], pad: 13 },
+      fire: { label: 'Fire', keys: ['ENTER', 'SPACE'], pad: 0, touch: 'rightHalf' },
+      bomb: { label: 'Bomb', keys: ['SHIFT', 'Q'], pad: 1, touch: 'topLeft' },
+      pause: { label: 'Pause', keys: ['P', 'ESC'], pad: 9, touch: 'topRight' },
+    },
+    // Where zones overlap, the smaller one wins. The corners sit below the HUD.
+    TOUCH_ZONES: {
+      rightHalf: { label: 'Right half', x: 0.5, y: 0, width: 0.5, height: 1 },
+      leftHalf: { label: 'Left half', x: 0, y: 0, width: 0.5, height: 1 },
+      topLeft: { label: 'Top left', x: 0, y: 0.08, width: 0.15, height: 0.08 },
+      topRight: { label: 'Top right', x: 0.85, y: 0.08, width: 0.15, height: 0.08 },
+    },
+    // Dev console toggles; Backspace cancels rebinding
+    RESERVED_KEYS: ['BACKTICK', 'F1', 'BACKSPACE'],
+  },
+
+  // Audio - AudioManager synthesizes every sound with WebAudio, so there are no
+  // audio files to load. Volumes are the defaults; the player's are saved.
+  AUDIO: {
+    MUSIC_VOLUME: 0.5,
+    SFX_VOLUME: 0.8,
+    VOLUME_STEP: 0.1, // volume change per key press in menus
+    DUCK_LEVEL: 0.3, // share of the music volume left while ducked (boss intros)
+    DUCK_TIME: 0.25, // seconds to fade into or out of a duck
+    FADE_TIME: 0.6, // seconds for the old track to fade out when the music changes
+    SCHEDULE_AHEAD: 0.2, // seconds of music notes queued ahead of time
+    SCHEDULE_INTERVAL: 50, // ms between scheduling passes
+    DEFAULT_BOSS_MUSIC: 'bossMegaship', // for boss types without their own track
+
+    SFX: {
+      shoot: { wave: 'square', freq: 1200, endFreq: 500, duration: 0.05, volume: 0.06, cooldown: 50 },
+      explosion: { freq: 1500, endFreq: 100, duration: 0.3, volume: 0.4, cooldown: 40 },
+      score: { wave: 'sine', freq: 1400, endFreq: 1800, duration: 0.05, volume: 0.08, cooldown: 50 },
+      coin: { wave: 'triangle', freq: 990, endFreq: 1980, duration: 0.12, volume: 0.25, cooldown: 40 },
+      playerDeath: { freq: 600, endFreq: 40, duration: 1.2, volume: 0.7 },
+      extraLife: { wave: 'square', freq: 520, endFreq: 1560, duration: 0.45, volume: 0.2 },
+      bossWarning: { wave: 'sawtooth', freq: 220, endFreq: 110, duration: 1.5, volume: 0.3 },
+      bossExplosion: { freq: 2000, endFreq: 30, duration: 2, volume: 0.8 },
+      bomb: { freq: 4000, endFreq: 60, duration: 1.2, volume: 0.7 },
+      achievement: { wave: 'triangle', freq: 880, endFreq: 1760, duration: 0.5, volume: 0.25 },
+    },
+
+    MUSIC: {
+      menu: {
+        tempo: 90,
+        voices: [
+          { wave: 'triangle', volume: 0.25, notes: [45, null, 45, null, 48, null, 50, null, 45, null, 45, null, 43, null, 40, null] },
+          { wave: 'sine', volume: 0.12, notes: [69, null, 72, null, 76, 74, 72, null, 69, null, 67, null, 64, null, null, null] },
+        ],
+      },
+      stage: {
+        tempo: 140,
+        voices: [
+          { wave: 'square', volume: 0.08, notes: [40, 40, 52, 40, 40, 52, 43, 45] },
+          { wave: 'triangle', volume: 0.15, notes: [64, null, 67, null, 71, null, 69, 67, 64, null, 62, null, 64, null, null, null] },
+        ],
+      },
+      bossMegaship: {
+        tempo: 160,
+        voices: [
+          { wave: 'sawtooth', volume: 0.08, notes: [38, 38, 50, 38, 41, 41, 53, 41] },
+          { wave: 'square', volume: 0.06, notes: [62, null, 65, null, 69, 68, null, 65, 62, null, 60, null, 61, null, null, null] },
+        ],
+      },
+      bossDestroyer: {
+        tempo: 150,
+        voices: [
+          { wave: 'sawtooth', volume: 0.08, notes: [36, 36, 48, 36, 39, 39, 51, 39] },
+          { wave: 'square', volume: 0.06, notes: [60, 63, 67, 63, 60, null, 58, null, 60, 63, 68, 67, 63, null, null, null] },
+        ],
+      },
+      bossCarrier: {
+        tempo: 120,
+        voices: [
+          { wave: 'triangle', volume: 0.3, notes: [33, null, 33, 45, 33, null, 36, 35] },
+          { wave: 'sine', volume: 0.15, notes: [57, null, null, 60, null, null, 64, 63, 57, null, null, 53, null, null, 52, null] },
+        ],
+      },
+    },
+  },
+
+  // Player settings - SettingsManager saves the choice for each option
+  SETTINGS: {
+    OPTIONS: {
+      screenShake: {
+        label: 'Screen shake',
+        values: ['full', 'reduced', 'off'],
+        description: 'Camera shake from hits and explosions',
+      },
+      flashes: {
+        label: 'Flashes',
+        values: ['full', 'reduced', 'off'],
+        description: 'Screen flashes and flickering sprites',
+      },
+      backgroundMotion: {
+        label: 'Background motion',
+        values: ['full', 'reduced', 'off'],
+        description: 'Scrolling starfield',
+      },
+      palette: {
+        label: 'Color palette',
+        values: ['standard', 'redGreen', 'blueYellow'],
+        description: 'Enemy, power-up and health bar colors',
+      },
+      autoFire: {
+        label: 'Auto-fire',
+        values: ['off', 'on'],
+        description: 'Keep firing without holding the button',
+      },
+      gameSpeed: {
+        label: 'Game speed',
+        values: ['normal', 'slow'],
+        description: 'Slow speed runs are not ranked',
+      },
+    },
+    // Scale applied to effects for 'full', 'reduced' and 'off'
+    INTENSITY: { full: 1, reduced: 0.5, off: 0 },
+    GAME_SPEEDS: { normal: 1, slow: 0.7 },
+    // Colors from the Okabe-Ito palette, which stays distinct for most color vision
+    PALETTES: {
+      standard: {
+        label: 'Standard',
+        enemyColors: { r: 'r', g: 'g', b: 'b' },
+        powerUpColors: {},
+        healthColors: { high: 0x00ff00, mid: 0xffff00, low: 0xff0000 },
+      },
+      redGreen: {
+        label: 'Red-green safe',
+        enemyColors: { r: 'r', g: 'b', b: 'b' },
+        powerUpColors: {
+          health: 0x56b4e9,
+          weapon: 0xe69f00,
+          speed: 0x0072b2,
+          shield: 0xcc79a7,
+          laser: 0xffffff,
+          spreader: 0xf0e442,
+          plasma: 0xd55e00,
+          bomb: 0x999999,
+        },
+        healthColors: { high: 0x56b4e9, mid: 0xf0e442, low: 0xd55e00 },
+      },
+      blueYellow: {
+        label: 'Blue-yellow safe',
+        enemyColors: { r: 'r', g: 'g', b: 'r' },
+        powerUpColors: {
+          health: 0x009e73,
+          weapon: 0xd55e00,
+          speed: 0xffffff,
+          shield: 0xcc79a7,
+          laser: 0x0072b2,
+          spreader: 0xe69f00,
+          plasma: 0x999999,
+          bomb: 0x56b4e9,
+        },
+        healthColors: { high: 0x009e73, mid: 0xffffff, low: 0xd55e00 },
+      },
+    },
+  },
+
+  // Achievements (see AchievementManager)
+  ACHIEVEMENTS: {
+    TOAST_DURATION: 3000, // ms each unlock stays on screen
+    TOAST_Y: 110, // below the HUD, boss health bar and combo meter
+
+    LIST: {
+      firstBlood: {
+        name: 'First Blood',
+        description: 'Destroy an enemy',
+        stat: 'kills',
+        goal: 1,
+      },
+      exterminator: {
+        name: 'Exterminator',
+        description: 'Destroy 150 enemies in one run',
+        stat: 'kills',
+        goal: 150,
+      },
+      veteran: {
+        name: 'Veteran',
+        description: 'Destroy 2,500 enemies',
+        stat: 'kills',
+        goal: 2500,
+        scope: 'total',
+      },
+      megashipDown: {
+        name: 'Scrap Metal',
+        description: 'Defeat the Megaship Alpha',
+        stat: 'bossKills',
+        bossType: 'megaship',
+        goal: 1,
+      },
+      destroyerDown: {
+        name: 'Broken Line',
+        description: 'Defeat the Destroyer Class',
+        stat: 'bossKills',
+        bossType: 'destroyer',
+        goal: 1,
+      },
+      carrierDown: {
+        name: 'Behemoth Slayer',
+        description: 'Defeat the Carrier Behemoth',
+        stat: 'bossKills',
+        bossType: 'carrier',
+        goal: 1,
+      },
+      bossHunter: {
+        name: 'Boss Hunter',
+        description: 'Defeat 3 bosses in one run',
+        stat: 'bossKills',
+        goal: 3,
+      },
+      survivor: {
+        name: 'Survivor',
+        description: 'Survive 10 minutes',
+        stat: 'time',
+        goal: 600,
+      },
+      untouchable: {
+        name: 'Untouchable',
+        description: 'Survive 5 minutes without getting hit',
+        stat: 'noHitTime',
+        goal: 300,
+      },
+      saver: {
+        name: 'Saver',
+        description: 'Collect 1,000 credits',
+        stat: 'credits',
+        goal: 1000,
+        scope: 'total',
+      },
+      tycoon: {
+        name: 'Tycoon',
+        description: 'Collect 500 credits in one run',
+        stat: 'credits',
+        goal: 500,
+      },
+    },
   },
 
   // Screen and visual constants
@@ -0,0 +1,14 @@
+import outerRim from './01-outer-rim.json';
+import mineBelt from './02-mine-belt.json';
+import carrierFleet from './03-carrier-fleet.json';
+
+/**
+ * Campaign levels in play order.
+ * Each level is a JSON timeline - see LevelRunner for the event format.
+ * @type {import('../systems/LevelRunner.js').LevelData[]}
+ */
+export const CAMPAIGN_LEVELS = [
+  outerRim,
+  mineBelt,
+  carrierFleet,
+];
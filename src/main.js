@@ -1,8 +1,20 @@
 import Phaser from 'phaser';
 import BootScene from './scenes/BootScene.js';
+import MenuScene from './scenes/MenuScene.js';
+import LeaderboardScene from './scenes/LeaderboardScene.js';
+import HangarScene from './scenes/HangarScene.js';
+import LoadoutScene from './scenes/LoadoutScene.js';
 import GameScene from './scenes/GameScene.js';
 import GameOverScene from './scenes/GameOverScene.js';
+import ControlsScene from './scenes/ControlsScene.js';
+import PauseScene from './scenes/PauseScene.js';
+import SettingsScene from './scenes/SettingsScene.js';
+import AchievementsScene from './scenes/AchievementsScene.js';
 import ProgressManager from './systems/ProgressManager.js';
+import InputManager from './systems/InputManager.js';
+import AudioManager from './systems/AudioManager.js';
+import SettingsManager from './systems/SettingsManager.js';
+import AchievementManager from './systems/AchievementManager.js';
 
 // Game configuration
 const config = {
@@ -22,9 +34,11 @@ const config = {
       debug: false,
     },
   },
-  scene: [BootScene, GameScene, GameOverScene],
+  // Scenes that can be opened over the game come after it, so they draw on top
+  scene: [BootScene, MenuScene, LeaderboardScene, AchievementsScene, HangarScene, LoadoutScene, GameScene, GameOverScene, PauseScene, SettingsScene, ControlsScene],
   input: {
     activePointers: 2, // Support multi-touch for virtual joystick + fire button
+    gamepad: true, // Menu navigation
   },
 };
 
@@ -34,20 +48,35 @@ const game = new Phaser.Game(config);
 // Initialize global progress manager (accessible via this.game.registry.get('progress'))
 game.registry.set('progress', new ProgressManager());
 
-// Handle visibility change (pause when tab is hidden)
+// Rebindable controls, edited in ControlsScene (this.game.registry.get('controls'))
+game.registry.set('controls', new InputManager());
+
+// Comfort and accessibility options, edited in SettingsScene (this.game.registry.get('settings'))
+game.registry.set('settings', new SettingsManager());
+
+// Achievement unlocks and counters, shown in AchievementsScene (this.game.registry.get('achievements'))
+game.registry.set('achievements', new AchievementManager());
+
+// Music and sound effects (this.game.registry.get('audio')). Phaser's WebAudio
+// context is shared since Phaser already unlocks it on the first input and
+// suspends it while the game is hidden; without WebAudio the game runs silent.
+game.registry.set('audio', new AudioManager(game.sound.context || null));
+
+// Handle visibility change (pause when tab is hidden). A run in progress opens
+// its pause menu, so it stays paused when the tab comes back; everything else
+// resumes, but only the scenes paused here.
+let pausedWhileHidden = [];
 document.addEventListener('visibilitychange', () => {
   if (document.hidden) {
-    game.scene.scenes.forEach((scene) => {
-      if (scene.scene.isActive()) {
-        scene.scene.pause();
-      }
-    });
+    const gameScene = game.scene.getScene('GameScene');
+    const menuOpened = gameScene.scene.isActive() && gameScene.openPauseMenu();
+    pausedWhileHidden = game.scene.scenes.filter(scene =>
+      scene.scene.isActive() && !(menuOpened && scene === gameScene)
+    );
+    pausedWhileHidden.forEach(scene => scene.scene.pause());
   } else {
-    game.scene.scenes.forEach((scene) => {
-      if (scene.scene.isPaused()) {
-        scene.scene.resume();
-      }
-    });
+    pausedWhileHidden.forEach(scene => scene.scene.resume());
+    pausedWhileHidden = [];
   }
 });
 
@@ -0,0 +1,103 @@
+import Phaser from 'phaser';
+import GameConfig from '../config/GameConfig.js';
+import MenuNavigator from '../systems/MenuNavigator.js';
+import AchievementManager from '../systems/AchievementManager.js';
+
+const LIST_Y = 110;
+const ENTRY_SPACING = 40;
+const LEFT_X = 30;
+const RIGHT_X = 450;
+
+/**
+ * AchievementsScene - Gallery of every achievement, unlocked or not, with
+ * progress towards the ones still locked.
+ */
+export default class AchievementsScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'AchievementsScene' });
+  }
+
+  create() {
+    const { centerX, height } = this.cameras.main;
+    const achievements = this.game.registry.get('achievements') || new AchievementManager();
+    const list = Object.entries(GameConfig.ACHIEVEMENTS.LIST);
+
+    this.add.text(centerX, 40, 'ACHIEVEMENTS', {
+      font: '36px monospace',
+      fill: '#ffff00',
+    }).setOrigin(0.5);
+
+    this.add.text(centerX, 76, `${achievements.getUnlockedCount()} / ${list.length} UNLOCKED`, {
+      font: '14px monospace',
+      fill: '#ffdd00',
+    }).setOrigin(0.5);
+
+    list.forEach(([key, achievement], index) => {
+      this.createEntry(key, achievement, achievements, LIST_Y + index * ENTRY_SPACING);
+    });
+
+    this.add.text(centerX, height - 40, '[ BACK ]', {
+      font: '20px monospace',
+      fill: '#00ffff',
+    }).setOrigin(0.5)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerdown', () => this.back());
+
+    this.add.text(centerX, height - 14, 'ESC/B: back', {
+      font: '12px monospace',
+      fill: '#666666',
+    }).setOrigin(0.5);
+
+    this.navigator = new MenuNavigator(this, {
+      onBack: () => this.back(),
+    });
+  }
+
+  /**
+   * Draw one achievement: name and status on top, what it takes underneath.
+   * @param {string} key - Achievement key
+   * @param {import('../config/GameConfig.js').AchievementConfig} achievement
+   * @param {AchievementManager} achievements
+   * @param {number} y - Top of the entry
+   */
+  createEntry(key, achievement, achievements, y) {
+    const unlocked = achievements.isUnlocked(key);
+
+    this.add.text(LEFT_X, y, achievement.name, {
+      font: '16px monospace',
+      fill: unlocked ? '#ffff00' : '#888888',
+    });
+
+    this.add.text(LEFT_X, y + 18, achievement.description, {
+      font: '12px monospace',
+      fill: unlocked ? '#ffffff' : '#666666',
+    });
+
+    this.add.text(RIGHT_X, y, unlocked ? 'UNLOCKED' : this.formatProgress(achievement, achievements.getProgress(key)), {
+      font: '14px monospace',
+      fill: unlocked ? '#00ff00' : '#888888',
+    }).setOrigin(1, 0);
+  }
+
+  /**
+   * @param {import('../config/GameConfig.js').AchievementConfig} achievement
+   * @param {{current: number, goal: number}} progress
+   * @returns {string} Progress of a locked achievement ('BEST' for single-run goals)
+   */
+  formatProgress(achievement, { current, goal }) {
+    if (goal === 1) return 'LOCKED';
+
+    const isTime = achievement.stat === 'time' || achievement.stat === 'noHitTime';
+    const format = seconds => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    const text = isTime ? `${format(current)} / ${format(goal)}` : `${current} / ${goal}`;
+    return achievement.scope === 'total' ? text : `BEST ${text}`;
+  }
+
+  back() {
+    this.scene.start('MenuScene');
+  }
+
+  update() {
+    this.navigator.update();
+  }
+}
@@ -84,8 +84,8 @@ export default class BootScene extends Phaser.Scene {
     // Create all animations
     this.createAnimations();
 
-    // Transition to game scene
-    this.scene.start('GameScene');
+    // Transition to the main menu
+    this.scene.start('MenuScene');
   }
 
   createAnimations() {
@@ -0,0 +1,343 @@
+import Phaser from 'phaser';
+import GameConfig from '../config/GameConfig.js';
+import MenuNavigator from '../systems/MenuNavigator.js';
+import { getButtonName } from '../systems/GamepadInput.js';
+
+const ROW_Y = 145;
+const ROW_SPACING = 40;
+const LABEL_X = 16;
+const CELL_WIDTH = 74;
+
+/** Binding columns, left to right */
+const COLUMNS = [
+  { title: 'KEY 1', device: 'keys', column: 0, x: 198 },
+  { title: 'KEY 2', device: 'keys', column: 1, x: 276 },
+  { title: 'PAD', device: 'pad', x: 354 },
+  { title: 'TOUCH', device: 'touch', x: 432 },
+];
+
+/** Phaser key name for each key code */
+const KEY_NAMES = Object.fromEntries(
+  Object.entries(Phaser.Input.Keyboard.KeyCodes).map(([name, code]) => [code, name])
+);
+
+/**
+ * ControlsScene - Rebind actions to keys, gamepad buttons and touch zones.
+ * Pick a cell and confirm, then press the new key or button; touch cells
+ * cycle through the zones instead. An input already used elsewhere is
+ * swapped with it, and the status line says which binding moved.
+ * Bindings are saved by InputManager as they change.
+ */
+export default class ControlsScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'ControlsScene' });
+  }
+
+  /**
+   * @param {Object} [data]
+   * @param {string} [data.returnTo] - Sleeping scene to wake on BACK (default: back to the menu)
+   */
+  init(data) {
+    this.returnTo = data?.returnTo || null;
+    this.controls = this.game.registry.get('controls');
+    this.actions = Object.keys(GameConfig.CONTROLS.ACTIONS);
+    // Rows past the actions are the RESET and BACK buttons
+    this.row = 0;
+    this.column = 0;
+    this.cells = [];
+    /** @type {import('../systems/InputManager.js').BindingSlot|null} */
+    this.capturing = null;
+    // Set a frame after capturing starts, so the press that started it isn't bound
+    this.captureArmed = false;
+  }
+
+  create() {
+    const { centerX, centerY, width, height } = this.cameras.main;
+
+    // Opened from the pause menu, the paused game is still drawn underneath
+    this.add.rectangle(centerX, centerY, width, height, 0x000000);
+
+    this.add.text(centerX, 50, 'CONTROLS', {
+      font: '36px monospace',
+      fill: '#ffff00',
+    }).setOrigin(0.5);
+
+    COLUMNS.forEach(({ title, x }) => {
+      this.add.text(x, ROW_Y - 36, title, { font: '14px monospace', fill: '#666666' }).setOrigin(0.5);
+    });
+
+    this.selectionBox = this.add.rectangle(0, 0, CELL_WIDTH, ROW_SPACING - 10, 0x333333)
+      .setStrokeStyle(2, 0xffff00);
+
+    this.cells = this.actions.map((action, row) => this.createRow(action, row));
+
+    const buttonsY = ROW_Y + this.actions.length * ROW_SPACING + 30;
+    this.resetButton = this.createButton(centerX, buttonsY, '[ RESET DEFAULTS ]', this.actions.length);
+    this.backButton = this.createButton(centerX, buttonsY + 40, '[ BACK ]', this.actions.length + 1);
+
+    this.statusText = this.add.text(centerX, buttonsY + 80, '', {
+      font: '14px monospace',
+      fill: '#ffffff',
+      align: 'center',
+    }).setOrigin(0.5);
+
+    this.add.text(centerX, height - 34, 'Solo uses both key columns. Co-op: KEY 1 = P2, KEY 2 = P1', {
+      font: '12px monospace',
+      fill: '#666666',
+    }).setOrigin(0.5);
+    this.add.text(centerX, height - 16, 'ENTER/A: rebind   BACKSPACE: cancel   ESC/B: back', {
+      font: '12px monospace',
+      fill: '#666666',
+    }).setOrigin(0.5);
+
+    this.navigator = new MenuNavigator(this, {
+      onMove: (dx, dy) => this.moveSelection(dx, dy),
+      onConfirm: () => this.activate(),
+      onBack: () => this.back(),
+    });
+
+    this.input.keyboard.on('keydown', this.onCaptureKey, this);
+    this.input.gamepad?.on('down', this.onCapturePad, this);
+    this.events.once('shutdown', () => {
+      this.input.keyboard.off('keydown', this.onCaptureKey, this);
+      this.input.gamepad?.off('down', this.onCapturePad, this);
+    });
+
+    this.refresh();
+  }
+
+  /**
+   * Create the label and binding cells of one action. Tapping a cell selects
+   * and activates it.
+   * @param {string} action - Action key
+   * @param {number} row - Row index
+   * @returns {Phaser.GameObjects.Text[]} One text per column
+   */
+  createRow(action, row) {
+    const y = ROW_Y + row * ROW_SPACING;
+
+    this.add.text(LABEL_X, y, GameConfig.CONTROLS.ACTIONS[action].label, {
+      font: '16px monospace',
+      fill: '#ffffff',
+    }).setOrigin(0, 0.5);
+
+    return COLUMNS.map(({ x }, column) => this.add.text(x, y, '', {
+      font: '12px monospace',
+      fill: '#ffffff',
+    }).setOrigin(0.5)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerdown', () => {
+        this.row = row;
+        this.column = column;
+        this.activate();
+      }));
+  }
+
+  /**
+   * @param {number} x - Center X position
+   * @param {number} y - Y position
+   * @param {string} label
+   * @param {number} row - Selection row of the button
+   * @returns {Phaser.GameObjects.Text}
+   */
+  createButton(x, y, label, row) {
+    return this.add.text(x, y, label, {
+      font: '18px monospace',
+      fill: '#00ffff',
+    }).setOrigin(0.5)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerdown', () => {
+        this.row = row;
+        this.activate();
+      });
+  }
+
+  /**
+   * Move the selection, wrapping around. Left/right only move within action rows.
+   * @param {number} dx
+   * @param {number} dy
+   */
+  moveSelection(dx, dy) {
+    const rows = this.actions.length + 2;
+    this.row = (this.row + dy + rows) % rows;
+    this.column = (this.column + dx + COLUMNS.length) % COLUMNS.length;
+    this.statusText.setText('');
+    this.refresh();
+  }
+
+  /**
+   * Rebind the selected cell, or press the selected button.
+   */
+  activate() {
+    if (this.capturing) return;
+
+    if (this.row === this.actions.length) {
+      this.controls.reset();
+      this.showStatus('Default controls restored', '#00ff00');
+      this.refresh();
+      return;
+    }
+    if (this.row === this.actions.length + 1) {
+      this.back();
+      return;
+    }
+
+    const action = this.actions[this.row];
+    const { device, column } = COLUMNS[this.column];
+    const label = GameConfig.CONTROLS.ACTIONS[action].label;
+
+    if (device === 'touch') {
+      this.cycleTouchZone(action);
+      return;
+    }
+
+    this.capturing = { action, device, column };
+    this.navigator.setEnabled(false);
+    this.showStatus(device === 'keys'
+      ? `Press a key for ${label}\nBACKSPACE to cancel`
+      : `Press a gamepad button for ${label}\nBACKSPACE to cancel`, '#ffff00');
+    this.refresh();
+  }
+
+  /**
+   * Bind the next touch zone (or none) to an action.
+   * @param {string} action - Action key
+   */
+  cycleTouchZone(action) {
+    if (!this.controls.isTouchable(action)) {
+      this.showStatus('Ships are steered by dragging on the screen', '#888888');
+      return;
+    }
+    const zones = [null, ...Object.keys(GameConfig.CONTROLS.TOUCH_ZONES)];
+    const next = zones[(zones.indexOf(this.controls.getTouchZone(action)) + 1) % zones.length];
+    this.applyBinding({ action, device: 'touch' }, next);
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   */
+  onCaptureKey(event) {
+    if (!this.captureArmed) return;
+
+    if (event.code === 'Backspace') {
+      this.stopCapture('Cancelled', '#888888');
+      return;
+    }
+    if (this.capturing.device !== 'keys') return;
+
+    const key = KEY_NAMES[event.keyCode];
+    if (!key) {
+      this.showStatus('That key can\'t be bound\nBACKSPACE to cancel', '#ff4444');
+    } else if (this.controls.isReservedKey(key)) {
+      this.showStatus(`${key} is reserved\nBACKSPACE to cancel`, '#ff4444');
+    } else {
+      this.applyBinding(this.capturing, key);
+    }
+  }
+
+  /**
+   * @param {Phaser.Input.Gamepad.Gamepad} pad
+   * @param {Phaser.Input.Gamepad.Button} button
+   */
+  onCapturePad(pad, button) {
+    if (this.captureArmed && this.capturing.device === 'pad') {
+      this.applyBinding(this.capturing, button.index);
+    }
+  }
+
+  /**
+   * Save a binding and report any binding it moved.
+   * @param {import('../systems/InputManager.js').BindingSlot} slot
+   * @param {string|number|null} value
+   */
+  applyBinding(slot, value) {
+    const conflict = this.controls.rebind(slot, value);
+    const label = GameConfig.CONTROLS.ACTIONS[slot.action].label;
+    const bound = `${label}: ${this.formatValue(slot.device, value)}`;
+
+    if (conflict) {
+      const taken = GameConfig.CONTROLS.ACTIONS[conflict.action].label;
+      this.stopCapture(`${bound}\nswapped with ${taken}`, '#ff8800');
+    } else {
+      this.stopCapture(bound, '#00ff00');
+    }
+  }
+
+  /**
+   * @param {string} message - Status to show
+   * @param {string} color - CSS color
+   */
+  stopCapture(message, color) {
+    this.capturing = null;
+    this.captureArmed = false;
+    this.showStatus(message, color);
+    this.refresh();
+  }
+
+  /**
+   * @param {'keys'|'pad'|'touch'} device
+   * @param {string|number|null} value
+   * @returns {string} Short text for a cell
+   */
+  formatValue(device, value) {
+    if (value === null) return '---';
+    if (device === 'pad') return getButtonName(value);
+    if (device === 'touch') return GameConfig.CONTROLS.TOUCH_ZONES[value].label;
+    return value.slice(0, 9);
+  }
+
+  /**
+   * @param {string} message
+   * @param {string} color - CSS color
+   */
+  showStatus(message, color) {
+    this.statusText.setText(message);
+    this.statusText.setFill(color);
+  }
+
+  /**
+   * Redraw the bindings and the selection.
+   */
+  refresh() {
+    this.actions.forEach((action, row) => {
+      const binding = this.controls.getBinding(action);
+      COLUMNS.forEach(({ device, column }, index) => {
+        const cell = this.cells[row][index];
+        const selected = row === this.row && index === this.column;
+
+        if (device === 'touch' && !this.controls.isTouchable(action)) {
+          cell.setText('drag').setFill('#555555');
+          return;
+        }
+        const value = device === 'keys' ? binding.keys[column] : binding[device];
+        cell.setText(selected && this.capturing ? '...' : this.formatValue(device, value));
+        cell.setFill(selected ? '#ffff00' : '#ffffff');
+      });
+    });
+
+    const onButton = this.row >= this.actions.length;
+    this.selectionBox.setVisible(!onButton);
+    if (!onButton) {
+      this.selectionBox.setPosition(COLUMNS[this.column].x, ROW_Y + this.row * ROW_SPACING);
+    }
+    this.resetButton.setFill(this.row === this.actions.length ? '#ffff00' : '#00ffff');
+    this.backButton.setFill(this.row === this.actions.length + 1 ? '#ffff00' : '#00ffff');
+  }
+
+  back() {
+    if (this.capturing) return;
+    if (this.returnTo) {
+      this.scene.stop();
+      this.scene.wake(this.returnTo);
+    } else {
+      this.scene.start('MenuScene');
+    }
+  }
+
+  update() {
+    // Menu navigation resumes a frame after a capture ends, for the same reason
+    this.captureArmed = this.capturing !== null;
+    this.navigator.setEnabled(this.capturing === null);
+    this.navigator.update();
+  }
+}
@@ -1,5 +1,13 @@
 import Phaser from 'phaser';
 import { leaderboardService } from '../services/LeaderboardService.js';
+import LeaderboardView from '../systems/LeaderboardView.js';
+import MenuNavigator from '../systems/MenuNavigator.js';
+import { LEADERBOARD_PERIODS, CHALLENGE_PERIODS, BOSS_RUSH_PERIODS, parseDayKey } from '../services/LeaderboardPeriods.js';
+import { serializeReplay } from '../systems/Replay.js';
+import { unlockMilestoneWeapons } from '../systems/WeaponUnlocks.js';
+import { formatRushTime } from '../systems/BossRushRunner.js';
+import GameConfig from '../config/GameConfig.js';
+import { CAMPAIGN_LEVELS } from '../levels/index.js';
 
 export default class GameOverScene extends Phaser.Scene {
   constructor() {
@@ -13,14 +21,41 @@ export default class GameOverScene extends Phaser.Scene {
       enemiesKilled: data.enemiesKilled || 0,
       timeSurvived: data.timeSurvived || 0,
       credits: data.credits || 0,
+      maxCombo: data.maxCombo || 0,
+      run: data.run || null,
     };
+    // Replay of this run (or the replay that was just watched)
+    this.replay = data.replay || null;
+    this.isReplay = data.isReplay === true;
+    // Daily Challenge runs only compete on the board for their day
+    this.challenge = data.challenge || null;
+    // Boss Rush runs ({loop, clearTime, splits}) have a board of their own too
+    this.bossRush = data.bossRush || null;
+    this.periods = this.getPeriods();
+    this.boardDate = this.challenge ? parseDayKey(this.challenge.day) : new Date();
+    // Campaign runs ({level, complete}) are not ranked - levels are not comparable to endless waves
+    this.campaign = data.campaign || null;
+    // Co-op runs are not ranked either - the boards compare solo pilots
+    this.coop = data.coop === true;
+    // Nor are runs played (even partly) at slow speed
+    this.slowed = data.slowed === true;
+    this.players = data.players || [];
+    // Boss Rush personal bests beaten this run
+    this.rushRecords = null;
     this.initials = '';
+    // Letter being picked with the gamepad (0 = A), shown after the entered initials
+    this.padLetter = null;
     this.qualifiesForLeaderboard = false;
     this.submitting = false;
     this.submitted = false;
+    this.leaderboard = null;
+    // Weapons unlocked by milestones reached this run
+    this.newWeapons = [];
 
-    // Save progress to localStorage
-    this.saveProgress();
+    // Save progress to localStorage (watching a replay earns nothing)
+    if (!this.isReplay) {
+      this.saveProgress();
+    }
   }
 
   /**
@@ -30,6 +65,11 @@ export default class GameOverScene extends Phaser.Scene {
     const progress = this.game.registry.get('progress');
     if (progress) {
       progress.recordGameEnd(this.stats);
+      // Personal bests are solo, full speed runs, like the boards
+      if (this.bossRush && !this.coop && !this.slowed) {
+        this.rushRecords = progress.recordBossRush(this.bossRush);
+      }
+      this.newWeapons = unlockMilestoneWeapons(progress);
       this.totalCredits = progress.getCredits();
     } else {
       this.totalCredits = this.stats.credits;
@@ -40,26 +80,70 @@ export default class GameOverScene extends Phaser.Scene {
     const centerX = this.cameras.main.centerX;
     const centerY = this.cameras.main.centerY;
 
+    // Gamepad navigation; the keyboard is handled in handleKeyInput()
+    this.navigator = new MenuNavigator(this, {
+      onMove: (dx, dy) => this.handlePadMove(dx, dy),
+      onConfirm: () => this.handlePadConfirm(),
+      onBack: () => this.handlePadBack(),
+      keyboard: false,
+    });
+
+    // The run's music gives way to the menu theme
+    this.game.registry.get('audio')?.playMusic('menu');
+
     // Game Over text
-    this.add.text(centerX, 60, 'GAME OVER', {
+    let title = 'GAME OVER';
+    if (this.isReplay) {
+      title = 'REPLAY OVER';
+    } else if (this.campaign?.complete) {
+      title = 'VICTORY!';
+    }
+    this.add.text(centerX, 60, title, {
       font: '48px monospace',
-      fill: '#ff0000',
+      fill: title === 'GAME OVER' ? '#ff0000' : '#ffff00',
     }).setOrigin(0.5);
 
+    if (this.newWeapons.length > 0) {
+      const names = this.newWeapons.map(key => GameConfig.WEAPONS[key].name);
+      this.add.text(centerX, 18, `NEW WEAPON UNLOCKED: ${names.join(', ')}`, {
+        font: '14px monospace',
+        fill: '#00ff00',
+      }).setOrigin(0.5);
+    }
+
+    const subtitle = this.getModeSubtitle();
+    if (subtitle) {
+      this.add.text(centerX, 94, subtitle, {
+        font: '14px monospace',
+        fill: '#00ffff',
+      }).setOrigin(0.5);
+    }
+
     // Stats display
     this.add.text(centerX, 120, `Score: ${this.stats.score}`, {
       font: '32px monospace',
       fill: '#ffffff',
     }).setOrigin(0.5);
 
-    this.add.text(centerX, 160, [
-      `Wave: ${this.stats.wave}`,
-      `Enemies: ${this.stats.enemiesKilled}`,
-      `Time: ${this.formatTime(this.stats.timeSurvived)}`,
-    ].join('  |  '), {
-      font: '16px monospace',
-      fill: '#888888',
-    }).setOrigin(0.5);
+    if (this.bossRush) {
+      this.showRushTimes(centerX, 160);
+    } else {
+      this.add.text(centerX, 160, [
+        `Wave: ${this.stats.wave}`,
+        `Enemies: ${this.stats.enemiesKilled}`,
+        `Time: ${this.formatTime(this.stats.timeSurvived)}`,
+        `Max chain: ${this.stats.maxCombo}`,
+      ].join(' | '), {
+        font: '14px monospace',
+        fill: '#888888',
+      }).setOrigin(0.5);
+    }
+
+    if (this.isReplay) {
+      this.showReplayResult(centerX, 210);
+      this.showRestartPrompt(centerX);
+      return;
+    }
 
     // Credits display
     this.add.text(centerX, 190, `Space Credits: +${this.stats.credits}  (Total: ${this.totalCredits})`, {
@@ -67,8 +151,33 @@ export default class GameOverScene extends Phaser.Scene {
       fill: '#ffdd00',
     }).setOrigin(0.5);
 
+    if (this.coop) {
+      this.showPlayerScores(centerX, 218);
+    }
+
+    if (this.campaign || this.coop || this.slowed) {
+      this.add.text(centerX, this.coop ? 250 : 240, `${this.getUnrankedMode()} runs are not ranked`, {
+        font: '16px monospace',
+        fill: '#888888',
+      }).setOrigin(0.5);
+      this.showRestartPrompt(centerX);
+      return;
+    }
+
+    // Runs the boards would refuse don't get the initials prompt
+    const { valid, errors } = leaderboardService.validateScore(this.stats, this.getBoards());
+    if (!valid) {
+      console.warn('Run failed leaderboard validation:', errors.join('; '));
+      this.add.text(centerX, 240, 'Run could not be verified - not ranked', {
+        font: '16px monospace',
+        fill: '#ff8800',
+      }).setOrigin(0.5);
+      this.showRestartPrompt(centerX);
+      return;
+    }
+
     // Check if score qualifies for leaderboard
-    this.qualifiesForLeaderboard = await leaderboardService.checkIfQualifies(this.stats.score);
+    this.qualifiesForLeaderboard = await leaderboardService.checkIfQualifies(this.stats.score, this.getBoards());
 
     if (this.qualifiesForLeaderboard) {
       this.showInitialsInput(centerX);
@@ -81,6 +190,15 @@ export default class GameOverScene extends Phaser.Scene {
     this.input.keyboard.on('keydown', this.handleKeyInput, this);
   }
 
+  /**
+   * @returns {string} Why this run isn't ranked, e.g. 'Co-op'
+   */
+  getUnrankedMode() {
+    if (this.campaign) return 'Campaign';
+    if (this.coop) return 'Co-op';
+    return 'Slow speed';
+  }
+
   showInitialsInput(centerX) {
     this.add.text(centerX, 210, 'NEW HIGH SCORE!', {
       font: '24px monospace',
@@ -119,6 +237,11 @@ export default class GameOverScene extends Phaser.Scene {
       font: '20px monospace',
       fill: '#888888',
     }).setOrigin(0.5);
+
+    this.add.text(centerX, 450, 'Pad: UP/DOWN letter  RIGHT/A next  LEFT/B delete', {
+      font: '12px monospace',
+      fill: '#666666',
+    }).setOrigin(0.5);
   }
 
   createNativeInput() {
@@ -179,6 +302,12 @@ export default class GameOverScene extends Phaser.Scene {
   }
 
   handleKeyInput(event) {
+    // Left/right arrows switch leaderboard tabs
+    if (this.leaderboard && (event.keyCode === 37 || event.keyCode === 39)) {
+      this.leaderboard.cyclePeriod(event.keyCode === 37 ? -1 : 1);
+      return;
+    }
+
     if (this.submitted || this.submitting) return;
 
     if (this.qualifiesForLeaderboard && !this.submitted) {
@@ -207,10 +336,96 @@ export default class GameOverScene extends Phaser.Scene {
   }
 
   updateInitialsDisplay() {
-    const display = this.initials.padEnd(3, '_').split('').join(' ');
+    const picking = this.padLetter !== null && this.initials.length < 3;
+    const shown = picking ? this.initials + String.fromCharCode(65 + this.padLetter) : this.initials;
+    const display = shown.padEnd(3, '_').split('').join(' ');
     this.initialsText.setText(display);
   }
 
+  /**
+   * @returns {boolean} True while initials can be entered
+   */
+  isEnteringInitials() {
+    return this.qualifiesForLeaderboard && !this.submitted && !this.submitting;
+  }
+
+  /**
+   * Replace the entered initials, keeping the native input in sync.
+   * @param {string} initials
+   */
+  setInitials(initials) {
+    this.initials = initials;
+    if (this.hiddenInput) {
+      this.hiddenInput.value = initials;
+    }
+    this.updateInitialsDisplay();
+    this.updateSubmitButton();
+  }
+
+  /**
+   * Up/down picks a letter and right accepts it while entering initials;
+   * otherwise left/right switch leaderboard tabs.
+   * @param {number} dx
+   * @param {number} dy
+   */
+  handlePadMove(dx, dy) {
+    if (!this.isEnteringInitials()) {
+      if (this.leaderboard && dx !== 0) {
+        this.leaderboard.cyclePeriod(dx);
+      }
+      return;
+    }
+
+    if (dy !== 0 && this.initials.length < 3) {
+      // The first press shows A, later ones cycle through the alphabet
+      this.padLetter = this.padLetter === null ? 0 : (this.padLetter + dy + 26) % 26;
+      this.updateInitialsDisplay();
+    } else if (dx > 0) {
+      this.acceptPadLetter();
+    } else if (dx < 0) {
+      this.deletePadLetter();
+    }
+  }
+
+  /**
+   * A accepts the picked letter, or submits once all three are entered;
+   * after that it plays again.
+   */
+  handlePadConfirm() {
+    if (this.isEnteringInitials()) {
+      if (this.initials.length === 3) {
+        this.trySubmit();
+      } else {
+        this.acceptPadLetter();
+      }
+    } else if (this.submitted || !this.qualifiesForLeaderboard) {
+      this.restartGame();
+    }
+  }
+
+  /**
+   * B deletes a letter while entering initials, otherwise goes to the main menu.
+   */
+  handlePadBack() {
+    if (this.isEnteringInitials()) {
+      this.deletePadLetter();
+    } else if (this.submitted || !this.qualifiesForLeaderboard) {
+      this.restartGame(true);
+    }
+  }
+
+  acceptPadLetter() {
+    if (this.initials.length >= 3) return;
+    const letter = String.fromCharCode(65 + (this.padLetter ?? 0));
+    // Start the next letter from the same one, which makes repeats quick
+    this.setInitials(this.initials + letter);
+  }
+
+  deletePadLetter() {
+    if (this.initials.length === 0) return;
+    this.setInitials(this.initials.slice(0, -1));
+  }
+
   async submitScore() {
     if (this.submitting) return;
     this.submitting = true;
@@ -218,85 +433,220 @@ export default class GameOverScene extends Phaser.Scene {
     this.destroyNativeInput();
     this.initialsText.setText('...');
 
-    await leaderboardService.submitScore({
+    const results = await leaderboardService.submitScore({
       initials: this.initials,
       ...this.stats,
-    });
+    }, this.getBoards());
 
     this.submitted = true;
     this.submitting = false;
 
     // Clear the initials input area and show leaderboard
     this.children.removeAll();
-    this.create_postSubmit();
+    this.create_postSubmit(Object.values(results).some(Boolean));
   }
 
-  create_postSubmit() {
+  /**
+   * @param {boolean} recorded - Whether any board took the score (false if
+   *   it was rejected or pushed out of the top 10 in the meantime)
+   */
+  create_postSubmit(recorded) {
     const centerX = this.cameras.main.centerX;
 
-    this.add.text(centerX, 40, 'SCORE RECORDED!', {
+    this.add.text(centerX, 40, recorded ? 'SCORE RECORDED!' : 'SCORE NOT RECORDED', {
       font: '32px monospace',
-      fill: '#00ff00',
+      fill: recorded ? '#00ff00' : '#ff8800',
     }).setOrigin(0.5);
 
     this.showLeaderboard(centerX, 90);
     this.showRestartPrompt(centerX);
   }
 
-  async showLeaderboard(centerX, startY) {
-    this.add.text(centerX, startY, '[ TOP 10 ]', {
-      font: '24px monospace',
-      fill: '#ffff00',
-    }).setOrigin(0.5);
+  /**
+   * Describe the mode the run was played in.
+   * @returns {string|null} Null for endless runs
+   */
+  getModeSubtitle() {
+    if (this.challenge) {
+      return `DAILY CHALLENGE ${this.challenge.day}`;
+    }
+    if (this.campaign) {
+      if (this.campaign.complete) return 'CAMPAIGN COMPLETE';
+      const level = CAMPAIGN_LEVELS[this.campaign.level];
+      return `CAMPAIGN - LEVEL ${this.campaign.level + 1}: ${level.name}`;
+    }
+    if (this.bossRush) {
+      return `BOSS RUSH - LOOP ${this.bossRush.loop}`;
+    }
+    return null;
+  }
 
-    const scores = await leaderboardService.getTopScores();
-    const lineHeight = 28;
+  /**
+   * Show a Boss Rush's clear time and the split of every fight in the first
+   * loop, marking new personal bests with a star.
+   * @param {number} centerX - Center X position
+   * @param {number} y - Y position of the first line
+   */
+  showRushTimes(centerX, y) {
+    const { clearTime, splits } = this.bossRush;
+    const records = this.rushRecords || { bestClear: false, bestSplits: [] };
 
-    // Header
-    this.add.text(centerX, startY + 35, 'RNK  NAME   SCORE    WAVE  KILLS', {
+    const clear = clearTime === null ? 'Not cleared' : `Clear: ${formatRushTime(clearTime)}${records.bestClear ? ' NEW BEST!' : ''}`;
+    this.add.text(centerX, y, `${clear} | Bosses: ${splits.length} | Max chain: ${this.stats.maxCombo}`, {
       font: '14px monospace',
-      fill: '#666666',
+      fill: records.bestClear ? '#ffff00' : '#888888',
+    }).setOrigin(0.5);
+
+    const firstLoop = splits.filter(split => split.loop === 1);
+    if (firstLoop.length === 0) return;
+    const line = firstLoop
+      .map(({ bossType, time }) => {
+        const best = records.bestSplits.includes(bossType) ? '*' : '';
+        return `${bossType.toUpperCase()} ${formatRushTime(time)}${best}`;
+      })
+      .join('  ');
+    this.add.text(centerX, y + 16, line, {
+      font: '12px monospace',
+      fill: '#888888',
     }).setOrigin(0.5);
+  }
 
-    scores.forEach((entry, index) => {
-      const rank = (index + 1).toString().padStart(2, ' ');
-      const name = entry.initials.padEnd(3, ' ');
-      const score = entry.score.toString().padStart(8, ' ');
-      const wave = entry.wave.toString().padStart(4, ' ');
-      const kills = entry.enemiesKilled.toString().padStart(6, ' ');
+  /**
+   * Boards this run competes on: the Daily Challenge and Boss Rush only
+   * compete with runs in the same mode.
+   * @returns {Array<{key: string, label: string}>}
+   */
+  getPeriods() {
+    if (this.challenge) return CHALLENGE_PERIODS;
+    if (this.bossRush) return BOSS_RUSH_PERIODS;
+    return LEADERBOARD_PERIODS;
+  }
 
-      const isCurrentScore = this.submitted && entry.initials === this.initials && entry.score === this.stats.score;
-      const color = isCurrentScore ? '#00ff00' : '#ffffff';
+  /**
+   * Boards this run competes on.
+   * @returns {import('../services/LeaderboardService.js').BoardSelection}
+   */
+  getBoards() {
+    return { periods: this.periods, date: this.boardDate };
+  }
 
-      this.add.text(centerX, startY + 60 + (index * lineHeight),
-        `${rank}.  ${name}  ${score}    ${wave}  ${kills}`, {
-        font: '14px monospace',
-        fill: color,
-      }).setOrigin(0.5);
+  /**
+   * Show the leaderboard with tabs for each period (daily / weekly / all-time,
+   * or the Daily Challenge board).
+   * @param {number} centerX - Center X position
+   * @param {number} startY - Y position of the tab row
+   */
+  showLeaderboard(centerX, startY) {
+    this.leaderboard = new LeaderboardView(this, centerX, startY, {
+      periods: this.periods,
+      date: this.boardDate,
+      score: this.stats.score,
+      highlight: this.submitted ? { initials: this.initials, score: this.stats.score } : null,
     });
-
-    // Show player's score if not in top 10
-    if (!this.qualifiesForLeaderboard) {
-      const y = startY + 60 + (10 * lineHeight) + 20;
-      this.add.text(centerX, y, `Your score: ${this.stats.score}`, {
-        font: '16px monospace',
-        fill: '#888888',
-      }).setOrigin(0.5);
-    }
   }
 
   showRestartPrompt(centerX) {
     const y = this.cameras.main.height - 40;
-    this.add.text(centerX, y, 'Press SPACE or tap to play again', {
+    this.add.text(centerX, y, 'Press SPACE/A or tap to play again', {
       font: '18px monospace',
       fill: '#ffffff',
     }).setOrigin(0.5);
 
-    // Input handling
-    this.input.on('pointerdown', () => this.restartGame());
+    this.add.text(centerX, y - 26, '[ MAIN MENU ]  (ESC/B)', {
+      font: '14px monospace',
+      fill: '#00ffff',
+    }).setOrigin(0.5)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerdown', () => this.restartGame(true));
+    this.input.keyboard.once('keydown-ESC', () => this.restartGame(true));
+
+    if (this.replay) {
+      this.showReplayButtons(centerX, y + 26);
+    }
+
+    // Input handling - taps on buttons (e.g. leaderboard tabs) don't restart
+    this.input.on('pointerdown', (pointer, currentlyOver) => {
+      if (currentlyOver.length === 0) {
+        this.restartGame();
+      }
+    });
+  }
+
+  /**
+   * Show each co-op ship's share of the score and kills.
+   * @param {number} centerX - Center X position
+   * @param {number} y - Y position
+   */
+  showPlayerScores(centerX, y) {
+    const line = this.players
+      .map((player, index) => `P${index + 1}: ${player.score} pts, ${player.enemiesKilled} kills`)
+      .join('   ');
+    this.add.text(centerX, y, line, {
+      font: '14px monospace',
+      fill: '#ffffff',
+    }).setOrigin(0.5);
+  }
+
+  /**
+   * Show whether a watched replay reproduced the recorded run.
+   * @param {number} centerX - Center X position
+   * @param {number} y - Y position
+   */
+  showReplayResult(centerX, y) {
+    const recorded = this.replay.result || {};
+    const matches = ['score', 'wave', 'enemiesKilled', 'timeSurvived']
+      .every(key => recorded[key] === this.stats[key]);
+
+    const message = matches
+      ? 'Replay matches the recorded run'
+      : `Replay desynced - recorded score was ${recorded.score}`;
+
+    this.add.text(centerX, y, message, {
+      font: '16px monospace',
+      fill: matches ? '#00ff00' : '#ff4444',
+    }).setOrigin(0.5);
+  }
+
+  /**
+   * Buttons to watch the replay or save it as a file to share.
+   * @param {number} centerX - Center X position
+   * @param {number} y - Y position
+   */
+  showReplayButtons(centerX, y) {
+    const style = { font: '14px monospace', fill: '#00ffff' };
+
+    this.add.text(centerX - 90, y, this.isReplay ? '[ WATCH AGAIN ]' : '[ WATCH REPLAY ]', style)
+      .setOrigin(0.5)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerdown', () => this.watchReplay());
+
+    this.add.text(centerX + 90, y, '[ SAVE REPLAY ]', style)
+      .setOrigin(0.5)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerdown', () => this.downloadReplay());
+  }
+
+  watchReplay() {
+    this.destroyNativeInput();
+    this.scene.start('GameScene', { replay: this.replay });
+  }
+
+  /**
+   * Download the replay as a JSON file.
+   */
+  downloadReplay() {
+    const blob = new Blob([serializeReplay(this.replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `spacebear-replay-${this.replay.result?.score ?? 0}-${this.replay.recordedAt}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
   }
 
   update() {
+    this.navigator.update();
+
     // Space to restart (only after submission or if didn't qualify)
     if ((this.submitted || !this.qualifiesForLeaderboard) &&
         Phaser.Input.Keyboard.JustDown(this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE))) {
@@ -304,9 +654,35 @@ export default class GameOverScene extends Phaser.Scene {
     }
   }
 
-  restartGame() {
+  /**
+   * Leave the game over screen.
+   * @param {boolean} [toMenu=false] - Go back to the main menu instead of playing again
+   */
+  restartGame(toMenu = false) {
     this.destroyNativeInput();
-    this.scene.start('GameScene');
+    if (toMenu) {
+      this.scene.start('MenuScene');
+      return;
+    }
+    this.scene.start('GameScene', this.getRestartData());
+  }
+
+  /**
+   * Play again in the same mode: retry the challenge, continue the campaign
+   * from the level that was lost, start another Boss Rush, or fly co-op again.
+   * @returns {Object} GameScene init data
+   */
+  getRestartData() {
+    if (this.challenge) {
+      return { challenge: this.challenge };
+    }
+    if (this.campaign) {
+      return { campaign: { level: this.campaign.complete ? 0 : this.campaign.level }, coop: this.coop };
+    }
+    if (this.bossRush) {
+      return { bossRush: true, coop: this.coop };
+    }
+    return { coop: this.coop };
   }
 
   formatTime(seconds) {
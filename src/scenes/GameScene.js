@@ -6,6 +6,8 @@ import EnemySpawner from '../systems/EnemySpawner.js';
 import DifficultyManager from '../systems/DifficultyManager.js';
 import CollisionManager from '../systems/CollisionManager.js';
 import BossManager from '../systems/BossManager.js';
+import BombManager from '../systems/BombManager.js';
+import BeamWeapon from '../systems/BeamWeapon.js';
 import Mine from '../sprites/Mine.js';
 import PowerUp, { PowerUpType } from '../sprites/PowerUp.js';
 import Coin from '../sprites/Coin.js';
@@ -14,6 +16,24 @@ import UIManager from '../systems/UIManager.js';
 import VisualEffectsManager from '../systems/VisualEffectsManager.js';
 import PoolManager from '../systems/PoolManager.js';
 import DevConsole from '../systems/DevConsole.js';
+import FixedTimestep from '../systems/FixedTimestep.js';
+import PlayerInput, { ControlScheme } from '../systems/PlayerInput.js';
+import InputManager from '../systems/InputManager.js';
+import AudioManager from '../systems/AudioManager.js';
+import SettingsManager from '../systems/SettingsManager.js';
+import AchievementManager from '../systems/AchievementManager.js';
+import {
+  ReplayRecorder,
+  ReplayPlayer,
+  parseReplay,
+  saveLastReplay,
+  loadLastReplay,
+} from '../systems/Replay.js';
+import { getModifierEffects, describeChallenge } from '../systems/DailyChallenge.js';
+import LevelRunner from '../systems/LevelRunner.js';
+import BossRushRunner, { formatRushTime } from '../systems/BossRushRunner.js';
+import { getUpgradeBonuses } from '../systems/Upgrades.js';
+import { CAMPAIGN_LEVELS } from '../levels/index.js';
 import GameConfig from '../config/GameConfig.js';
 
 export default class GameScene extends Phaser.Scene {
@@ -21,9 +41,53 @@ export default class GameScene extends Phaser.Scene {
     super({ key: 'GameScene' });
   }
 
+  /**
+   * @param {Object} [data]
+   * @param {import('../systems/Replay.js').Replay} [data.replay] - Replay to play back instead of live input
+   * @param {import('../systems/DailyChallenge.js').DailyChallenge} [data.challenge] - Daily Challenge to play
+   * @param {{level: number}} [data.campaign] - Play the campaign from this level (index into CAMPAIGN_LEVELS)
+   * @param {boolean} [data.coop] - Two ships on one screen
+   * @param {boolean} [data.bossRush] - Fight every boss back to back
+   */
+  init(data) {
+    // Kept so the pause menu can restart the same run
+    this.initData = data || {};
+    this.replay = data?.replay || null;
+    // A replay carries the mode it was recorded in
+    this.challenge = data?.challenge || this.replay?.challenge || null;
+    this.campaign = data?.campaign || this.replay?.campaign || null;
+    this.coop = data?.coop || this.replay?.coop || false;
+    this.bossRush = data?.bossRush || this.replay?.bossRush || false;
+    this.levelRunner = null;
+    this.bossRushRunner = null;
+    this.campaignComplete = false;
+    this.isGameOver = false;
+    // Set once any of the run is played at slow speed
+    this.slowed = false;
+  }
+
   create() {
-    // Initialize centralized game state
-    this.gameState = new GameState();
+    // Phaser does not call shutdown() on its own
+    this.events.once('shutdown', this.shutdown, this);
+
+    // Comfort and accessibility settings, read as they are used so pause menu changes apply
+    this.gameSettings = this.game.registry.get('settings') || new SettingsManager();
+
+    // Initialize centralized game state (replays and challenges have a fixed seed)
+    const playerCount = this.coop ? GameConfig.COOP.PLAYER_COUNT : 1;
+    this.gameState = new GameState(this.replay?.seed ?? this.challenge?.seed, playerCount);
+
+    // Challenge modifiers (defaults for a normal run)
+    this.modifiers = getModifierEffects(this.challenge?.modifiers);
+    const loadout = this.getRunLoadout();
+    this.upgrades = loadout.upgrades;
+    this.startWeapon = loadout.weapon;
+    // Weapons whose pickups can drop (see CollisionManager.trySpawnPowerUp)
+    this.unlockedWeapons = loadout.unlockedWeapons;
+
+    // All gameplay randomness comes from this generator so runs can be replayed
+    this.rng = new Phaser.Math.RandomDataGenerator([String(this.gameState.seed)]);
+    this.setupFixedStep();
 
     // Initialize pool manager for centralized object pool management
     this.pools = new PoolManager(this);
@@ -37,12 +101,24 @@ export default class GameScene extends Phaser.Scene {
       'background'
     );
 
-    // Create player using Player class - positioned near bottom center
-    this.player = new Player(
-      this,
-      this.cameras.main.centerX,
-      this.cameras.main.height - GameConfig.PLAYER.SPAWN_Y_OFFSET
-    );
+    // Create the player ships near the bottom of the screen (side by side in co-op).
+    // Both ships fly with the same loadout and hangar upgrades.
+    const startWeapon = this.modifiers.weapon || this.startWeapon;
+    const bonuses = getUpgradeBonuses(this.upgrades);
+    this.players = [];
+    for (let index = 0; index < playerCount; index++) {
+      const player = new Player(this, this.getSpawnX(index), this.getSpawnY(), index);
+      if (startWeapon !== player.weaponType) {
+        player.switchWeapon(startWeapon);
+      }
+      player.applyUpgrades(bonuses);
+      for (let i = 0; i < bonuses.lives; i++) {
+        this.gameState.addLife(index);
+      }
+      this.players.push(player);
+    }
+    // The first ship (the only one outside co-op)
+    this.player = this.players[0];
 
     // Create enemy bullet pool
     this.enemyBullets = this.pools.register('enemyBullets', EnemyBullet, {
@@ -72,7 +148,7 @@ export default class GameScene extends Phaser.Scene {
     this.titleText = this.add.text(
       this.cameras.main.centerX,
       this.cameras.main.centerY - 50,
-      'SpaceBear\n\nPress SPACE to start\n\nArrows/WASD or Touch to move',
+      'SpaceBear\n\nPress SPACE to start\n\nArrows/WASD, Touch or Pad\nto move',
       {
         font: '24px monospace',
         fill: '#ffffff',
@@ -82,8 +158,12 @@ export default class GameScene extends Phaser.Scene {
 
     // gameStarted is now tracked in this.gameState.gameStarted
 
-    // Input handling for game start
-    this.spaceKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
+    // Input is read once per simulation step, live or from a replay.
+    // Co-op splits the keyboard between the ships.
+    this.controls = this.game.registry.get('controls') || new InputManager();
+    this.setupInputs();
+    this.setupReplay();
+    this.setupPause();
 
     // Setup bullet pool for player weapons
     this.setupBullets();
@@ -98,14 +178,17 @@ export default class GameScene extends Phaser.Scene {
       this.enemyBullets,
       this.enemySpawner.getEnemyGroup(),
       this.mines,
-      this.player,
+      this.players,
       this.powerUps,
       this.coins
     );
 
     // Create UI manager and initialize UI elements
     this.uiManager = new UIManager(this);
-    this.uiManager.create(this.gameState.lives);
+    this.uiManager.create(this.gameState.players[0].lives);
+    if (this.coop) {
+      this.uiManager.createPartnerHud(this.gameState.players[1].lives, this.players[1].baseTint);
+    }
 
     // Create visual effects manager
     this.vfx = new VisualEffectsManager(this);
@@ -114,35 +197,168 @@ export default class GameScene extends Phaser.Scene {
     this.bossManager = new BossManager(this, this.enemySpawner, this.enemyBullets);
     this.collisionManager.setBossManager(this.bossManager);
 
+    // Beam weapons damage along a line instead of firing bullets
+    this.beamWeapon = new BeamWeapon(this, this.collisionManager, this.enemySpawner.getEnemyGroup(), this.bossManager);
+
+    // Smart bombs clear enemies and bullets and hit the boss
+    this.bombManager = new BombManager(this, this.enemySpawner.getEnemyGroup(), this.enemyBullets, this.bossManager);
+
     // Setup boss event listeners
     this.setupBossEvents();
 
     // Setup game event listeners for decoupled communication
     this.setupGameEvents();
 
+    // Sound effects and music follow the same events
+    this.audio = this.game.registry.get('audio') || new AudioManager();
+    this.audio.bindScene(this);
+    this.audio.playMusic('stage');
+
+    this.setupAchievements();
+
+    // Scripted levels replace the random spawner in campaign mode
+    if (this.campaign) {
+      this.setupCampaign();
+    }
+
+    // ...and the boss lineup replaces it in Boss Rush
+    if (this.bossRush) {
+      this.setupBossRush();
+    }
+
     // Initialize dev console (only active in dev mode)
     this.devConsole = new DevConsole(this);
   }
 
+  /**
+   * Count the run towards achievements and announce unlocks. Replays only
+   * repeat a run that already counted, so they don't.
+   */
+  setupAchievements() {
+    if (this.replay) {
+      this.achievements = null;
+      return;
+    }
+
+    this.achievements = this.game.registry.get('achievements') || new AchievementManager();
+    this.achievements.bindScene(this);
+    this.events.on('achievementUnlocked', (key, achievement) => {
+      this.uiManager.showAchievement(achievement);
+    });
+  }
+
+  /**
+   * Start the campaign at the requested level.
+   */
+  setupCampaign() {
+    this.events.on('levelDialogue', (dialogue) => {
+      this.uiManager.showDialogue(dialogue);
+    });
+    this.events.on('levelComplete', () => {
+      this.completeLevel();
+    });
+
+    this.startLevel(this.campaign.level);
+  }
+
+  /**
+   * Begin a campaign level.
+   * @param {number} index - Index into CAMPAIGN_LEVELS
+   */
+  startLevel(index) {
+    const level = CAMPAIGN_LEVELS[index];
+    this.levelIndex = index;
+    this.levelRunner = new LevelRunner(this, level, this.enemySpawner, this.bossManager);
+    this.uiManager.updateLevel(index + 1, level.name);
+  }
+
+  /**
+   * Move on to the next level after a short break, or finish the campaign.
+   */
+  completeLevel() {
+    const delay = GameConfig.CAMPAIGN.LEVEL_TRANSITION_DELAY;
+    const next = this.levelIndex + 1;
+
+    if (next >= CAMPAIGN_LEVELS.length) {
+      this.campaignComplete = true;
+      this.uiManager.showDialogue({ speaker: null, text: 'CAMPAIGN COMPLETE!', duration: delay });
+      this.time.delayedCall(delay, () => this.gameOver());
+      return;
+    }
+
+    this.uiManager.showDialogue({ speaker: null, text: `LEVEL ${next} COMPLETE`, duration: delay });
+    this.time.delayedCall(delay, () => this.startLevel(next));
+  }
+
+  /**
+   * Start a Boss Rush: the runner brings the bosses in, and each break
+   * between fights refits the ships.
+   */
+  setupBossRush() {
+    this.events.on('bossRushRefit', (split, nextType, loop) => {
+      this.refitShips(split, nextType, loop);
+    });
+
+    this.bossRushRunner = new BossRushRunner(this, this.bossManager);
+    this.uiManager.updateBossRush(1, 0);
+  }
+
+  /**
+   * Repair and rearm the ships in play for the next Boss Rush fight, and
+   * announce the time of the fight just won.
+   * @param {import('../systems/BossRushRunner.js').BossRushSplit} split - Fight just won
+   * @param {string} nextType - Boss type fought next
+   * @param {number} loop - Loop the next fight is in
+   */
+  refitShips(split, nextType, loop) {
+    const config = GameConfig.BOSS_RUSH;
+    for (const player of this.players) {
+      if (player.isDown) continue;
+      player.heal(Math.ceil(player.maxHealth * config.REFIT_REPAIR));
+      player.addBombs(config.REFIT_BOMBS);
+    }
+
+    const next = GameConfig.BOSS.TYPES[nextType].name;
+    this.uiManager.showDialogue({
+      speaker: null,
+      text: `REFIT - ${formatRushTime(split.time)}\nNEXT: ${next}${loop > 1 ? ` (LOOP ${loop})` : ''}`,
+      duration: config.REFIT_DELAY,
+    });
+  }
+
   /**
    * Setup event listeners for game state changes.
    * Decouples managers from direct gameState access.
    */
   setupGameEvents() {
-    // Handle score changes from any source
-    this.events.on('addScore', (points) => {
-      this.gameState.addScore(points);
+    // Handle score changes from any source, credited to the ship that earned them
+    this.events.on('addScore', (points, playerIndex = null, chained = false) => {
+      this.gameState.addScore(points, playerIndex, chained);
     });
 
-    // Handle extra life awards
+    // Handle extra life awards (in co-op the ship with the fewest lives gets it,
+    // which brings a downed ship straight back)
     this.events.on('awardLife', () => {
-      this.gameState.lives++;
-      this.uiManager.updateLives(this.gameState.lives);
+      const player = this.players[this.gameState.addLife()];
+      if (player.isDown) {
+        player.revive(1);
+      }
+      this.updateLivesDisplay();
     });
 
     // Handle enemy kills for leaderboard stats
-    this.events.on('enemyKilled', () => {
-      this.gameState.recordKill();
+    this.events.on('enemyKilled', (enemyType, playerIndex = null) => {
+      this.gameState.recordKill(enemyType, playerIndex);
+    });
+
+    // Any hit on a ship breaks the kill chain
+    this.events.on('playerHit', () => {
+      this.gameState.breakCombo();
+    });
+
+    // Handle mines shot down (or detonated) for the run summary
+    this.events.on('mineDestroyed', () => {
+      this.gameState.recordMineDestroyed();
     });
 
     // Handle credit drops from enemies (for direct credit additions)
@@ -161,8 +377,8 @@ export default class GameScene extends Phaser.Scene {
     });
 
     // Handle life loss (decoupled from CollisionManager)
-    this.events.on('loseLife', () => {
-      this.loseLife();
+    this.events.on('loseLife', (player) => {
+      this.loseLife(player);
     });
   }
 
@@ -170,12 +386,26 @@ export default class GameScene extends Phaser.Scene {
    * Setup event listeners for boss fights.
    */
   setupBossEvents() {
-    // When boss spawns, show health bar and setup collisions
+    // When boss spawns, play the intro and setup collisions
     this.events.on('bossSpawned', (boss) => {
-      this.uiManager.showBossHealth(boss.bossName, boss.maxHealth);
+      this.uiManager.showBossIntro(boss.bossType);
       this.collisionManager.setupBossCollisions(boss);
     });
 
+    // Once the boss is in position, the fight is on
+    this.events.on('bossEntered', (boss) => {
+      this.uiManager.hideBossIntro();
+      this.uiManager.showBossHealth(boss.bossType);
+    });
+
+    // Record boss kills for the run summary
+    this.events.on('bossDefeated', (boss) => {
+      if (boss) this.gameState.recordBossDefeated(boss.bossType);
+    });
+    this.events.on('bossPartDestroyed', (part) => {
+      this.gameState.recordBossPartDestroyed(part.boss.bossType);
+    });
+
     // When boss is defeated, hide health bar
     this.events.on('bossDefeatedUI', () => {
       this.uiManager.hideBossHealth();
@@ -190,95 +420,101 @@ export default class GameScene extends Phaser.Scene {
     this.bullets = this.pools.register('bullets', Bullet, {
       maxSize: GameConfig.BULLET.POOL_SIZE,
     });
-
-    // Track last fire time for rate limiting
-    this.lastFired = 0;
-
-    // Dedicated fire key (spacebar is also used for start, so we use a separate tracking)
-    this.fireKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
   }
 
   /**
-   * Fire bullets from the player position.
+   * Fire bullets from a ship's position.
    * Uses weapon config for fire rate, pattern, and bullet count.
+   * @param {Player} player - The ship firing
    * @param {number} time - Current game time in milliseconds
    */
-  shoot(time) {
+  shoot(player, time) {
     // Check fire rate (use player's weapon fire rate)
-    const fireRate = this.player.getFireRate();
-    if (time < this.lastFired + fireRate) {
+    const fireRate = player.getFireRate();
+    if (time < player.lastFired + fireRate) {
       return;
     }
 
-    const levelConfig = this.player.getWeaponLevelConfig();
-    const playerX = this.player.x;
-    const playerY = this.player.y - 20;
+    const levelConfig = player.getWeaponLevelConfig();
+    const playerX = player.x;
+    const playerY = player.y - GameConfig.PLAYER.MUZZLE_Y_OFFSET;
 
     // Fire based on weapon pattern
-    this.firePattern(levelConfig, playerX, playerY);
-    this.lastFired = time;
+    this.firePattern(player, levelConfig, playerX, playerY);
+    player.lastFired = time;
+    this.events.emit('weaponFired', player);
   }
 
   /**
    * Execute a fire pattern based on weapon level config.
+   * @param {Player} player - The ship firing
    * @param {Object} config - Weapon level configuration
    * @param {number} x - Player X position
    * @param {number} y - Player Y position
    */
-  firePattern(config, x, y) {
+  firePattern(player, config, x, y) {
     const { pattern, bulletCount, spread = 0, spreadAngle = 0.1 } = config;
 
     switch (pattern) {
       case 'single':
         // Single bullet straight ahead
-        this.fireBullet(x, y, 0);
+        this.fireBullet(player, x, y, 0);
         break;
 
       case 'dual':
         // Two parallel bullets
-        this.fireBullet(x - spread, y, 0);
-        this.fireBullet(x + spread, y, 0);
+        this.fireBullet(player, x - spread, y, 0);
+        this.fireBullet(player, x + spread, y, 0);
         break;
 
       case 'spread':
         // Fan pattern - bullets spread outward
-        this.fireSpread(x, y, bulletCount, spreadAngle);
+        this.fireSpread(player, x, y, bulletCount, spreadAngle);
         break;
 
       case 'burst':
         // Rapid burst (handled separately with timing)
-        this.fireBullet(x, y, 0);
+        this.fireBullet(player, x, y, 0);
+        break;
+
+      case 'beam':
+        // Continuous beam - each shot is a damage tick
+        this.beamWeapon.fire(player, config, x, y);
         break;
 
       default:
         // Fallback to single
-        this.fireBullet(x, y, 0);
+        this.fireBullet(player, x, y, 0);
     }
   }
 
   /**
    * Fire a single bullet with optional horizontal spread.
+   * @param {Player} player - The ship firing (credited with its kills)
    * @param {number} x - X position
    * @param {number} y - Y position
    * @param {number} spreadX - Horizontal spread factor
    */
-  fireBullet(x, y, spreadX = 0) {
+  fireBullet(player, x, y, spreadX = 0) {
     const bullet = this.bullets.get(x, y);
     if (bullet) {
+      bullet.setProjectileType(player.getProjectileType());
+      bullet.owner = player.playerIndex;
       bullet.fire(x, y, spreadX);
     }
   }
 
   /**
    * Fire bullets in a spread/fan pattern.
+   * @param {Player} player - The ship firing
    * @param {number} x - Center X position
    * @param {number} y - Y position
    * @param {number} count - Number of bullets
    * @param {number} maxAngle - Max spread angle per side
    */
-  fireSpread(x, y, count, maxAngle) {
+  fireSpread(player, x, y, count, maxAngle) {
     if (count === 1) {
-      this.fireBullet(x, y, 0);
+      this.fireBullet(player, x, y, 0);
       return;
     }
 
@@ -288,7 +524,7 @@ export default class GameScene extends Phaser.Scene {
 
     for (let i = 0; i < count; i++) {
       const angle = -maxAngle + (step * i);
-      this.fireBullet(x, y, angle);
+      this.fireBullet(player, x, y, angle);
     }
   }
 
@@ -301,40 +537,277 @@ export default class GameScene extends Phaser.Scene {
     this.touchIndicator = this.add.circle(0, 0, 20, 0xffffff, 0.3);
     this.touchIndicator.setVisible(false);
     this.touchIndicator.setDepth(100);
+  }
+
+  /**
+   * Show the touch indicator for movement touches (left side of the screen).
+   * @param {import('../systems/Replay.js').InputFrame} input - Input for this step
+   */
+  updateTouchIndicator(input) {
+    const moving = this.gameState.gameStarted && input.pointerDown && !input.touchFire;
+    this.touchIndicator.setVisible(moving);
+    if (moving) {
+      this.touchIndicator.setPosition(input.pointerX, input.pointerY);
+    }
+  }
 
-    // Track if touch is for shooting (right side) or movement (left side)
-    this.touchShooting = false;
-
-    // Show/hide indicator based on pointer state
-    this.input.on('pointerdown', (pointer) => {
-      if (this.gameState.gameStarted) {
-        // Right side of screen = shooting, left side = movement
-        const screenMidpoint = this.cameras.main.width / 2;
-
-        if (pointer.worldX > screenMidpoint) {
-          // Right side - shooting mode
-          this.touchShooting = true;
-        } else {
-          // Left side - movement mode (show indicator)
-          this.touchIndicator.setPosition(pointer.worldX, pointer.worldY);
-          this.touchIndicator.setVisible(true);
-        }
-      } else {
-        // Start game on touch if not started
-        this.startGame();
+  /**
+   * Run the simulation in fixed steps instead of once per rendered frame.
+   * Scene systems (clock, physics, tweens, sprites) all advance by exactly
+   * STEP_MS per step, which makes a run reproducible from its seed and input.
+   */
+  setupFixedStep() {
+    this.timestep = new FixedTimestep();
+    const stepMs = this.timestep.stepMs;
+    const step = Object.getPrototypeOf(this.sys).step;
+
+    this.sys.step = (time, delta) => {
+      // Slow speed feeds the timestep less time per frame; the steps stay the same length
+      const speed = this.gameSettings.getGameSpeed();
+      if (speed < 1 && this.gameState.gameStarted && !this.replay) {
+        this.slowed = true;
       }
+      const count = this.timestep.advance(delta * speed);
+      for (let i = 0; i < count && !this.isGameOver; i++) {
+        step.call(this.sys, this.timestep.tick(), stepMs);
+      }
+    };
+
+    // Tweens normally measure wall-clock time; gameplay depends on some of them
+    this.tweens.getDelta = () => stepMs;
+  }
+
+  /**
+   * Start recording, or start playing back a replay.
+   */
+  setupReplay() {
+    const keyboard = this.input.keyboard;
+
+    if (this.replay) {
+      this.replayPlayer = new ReplayPlayer(this.replay);
+      this.replayRecorder = null;
+      this.titleText.setVisible(false);
+
+      this.replayText = this.add.text(this.cameras.main.centerX, this.cameras.main.height - 20, 'REPLAY - ESC to exit', {
+        font: '14px monospace',
+        fill: '#ffff00',
+      }).setOrigin(0.5).setDepth(100);
+
+      keyboard.once('keydown-ESC', () => this.scene.start('MenuScene'));
+      return;
+    }
+
+    this.replayPlayer = null;
+    this.replayRecorder = new ReplayRecorder(this.gameState.seed, {
+      challenge: this.challenge,
+      campaign: this.campaign,
+      coop: this.coop,
+      bossRush: this.bossRush,
+      upgrades: this.upgrades,
+      weapon: this.startWeapon,
+      unlockedWeapons: this.unlockedWeapons,
+    });
+    this.setupModeSelect();
+    this.titleText.setText(`${this.titleText.text}\nR: watch last run  L: load replay`);
+
+    // Replay shortcuts are only offered before the run starts
+    keyboard.on('keydown-R', () => {
+      if (this.gameState.gameStarted) return;
+      const replay = loadLastReplay();
+      if (replay) this.scene.restart({ replay });
     });
+    keyboard.on('keydown-L', () => {
+      if (!this.gameState.gameStarted) this.openReplayFile();
+    });
+  }
 
-    this.input.on('pointermove', (pointer) => {
-      if (pointer.isDown && this.gameState.gameStarted) {
-        this.touchIndicator.setPosition(pointer.worldX, pointer.worldY);
-      }
+  /**
+   * Read the player inputs and pause bindings from the controls. Called again
+   * when the pause menu closes, since the bindings and settings may have changed in it.
+   */
+  setupInputs() {
+    if (this.playerInputs) {
+      this.playerInputs.forEach(playerInput => playerInput.destroy());
+    }
+    const options = { autoFire: this.gameSettings.isAutoFire() };
+    this.playerInputs = this.coop
+      ? [ControlScheme.PLAYER_ONE, ControlScheme.PLAYER_TWO].map(scheme => new PlayerInput(this, this.controls, scheme, options))
+      : [new PlayerInput(this, this.controls, ControlScheme.SOLO, options)];
+    this.pauseKeyCodes = this.controls.getKeys('pause').map(key => Phaser.Input.Keyboard.KeyCodes[key]);
+    this.createPauseButton();
+  }
+
+  /**
+   * Draw the touch zone bound to pause as a button, on touch devices only.
+   */
+  createPauseButton() {
+    if (this.pauseButton) {
+      this.pauseButton.destroy();
+      this.pauseButton = null;
+    }
+    const zone = GameConfig.CONTROLS.TOUCH_ZONES[this.controls.getTouchZone('pause')];
+    if (!zone || !this.sys.game.device.input.touch) return;
+
+    const { width, height } = this.cameras.main;
+    this.pauseButton = this.add.text((zone.x + zone.width / 2) * width, (zone.y + zone.height / 2) * height, 'II', {
+      font: '24px monospace',
+      fill: '#ffffff',
+    }).setOrigin(0.5).setAlpha(0.5).setDepth(100);
+  }
+
+  /**
+   * Open the pause menu on the keys, gamepad button and touch zone bound to the pause action.
+   */
+  setupPause() {
+    this.input.keyboard.on('keydown', this.onPauseKey, this);
+    this.input.gamepad?.on('down', this.onPadDown, this);
+    this.input.on('pointerdown', this.onPauseTouch, this);
+
+    // Keys released while paused never reach the scene, and bindings may have changed
+    this.events.on('resume', () => {
+      this.input.keyboard.resetKeys();
+      this.setupInputs();
     });
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   */
+  onPauseKey(event) {
+    if (this.pauseKeyCodes.includes(event.keyCode)) {
+      this.openPauseMenu();
+    }
+  }
 
-    this.input.on('pointerup', () => {
-      this.touchIndicator.setVisible(false);
-      this.touchShooting = false;
+  /**
+   * @param {Phaser.Input.Gamepad.Gamepad} pad
+   * @param {Phaser.Input.Gamepad.Button} button
+   */
+  onPadDown(pad, button) {
+    if (button.index === this.controls.getPadButton('pause')) {
+      this.openPauseMenu();
+    }
+  }
+
+  /**
+   * @param {Phaser.Input.Pointer} pointer
+   */
+  onPauseTouch(pointer) {
+    const { width, height } = this.cameras.main;
+    if (this.controls.getActionAt(pointer.worldX, pointer.worldY, width, height) === 'pause') {
+      this.openPauseMenu();
+    }
+  }
+
+  /**
+   * Freeze the run and show PauseScene over it. The scene stops stepping, so
+   * the simulation clock (and every timer in GameState) skips the paused time.
+   * Only a live run in progress can be paused; replays are left with ESC to exit.
+   * @returns {boolean} True if the menu was opened
+   */
+  openPauseMenu() {
+    if (!this.gameState.gameStarted || this.isGameOver || this.replay || !this.scene.isActive()) {
+      return false;
+    }
+    this.scene.pause();
+    this.scene.launch('PauseScene', { restartData: this.initData });
+    return true;
+  }
+
+  /**
+   * Upgrades and weapons this run is played with. Daily Challenge runs ignore
+   * hangar progress so everyone competes on equal terms; a replay uses the
+   * loadout it was recorded with.
+   * @returns {{upgrades: Object<string, number>, weapon: string, unlockedWeapons: string[]}}
+   */
+  getRunLoadout() {
+    const allWeapons = Object.keys(GameConfig.WEAPONS);
+
+    if (this.replay) {
+      // Replays recorded before loadouts started with the default weapon and every pickup
+      return {
+        upgrades: this.replay.upgrades || {},
+        weapon: this.replay.weapon || GameConfig.DEFAULT_WEAPON,
+        unlockedWeapons: this.replay.unlockedWeapons || allWeapons,
+      };
+    }
+
+    const progress = this.game.registry.get('progress');
+    if (this.challenge || !progress) {
+      return { upgrades: {}, weapon: GameConfig.DEFAULT_WEAPON, unlockedWeapons: allWeapons };
+    }
+    return {
+      upgrades: { ...progress.getProgress().upgrades },
+      weapon: progress.getLoadoutWeapon(),
+      unlockedWeapons: progress.getUnlockedWeapons(),
+    };
+  }
+
+  /**
+   * Show the current mode (Daily Challenge, campaign, Boss Rush or co-op) on the title screen.
+   * Modes are picked in MenuScene, so ESC before the run starts goes back there.
+   */
+  setupModeSelect() {
+    this.input.keyboard.on('keydown-ESC', () => {
+      if (!this.gameState.gameStarted) this.scene.start('MenuScene');
+    });
+
+    let heading = null;
+    if (this.challenge) {
+      heading = [`DAILY CHALLENGE ${this.challenge.day}`, describeChallenge(this.challenge)];
+    } else if (this.campaign) {
+      const level = this.campaign.level;
+      heading = [`CAMPAIGN - LEVEL ${level + 1}`, CAMPAIGN_LEVELS[level].name];
+    } else if (this.bossRush) {
+      heading = [this.coop ? 'BOSS RUSH - CO-OP' : 'BOSS RUSH', `${Object.keys(GameConfig.BOSS.TYPES).length} bosses back to back`];
+    } else if (this.coop) {
+      heading = ['CO-OP', 'P1: WASD + SPACE', 'P2: Arrows + ENTER or pad'];
+    }
+
+    if (heading) {
+      const startPrompt = this.coop ? 'Press SPACE or ENTER to start' : 'Press SPACE to start';
+      this.titleText.setText([...heading, '', startPrompt].join('\n'));
+    }
+    this.titleText.setText(`${this.titleText.text}\n\nESC: menu`);
+  }
+
+  /**
+   * Let the player pick a replay file and play it.
+   */
+  openReplayFile() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+
+      try {
+        const replay = parseReplay(await file.text());
+        this.scene.restart({ replay });
+      } catch (error) {
+        console.warn('Could not load replay:', error);
+        this.titleText.setText(`${error.message}\n\nPress SPACE to start`);
+      }
     });
+
+    fileInput.click();
+  }
+
+  /**
+   * Read this step's input from the devices (recording it) or from the replay.
+   * @returns {import('../systems/Replay.js').InputFrame[]|null} One frame per ship,
+   *   or null when the replay has run out
+   */
+  readInput() {
+    if (this.replayPlayer) {
+      return this.replayPlayer.nextStep();
+    }
+
+    const inputs = this.playerInputs.map(playerInput => playerInput.sample());
+    this.replayRecorder.record(...inputs);
+    return inputs;
   }
 
   startGame() {
@@ -344,62 +817,84 @@ export default class GameScene extends Phaser.Scene {
     console.log('Game started! Player can now move freely.');
   }
 
-  update() {
+  /**
+   * Advance the game by one fixed simulation step.
+   * @param {number} time - Simulation time in ms
+   * @param {number} delta - Step length in ms
+   */
+  update(time, delta) {
+    const inputs = this.readInput();
+    if (!inputs) {
+      // Replay ran out before the recorded game over
+      this.gameOver();
+      return;
+    }
+
     // Scroll background
-    this.background.tilePositionY -= GameConfig.DISPLAY.BACKGROUND_SCROLL_SPEED;
+    this.background.tilePositionY -= GameConfig.DISPLAY.BACKGROUND_SCROLL_SPEED * this.gameSettings.getMotionScale();
 
-    // Check for space to start
-    if (Phaser.Input.Keyboard.JustDown(this.spaceKey) && !this.gameState.gameStarted) {
+    // Check for space/tap to start (either ship can start a co-op run)
+    if (inputs.some(input => input.start) && !this.gameState.gameStarted) {
       this.startGame();
     }
 
-    // Update player movement
-    if (this.player) {
-      this.player.update();
-    }
+    // Move and fire each ship with its own input
+    this.players.forEach((player, index) => this.updatePlayer(player, inputs[index], time));
 
-    // Handle shooting (spacebar or right-side touch)
-    if (this.player && this.gameState.gameStarted) {
-      const time = this.time.now;
+    // Fire (as pressed to start a run, or a tap in the fire zone) skips the boss intro
+    if (this.gameState.gameStarted && this.bossManager.isIntroPlaying() && inputs.some(input => input.start)) {
+      this.bossManager.skipIntro();
+    }
+    this.updateTouchIndicator(inputs[0]);
 
-      // Keyboard shooting (spacebar)
-      if (this.fireKey.isDown) {
-        this.shoot(time);
-      }
+    if (this.coop) {
+      this.updateRevives(delta);
+    }
 
-      // Touch shooting (right side of screen)
-      if (this.touchShooting && this.input.activePointer.isDown) {
-        this.shoot(time);
-      }
+    // Campaign levels and Boss Rush script their own spawns; the timers below are endless mode only
+    const scripted = this.levelRunner || this.bossRushRunner;
+    if (this.gameState.gameStarted && this.levelRunner) {
+      this.levelRunner.update(delta);
+    }
+    if (this.gameState.gameStarted && this.bossRushRunner) {
+      this.bossRushRunner.update(delta);
+      this.uiManager.updateBossRush(this.bossRushRunner.loop, this.bossRushRunner.elapsed);
     }
 
     // Update enemy spawner (spawns formations at intervals)
-    if (this.gameState.gameStarted && this.enemySpawner) {
-      this.enemySpawner.update(this.time.now, this.game.loop.delta);
+    if (this.gameState.gameStarted && this.enemySpawner && !scripted) {
+      this.enemySpawner.update(time, delta);
     }
 
     // Update boss manager
     if (this.gameState.gameStarted && this.bossManager) {
-      this.bossManager.update(this.game.loop.delta);
+      if (!scripted) {
+        this.bossManager.update(delta);
+      }
 
       // Update boss health bar if boss is active
       if (this.bossManager.isBossActive()) {
         const boss = this.bossManager.getBoss();
-        this.uiManager.updateBossHealth(boss.getHealthPercent());
+        this.uiManager.updateBossHealth(
+          boss.getHealthPercent(),
+          boss.parts.map(part => part.getHealthPercent()),
+          boss.currentPhase,
+          boss.phases.length
+        );
       }
     }
 
     // Update difficulty progression (only when no boss fight)
-    if (this.gameState.gameStarted && !this.bossManager.isBossActive()) {
-      const difficultyIncreased = this.difficultyManager.update(this.game.loop.delta, this.enemySpawner);
+    if (this.gameState.gameStarted && !scripted && !this.bossManager.isBossActive()) {
+      const difficultyIncreased = this.difficultyManager.update(delta, this.enemySpawner);
       if (difficultyIncreased) {
         this.uiManager.updateWave(this.difficultyManager.getDifficulty());
       }
     }
 
     // Spawn mines periodically (only when no boss fight)
-    if (this.gameState.gameStarted && !this.bossManager.isBossActive()) {
-      this.gameState.mineSpawnTimer += this.game.loop.delta;
+    if (this.gameState.gameStarted && !scripted && !this.bossManager.isBossActive()) {
+      this.gameState.mineSpawnTimer += delta;
       if (this.gameState.mineSpawnTimer >= this.difficultyManager.getMineSpawnInterval()) {
         this.gameState.mineSpawnTimer = 0;
         this.spawnMine();
@@ -408,14 +903,22 @@ export default class GameScene extends Phaser.Scene {
 
     // Update game time for leaderboard
     if (this.gameState.gameStarted) {
-      this.gameState.updateTime(this.time.now);
+      this.gameState.updateTime(time);
+      this.achievements?.updateTime(this.gameState.timeSurvived);
+      this.gameState.updateCombo(delta);
     }
 
     // Update UI
     this.uiManager.update({
       healthPercent: this.player.getHealthPercent(),
+      partnerHealthPercent: this.players[1]?.getHealthPercent(),
       score: this.gameState.score,
-      credits: this.gameState.credits
+      credits: this.gameState.credits,
+      bombs: this.player.bombs,
+      partnerBombs: this.players[1]?.bombs,
+      combo: this.gameState.combo,
+      comboMultiplier: this.gameState.getComboMultiplier(),
+      comboPercent: this.gameState.comboTimer / GameConfig.COMBO.WINDOW,
     });
 
     // Update dev console (if enabled)
@@ -424,44 +927,182 @@ export default class GameScene extends Phaser.Scene {
     }
   }
 
+  /**
+   * Move a ship, fire if its fire button or touch is held and set off a
+   * bomb when its bomb button is pressed. Downed co-op ships wait for a revive instead.
+   * @param {Player} player
+   * @param {import('../systems/Replay.js').InputFrame} input - The ship's input for this step
+   * @param {number} time - Simulation time in ms
+   */
+  updatePlayer(player, input, time) {
+    if (player.isDown) {
+      this.beamWeapon.update(player, false);
+      return;
+    }
+
+    player.update(input);
+
+    // Keyboard/gamepad fire or right-side touch
+    const firing = this.gameState.gameStarted && (input.fire || input.touchFire);
+    if (firing) {
+      this.shoot(player, time);
+    }
+    this.beamWeapon.update(player, firing);
+
+    if (this.gameState.gameStarted) {
+      this.bombManager.update(player, input);
+    }
+  }
+
+  /**
+   * Revive downed co-op ships whose partner stays close to them for
+   * COOP.REVIVE_TIME. Moving away resets the progress.
+   * @param {number} delta - Step length in ms
+   */
+  updateRevives(delta) {
+    for (const player of this.players) {
+      if (!player.isDown) continue;
+
+      const rescuer = this.getNearestPlayer(player.x, player.y);
+      const inRange = rescuer !== null &&
+        Phaser.Math.Distance.Between(player.x, player.y, rescuer.x, rescuer.y) <= GameConfig.COOP.REVIVE_RADIUS;
+      player.reviveProgress = inRange ? player.reviveProgress + delta : 0;
+
+      if (player.reviveProgress >= GameConfig.COOP.REVIVE_TIME) {
+        this.gameState.revive(player.playerIndex);
+        player.revive(GameConfig.COOP.REVIVE_HEALTH);
+        this.updateLivesDisplay();
+      }
+    }
+    this.uiManager.updateReviveRings(this.players);
+  }
+
+  /**
+   * The ship in play closest to a point, for enemies, bosses, mines and coins
+   * to aim at. Downed co-op ships are ignored.
+   * @param {number} x
+   * @param {number} y
+   * @returns {Player|null} Null if no ship is in play
+   */
+  getNearestPlayer(x, y) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const player of this.players) {
+      if (!player.active || player.isDown) continue;
+      const distance = Phaser.Math.Distance.Squared(x, y, player.x, player.y);
+      if (distance < nearestDistance) {
+        nearest = player;
+        nearestDistance = distance;
+      }
+    }
+    return nearest;
+  }
+
   gameOver() {
-    this.scene.start('GameOverScene', this.gameState.getStats());
+    if (this.isGameOver) return;
+    this.isGameOver = true;
+
+    const stats = {
+      ...this.gameState.getStats(),
+      challenge: this.challenge,
+      campaign: this.campaign ? { level: this.levelIndex, complete: this.campaignComplete } : null,
+      coop: this.coop,
+      bossRush: this.bossRushRunner ? this.bossRushRunner.getResult() : null,
+      slowed: this.slowed,
+    };
+
+    if (this.replayPlayer) {
+      this.scene.start('GameOverScene', { ...stats, replay: this.replay, isReplay: true });
+      return;
+    }
+
+    const replay = this.replayRecorder.finish(stats);
+    saveLastReplay(replay);
+    this.scene.start('GameOverScene', { ...stats, replay });
   }
 
   /**
-   * Spawn a mine at a random x position above the screen.
+   * Spawn a mine (or several, with the double mines modifier) at a random x position above the screen.
    */
   spawnMine() {
-    const x = Phaser.Math.Between(50, this.cameras.main.width - 50);
-    const mine = new Mine(this, x, -30);
+    for (let i = 0; i < this.modifiers.minesPerSpawn; i++) {
+      const x = this.rng.between(50, this.cameras.main.width - 50);
+      this.addMine(x, -30 - i * 40);
+    }
+  }
+
+  /**
+   * Add a mine at a position.
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   */
+  addMine(x, y) {
+    const mine = new Mine(this, x, y);
     this.mines.add(mine);
   }
 
   /**
    * Lose a life and respawn or game over.
+   * In co-op a ship with no lives left (even after borrowing from its partner)
+   * goes down instead, and the run only ends once no ship is left in play.
+   * @param {Player} [player=this.player] - The ship that was destroyed
    */
-  loseLife() {
-    const remainingLives = this.gameState.loseLife();
-    this.uiManager.updateLives(remainingLives);
+  loseLife(player = this.player) {
+    const remainingLives = this.gameState.loseLife(player.playerIndex);
+    this.updateLivesDisplay();
 
-    if (remainingLives <= 0) {
-      this.playExplosion(this.player.x, this.player.y);
-      this.gameOver();
-    } else {
+    if (remainingLives > 0) {
       // Respawn with invincibility
-      this.respawnPlayer();
+      this.respawnPlayer(player);
+      return;
+    }
+
+    this.playExplosion(player.x, player.y);
+    if (this.coop && this.players.some(other => other !== player && !other.isDown)) {
+      player.goDown();
+    } else {
+      this.gameOver();
     }
   }
 
   /**
-   * Respawn player with temporary invincibility.
+   * Respawn a ship with temporary invincibility.
+   * @param {Player} [player=this.player]
    */
-  respawnPlayer() {
+  respawnPlayer(player = this.player) {
     // Play explosion at current position
-    this.playExplosion(this.player.x, this.player.y);
+    this.playExplosion(player.x, player.y);
 
-    // Respawn player at center bottom with invincibility
-    this.player.respawn(this.cameras.main.centerX, this.cameras.main.height - GameConfig.PLAYER.SPAWN_Y_OFFSET);
+    // Respawn at the ship's start position with invincibility
+    player.respawn(this.getSpawnX(player.playerIndex), this.getSpawnY());
+  }
+
+  /**
+   * Show every ship's remaining lives.
+   */
+  updateLivesDisplay() {
+    this.gameState.players.forEach((record, index) => {
+      this.uiManager.updateLives(record.lives, index);
+    });
+  }
+
+  /**
+   * @param {number} playerIndex - Ship index
+   * @returns {number} X position the ship spawns at (side by side in co-op)
+   */
+  getSpawnX(playerIndex) {
+    if (!this.coop) {
+      return this.cameras.main.centerX;
+    }
+    const spacing = GameConfig.COOP.SPAWN_SPACING;
+    return this.cameras.main.centerX - spacing / 2 + playerIndex * spacing;
+  }
+
+  /**
+   * @returns {number} Y position ships spawn at
+   */
+  getSpawnY() {
+    return this.cameras.main.height - GameConfig.PLAYER.SPAWN_Y_OFFSET;
   }
 
   /**
@@ -483,9 +1124,15 @@ export default class GameScene extends Phaser.Scene {
     if (this.bossManager) {
       this.bossManager.destroy();
     }
+    if (this.bossRushRunner) {
+      this.bossRushRunner.destroy();
+    }
     if (this.collisionManager) {
       this.collisionManager.destroy();
     }
+    if (this.beamWeapon) {
+      this.beamWeapon.destroy();
+    }
     if (this.uiManager) {
       this.uiManager.destroy();
     }
@@ -498,18 +1145,45 @@ export default class GameScene extends Phaser.Scene {
     if (this.devConsole) {
       this.devConsole.destroy();
     }
+    if (this.playerInputs) {
+      this.playerInputs.forEach(playerInput => playerInput.destroy());
+    }
+    this.input.keyboard.off('keydown', this.onPauseKey, this);
+    this.input.gamepad?.off('down', this.onPadDown, this);
+    this.input.off('pointerdown', this.onPauseTouch, this);
+    this.events.off('resume');
+    this.pauseButton = null;
+
+    // Hand stepping back to Phaser (setupFixedStep installs these per run)
+    delete this.sys.step;
+    delete this.tweens.getDelta;
 
     // Remove event listeners set up in setupBossEvents
     this.events.off('bossSpawned');
+    this.events.off('bossEntered');
+    this.events.off('bossDefeated');
+    this.events.off('bossPartDestroyed');
     this.events.off('bossDefeatedUI');
 
+    // Remove event listeners set up in setupCampaign
+    this.events.off('levelDialogue');
+    this.events.off('levelComplete');
+
+    // Remove event listeners set up in setupBossRush
+    this.events.off('bossRushRefit');
+
     // Remove event listeners set up in setupGameEvents
     this.events.off('addScore');
     this.events.off('awardLife');
     this.events.off('enemyKilled');
+    this.events.off('playerHit');
+    this.events.off('mineDestroyed');
     this.events.off('addCredits');
     this.events.off('spawnCoins');
     this.events.off('playExplosion');
     this.events.off('loseLife');
+
+    // Remove event listeners set up in setupAchievements
+    this.events.off('achievementUnlocked');
   }
 }
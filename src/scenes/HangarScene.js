@@ -0,0 +1,226 @@
+import Phaser from 'phaser';
+import GameConfig from '../config/GameConfig.js';
+import MenuNavigator from '../systems/MenuNavigator.js';
+import { getUpgradeCost, purchaseUpgrade } from '../systems/Upgrades.js';
+import { describeMilestone, purchaseWeapon } from '../systems/WeaponUnlocks.js';
+
+const ROW_Y = 130;
+const ROW_SPACING = 42;
+const ROW_WIDTH = 440;
+
+/**
+ * A hangar row: an upgrade from GameConfig.UPGRADES or a weapon from GameConfig.WEAPONS.
+ * @typedef {Object} HangarItem
+ * @property {'upgrade'|'weapon'} kind
+ * @property {string} key - Registry key
+ */
+
+/**
+ * HangarScene - Spend credits on permanent upgrades and weapon unlocks.
+ * Choose an item with keyboard/gamepad and confirm to buy it, or tap a row
+ * to select it and tap it again to buy.
+ */
+export default class HangarScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'HangarScene' });
+  }
+
+  init() {
+    this.progress = this.game.registry.get('progress');
+    /** @type {HangarItem[]} */
+    this.items = [
+      ...Object.keys(GameConfig.UPGRADES).map(key => ({ kind: 'upgrade', key })),
+      ...Object.keys(GameConfig.WEAPONS)
+        .filter(key => GameConfig.WEAPONS[key].unlockCost !== undefined)
+        .map(key => ({ kind: 'weapon', key })),
+    ];
+    this.selectedIndex = 0;
+    this.rows = [];
+  }
+
+  create() {
+    const centerX = this.cameras.main.centerX;
+    const height = this.cameras.main.height;
+
+    this.add.text(centerX, 50, 'HANGAR', {
+      font: '36px monospace',
+      fill: '#ffff00',
+    }).setOrigin(0.5);
+
+    this.creditsText = this.add.text(centerX, 95, '', {
+      font: '18px monospace',
+      fill: '#ffdd00',
+    }).setOrigin(0.5);
+
+    this.selectionBox = this.add.rectangle(centerX, ROW_Y, ROW_WIDTH, ROW_SPACING - 8, 0x333333)
+      .setStrokeStyle(2, 0xffff00);
+
+    this.rows = this.items.map((item, index) => this.createRow(item, index));
+
+    this.statusText = this.add.text(centerX, ROW_Y + this.items.length * ROW_SPACING, '', {
+      font: '14px monospace',
+      fill: '#ffffff',
+    }).setOrigin(0.5);
+
+    this.add.text(centerX, height - 40, '[ BACK ]', {
+      font: '20px monospace',
+      fill: '#00ffff',
+    }).setOrigin(0.5)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerdown', () => this.back());
+
+    this.add.text(centerX, height - 14, 'ENTER/A: buy   ESC/B: back', {
+      font: '12px monospace',
+      fill: '#666666',
+    }).setOrigin(0.5);
+
+    this.navigator = new MenuNavigator(this, {
+      onMove: (dx, dy) => this.moveSelection(dy),
+      onConfirm: () => this.buySelected(),
+      onBack: () => this.back(),
+    });
+
+    this.refresh();
+  }
+
+  /**
+   * Create the texts for one row.
+   * @param {HangarItem} item
+   * @param {number} index - Row index
+   * @returns {{name: Phaser.GameObjects.Text, level: Phaser.GameObjects.Text,
+   *   description: Phaser.GameObjects.Text, cost: Phaser.GameObjects.Text}}
+   */
+  createRow(item, index) {
+    const y = ROW_Y + index * ROW_SPACING;
+    const left = this.cameras.main.centerX - ROW_WIDTH / 2 + 12;
+    const right = this.cameras.main.centerX + ROW_WIDTH / 2 - 12;
+
+    // Invisible hit area so the whole row is tappable
+    this.add.rectangle(this.cameras.main.centerX, y, ROW_WIDTH, ROW_SPACING - 8, 0x000000, 0)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerdown', () => {
+        if (index === this.selectedIndex) {
+          this.buySelected();
+        } else {
+          this.selectedIndex = index;
+          this.refresh();
+        }
+      });
+
+    const { name, description } = this.getItemText(item);
+    return {
+      name: this.add.text(left, y - 9, name, { font: '16px monospace', fill: '#ffffff' }).setOrigin(0, 0.5),
+      level: this.add.text(right, y - 9, '', { font: '14px monospace', fill: '#00ff00' }).setOrigin(1, 0.5),
+      description: this.add.text(left, y + 10, description, { font: '12px monospace', fill: '#888888' }).setOrigin(0, 0.5),
+      cost: this.add.text(right, y + 10, '', { font: '12px monospace', fill: '#ffdd00' }).setOrigin(1, 0.5),
+    };
+  }
+
+  /**
+   * @param {HangarItem} item
+   * @returns {{name: string, description: string}}
+   */
+  getItemText(item) {
+    if (item.kind === 'upgrade') {
+      const { name, description } = GameConfig.UPGRADES[item.key];
+      return { name, description };
+    }
+    const weapon = GameConfig.WEAPONS[item.key];
+    const milestone = describeMilestone(item.key);
+    return {
+      name: weapon.name.toUpperCase(),
+      description: milestone ? `Or unlock free: ${milestone}` : weapon.description,
+    };
+  }
+
+  /**
+   * Price of the selected level or weapon.
+   * @param {HangarItem} item
+   * @returns {number|null} Credits, or null if maxed out or owned
+   */
+  getItemCost(item) {
+    if (item.kind === 'upgrade') {
+      return getUpgradeCost(item.key, this.progress.getUpgradeLevel(item.key));
+    }
+    return this.progress.isWeaponUnlocked(item.key) ? null : GameConfig.WEAPONS[item.key].unlockCost;
+  }
+
+  /**
+   * Move the selection up or down, wrapping around.
+   * @param {number} direction - -1 for up, 1 for down (0 is ignored)
+   */
+  moveSelection(direction) {
+    if (direction === 0) return;
+    const count = this.items.length;
+    this.selectedIndex = (this.selectedIndex + direction + count) % count;
+    this.statusText.setText('');
+    this.refresh();
+  }
+
+  /**
+   * Buy the next level of the selected upgrade, or unlock the selected weapon.
+   */
+  buySelected() {
+    const item = this.items[this.selectedIndex];
+    const { name } = this.getItemText(item);
+    const cost = this.getItemCost(item);
+
+    if (cost === null) {
+      this.showStatus(item.kind === 'upgrade' ? `${name} is fully upgraded` : `${name} is already unlocked`, '#888888');
+    } else if (item.kind === 'upgrade' && purchaseUpgrade(this.progress, item.key)) {
+      this.showStatus(`${name} upgraded to level ${this.progress.getUpgradeLevel(item.key)}!`, '#00ff00');
+    } else if (item.kind === 'weapon' && purchaseWeapon(this.progress, item.key)) {
+      this.showStatus(`${name} unlocked! Pick it in the loadout before a run`, '#00ff00');
+    } else {
+      this.showStatus(`Not enough credits - ${cost} needed`, '#ff4444');
+    }
+    this.refresh();
+  }
+
+  /**
+   * @param {string} message
+   * @param {string} color - CSS color
+   */
+  showStatus(message, color) {
+    this.statusText.setText(message);
+    this.statusText.setFill(color);
+  }
+
+  /**
+   * Redraw levels, prices and the selection.
+   */
+  refresh() {
+    const credits = this.progress.getCredits();
+    this.creditsText.setText(`Space Credits: ${credits}`);
+    this.selectionBox.setY(ROW_Y + this.selectedIndex * ROW_SPACING);
+
+    this.items.forEach((item, index) => {
+      const cost = this.getItemCost(item);
+      const row = this.rows[index];
+
+      if (item.kind === 'upgrade') {
+        const level = this.progress.getUpgradeLevel(item.key);
+        row.level.setText('■'.repeat(level) + '□'.repeat(GameConfig.UPGRADES[item.key].maxLevel - level));
+      } else {
+        row.level.setText(cost === null ? 'OWNED' : 'LOCKED');
+      }
+
+      if (cost === null) {
+        row.cost.setText(item.kind === 'upgrade' ? 'MAX' : '');
+        row.cost.setFill('#888888');
+      } else {
+        row.cost.setText(`${cost} CR`);
+        row.cost.setFill(cost <= credits ? '#ffdd00' : '#ff4444');
+      }
+      row.name.setFill(index === this.selectedIndex ? '#ffff00' : '#ffffff');
+    });
+  }
+
+  back() {
+    this.scene.start('MenuScene');
+  }
+
+  update() {
+    this.navigator.update();
+  }
+}
@@ -0,0 +1,63 @@
+import Phaser from 'phaser';
+import LeaderboardView from '../systems/LeaderboardView.js';
+import MenuNavigator from '../systems/MenuNavigator.js';
+import { LEADERBOARD_PERIODS, BOSS_RUSH_PERIODS, LeaderboardPeriod } from '../services/LeaderboardPeriods.js';
+
+/** Every board, with a shorter challenge label so five tabs fit across the screen */
+const BOARD_TABS = [
+  ...LEADERBOARD_PERIODS,
+  { key: LeaderboardPeriod.CHALLENGE, label: 'CHALLENGE' },
+  ...BOSS_RUSH_PERIODS,
+];
+
+/**
+ * LeaderboardScene - Browse the boards from the main menu.
+ */
+export default class LeaderboardScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'LeaderboardScene' });
+  }
+
+  create() {
+    const centerX = this.cameras.main.centerX;
+    const height = this.cameras.main.height;
+
+    this.add.text(centerX, 50, 'LEADERBOARD', {
+      font: '36px monospace',
+      fill: '#ffff00',
+    }).setOrigin(0.5);
+
+    this.leaderboard = new LeaderboardView(this, centerX, 110, {
+      periods: BOARD_TABS,
+      tabSpacing: 92,
+      tabFont: '14px monospace',
+    });
+
+    this.add.text(centerX, height - 40, '[ BACK ]', {
+      font: '20px monospace',
+      fill: '#00ffff',
+    }).setOrigin(0.5)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerdown', () => this.back());
+
+    this.add.text(centerX, height - 14, 'Left/Right: switch board   ESC/B: back', {
+      font: '12px monospace',
+      fill: '#666666',
+    }).setOrigin(0.5);
+
+    this.navigator = new MenuNavigator(this, {
+      onMove: (dx) => {
+        if (dx !== 0) this.leaderboard.cyclePeriod(dx);
+      },
+      onBack: () => this.back(),
+    });
+  }
+
+  back() {
+    this.scene.start('MenuScene');
+  }
+
+  update() {
+    this.navigator.update();
+  }
+}
@@ -0,0 +1,155 @@
+import Phaser from 'phaser';
+import GameConfig from '../config/GameConfig.js';
+import MenuNavigator from '../systems/MenuNavigator.js';
+import { describeMilestone } from '../systems/WeaponUnlocks.js';
+
+const ROW_Y = 140;
+const ROW_SPACING = 64;
+const ROW_WIDTH = 420;
+
+/**
+ * LoadoutScene - Pick the starting weapon before a run.
+ * Locked weapons are listed with what unlocks them. The choice is saved in
+ * ProgressManager, so restarts from the game over screen keep it.
+ */
+export default class LoadoutScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'LoadoutScene' });
+  }
+
+  /**
+   * @param {Object} [data]
+   * @param {Object} [data.run] - GameScene init data for the run to start
+   */
+  init(data) {
+    this.runData = data?.run || {};
+    this.progress = this.game.registry.get('progress');
+    this.weaponKeys = Object.keys(GameConfig.WEAPONS);
+    this.selectedIndex = Math.max(0, this.weaponKeys.indexOf(this.progress.getLoadoutWeapon()));
+    this.rows = [];
+  }
+
+  create() {
+    const centerX = this.cameras.main.centerX;
+    const height = this.cameras.main.height;
+
+    this.add.text(centerX, 50, 'LOADOUT', {
+      font: '36px monospace',
+      fill: '#ffff00',
+    }).setOrigin(0.5);
+
+    this.add.text(centerX, 95, 'Choose your starting weapon', {
+      font: '16px monospace',
+      fill: '#888888',
+    }).setOrigin(0.5);
+
+    this.selectionBox = this.add.rectangle(centerX, ROW_Y, ROW_WIDTH, ROW_SPACING - 10, 0x333333)
+      .setStrokeStyle(2, 0xffff00);
+
+    this.rows = this.weaponKeys.map((key, index) => this.createRow(key, index));
+
+    this.add.text(centerX, height - 70, '[ LAUNCH ]', {
+      font: '24px monospace',
+      fill: '#00ff00',
+    }).setOrigin(0.5)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerdown', () => this.launch());
+
+    this.add.text(centerX, height - 30, '[ BACK ]', {
+      font: '16px monospace',
+      fill: '#00ffff',
+    }).setOrigin(0.5)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerdown', () => this.back());
+
+    this.navigator = new MenuNavigator(this, {
+      onMove: (dx, dy) => this.moveSelection(dy || dx),
+      onConfirm: () => this.launch(),
+      onBack: () => this.back(),
+    });
+
+    this.refresh();
+  }
+
+  /**
+   * Create the texts for one weapon row. Tapping a row selects it.
+   * @param {string} key - Weapon key
+   * @param {number} index - Row index
+   * @returns {{name: Phaser.GameObjects.Text, info: Phaser.GameObjects.Text}}
+   */
+  createRow(key, index) {
+    const centerX = this.cameras.main.centerX;
+    const y = ROW_Y + index * ROW_SPACING;
+    const left = centerX - ROW_WIDTH / 2 + 14;
+
+    this.add.rectangle(centerX, y, ROW_WIDTH, ROW_SPACING - 10, 0x000000, 0)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerdown', () => {
+        this.selectedIndex = index;
+        this.refresh();
+      });
+
+    return {
+      name: this.add.text(left, y - 12, GameConfig.WEAPONS[key].name.toUpperCase(), {
+        font: '18px monospace',
+        fill: '#ffffff',
+      }).setOrigin(0, 0.5),
+      info: this.add.text(left, y + 12, '', {
+        font: '12px monospace',
+        fill: '#888888',
+      }).setOrigin(0, 0.5),
+    };
+  }
+
+  /**
+   * Move the selection, wrapping around. Locked weapons can be selected to see
+   * how to unlock them, but not launched with.
+   * @param {number} direction - -1 for previous, 1 for next (0 is ignored)
+   */
+  moveSelection(direction) {
+    if (direction === 0) return;
+    const count = this.weaponKeys.length;
+    this.selectedIndex = (this.selectedIndex + direction + count) % count;
+    this.refresh();
+  }
+
+  refresh() {
+    this.selectionBox.setY(ROW_Y + this.selectedIndex * ROW_SPACING);
+
+    this.weaponKeys.forEach((key, index) => {
+      const row = this.rows[index];
+      const weapon = GameConfig.WEAPONS[key];
+      const selected = index === this.selectedIndex;
+
+      if (this.progress.isWeaponUnlocked(key)) {
+        row.name.setFill(selected ? '#ffff00' : '#ffffff');
+        row.info.setText(weapon.description);
+      } else {
+        const milestone = describeMilestone(key);
+        row.name.setFill('#555555');
+        row.info.setText(`LOCKED - ${weapon.unlockCost} CR${milestone ? `, or ${milestone}` : ''}`);
+      }
+    });
+  }
+
+  /**
+   * Save the selected weapon and start the run.
+   */
+  launch() {
+    const weapon = this.weaponKeys[this.selectedIndex];
+    if (!this.progress.setLoadoutWeapon(weapon)) {
+      this.cameras.main.shake(100, 0.005);
+      return;
+    }
+    this.navigator.setEnabled(false);
+    this.scene.start('GameScene', this.runData);
+  }
+
+  back() {
+    this.scene.start('MenuScene');
+  }
+
+  update() {
+    this.navigator.update();
+  }
+}
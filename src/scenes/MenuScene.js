@@ -0,0 +1,324 @@
+import Phaser from 'phaser';
+import GameConfig from '../config/GameConfig.js';
+import MenuNavigator from '../systems/MenuNavigator.js';
+import SettingsManager from '../systems/SettingsManager.js';
+import AchievementManager from '../systems/AchievementManager.js';
+import { getDailyChallenge, describeChallenge } from '../systems/DailyChallenge.js';
+import { CAMPAIGN_LEVELS } from '../levels/index.js';
+import { formatRushTime } from '../systems/BossRushRunner.js';
+
+/**
+ * @typedef {Object} MenuItem
+ * @property {string} key - Item ID
+ * @property {string} label - Display text
+ * @property {string|null} scene - Scene the item opens (null for panels drawn by the menu)
+ */
+
+/** @type {MenuItem[]} */
+const MENU_ITEMS = [
+  { key: 'endless', label: 'PLAY ENDLESS', scene: 'LoadoutScene' },
+  { key: 'coop', label: 'CO-OP (2 PLAYERS)', scene: 'LoadoutScene' },
+  { key: 'daily', label: 'DAILY CHALLENGE', scene: 'GameScene' },
+  { key: 'campaign', label: 'CAMPAIGN', scene: 'LoadoutScene' },
+  { key: 'bossrush', label: 'BOSS RUSH', scene: 'LoadoutScene' },
+  { key: 'hangar', label: 'HANGAR / SHOP', scene: 'HangarScene' },
+  { key: 'leaderboard', label: 'LEADERBOARD', scene: 'LeaderboardScene' },
+  { key: 'achievements', label: 'ACHIEVEMENTS', scene: 'AchievementsScene' },
+  { key: 'settings', label: 'SETTINGS', scene: 'SettingsScene' },
+  { key: 'credits', label: 'CREDITS', scene: null },
+];
+
+const CREDITS_LINES = [
+  'SPACEBEAR',
+  '',
+  'A Father & Son Games production',
+  '',
+  'Art',
+  'Ravenmore - dycha.net',
+  '',
+  'Built with Phaser 3',
+];
+
+/**
+ * MenuScene - Title screen and mode selection.
+ * Works with keyboard, gamepad (via MenuNavigator) and touch (tap an item).
+ */
+export default class MenuScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'MenuScene' });
+  }
+
+  init() {
+    this.selectedIndex = 0;
+    this.itemTexts = [];
+    this.creditsPanel = null;
+    this.dailyChallenge = getDailyChallenge();
+    this.gameSettings = this.game.registry.get('settings') || new SettingsManager();
+    this.achievements = this.game.registry.get('achievements') || new AchievementManager();
+  }
+
+  create() {
+    const centerX = this.cameras.main.centerX;
+    const { width, height } = this.cameras.main;
+
+    this.background = this.add.tileSprite(0, 0, width, height, 'background').setOrigin(0, 0);
+
+    this.add.text(centerX, 90, 'SpaceBear', {
+      font: '48px monospace',
+      fill: '#ffffff',
+    }).setOrigin(0.5);
+
+    const progress = this.game.registry.get('progress');
+    if (progress) {
+      this.add.text(centerX, 140, `Space Credits: ${progress.getCredits()}`, {
+        font: '16px monospace',
+        fill: '#ffdd00',
+      }).setOrigin(0.5);
+    }
+
+    this.createItems(centerX);
+
+    this.descriptionText = this.add.text(centerX, height - 100, '', {
+      font: '14px monospace',
+      fill: '#00ffff',
+      align: 'center',
+    }).setOrigin(0.5);
+
+    this.add.text(centerX, height - 30, 'Arrows/Stick: choose   ENTER/A: select   M: mute', {
+      font: '12px monospace',
+      fill: '#666666',
+    }).setOrigin(0.5);
+
+    this.audio = this.game.registry.get('audio');
+    if (this.audio) {
+      this.audio.playMusic('menu');
+      this.createMuteToggle(width);
+    }
+
+    this.navigator = new MenuNavigator(this, {
+      onMove: (dx, dy) => this.moveSelection(dy),
+      onConfirm: () => this.activateItem(this.selectedIndex),
+      onBack: () => this.hideCredits(),
+    });
+
+    this.updateSelection();
+  }
+
+  /**
+   * Sound on/off switch in the top-right corner, also toggled with M.
+   * @param {number} width - Screen width
+   */
+  createMuteToggle(width) {
+    this.muteText = this.add.text(width - 10, 10, '', {
+      font: '14px monospace',
+      fill: '#888888',
+    }).setOrigin(1, 0)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerdown', () => this.toggleMute());
+    this.input.keyboard.on('keydown-M', () => this.toggleMute());
+    this.updateMuteText();
+  }
+
+  toggleMute() {
+    this.audio.toggleMute();
+    this.updateMuteText();
+  }
+
+  updateMuteText() {
+    this.muteText.setText(this.audio.getSettings().muted ? 'SOUND: OFF' : 'SOUND: ON');
+  }
+
+  /**
+   * Create the item list. Tapping an item selects and opens it.
+   * @param {number} centerX - Center X position
+   */
+  createItems(centerX) {
+    this.itemTexts = MENU_ITEMS.map((item, index) => {
+      const y = GameConfig.MENU.ITEMS_Y + index * GameConfig.MENU.ITEM_SPACING;
+      return this.add.text(centerX, y, item.label, {
+        font: '22px monospace',
+        fill: '#ffffff',
+      }).setOrigin(0.5)
+        .setInteractive({ useHandCursor: true })
+        .on('pointerover', () => {
+          this.selectedIndex = index;
+          this.updateSelection();
+        })
+        .on('pointerdown', () => this.activateItem(index));
+    });
+  }
+
+  /**
+   * Check whether the scene an item opens is part of this build.
+   * @param {MenuItem} item
+   * @returns {boolean}
+   */
+  isAvailable(item) {
+    return item.scene === null || this.scene.manager.keys[item.scene] !== undefined;
+  }
+
+  /**
+   * Move the selection up or down, wrapping around.
+   * @param {number} direction - -1 for up, 1 for down (0 is ignored)
+   */
+  moveSelection(direction) {
+    if (direction === 0 || this.creditsPanel) return;
+    const count = MENU_ITEMS.length;
+    this.selectedIndex = (this.selectedIndex + direction + count) % count;
+    this.updateSelection();
+  }
+
+  /**
+   * Highlight the selected item and describe it.
+   */
+  updateSelection() {
+    this.itemTexts.forEach((text, index) => {
+      const item = MENU_ITEMS[index];
+      const selected = index === this.selectedIndex;
+      const label = selected ? `> ${item.label} <` : item.label;
+
+      text.setText(label);
+      if (!this.isAvailable(item)) {
+        text.setFill('#555555');
+      } else {
+        text.setFill(selected ? '#ffff00' : '#ffffff');
+      }
+    });
+
+    this.descriptionText.setText(this.getDescription(MENU_ITEMS[this.selectedIndex]));
+  }
+
+  /**
+   * @param {MenuItem} item
+   * @returns {string} Line shown under the menu for the selected item
+   */
+  getDescription(item) {
+    if (!this.isAvailable(item)) {
+      return 'Coming soon';
+    }
+
+    switch (item.key) {
+      case 'endless':
+        return 'Survive the endless waves';
+      case 'coop':
+        return 'Two ships, one screen - endless waves\nP2: Arrows + ENTER or gamepad';
+      case 'daily':
+        return `${this.dailyChallenge.day}\n${describeChallenge(this.dailyChallenge)}`;
+      case 'campaign':
+        return `${CAMPAIGN_LEVELS.length} levels, each ending in a boss`;
+      case 'bossrush':
+        return this.getBossRushDescription();
+      case 'hangar':
+        return 'Spend credits on upgrades and weapons';
+      case 'leaderboard':
+        return 'Top scores for every board';
+      case 'achievements':
+        return this.getAchievementsDescription();
+      case 'settings':
+        return 'Sound, comfort, accessibility and controls';
+      case 'credits':
+        return 'Who made SpaceBear';
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * @returns {string} The Boss Rush lineup, and the best clear time once there is one
+   */
+  getBossRushDescription() {
+    const lineup = `Every boss back to back, ${Object.keys(GameConfig.BOSS.TYPES).length} fights per loop`;
+    const best = this.game.registry.get('progress')?.getBossRushBestClear();
+    return best ? `${lineup}\nBest clear: ${formatRushTime(best)}` : lineup;
+  }
+
+  /**
+   * @returns {string} How many achievements are unlocked
+   */
+  getAchievementsDescription() {
+    const total = Object.keys(GameConfig.ACHIEVEMENTS.LIST).length;
+    return `${this.achievements.getUnlockedCount()} of ${total} unlocked`;
+  }
+
+  /**
+   * Open a menu item.
+   * @param {number} index - Index into MENU_ITEMS
+   */
+  activateItem(index) {
+    if (this.creditsPanel) {
+      this.hideCredits();
+      return;
+    }
+
+    const item = MENU_ITEMS[index];
+    this.selectedIndex = index;
+    this.updateSelection();
+    if (!this.isAvailable(item)) return;
+
+    if (item.key === 'credits') {
+      this.showCredits();
+      return;
+    }
+
+    this.navigator.setEnabled(false);
+    this.scene.start(item.scene, this.getSceneData(item));
+  }
+
+  /**
+   * Endless, co-op, campaign and Boss Rush runs go through the loadout screen first; the Daily
+   * Challenge starts directly since everyone plays it with the same weapon.
+   * @param {MenuItem} item
+   * @returns {Object} Init data for the scene the item opens
+   */
+  getSceneData(item) {
+    switch (item.key) {
+      case 'endless':
+        return { run: {} };
+      case 'coop':
+        return { run: { coop: true } };
+      case 'daily':
+        return { challenge: this.dailyChallenge };
+      case 'campaign':
+        return { run: { campaign: { level: 0 } } };
+      case 'bossrush':
+        return { run: { bossRush: true } };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Show the credits over the menu. Any input closes them.
+   */
+  showCredits() {
+    const { centerX, centerY, width, height } = this.cameras.main;
+
+    const shade = this.add.rectangle(centerX, centerY, width, height, 0x000000, 0.85)
+      .setInteractive()
+      .on('pointerdown', () => this.hideCredits());
+
+    const text = this.add.text(centerX, centerY - 20, CREDITS_LINES.join('\n'), {
+      font: '18px monospace',
+      fill: '#ffffff',
+      align: 'center',
+    }).setOrigin(0.5);
+
+    const hint = this.add.text(centerX, height - 30, 'Press any button to close', {
+      font: '12px monospace',
+      fill: '#666666',
+    }).setOrigin(0.5);
+
+    this.creditsPanel = [shade, text, hint];
+  }
+
+  hideCredits() {
+    if (!this.creditsPanel) return;
+    this.creditsPanel.forEach(object => object.destroy());
+    this.creditsPanel = null;
+  }
+
+  update() {
+    this.background.tilePositionY -= GameConfig.DISPLAY.BACKGROUND_SCROLL_SPEED * this.gameSettings.getMotionScale();
+    this.navigator.update();
+  }
+}
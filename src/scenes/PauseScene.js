@@ -0,0 +1,180 @@
+import Phaser from 'phaser';
+import GameConfig from '../config/GameConfig.js';
+import MenuNavigator from '../systems/MenuNavigator.js';
+import InputManager from '../systems/InputManager.js';
+import { getButtonName } from '../systems/GamepadInput.js';
+
+const ITEMS = [
+  { key: 'resume', label: 'RESUME' },
+  { key: 'restart', label: 'RESTART' },
+  { key: 'settings', label: 'SETTINGS' },
+  { key: 'quit', label: 'QUIT TO MENU' },
+];
+
+/**
+ * PauseScene - Overlay menu shown over a paused GameScene.
+ * Resuming counts down 3-2-1 before the game continues. Restarting or
+ * quitting abandons the run, so nothing is saved or submitted for it.
+ */
+export default class PauseScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'PauseScene' });
+  }
+
+  /**
+   * @param {Object} data
+   * @param {Object} data.restartData - GameScene init data to play the run again
+   */
+  init(data) {
+    this.restartData = data.restartData || {};
+    this.controls = this.game.registry.get('controls') || new InputManager();
+    this.selectedIndex = 0;
+    this.countingDown = false;
+  }
+
+  create() {
+    const { centerX, centerY, width, height } = this.cameras.main;
+
+    this.add.rectangle(centerX, centerY, width, height, 0x000000, 0.7);
+
+    this.menu = this.add.container(0, 0);
+    this.menu.add(this.add.text(centerX, 160, 'PAUSED', {
+      font: '48px monospace',
+      fill: '#ffffff',
+    }).setOrigin(0.5));
+
+    this.itemTexts = ITEMS.map((item, index) => this.add.text(centerX, GameConfig.PAUSE.ITEMS_Y + index * GameConfig.PAUSE.ITEM_SPACING, item.label, {
+      font: '24px monospace',
+      fill: '#ffffff',
+    }).setOrigin(0.5)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerdown', () => {
+        this.selectedIndex = index;
+        this.activateItem();
+      }));
+    this.menu.add(this.itemTexts);
+
+    this.menu.add(this.add.text(centerX, height - 30, `ENTER/A: select   ${this.describePauseBinding()}: resume`, {
+      font: '12px monospace',
+      fill: '#666666',
+    }).setOrigin(0.5));
+
+    this.countdownText = this.add.text(centerX, centerY, '', {
+      font: '96px monospace',
+      fill: '#ffff00',
+    }).setOrigin(0.5);
+
+    // The pause binding closes the menu again. Listen before the navigator,
+    // so a pause button that is also a menu button (Start) resumes instead of selecting.
+    this.pauseKeyCodes = this.controls.getKeys('pause').map(key => Phaser.Input.Keyboard.KeyCodes[key]);
+    this.input.keyboard.on('keydown', this.onKeyDown, this);
+    this.input.gamepad?.on('down', this.onPadDown, this);
+    this.events.once('shutdown', () => {
+      this.input.keyboard.off('keydown', this.onKeyDown, this);
+      this.input.gamepad?.off('down', this.onPadDown, this);
+    });
+
+    this.navigator = new MenuNavigator(this, {
+      onMove: (dx, dy) => this.moveSelection(dy),
+      onConfirm: () => this.activateItem(),
+      onBack: () => this.startCountdown(),
+    });
+
+    this.updateSelection();
+  }
+
+  /**
+   * @returns {string} e.g. 'P/ESC/START'
+   */
+  describePauseBinding() {
+    const pad = this.controls.getPadButton('pause');
+    return [...this.controls.getKeys('pause'), pad === null ? null : getButtonName(pad)]
+      .filter(Boolean)
+      .join('/');
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   */
+  onKeyDown(event) {
+    if (this.pauseKeyCodes.includes(event.keyCode)) {
+      this.startCountdown();
+    }
+  }
+
+  /**
+   * @param {Phaser.Input.Gamepad.Gamepad} pad
+   * @param {Phaser.Input.Gamepad.Button} button
+   */
+  onPadDown(pad, button) {
+    if (button.index === this.controls.getPadButton('pause')) {
+      this.startCountdown();
+    }
+  }
+
+  /**
+   * Move the selection up or down, wrapping around.
+   * @param {number} direction - -1 for up, 1 for down (0 is ignored)
+   */
+  moveSelection(direction) {
+    if (direction === 0) return;
+    const count = ITEMS.length;
+    this.selectedIndex = (this.selectedIndex + direction + count) % count;
+    this.updateSelection();
+  }
+
+  updateSelection() {
+    this.itemTexts.forEach((text, index) => {
+      const selected = index === this.selectedIndex;
+      text.setText(selected ? `> ${ITEMS[index].label} <` : ITEMS[index].label);
+      text.setFill(selected ? '#ffff00' : '#ffffff');
+    });
+  }
+
+  activateItem() {
+    if (this.countingDown) return;
+
+    switch (ITEMS[this.selectedIndex].key) {
+      case 'resume':
+        this.startCountdown();
+        break;
+      case 'restart':
+        this.scene.stop('GameScene');
+        this.scene.start('GameScene', this.restartData);
+        break;
+      case 'settings':
+        this.scene.sleep();
+        this.scene.launch('SettingsScene', { returnTo: this.scene.key });
+        break;
+      case 'quit':
+        this.scene.stop('GameScene');
+        this.scene.start('MenuScene');
+        break;
+    }
+  }
+
+  /**
+   * Hide the menu and count down before handing control back to the game.
+   */
+  startCountdown() {
+    if (this.countingDown) return;
+    this.countingDown = true;
+    this.navigator.setEnabled(false);
+    this.menu.setVisible(false);
+
+    const step = (count) => {
+      if (count === 0) {
+        this.scene.resume('GameScene');
+        this.scene.stop();
+        return;
+      }
+      this.countdownText.setText(String(count));
+      this.time.delayedCall(GameConfig.PAUSE.COUNTDOWN_STEP, () => step(count - 1));
+    };
+    step(GameConfig.PAUSE.COUNTDOWN);
+  }
+
+  update() {
+    this.navigator.update();
+  }
+}
@@ -0,0 +1,244 @@
+import Phaser from 'phaser';
+import GameConfig from '../config/GameConfig.js';
+import MenuNavigator from '../systems/MenuNavigator.js';
+import SettingsManager from '../systems/SettingsManager.js';
+import AudioManager from '../systems/AudioManager.js';
+
+const ROW_Y = 120;
+const ROW_SPACING = 34;
+const LABEL_X = 30;
+const VALUE_X = 450;
+const BUTTON_SPACING = 36;
+
+/** Rows kept by AudioManager, after the GameConfig.SETTINGS options */
+const AUDIO_ROWS = [
+  { key: 'muted', label: 'Sound', description: 'Also toggled with M on the title screen' },
+  { key: 'musicVolume', label: 'Music volume', description: 'LEFT/RIGHT to adjust' },
+  { key: 'sfxVolume', label: 'Effects volume', description: 'LEFT/RIGHT to adjust' },
+];
+
+const BUTTONS = [
+  { key: 'controls', label: '[ CONTROLS ]' },
+  { key: 'reset', label: '[ RESET DEFAULTS ]' },
+  { key: 'back', label: '[ BACK ]' },
+];
+
+/**
+ * SettingsScene - Sound, comfort and accessibility options, and the way into
+ * ControlsScene. Left/right (or confirm, or a tap) changes the selected row.
+ * Changes are saved as they are made and apply straight away, also when
+ * opened from the pause menu.
+ */
+export default class SettingsScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'SettingsScene' });
+  }
+
+  /**
+   * @param {Object} [data]
+   * @param {string} [data.returnTo] - Sleeping scene to wake on BACK (default: back to the menu)
+   */
+  init(data) {
+    this.returnTo = data?.returnTo || null;
+    this.gameSettings = this.game.registry.get('settings') || new SettingsManager();
+    this.audio = this.game.registry.get('audio') || new AudioManager();
+    this.rows = [
+      ...Object.entries(GameConfig.SETTINGS.OPTIONS).map(([key, option]) => ({ type: 'option', key, ...option })),
+      ...AUDIO_ROWS.map(row => ({ type: 'audio', ...row })),
+      ...BUTTONS.map(button => ({ type: 'button', ...button })),
+    ];
+    this.selectedIndex = 0;
+    this.rowTexts = [];
+  }
+
+  create() {
+    const { centerX, centerY, width, height } = this.cameras.main;
+
+    // Opened from the pause menu, the paused game is still drawn underneath
+    this.add.rectangle(centerX, centerY, width, height, 0x000000);
+
+    this.add.text(centerX, 50, 'SETTINGS', {
+      font: '36px monospace',
+      fill: '#ffff00',
+    }).setOrigin(0.5);
+
+    this.rowTexts = this.rows.map((row, index) => this.createRow(row, index));
+
+    this.descriptionText = this.add.text(centerX, height - 64, '', {
+      font: '14px monospace',
+      fill: '#00ffff',
+      align: 'center',
+    }).setOrigin(0.5);
+
+    this.add.text(centerX, height - 16, 'Arrows/Stick: choose and change   ESC/B: back', {
+      font: '12px monospace',
+      fill: '#666666',
+    }).setOrigin(0.5);
+
+    this.navigator = new MenuNavigator(this, {
+      onMove: (dx, dy) => this.onMove(dx, dy),
+      onConfirm: () => this.activate(1),
+      onBack: () => this.back(),
+    });
+
+    this.refresh();
+  }
+
+  /**
+   * Create the texts for one row. Tapping a row selects and changes it.
+   * @param {Object} row
+   * @param {number} index - Row index
+   * @returns {{label: Phaser.GameObjects.Text, value: Phaser.GameObjects.Text|null}}
+   */
+  createRow(row, index) {
+    const select = () => {
+      this.selectedIndex = index;
+      this.activate(1);
+    };
+
+    if (row.type === 'button') {
+      const buttonIndex = index - this.rows.length + BUTTONS.length;
+      const y = this.getRowY(this.rows.length - BUTTONS.length) + 14 + buttonIndex * BUTTON_SPACING;
+      const label = this.add.text(this.cameras.main.centerX, y, row.label, {
+        font: '18px monospace',
+        fill: '#00ffff',
+      }).setOrigin(0.5)
+        .setInteractive({ useHandCursor: true })
+        .on('pointerdown', select);
+      return { label, value: null };
+    }
+
+    const y = this.getRowY(index);
+    const label = this.add.text(LABEL_X, y, row.label, {
+      font: '16px monospace',
+      fill: '#ffffff',
+    }).setOrigin(0, 0.5)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerdown', select);
+    const value = this.add.text(VALUE_X, y, '', {
+      font: '16px monospace',
+      fill: '#ffffff',
+    }).setOrigin(1, 0.5)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerdown', select);
+    return { label, value };
+  }
+
+  /**
+   * @param {number} index - Row index
+   * @returns {number} Y position of a setting row
+   */
+  getRowY(index) {
+    return ROW_Y + index * ROW_SPACING;
+  }
+
+  /**
+   * Up/down picks a row; left/right changes it.
+   * @param {number} dx
+   * @param {number} dy
+   */
+  onMove(dx, dy) {
+    if (dy !== 0) {
+      const count = this.rows.length;
+      this.selectedIndex = (this.selectedIndex + dy + count) % count;
+      this.refresh();
+    } else if (dx !== 0 && this.rows[this.selectedIndex].type !== 'button') {
+      this.activate(dx);
+    }
+  }
+
+  /**
+   * Change the selected row, or press the selected button.
+   * @param {number} direction - 1 for next value / louder, -1 for previous / quieter
+   */
+  activate(direction) {
+    const row = this.rows[this.selectedIndex];
+
+    if (row.type === 'option') {
+      this.gameSettings.cycle(row.key, direction);
+    } else if (row.type === 'audio') {
+      this.changeAudio(row.key, direction);
+    } else if (row.key === 'controls') {
+      this.scene.sleep();
+      this.scene.launch('ControlsScene', { returnTo: this.scene.key });
+      return;
+    } else if (row.key === 'reset') {
+      this.gameSettings.reset();
+      this.audio.reset();
+    } else {
+      this.back();
+      return;
+    }
+    this.refresh();
+  }
+
+  /**
+   * @param {string} key - 'muted', 'musicVolume' or 'sfxVolume'
+   * @param {number} direction - 1 for louder, -1 for quieter
+   */
+  changeAudio(key, direction) {
+    if (key === 'muted') {
+      this.audio.toggleMute();
+      return;
+    }
+
+    // Turning it up past full (as a tap does) wraps back to silent
+    const step = GameConfig.AUDIO.VOLUME_STEP;
+    const current = this.audio.getSettings()[key];
+    const volume = direction > 0 && current >= 1 ? 0 : current + direction * step;
+    if (key === 'musicVolume') {
+      this.audio.setMusicVolume(volume);
+    } else {
+      this.audio.setSfxVolume(volume);
+      this.audio.playSfx('coin');
+    }
+  }
+
+  /**
+   * @param {Object} row
+   * @returns {string} Current value of a setting row
+   */
+  formatValue(row) {
+    if (row.type === 'audio') {
+      const settings = this.audio.getSettings();
+      if (row.key === 'muted') return settings.muted ? 'OFF' : 'ON';
+      return `${Math.round(settings[row.key] * 100)}%`;
+    }
+    const value = this.gameSettings.get(row.key);
+    if (row.key === 'palette') return GameConfig.SETTINGS.PALETTES[value].label.toUpperCase();
+    return value.toUpperCase();
+  }
+
+  /**
+   * Redraw the values and the selection.
+   */
+  refresh() {
+    this.rows.forEach((row, index) => {
+      const { label, value } = this.rowTexts[index];
+      const selected = index === this.selectedIndex;
+
+      if (row.type === 'button') {
+        label.setFill(selected ? '#ffff00' : '#00ffff');
+        return;
+      }
+      label.setFill(selected ? '#ffff00' : '#ffffff');
+      value.setText(selected ? `< ${this.formatValue(row)} >` : this.formatValue(row));
+      value.setFill(selected ? '#ffff00' : '#ffffff');
+    });
+
+    this.descriptionText.setText(this.rows[this.selectedIndex].description || '');
+  }
+
+  back() {
+    if (this.returnTo) {
+      this.scene.stop();
+      this.scene.wake(this.returnTo);
+    } else {
+      this.scene.start('MenuScene');
+    }
+  }
+
+  update() {
+    this.navigator.update();
+  }
+}
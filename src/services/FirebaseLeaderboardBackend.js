@@ -0,0 +1,126 @@
+/**
+ * @typedef {import('./LeaderboardService.js').ScoreEntry} ScoreEntry
+ */
+
+/** Time to wait for Firebase before treating a request as failed (ms) */
+const REQUEST_TIMEOUT = 5000;
+
+/**
+ * Reject a promise if it does not settle in time.
+ * Firebase queues writes and serves reads from cache while offline,
+ * so requests can hang instead of failing.
+ * @param {Promise} promise - Request to wait on
+ * @param {number} ms - Timeout in ms
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Firebase request timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Convert a Firebase snapshot into score entries sorted by score descending.
+ * @param {Object} snapshot - Firebase DataSnapshot
+ * @returns {ScoreEntry[]}
+ */
+function snapshotToScores(snapshot) {
+  const scores = [];
+  snapshot.forEach((child) => {
+    scores.push({
+      id: child.key,
+      ...child.val(),
+    });
+  });
+
+  // limitToLast returns ascending order
+  return scores.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * FirebaseLeaderboardBackend - Global leaderboard stored in Firebase Realtime Database.
+ * Implements the LeaderboardBackend interface used by LeaderboardService.
+ */
+export default class FirebaseLeaderboardBackend {
+  /**
+   * @param {Object|null} database - Firebase compat database instance
+   * @param {number} [timeout=REQUEST_TIMEOUT] - Request timeout in ms
+   */
+  constructor(database, timeout = REQUEST_TIMEOUT) {
+    this.database = database;
+    this.timeout = timeout;
+    /** @type {'global'} */
+    this.source = 'global';
+  }
+
+  /**
+   * Whether Firebase is configured and the browser reports a connection.
+   * @returns {boolean}
+   */
+  isAvailable() {
+    if (!this.database) return false;
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  /**
+   * Get the database reference for a leaderboard bucket.
+   * @param {string} board - Board path (see LeaderboardPeriods.getBoardPath)
+   * @returns {Object} Firebase reference
+   */
+  getRef(board) {
+    return this.database.ref(board);
+  }
+
+  /**
+   * Generate a key for a new entry. Keys are made on the client, so this
+   * works offline.
+   * @param {string} board - Board path
+   * @returns {string}
+   */
+  createKey(board) {
+    return this.getRef(board).push().key;
+  }
+
+  /**
+   * Write a score entry under its key. A write that times out stays queued in
+   * the SDK and may still land, so retries reuse the key instead of pushing again.
+   * @param {string} board - Board path
+   * @param {ScoreEntry} entry - Score entry
+   * @param {string} [key] - Entry key from createKey() (a new one if omitted)
+   * @returns {Promise<void>}
+   */
+  async push(board, entry, key = this.createKey(board)) {
+    await withTimeout(this.getRef(board).child(key).set(entry), this.timeout);
+  }
+
+  /**
+   * Fetch the top scores.
+   * @param {string} board - Board path
+   * @param {number} limit - Max entries
+   * @returns {Promise<ScoreEntry[]>} Entries sorted by score descending
+   */
+  async fetchTop(board, limit) {
+    const snapshot = await withTimeout(
+      this.getRef(board).orderByChild('score').limitToLast(limit).once('value'),
+      this.timeout
+    );
+    return snapshotToScores(snapshot);
+  }
+
+  /**
+   * Subscribe to real-time updates of the top scores.
+   * @param {string} board - Board path
+   * @param {number} limit - Max entries
+   * @param {Function} callback - Called with sorted score entries
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(board, limit, callback) {
+    const query = this.getRef(board).orderByChild('score').limitToLast(limit);
+    const handler = (snapshot) => callback(snapshotToScores(snapshot));
+
+    query.on('value', handler);
+    return () => query.off('value', handler);
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * @file Leaderboard periods and their storage paths.
+ * Each period is a separate bucket so the global backend can query it directly:
+ *   all-time -> leaderboard
+ *   weekly   -> leaderboard_weekly/2026-W42
+ *   daily    -> leaderboard_daily/2026-10-19
+ *   challenge -> leaderboard_challenge/2026-10-19 (Daily Challenge runs only)
+ *   bossrush -> leaderboard_bossrush (Boss Rush runs only, all-time)
+ * Days and weeks follow the player's local calendar (weeks start on Monday, ISO 8601).
+ */
+
+/**
+ * Leaderboard period keys.
+ * @enum {string}
+ */
+export const LeaderboardPeriod = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  ALL_TIME: 'alltime',
+  CHALLENGE: 'challenge',
+  BOSS_RUSH: 'bossrush',
+};
+
+/**
+ * Periods in display order, with tab labels.
+ * @type {Array<{key: string, label: string}>}
+ */
+export const LEADERBOARD_PERIODS = [
+  { key: LeaderboardPeriod.DAILY, label: 'DAILY' },
+  { key: LeaderboardPeriod.WEEKLY, label: 'WEEKLY' },
+  { key: LeaderboardPeriod.ALL_TIME, label: 'ALL-TIME' },
+];
+
+/**
+ * Boards for Daily Challenge runs, which only compete with each other.
+ * @type {Array<{key: string, label: string}>}
+ */
+export const CHALLENGE_PERIODS = [
+  { key: LeaderboardPeriod.CHALLENGE, label: 'DAILY CHALLENGE' },
+];
+
+/**
+ * Board for Boss Rush runs, which only compete with each other. It ranks by
+ * score like every other board; clear times are personal bests only
+ * (ProgressManager.recordBossRush) since they are not part of the run summary.
+ * @type {Array<{key: string, label: string}>}
+ */
+export const BOSS_RUSH_PERIODS = [
+  { key: LeaderboardPeriod.BOSS_RUSH, label: 'BOSS RUSH' },
+];
+
+const BASE_PATH = 'leaderboard';
+
+/**
+ * Get the local calendar day key for a date.
+ * @param {Date} date
+ * @returns {string} e.g. '2026-10-19'
+ */
+export function getDayKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get local midnight of a day key.
+ * @param {string} dayKey - e.g. '2026-10-19'
+ * @returns {Date}
+ */
+export function parseDayKey(dayKey) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Get the ISO 8601 week key for a date.
+ * Weeks start on Monday; week 1 contains the year's first Thursday.
+ * @param {Date} date
+ * @returns {string} e.g. '2026-W42'
+ */
+export function getWeekKey(date) {
+  // Move to the Thursday of this week - its year is the week-numbering year
+  const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const weekday = (thursday.getDay() + 6) % 7; // Monday = 0
+  thursday.setDate(thursday.getDate() - weekday + 3);
+
+  const weekYear = thursday.getFullYear();
+  const startOfYear = new Date(weekYear, 0, 1);
+  const dayOfYear = Math.round((thursday - startOfYear) / 86400000);
+  const week = Math.floor(dayOfYear / 7) + 1;
+
+  return `${weekYear}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Get the storage path of a leaderboard bucket.
+ * @param {string} [period=LeaderboardPeriod.ALL_TIME] - Period key
+ * @param {Date} [date=new Date()] - Date inside the period
+ * @returns {string} Board path
+ */
+export function getBoardPath(period = LeaderboardPeriod.ALL_TIME, date = new Date()) {
+  switch (period) {
+    case LeaderboardPeriod.DAILY:
+      return `${BASE_PATH}_daily/${getDayKey(date)}`;
+    case LeaderboardPeriod.WEEKLY:
+      return `${BASE_PATH}_weekly/${getWeekKey(date)}`;
+    case LeaderboardPeriod.CHALLENGE:
+      return `${BASE_PATH}_challenge/${getDayKey(date)}`;
+    case LeaderboardPeriod.BOSS_RUSH:
+      return `${BASE_PATH}_bossrush`;
+    case LeaderboardPeriod.ALL_TIME:
+      return BASE_PATH;
+    default:
+      console.warn(`Unknown leaderboard period: ${period}`);
+      return BASE_PATH;
+  }
+}
@@ -1,69 +1,252 @@
 import { database } from './firebase.js';
+import FirebaseLeaderboardBackend from './FirebaseLeaderboardBackend.js';
+import LocalLeaderboardBackend from './LocalLeaderboardBackend.js';
+import { LeaderboardPeriod, LEADERBOARD_PERIODS, getBoardPath } from './LeaderboardPeriods.js';
+import { validateRun } from './RunValidator.js';
 
 /**
- * LeaderboardService - Handles all leaderboard operations with Firebase.
- * Uses Firebase compat SDK (CDN version).
+ * @typedef {Object} ScoreEntry
+ * @property {string} [id] - Backend-assigned entry ID
+ * @property {string} initials - 3-letter initials
+ * @property {number} score - Final score
+ * @property {number} wave - Wave reached
+ * @property {number} enemiesKilled - Total enemies killed
+ * @property {number} timeSurvived - Time survived in seconds
+ * @property {number} [maxCombo] - Longest kill chain (missing on older entries)
+ * @property {number} timestamp - Submission time (ms since epoch)
+ * @property {import('./RunValidator.js').RunSummary} run - Hashed run summary
+ */
+
+/**
+ * Storage backend for leaderboard entries.
+ * Implemented by FirebaseLeaderboardBackend and LocalLeaderboardBackend.
+ * @typedef {Object} LeaderboardBackend
+ * @property {'global'|'local'} source - Where this backend's scores come from
+ * @property {function(): boolean} isAvailable - Whether the backend can be used right now
+ * @property {function(string): string} createKey - Key for a new entry on a board, made without a round trip
+ * @property {function(string, ScoreEntry, string=): Promise<void>} push - Store an entry on a board under a key (rejects on failure)
+ * @property {function(string, number): Promise<ScoreEntry[]>} fetchTop - Top entries of a board, score descending
+ * @property {function(string, number, Function): Function} subscribe - Live updates, returns unsubscribe
+ */
+
+/**
+ * @typedef {Object} LeaderboardResult
+ * @property {ScoreEntry[]} scores - Entries sorted by score descending
+ * @property {'global'|'local'} source - Backend the scores were read from
+ */
+
+/**
+ * Which boards a score competes on.
+ * @typedef {Object} BoardSelection
+ * @property {Array<{key: string}>} [periods=LEADERBOARD_PERIODS] - Periods to use (CHALLENGE_PERIODS or BOSS_RUSH_PERIODS for those modes)
+ * @property {Date} [date] - Date the boards are for (defaults to now)
+ */
+
+/**
+ * @typedef {Object} PendingSubmission
+ * @property {string} board - Board path the entry is bound for
+ * @property {ScoreEntry} entry - Score entry
+ * @property {string} key - Global board key, reused on every retry
+ */
+
+const QUEUE_KEY = 'spacebear_leaderboard_queue';
+
+/**
+ * Rules an entry on a board is validated against (the Boss Rush board has its own).
+ * @param {string} board - Board path
+ * @returns {import('./RunValidator.js').RunValidationOptions}
+ */
+function getValidationOptions(board) {
+  return { bossRush: board === getBoardPath(LeaderboardPeriod.BOSS_RUSH) };
+}
+
+/**
+ * LeaderboardService - Handles all leaderboard operations.
+ * Reads and writes the global (Firebase) board when it is reachable and falls
+ * back to a local board otherwise. Submissions that fail to reach the global
+ * board are queued in localStorage and synced when the browser reconnects.
+ * Scores are submitted to the daily, weekly and all-time boards, or to the
+ * Daily Challenge or Boss Rush board for runs in those modes.
  */
 export default class LeaderboardService {
-  constructor() {
-    this.leaderboardRef = database.ref('leaderboard');
+  /**
+   * @param {Object} [backends]
+   * @param {LeaderboardBackend|null} [backends.remote=null] - Global backend (null for local-only)
+   * @param {LeaderboardBackend} [backends.local] - Local fallback backend
+   */
+  constructor({ remote = null, local = new LocalLeaderboardBackend() } = {}) {
+    this.remote = remote;
+    this.local = local;
     this.maxEntries = 10;
     this.listeners = [];
+    this.syncing = null;
+
+    // Flush queued submissions when the browser comes back online
+    this.handleOnline = () => this.syncPending();
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', this.handleOnline);
+    }
+
+    // Flush anything queued during a previous session
+    this.syncPending();
   }
 
   /**
-   * Submit a new score to the leaderboard.
+   * Check if the global leaderboard can be reached right now.
+   * @returns {boolean}
+   */
+  isRemoteAvailable() {
+    return !!this.remote && this.remote.isAvailable();
+  }
+
+  /**
+   * Submit a new score to the daily, weekly and all-time boards (or the given periods).
+   * The score is always recorded on the local boards. If the global board
+   * cannot be reached, the entry is queued and synced later. Entries whose
+   * run summary fails validation are rejected outright, local boards included,
+   * so the local boards never show a run the global board would refuse.
+   * Check runs with validateScore() before asking for initials.
    * @param {Object} entry - Score entry
    * @param {string} entry.initials - 3-letter initials
    * @param {number} entry.score - Final score
    * @param {number} entry.wave - Wave reached
    * @param {number} entry.enemiesKilled - Total enemies killed
    * @param {number} entry.timeSurvived - Time survived in seconds
-   * @returns {Promise<boolean>} True if score made the top 10
+   * @param {number} [entry.maxCombo=0] - Longest kill chain
+   * @param {import('./RunValidator.js').RunSummary} entry.run - Hashed run summary
+   * @param {BoardSelection} [boards]
+   * @returns {Promise<Object<string, boolean>>} Whether the score made each board's top 10, keyed by period
    */
-  async submitScore(entry) {
-    try {
-      const scoreData = {
-        initials: entry.initials.toUpperCase().substring(0, 3),
-        score: entry.score,
-        wave: entry.wave,
-        enemiesKilled: entry.enemiesKilled,
-        timeSurvived: entry.timeSurvived,
-        timestamp: Date.now(),
-      };
-
-      // Check if score qualifies
-      const qualifies = await this.checkIfQualifies(entry.score);
-
-      if (qualifies) {
-        await this.leaderboardRef.push(scoreData);
-        return true;
+  async submitScore(entry, { periods = LEADERBOARD_PERIODS, date } = {}) {
+    const now = new Date();
+    const boardDate = date || now;
+    const scoreData = {
+      initials: entry.initials.toUpperCase().substring(0, 3),
+      score: entry.score,
+      wave: entry.wave,
+      enemiesKilled: entry.enemiesKilled,
+      timeSurvived: entry.timeSurvived,
+      maxCombo: entry.maxCombo ?? 0,
+      timestamp: now.getTime(),
+      run: entry.run,
+    };
+
+    const results = {};
+    for (const { key: period } of periods) {
+      const board = getBoardPath(period, boardDate);
+      const { valid, errors } = validateRun(scoreData, getValidationOptions(board));
+      if (!valid) {
+        console.warn(`Rejected leaderboard entry for ${board}:`, errors.join('; '));
+        results[period] = false;
+        continue;
       }
+      results[period] = await this.submitToBoard(board, scoreData);
+    }
+    return results;
+  }
 
-      return false;
+  /**
+   * Check a finished run against the rules of every board it would be submitted to.
+   * Initials aren't entered yet, so they are not checked.
+   * @param {Object} stats - Run stats, as passed to submitScore() without initials
+   * @param {BoardSelection} [boards]
+   * @returns {import('./RunValidator.js').RunValidationResult}
+   */
+  validateScore(stats, { periods = LEADERBOARD_PERIODS, date } = {}) {
+    const entry = { ...stats, initials: '', maxCombo: stats.maxCombo ?? 0 };
+    const errors = new Set();
+    for (const { key: period } of periods) {
+      const board = getBoardPath(period, date || new Date());
+      validateRun(entry, getValidationOptions(board)).errors.forEach(error => errors.add(error));
+    }
+    return { valid: errors.size === 0, errors: [...errors] };
+  }
+
+  /**
+   * Submit an entry to one board on both backends.
+   * @param {string} board - Board path
+   * @param {ScoreEntry} entry - Score entry
+   * @returns {Promise<boolean>} True if the entry made the board's top 10
+   */
+  async submitToBoard(board, entry) {
+    let madeLocalBoard = false;
+    try {
+      madeLocalBoard = await this.pushIfQualifies(this.local, board, entry);
     } catch (error) {
-      console.error('Error submitting score:', error);
+      console.error('Error saving local score:', error);
+    }
+
+    if (!this.remote) {
+      return madeLocalBoard;
+    }
+
+    // A push that times out can still land later, so every retry writes the same key
+    const key = this.remote.createKey(board);
+    try {
+      if (!this.remote.isAvailable()) {
+        throw new Error('Global leaderboard is offline');
+      }
+      return await this.pushIfQualifies(this.remote, board, entry, key);
+    } catch (error) {
+      console.warn(`Error submitting score to ${board}, queued for sync:`, error);
+      this.enqueue({ board, entry, key });
+      return madeLocalBoard;
+    }
+  }
+
+  /**
+   * Push an entry to a backend if it makes that board's top 10.
+   * An entry already on the board under its key (an earlier write that timed
+   * out but landed) counts as pushed.
+   * @param {LeaderboardBackend} backend - Target backend
+   * @param {string} board - Board path
+   * @param {ScoreEntry} entry - Score entry
+   * @param {string} [key] - Entry key (generated by the backend if omitted)
+   * @returns {Promise<boolean>} True if the entry is on the board's top 10
+   */
+  async pushIfQualifies(backend, board, entry, key) {
+    const scores = await backend.fetchTop(board, this.maxEntries);
+    if (key && scores.some(score => score.id === key)) {
+      return true;
+    }
+    if (!this.qualifies(scores, entry.score)) {
       return false;
     }
+    await backend.push(board, entry, key);
+    return true;
   }
 
   /**
-   * Check if a score would make the top 10.
+   * Check a score against a sorted top-10 list.
+   * @param {ScoreEntry[]} scores - Entries sorted by score descending
    * @param {number} score - Score to check
+   * @returns {boolean}
+   */
+  qualifies(scores, score) {
+    // If less than 10 entries, always qualifies
+    if (scores.length < this.maxEntries) {
+      return true;
+    }
+
+    // Check if score beats the lowest top 10 score
+    return score > scores[scores.length - 1].score;
+  }
+
+  /**
+   * Check if a score would make the top 10 of any board.
+   * @param {number} score - Score to check
+   * @param {BoardSelection} [boards]
    * @returns {Promise<boolean>} True if score qualifies
    */
-  async checkIfQualifies(score) {
+  async checkIfQualifies(score, { periods = LEADERBOARD_PERIODS, date } = {}) {
     try {
-      const scores = await this.getTopScores();
-
-      // If less than 10 entries, always qualifies
-      if (scores.length < this.maxEntries) {
-        return true;
+      for (const { key: period } of periods) {
+        const { scores } = await this.loadBoard(period, date);
+        if (this.qualifies(scores, score)) {
+          return true;
+        }
       }
-
-      // Check if score beats the lowest top 10 score
-      const lowestScore = scores[scores.length - 1].score;
-      return score > lowestScore;
+      return false;
     } catch (error) {
       console.error('Error checking qualification:', error);
       // On error, allow submission attempt
@@ -72,72 +255,73 @@ export default class LeaderboardService {
   }
 
   /**
-   * Get the top 10 scores.
-   * @returns {Promise<Array>} Array of score entries sorted by score descending
+   * Load a board's top 10, preferring the global backend.
+   * @param {string} [period=LeaderboardPeriod.ALL_TIME] - Period key
+   * @param {Date} [date=new Date()] - Date inside the period
+   * @returns {Promise<LeaderboardResult>}
    */
-  async getTopScores() {
-    try {
-      const snapshot = await this.leaderboardRef
-        .orderByChild('score')
-        .limitToLast(this.maxEntries)
-        .once('value');
-
-      const scores = [];
-      snapshot.forEach((child) => {
-        scores.push({
-          id: child.key,
-          ...child.val(),
-        });
-      });
+  async loadBoard(period = LeaderboardPeriod.ALL_TIME, date = new Date()) {
+    const board = getBoardPath(period, date);
 
-      // Sort by score descending (limitToLast returns ascending)
-      return scores.sort((a, b) => b.score - a.score);
+    if (this.isRemoteAvailable()) {
+      try {
+        const scores = await this.remote.fetchTop(board, this.maxEntries);
+        return { scores, source: this.remote.source };
+      } catch (error) {
+        console.warn('Global leaderboard unavailable, showing local scores:', error);
+      }
+    }
+
+    try {
+      const scores = await this.local.fetchTop(board, this.maxEntries);
+      return { scores, source: this.local.source };
     } catch (error) {
       console.error('Error fetching scores:', error);
-      return [];
+      return { scores: [], source: this.local.source };
     }
   }
 
+  /**
+   * Get the top 10 scores.
+   * @param {string} [period=LeaderboardPeriod.ALL_TIME] - Period key
+   * @param {Date} [date=new Date()] - Date inside the period
+   * @returns {Promise<ScoreEntry[]>} Array of score entries sorted by score descending
+   */
+  async getTopScores(period = LeaderboardPeriod.ALL_TIME, date = new Date()) {
+    const { scores } = await this.loadBoard(period, date);
+    return scores;
+  }
+
   /**
    * Subscribe to real-time leaderboard updates.
-   * @param {Function} callback - Called with updated scores array
+   * @param {Function} callback - Called with (scores, source)
+   * @param {string} [period=LeaderboardPeriod.ALL_TIME] - Period key
+   * @param {Date} [date=new Date()] - Date inside the period
    * @returns {Function} Unsubscribe function
    */
-  subscribeToScores(callback) {
-    const query = this.leaderboardRef
-      .orderByChild('score')
-      .limitToLast(this.maxEntries);
-
-    const handler = (snapshot) => {
-      const scores = [];
-      snapshot.forEach((child) => {
-        scores.push({
-          id: child.key,
-          ...child.val(),
-        });
-      });
-
-      // Sort by score descending
-      callback(scores.sort((a, b) => b.score - a.score));
-    };
+  subscribeToScores(callback, period = LeaderboardPeriod.ALL_TIME, date = new Date()) {
+    const backend = this.isRemoteAvailable() ? this.remote : this.local;
+    const unsubscribe = backend.subscribe(getBoardPath(period, date), this.maxEntries, (scores) => {
+      callback(scores, backend.source);
+    });
 
-    query.on('value', handler);
-
-    const unsubscribe = () => query.off('value', handler);
     this.listeners.push(unsubscribe);
     return unsubscribe;
   }
 
   /**
-   * Get the rank a score would achieve.
+   * Get the rank a score would achieve on a board.
+   * Ties share the higher rank, so a submitted score reports its own position.
    * @param {number} score - Score to check
+   * @param {string} [period=LeaderboardPeriod.ALL_TIME] - Period key
+   * @param {Date} [date=new Date()] - Date inside the period
    * @returns {Promise<number>} Rank (1-based), or -1 if not in top 10
    */
-  async getRank(score) {
-    const scores = await this.getTopScores();
+  async getRank(score, period = LeaderboardPeriod.ALL_TIME, date = new Date()) {
+    const scores = await this.getTopScores(period, date);
 
     for (let i = 0; i < scores.length; i++) {
-      if (score > scores[i].score) {
+      if (score >= scores[i].score) {
         return i + 1;
       }
     }
@@ -149,14 +333,133 @@ export default class LeaderboardService {
     return -1;
   }
 
+  /**
+   * Get the rank a score would achieve on every board.
+   * @param {number} score - Score to check
+   * @param {BoardSelection} [boards]
+   * @returns {Promise<Object<string, number>>} Ranks keyed by period (-1 if not in top 10)
+   */
+  async getRanks(score, { periods = LEADERBOARD_PERIODS, date } = {}) {
+    const ranks = {};
+    for (const { key: period } of periods) {
+      ranks[period] = await this.getRank(score, period, date);
+    }
+    return ranks;
+  }
+
+  /**
+   * Get submissions waiting to reach the global board.
+   * @returns {PendingSubmission[]}
+   */
+  getPendingScores() {
+    try {
+      const saved = localStorage.getItem(QUEUE_KEY);
+      return saved ? JSON.parse(saved) : [];
+    } catch (e) {
+      console.warn('Failed to load pending scores:', e);
+      return [];
+    }
+  }
+
+  /**
+   * Get the number of scores waiting to sync.
+   * Each score is queued once per board, so entries are counted by submission time.
+   * @returns {number}
+   */
+  getPendingCount() {
+    return new Set(this.getPendingScores().map(({ entry }) => entry.timestamp)).size;
+  }
+
+  /**
+   * Replace the pending submission queue.
+   * @param {PendingSubmission[]} entries
+   */
+  savePendingScores(entries) {
+    try {
+      if (entries.length > 0) {
+        localStorage.setItem(QUEUE_KEY, JSON.stringify(entries));
+      } else {
+        localStorage.removeItem(QUEUE_KEY);
+      }
+    } catch (e) {
+      console.warn('Failed to save pending scores:', e);
+    }
+  }
+
+  /**
+   * Queue a submission for the next sync.
+   * @param {PendingSubmission} submission
+   */
+  enqueue(submission) {
+    this.savePendingScores([...this.getPendingScores(), submission]);
+  }
+
+  /**
+   * Push queued submissions to the global board.
+   * Concurrent calls share the same sync.
+   * @returns {Promise<number>} Number of entries synced
+   */
+  syncPending() {
+    if (!this.syncing) {
+      this.syncing = this.flushQueue().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  /**
+   * Send queued entries in order, stopping at the first failure.
+   * @returns {Promise<number>} Number of entries synced
+   */
+  async flushQueue() {
+    if (!this.isRemoteAvailable()) return 0;
+
+    const pending = this.getPendingScores();
+    let processed = 0;
+    let synced = 0;
+
+    for (const { board, entry, key } of pending) {
+      // Drop entries the server would refuse (e.g. queued before run summaries)
+      if (!validateRun(entry, getValidationOptions(board)).valid) {
+        processed++;
+        continue;
+      }
+
+      try {
+        await this.pushIfQualifies(this.remote, board, entry, key);
+        processed++;
+        synced++;
+      } catch (error) {
+        console.warn('Score sync failed, will retry:', error);
+        break;
+      }
+    }
+
+    if (processed > 0) {
+      // Re-read so entries queued while syncing are kept
+      this.savePendingScores(this.getPendingScores().slice(processed));
+    }
+    if (synced > 0) {
+      console.log(`Synced ${synced} queued score(s) to the global leaderboard`);
+    }
+    return synced;
+  }
+
   /**
    * Clean up listeners.
    */
   destroy() {
     this.listeners.forEach(unsubscribe => unsubscribe());
     this.listeners = [];
+
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', this.handleOnline);
+    }
   }
 }
 
 // Singleton instance
-export const leaderboardService = new LeaderboardService();
+export const leaderboardService = new LeaderboardService({
+  remote: database ? new FirebaseLeaderboardBackend(database) : null,
+});
@@ -0,0 +1,151 @@
+/**
+ * @typedef {import('./LeaderboardService.js').ScoreEntry} ScoreEntry
+ */
+
+const STORAGE_KEY = 'spacebear_leaderboard';
+
+/** Entries kept per board - more than the displayed top 10 so ranks stay meaningful */
+const MAX_STORED_ENTRIES = 50;
+
+/** Boards kept on the device - old daily/weekly boards are dropped first */
+const MAX_STORED_BOARDS = 20;
+
+/**
+ * Newest entry timestamp on a board (used to evict stale boards).
+ * @param {ScoreEntry[]} entries
+ * @returns {number}
+ */
+function latestTimestamp(entries) {
+  return entries.reduce((latest, entry) => Math.max(latest, entry.timestamp || 0), 0);
+}
+
+/**
+ * LocalLeaderboardBackend - Leaderboard stored in this browser's localStorage.
+ * Always available, so the game has a working leaderboard with no network.
+ * Boards are stored by path, mirroring the Firebase bucket layout.
+ * Implements the LeaderboardBackend interface used by LeaderboardService.
+ */
+export default class LocalLeaderboardBackend {
+  /**
+   * @param {string} [storageKey=STORAGE_KEY] - localStorage key
+   */
+  constructor(storageKey = STORAGE_KEY) {
+    this.storageKey = storageKey;
+    /** @type {'local'} */
+    this.source = 'local';
+    /** @type {Set<{board: string, listener: Function}>} */
+    this.listeners = new Set();
+    /** @type {number} Keys handed out by createKey() */
+    this.keyCount = 0;
+  }
+
+  /**
+   * Local storage is always reachable.
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Read all stored boards.
+   * @returns {Object<string, ScoreEntry[]>} Entries keyed by board path
+   */
+  load() {
+    try {
+      const saved = localStorage.getItem(this.storageKey);
+      return saved ? JSON.parse(saved) : {};
+    } catch (e) {
+      console.warn('Failed to load local leaderboard:', e);
+      return {};
+    }
+  }
+
+  /**
+   * Write boards, keeping the best MAX_STORED_ENTRIES per board
+   * and the MAX_STORED_BOARDS most recently used boards.
+   * @param {Object<string, ScoreEntry[]>} boards
+   */
+  save(boards) {
+    try {
+      const kept = Object.entries(boards)
+        .sort(([, a], [, b]) => latestTimestamp(b) - latestTimestamp(a))
+        .slice(0, MAX_STORED_BOARDS)
+        .map(([board, entries]) => [
+          board,
+          [...entries].sort((a, b) => b.score - a.score).slice(0, MAX_STORED_ENTRIES),
+        ]);
+      localStorage.setItem(this.storageKey, JSON.stringify(Object.fromEntries(kept)));
+    } catch (e) {
+      console.warn('Failed to save local leaderboard:', e);
+    }
+  }
+
+  /**
+   * Generate a key for a new entry.
+   * @param {string} board - Board path
+   * @returns {string}
+   */
+  createKey(board) {
+    return `local-${Date.now()}-${this.keyCount++}`;
+  }
+
+  /**
+   * Store a score entry.
+   * @param {string} board - Board path
+   * @param {ScoreEntry} entry - Score entry
+   * @param {string} [key] - Entry key from createKey() (generated if omitted)
+   * @returns {Promise<void>}
+   */
+  async push(board, entry, key) {
+    const boards = this.load();
+    const entries = boards[board] || [];
+    entries.push({ id: key || `local-${entry.timestamp}-${entries.length}`, ...entry });
+    boards[board] = entries;
+    this.save(boards);
+    this.notify(board);
+  }
+
+  /**
+   * Fetch the top scores.
+   * @param {string} board - Board path
+   * @param {number} limit - Max entries
+   * @returns {Promise<ScoreEntry[]>} Entries sorted by score descending
+   */
+  async fetchTop(board, limit) {
+    const entries = this.load()[board] || [];
+    return entries
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Subscribe to changes made through this backend.
+   * Calls back immediately with the current scores.
+   * @param {string} board - Board path
+   * @param {number} limit - Max entries
+   * @param {Function} callback - Called with sorted score entries
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(board, limit, callback) {
+    const subscription = {
+      board,
+      listener: async () => callback(await this.fetchTop(board, limit)),
+    };
+    this.listeners.add(subscription);
+    subscription.listener();
+    return () => this.listeners.delete(subscription);
+  }
+
+  /**
+   * Notify subscribers that a board changed.
+   * @param {string} board - Board path
+   */
+  notify(board) {
+    this.listeners.forEach((subscription) => {
+      if (subscription.board === board) {
+        subscription.listener();
+      }
+    });
+  }
+}
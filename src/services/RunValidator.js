@@ -0,0 +1,311 @@
+import GameConfig from '../config/GameConfig.js';
+
+/**
+ * Run summaries and leaderboard entry validation.
+ *
+ * A run summary records what happened during a run in a form compact enough to
+ * store next to the score. The validator checks that the score and stats are
+ * possible for that summary. The same limits are compiled into the Firebase
+ * database rules (see scripts/build-database-rules.js), so a hand-crafted push
+ * is rejected by the server as well as by the client.
+ *
+ * The checksum only catches edits to a finished entry. Rules cannot compute
+ * hashes, so the server relies on the limits alone.
+ */
+
+/**
+ * @typedef {Object} RunSummary
+ * @property {number} v - Summary format version
+ * @property {number} seed - Seed the run was played with
+ * @property {number} duration - Run length in seconds
+ * @property {Object<string, number>} kills - Kills per enemy type (every type present)
+ * @property {number} mines - Mines destroyed
+ * @property {Object<string, number>} bosses - Bosses defeated per boss type (every type present)
+ * @property {Object<string, number>} parts - Boss parts destroyed per boss type (every type present)
+ * @property {string} hash - Checksum of the summary and score
+ */
+
+/**
+ * @typedef {Object} RunValidationResult
+ * @property {boolean} valid - True if the entry is possible
+ * @property {string[]} errors - Reasons the entry was rejected
+ */
+
+/**
+ * Which rules a run is checked against.
+ * @typedef {Object} RunValidationOptions
+ * @property {boolean} [bossRush=false] - Boss Rush run: bosses come back to back instead of between waves
+ */
+
+/**
+ * Fill a count map so every registered type has an entry.
+ * @param {Object<string, *>} registry - Type registry (ENEMY.TYPES or BOSS.TYPES)
+ * @param {Object<string, number>} [counts={}] - Recorded counts
+ * @returns {Object<string, number>}
+ */
+function fillCounts(registry, counts = {}) {
+  const filled = {};
+  for (const type of Object.keys(registry)) {
+    filled[type] = counts[type] || 0;
+  }
+  return filled;
+}
+
+/**
+ * 32-bit FNV-1a hash as 8 hex characters.
+ * @param {string} text
+ * @returns {string}
+ */
+export function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Compute the checksum for a run summary and the score it produced.
+ * Keys are sorted so the result does not depend on property order.
+ * @param {RunSummary} summary - Summary (hash field is ignored)
+ * @param {number} score - Final score
+ * @returns {string}
+ */
+export function hashRunSummary(summary, score) {
+  const counts = (map) => Object.keys(map).sort().map(key => `${key}=${map[key]}`).join(',');
+  return fnv1a([
+    summary.v,
+    score,
+    summary.seed,
+    summary.duration,
+    counts(summary.kills),
+    summary.mines,
+    counts(summary.bosses),
+    counts(summary.parts),
+  ].join('|'));
+}
+
+/**
+ * Build a hashed run summary.
+ * @param {Object} run
+ * @param {number} run.seed - Seed the run was played with
+ * @param {number} run.duration - Run length in seconds
+ * @param {Object<string, number>} run.kills - Kills per enemy type
+ * @param {number} run.mines - Mines destroyed
+ * @param {Object<string, number>} run.bosses - Bosses defeated per boss type
+ * @param {Object<string, number>} [run.parts] - Boss parts destroyed per boss type
+ * @param {number} score - Final score
+ * @returns {RunSummary}
+ */
+export function createRunSummary({ seed, duration, kills, mines, bosses, parts }, score) {
+  const summary = {
+    v: GameConfig.RUN_VALIDATION.SUMMARY_VERSION,
+    seed,
+    duration,
+    kills: fillCounts(GameConfig.ENEMY.TYPES, kills),
+    mines,
+    bosses: fillCounts(GameConfig.BOSS.TYPES, bosses),
+    parts: fillCounts(GameConfig.BOSS.TYPES, parts),
+  };
+  summary.hash = hashRunSummary(summary, score);
+  return summary;
+}
+
+/**
+ * Points for defeating a boss of a type (its parts are scored separately).
+ * @param {Object} config - Boss type config
+ * @returns {number}
+ */
+export function getBossPoints(config) {
+  return config.points || GameConfig.BOSS.POINTS;
+}
+
+/**
+ * Points for the most valuable part of a boss type, and how many parts it has.
+ * Parts score when they are destroyed, whether or not the boss falls.
+ * @param {Object} config - Boss type config
+ * @returns {{maxPoints: number, count: number}}
+ */
+export function getBossPartLimits(config) {
+  const parts = Object.values(config.parts || {});
+  return {
+    maxPoints: Math.max(0, ...parts.map(part => part.points || 0)),
+    count: parts.length,
+  };
+}
+
+/**
+ * Highest score the kills in a summary can be worth (every enemy at the
+ * highest kill chain multiplier, every part at its boss's top part value).
+ * @param {RunSummary} summary
+ * @returns {number}
+ */
+export function getMaxScore(summary) {
+  let total = summary.mines * GameConfig.MINE.POINTS;
+  for (const [type, config] of Object.entries(GameConfig.ENEMY.TYPES)) {
+    total += summary.kills[type] * config.points * GameConfig.COMBO.MAX_MULTIPLIER;
+  }
+  for (const [type, config] of Object.entries(GameConfig.BOSS.TYPES)) {
+    total += summary.bosses[type] * getBossPoints(config);
+    total += summary.parts[type] * getBossPartLimits(config).maxPoints;
+  }
+  return total;
+}
+
+/**
+ * Earliest first boss and shortest time between bosses, in whole seconds.
+ * Boss Rush skips the waves, so its bosses only wait for the refit breaks.
+ * @param {RunValidationOptions} [options]
+ * @returns {{firstBossSeconds: number, bossSeconds: number}}
+ */
+export function getBossSpacing({ bossRush = false } = {}) {
+  if (bossRush) {
+    return {
+      firstBossSeconds: GameConfig.BOSS_RUSH.START_DELAY / 1000,
+      bossSeconds: GameConfig.BOSS_RUSH.REFIT_DELAY / 1000,
+    };
+  }
+  return {
+    firstBossSeconds: GameConfig.BOSS.FIRST_SPAWN_DELAY / 1000,
+    bossSeconds: GameConfig.BOSS.SPAWN_INTERVAL / 1000,
+  };
+}
+
+/**
+ * Most mines a single spawn can produce with any challenge modifier.
+ * @returns {number}
+ */
+export function getMaxMinesPerSpawn() {
+  const counts = Object.values(GameConfig.DAILY_CHALLENGE.MODIFIERS).map(m => m.minesPerSpawn || 1);
+  return Math.max(1, ...counts);
+}
+
+/**
+ * Limits that depend only on run length.
+ * Written as "(count - 1) * interval <= time" so the database rules can use
+ * the same comparison without floor(). Mines can arrive several at a time, so
+ * that check becomes "(mines - perSpawn) * interval <= time * perSpawn".
+ * @param {number} duration - Run length in seconds
+ * @param {RunValidationOptions} [options]
+ * @returns {{maxKills: number, waveOk: function(number): boolean,
+ *   bossesOk: function(number): boolean, minesOk: function(number): boolean}}
+ */
+export function getRunLimits(duration, options = {}) {
+  const waveSeconds = GameConfig.DIFFICULTY.INTERVAL / 1000;
+  const { firstBossSeconds, bossSeconds } = getBossSpacing(options);
+  const mineSeconds = GameConfig.DIFFICULTY.MIN_MINE_SPAWN_INTERVAL / 1000;
+  const minesPerSpawn = getMaxMinesPerSpawn();
+
+  return {
+    maxKills: (duration + 1) * GameConfig.RUN_VALIDATION.MAX_KILLS_PER_SECOND,
+    waveOk: (wave) => (wave - 1) * waveSeconds <= duration,
+    bossesOk: (bosses) => (bosses - 1) * bossSeconds <= duration - firstBossSeconds,
+    minesOk: (mines) => (mines - minesPerSpawn) * mineSeconds <= duration * minesPerSpawn,
+  };
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Check a count map contains exactly the registered types.
+ * @param {Object<string, number>} counts
+ * @param {Object<string, *>} registry
+ * @returns {boolean}
+ */
+function isCountMap(counts, registry) {
+  if (!counts || typeof counts !== 'object') return false;
+  const keys = Object.keys(counts);
+  return keys.length === Object.keys(registry).length &&
+    keys.every(key => key in registry && isCount(counts[key]));
+}
+
+/**
+ * Validate a leaderboard entry against its run summary.
+ * @param {Object} entry - Score entry with a `run` summary
+ * @param {RunValidationOptions} [options]
+ * @returns {RunValidationResult}
+ */
+export function validateRun(entry, options = {}) {
+  const errors = [];
+  const run = entry?.run;
+
+  if (!run || typeof run !== 'object') {
+    return { valid: false, errors: ['missing run summary'] };
+  }
+  if (run.v !== GameConfig.RUN_VALIDATION.SUMMARY_VERSION) {
+    errors.push(`unsupported summary version: ${run.v}`);
+  }
+
+  const initials = entry.initials;
+  if (typeof initials !== 'string' || initials.length > GameConfig.RUN_VALIDATION.MAX_INITIALS_LENGTH) {
+    errors.push('invalid initials');
+  }
+  for (const field of ['score', 'wave', 'enemiesKilled', 'timeSurvived']) {
+    if (!isCount(entry[field])) errors.push(`invalid ${field}`);
+  }
+  // Entries from before kill chains have no maxCombo
+  if (entry.maxCombo !== undefined && !isCount(entry.maxCombo)) {
+    errors.push('invalid maxCombo');
+  }
+  for (const field of ['seed', 'duration', 'mines']) {
+    if (!isCount(run[field])) errors.push(`invalid run ${field}`);
+  }
+  if (!isCountMap(run.kills, GameConfig.ENEMY.TYPES)) errors.push('invalid kill counts');
+  if (!isCountMap(run.bosses, GameConfig.BOSS.TYPES)) errors.push('invalid boss counts');
+  if (!isCountMap(run.parts, GameConfig.BOSS.TYPES)) errors.push('invalid boss part counts');
+
+  // Later checks need well-formed numbers
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  if (run.hash !== hashRunSummary(run, entry.score)) {
+    errors.push('checksum mismatch');
+  }
+
+  const totalKills = Object.values(run.kills).reduce((sum, count) => sum + count, 0);
+  if (totalKills !== entry.enemiesKilled) {
+    errors.push(`enemiesKilled ${entry.enemiesKilled} does not match kill counts ${totalKills}`);
+  }
+  if (entry.maxCombo > totalKills) {
+    errors.push(`maxCombo ${entry.maxCombo} is longer than ${totalKills} kills`);
+  }
+  if (run.duration !== entry.timeSurvived) {
+    errors.push(`timeSurvived ${entry.timeSurvived} does not match run length ${run.duration}`);
+  }
+
+  const maxScore = getMaxScore(run);
+  if (entry.score > maxScore) {
+    errors.push(`score ${entry.score} exceeds ${maxScore} allowed for these kills`);
+  }
+
+  const limits = getRunLimits(run.duration, options);
+  const totalBosses = Object.values(run.bosses).reduce((sum, count) => sum + count, 0);
+  if (totalKills > limits.maxKills) {
+    errors.push(`${totalKills} kills is too many for ${run.duration}s`);
+  }
+  if (!limits.waveOk(entry.wave)) {
+    errors.push(`wave ${entry.wave} is unreachable in ${run.duration}s`);
+  }
+  if (!limits.bossesOk(totalBosses)) {
+    errors.push(`${totalBosses} bosses is too many for ${run.duration}s`);
+  }
+  if (!limits.minesOk(run.mines)) {
+    errors.push(`${run.mines} mines is too many for ${run.duration}s`);
+  }
+  // Parts of every boss defeated, plus one boss still fighting when the run ended
+  for (const [type, config] of Object.entries(GameConfig.BOSS.TYPES)) {
+    if (run.parts[type] > (run.bosses[type] + 1) * getBossPartLimits(config).count) {
+      errors.push(`${run.parts[type]} ${type} parts is too many for ${run.bosses[type]} defeated`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
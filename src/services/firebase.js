@@ -2,6 +2,9 @@
  * Firebase configuration using CDN (compat) SDK.
  * Scripts loaded in index.html provide global 'firebase' object.
  * Config loaded from environment variables (set in .env.local or GitHub secrets).
+ *
+ * When the CDN scripts fail to load (offline, blocked) or no database URL is
+ * configured, `database` is null and the leaderboard falls back to local storage.
  */
 
 const firebaseConfig = {
@@ -14,8 +17,25 @@ const firebaseConfig = {
   appId: import.meta.env.VITE_FIREBASE_APP_ID,
 };
 
-// Initialize Firebase
-firebase.initializeApp(firebaseConfig);
-const database = firebase.database();
+/**
+ * Initialize Firebase if the SDK and config are present.
+ * @returns {Object|null} Realtime Database instance or null
+ */
+function initDatabase() {
+  if (typeof firebase === 'undefined' || !firebaseConfig.databaseURL) {
+    console.warn('Firebase unavailable - leaderboard will use local storage');
+    return null;
+  }
+
+  try {
+    firebase.initializeApp(firebaseConfig);
+    return firebase.database();
+  } catch (error) {
+    console.warn('Failed to initialize Firebase:', error);
+    return null;
+  }
+}
+
+const database = initDatabase();
 
 export { database };
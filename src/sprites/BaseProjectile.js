@@ -1,5 +1,7 @@
 import Phaser from 'phaser';
 import GameConfig from '../config/GameConfig.js';
+import { findNearestTarget, turnTowards } from '../systems/Homing.js';
+import { getCurveSpeed } from './BulletPattern.js';
 
 /**
  * @file Base class for all projectiles (player bullets, enemy bullets, etc.)
@@ -53,11 +55,62 @@ export default class BaseProjectile extends Phaser.Physics.Arcade.Sprite {
     this.speed = speed;
     /** @type {-1|1} Direction: -1=up, 1=down */
     this.direction = direction;
+    /** @type {string|null} Projectile type key from GameConfig.PROJECTILES */
+    this.projectileType = null;
+    /** @type {number} Damage dealt per hit */
+    this.damage = 1;
+    /** @type {boolean} Whether this projectile passes through targets */
+    this.piercing = false;
+    /** @type {Set<Phaser.GameObjects.GameObject>} Targets already hit by this shot */
+    this.hitTargets = new Set();
+    /** @type {'straight'|'homing'|'beam'} How this projectile flies */
+    this.motion = 'straight';
+    /** @type {number} Homing turn rate in radians per second */
+    this.turnRate = 0;
+    /** @type {number} Direction of travel in radians */
+    this.heading = direction * Math.PI / 2;
+    /** @type {Phaser.GameObjects.GameObject|null} What a homing projectile is steering towards */
+    this.target = null;
+    /** @type {import('../config/GameConfig.js').SpeedCurveConfig|null} Speed change over the projectile's flight */
+    this.speedCurve = null;
+    /** @type {number} Time since the projectile was fired (ms), tracked for speed curves */
+    this.age = 0;
 
     this.setActive(false);
     this.setVisible(false);
   }
 
+  /**
+   * Apply a projectile type's visuals and stats to this projectile.
+   * Pooled projectiles are reused across weapon types, so this is called before fire().
+   * @param {string} type - Projectile type key from GameConfig.PROJECTILES
+   * @returns {this}
+   */
+  setProjectileType(type) {
+    const config = BaseProjectile.getTypeConfig(type);
+    if (!config) {
+      console.warn(`Unknown projectile type: ${type}`);
+      return this;
+    }
+
+    // Only swap texture when the type actually changes
+    if (this.projectileType !== type) {
+      this.setTexture(config.texture, config.frame);
+      if (this.body) {
+        this.body.setSize();
+      }
+    }
+
+    this.projectileType = type;
+    this.speed = config.speed;
+    this.direction = config.direction;
+    this.damage = config.damage ?? 1;
+    this.piercing = config.piercing === true;
+    this.motion = config.motion || 'straight';
+    this.turnRate = config.turnRate ?? 0;
+    return this;
+  }
+
   /**
    * Fire the projectile from a position.
    * Called when getting projectile from pool.
@@ -66,11 +119,38 @@ export default class BaseProjectile extends Phaser.Physics.Arcade.Sprite {
    * @param {number} [spreadX=0] - Horizontal spread factor (-1 to 1, multiplied by speed)
    */
   fire(x, y, spreadX = 0) {
+    this.hitTargets.clear();
+    this.target = null;
+    this.speedCurve = null;
     this.setPosition(x, y);
     this.setActive(true);
     this.setVisible(true);
     this.setVelocityY(this.speed * this.direction);
     this.setVelocityX(this.speed * spreadX);
+
+    // Homing projectiles point where they are going; pooled ones may have been turned
+    this.heading = Math.atan2(this.direction, spreadX);
+    this.setRotation(this.motion === 'homing' ? this.heading + Math.PI / 2 : 0);
+  }
+
+  /**
+   * Fire the projectile in any direction, e.g. from a boss bullet pattern.
+   * @param {number} x - Starting X position
+   * @param {number} y - Starting Y position
+   * @param {number} angle - Direction in radians (0 = right, PI/2 = down)
+   * @param {number} speed - Starting speed
+   * @param {import('../config/GameConfig.js').SpeedCurveConfig|null} [speedCurve=null] - Speed change over the flight
+   */
+  fireAt(x, y, angle, speed, speedCurve = null) {
+    this.hitTargets.clear();
+    this.target = null;
+    this.speedCurve = speedCurve;
+    this.age = 0;
+    this.heading = angle;
+    this.setPosition(x, y);
+    this.setActive(true);
+    this.setVisible(true);
+    this.setVelocity(Math.cos(angle) * speed, Math.sin(angle) * speed);
   }
 
   /**
@@ -80,12 +160,47 @@ export default class BaseProjectile extends Phaser.Physics.Arcade.Sprite {
   preUpdate(time, delta) {
     super.preUpdate(time, delta);
 
+    if (this.motion === 'homing') {
+      this.steer(delta);
+    } else if (this.speedCurve) {
+      this.age += delta;
+      const speed = getCurveSpeed(this.speedCurve, this.age);
+      this.setVelocity(Math.cos(this.heading) * speed, Math.sin(this.heading) * speed);
+    }
+
     if (this.isOffScreen()) {
       this.setActive(false);
       this.setVisible(false);
     }
   }
 
+  /**
+   * Turn towards the nearest target (picking a new one when it is destroyed)
+   * by at most turnRate, keeping the projectile's speed.
+   * @param {number} delta - Step length in ms
+   */
+  steer(delta) {
+    if (!this.target || !this.target.active || this.target.isDying) {
+      this.target = findNearestTarget(this.x, this.y, this.getHomingTargets());
+    }
+
+    if (this.target) {
+      const targetHeading = Math.atan2(this.target.y - this.y, this.target.x - this.x);
+      this.heading = turnTowards(this.heading, targetHeading, this.turnRate * delta / 1000);
+    }
+
+    this.setVelocity(Math.cos(this.heading) * this.speed, Math.sin(this.heading) * this.speed);
+    this.setRotation(this.heading + Math.PI / 2);
+  }
+
+  /**
+   * Targets a homing projectile can pick from. Subclasses override this.
+   * @returns {Phaser.GameObjects.GameObject[]}
+   */
+  getHomingTargets() {
+    return [];
+  }
+
   /**
    * Check if the projectile is off-screen.
    * Subclasses must override this method.
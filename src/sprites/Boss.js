@@ -1,14 +1,23 @@
 import Phaser from 'phaser';
 import GameConfig from '../config/GameConfig.js';
-import { SprayAttack, AimedAttack, RingAttack, SummonAttack } from './BossAttacks.js';
+import { getAttack } from './BossAttacks.js';
+import BossPart from './BossPart.js';
+
+/**
+ * Extra toughness for a boss fought again (Boss Rush loops).
+ * @typedef {Object} BossScaling
+ * @property {number} [healthMult=1] - Boss and part health multiplier
+ * @property {number} [speedMult=1] - Movement and attack speed multiplier
+ */
 
 /**
  * Boss enemy class - supports multiple boss types from config.
- * Multi-phase boss with different attack patterns per phase.
+ * Multi-phase boss: each type lists its phases (BossPhaseConfig), and as
+ * health falls the boss moves through them, changing attacks, cooldowns,
+ * movement and tint. Phases are numbered from 1.
  * Uses single sprite frame with code-based visual effects.
- * Phase 1 (100-66%): Basic attacks
- * Phase 2 (66-33%): + more attacks
- * Phase 3 (33-0%): + all attacks, faster cooldowns
+ * Types can add destructible parts (see BossPart); health and phases
+ * belong to the core, the boss sprite itself.
  */
 export default class Boss extends Phaser.GameObjects.Sprite {
   /**
@@ -28,14 +37,29 @@ export default class Boss extends Phaser.GameObjects.Sprite {
     return Object.keys(GameConfig.BOSS.TYPES);
   }
 
+  /**
+   * Find the phase for a health level: the last one whose threshold it has reached
+   * @param {import('../config/GameConfig.js').BossPhaseConfig[]} phases
+   * @param {number} healthPercent - Health left (0-1)
+   * @returns {number} Phase number (from 1)
+   */
+  static getPhaseForHealth(phases, healthPercent) {
+    let phase = 1;
+    phases.forEach((config, i) => {
+      if (healthPercent <= config.threshold) phase = i + 1;
+    });
+    return phase;
+  }
+
   /**
    * Create a boss of the specified type
    * @param {Phaser.Scene} scene
    * @param {number} x
    * @param {number} y
    * @param {string} [type='megaship'] - Boss type from BOSS.TYPES
+   * @param {BossScaling} [scaling]
    */
-  constructor(scene, x, y, type = 'megaship') {
+  constructor(scene, x, y, type = 'megaship', { healthMult = 1, speedMult = 1 } = {}) {
     // Get type config
     const typeConfig = Boss.getTypeConfig(type);
     if (!typeConfig) {
@@ -57,64 +81,56 @@ export default class Boss extends Phaser.GameObjects.Sprite {
 
     // Boss stats from type config (with defaults from BOSS)
     const cfg = GameConfig.BOSS;
-    this.maxHealth = tc.health || cfg.MAX_HEALTH;
+    this.maxHealth = Math.round((tc.health || cfg.MAX_HEALTH) * healthMult);
     this.health = this.maxHealth;
     this.points = tc.points || cfg.POINTS;
+    this.lastHitBy = null; // ship credited with the kill
     this.collisionDamage = cfg.COLLISION_DAMAGE;
     this.bossName = tc.name || 'Unknown Boss';
 
+    // Challenge modifiers and scaling can speed up movement and attacks
+    const bossSpeed = scene.modifiers.bossSpeed * speedMult;
+
     // Movement properties (type can override speed)
-    this.speed = tc.speed || cfg.SPEED;
+    this.speed = (tc.speed || cfg.SPEED) * bossSpeed;
     this.enterSpeed = cfg.ENTER_SPEED;
     this.targetY = cfg.Y_POSITION;
     this.movementRange = cfg.MOVEMENT_RANGE;
     this.movementDirection = 1; // 1 = right, -1 = left
     this.isEntering = true;
 
-    // Phase thresholds
-    this.phase2Threshold = cfg.PHASE_2_THRESHOLD;
-    this.phase3Threshold = cfg.PHASE_3_THRESHOLD;
+    // Dash movement state
+    this.dashTargetX = null;
+    this.dashPause = 0;
+
+    // Phases (attacks, movement and tint as health falls)
+    /** @type {import('../config/GameConfig.js').BossPhaseConfig[]} */
+    this.phases = tc.phases || cfg.DEFAULT_PHASES;
     this.currentPhase = 1;
 
     // Attack timing (type can have cooldown multipliers)
-    this.sprayCooldown = cfg.SPRAY_COOLDOWN * (tc.sprayCooldownMult || 1);
-    this.aimedCooldown = cfg.AIMED_COOLDOWN * (tc.aimedCooldownMult || 1);
-    this.summonCooldown = cfg.SUMMON_COOLDOWN * (tc.summonCooldownMult || 1);
-    this.ringCooldown = cfg.RING_COOLDOWN * (tc.ringCooldownMult || 1);
-    this.phase3SpeedMult = cfg.PHASE_3_SPEED_MULT;
-
-    this.lastSprayTime = 0;
-    this.lastAimedTime = 0;
-    this.lastSummonTime = 0;
-    this.lastRingTime = 0;
-
-    // Attack parameters (type can override)
-    this.sprayBulletCount = cfg.SPRAY_BULLET_COUNT;
-    this.sprayAngle = cfg.SPRAY_ANGLE;
-    this.sprayBulletSpeed = cfg.SPRAY_BULLET_SPEED;
-    this.aimedBulletCount = cfg.AIMED_BULLET_COUNT;
-    this.aimedBulletSpeed = cfg.AIMED_BULLET_SPEED;
-    this.ringBulletCount = tc.ringBulletCount || cfg.RING_BULLET_COUNT;
-    this.ringBulletSpeed = cfg.RING_BULLET_SPEED;
+    this.bossSpeed = bossSpeed;
+    /** @type {Object<string, number>} When each attack was last used */
+    this.lastAttackTimes = {};
+
     this.summonFighters = tc.summonCount || cfg.SUMMON_FIGHTERS;
     this.summonHeavies = tc.summonCount || cfg.SUMMON_HEAVIES;
 
-    // Type-specific attack lists
-    this.attacks = tc.attacks || ['spray', 'aimed'];
-    this.phase3Attacks = tc.phase3Attacks || ['spray', 'aimed', 'ring'];
     this.summonTypes = tc.summonTypes || ['fighter', 'heavy'];
 
     // Bullet group reference (set by BossManager)
     this.bulletGroup = null;
 
     // State flags
-    this.isAttacking = false;
     this.isDying = false;
+    /** @type {number} Bullet patterns still running (its own and its parts') */
+    this.runningPatterns = 0;
 
     // Set up physics body manually (not using physics group)
     scene.physics.add.existing(this);
     this.body.setSize(this.width * 0.8, this.height * 0.6);
     this.body.setOffset(this.width * 0.1, this.height * 0.2);
+    this.body.enable = false; // invulnerable until it has entered
 
     // Scale the boss (type can override)
     this.bossScale = tc.scale || cfg.SCALE;
@@ -128,17 +144,33 @@ export default class Boss extends Phaser.GameObjects.Sprite {
       this.baseTint = 0xffffff;
     }
 
-    // Phase colors for visual feedback
-    this.phaseColors = {
-      1: this.baseTint,
-      2: 0xffaa00, // Orange - phase 2
-      3: 0xff4444  // Red - phase 3
-    };
+    // Destructible parts (type config order, which the health bar follows)
+    /** @type {BossPart[]} */
+    this.parts = Object.entries(tc.parts || {}).map(([key, partConfig]) =>
+      new BossPart(scene, this, key, { ...partConfig, health: Math.round(partConfig.health * healthMult) }));
+    this.parts.forEach(part => {
+      part.body.enable = false;
+    });
 
     // Start idle pulsing effect
     this.startIdlePulse();
   }
 
+  /**
+   * @returns {BossPart[]} Parts not yet destroyed
+   */
+  getLiveParts() {
+    return this.parts.filter(part => !part.isDestroyed);
+  }
+
+  /**
+   * The core can only be damaged once every part guarding it is destroyed
+   * @returns {boolean}
+   */
+  isCoreExposed() {
+    return !this.parts.some(part => part.guardsCore && !part.isDestroyed);
+  }
+
   /**
    * Create a gentle pulsing effect for idle state
    */
@@ -185,21 +217,48 @@ export default class Boss extends Phaser.GameObjects.Sprite {
 
   /**
    * Get the current phase based on health
-   * @returns {number} 1, 2, or 3
+   * @returns {number} Phase number (from 1)
    */
   getCurrentPhase() {
-    const healthPercent = this.health / this.maxHealth;
-    if (healthPercent <= this.phase3Threshold) return 3;
-    if (healthPercent <= this.phase2Threshold) return 2;
-    return 1;
+    return Boss.getPhaseForHealth(this.phases, this.health / this.maxHealth);
+  }
+
+  /**
+   * @param {number} [phase=this.currentPhase] - Phase number
+   * @returns {import('../config/GameConfig.js').BossPhaseConfig}
+   */
+  getPhaseConfig(phase = this.currentPhase) {
+    return this.phases[phase - 1];
   }
 
   /**
-   * Called when phase changes
+   * @returns {boolean} True in the last phase of the fight
+   */
+  isFinalPhase() {
+    return this.currentPhase === this.phases.length;
+  }
+
+  /**
+   * Tint for a phase (the type's own tint unless the phase sets one)
+   * @param {number} [phase=this.currentPhase] - Phase number
+   * @returns {number}
+   */
+  getPhaseTint(phase = this.currentPhase) {
+    return this.getPhaseConfig(phase).tint ?? this.baseTint;
+  }
+
+  /**
+   * Called when phase changes. BossManager runs the phase's onEnter effects
+   * from the 'bossPhaseChanged' event, which fires for every phase passed
+   * when a big hit crosses several thresholds at once.
    * @param {number} newPhase
    */
   onPhaseChange(newPhase) {
+    const cfg = GameConfig.BOSS;
+    const previousPhase = this.currentPhase;
     this.currentPhase = newPhase;
+    this.dashTargetX = null;
+    this.dashPause = 0;
     console.log(`Boss entered phase ${newPhase}!`);
 
     // Dramatic phase change effect
@@ -208,13 +267,13 @@ export default class Boss extends Phaser.GameObjects.Sprite {
     // Flash and color change
     this.scene.tweens.add({
       targets: this,
-      scaleX: 0.22,
-      scaleY: 0.22,
-      duration: 200,
+      scaleX: cfg.PHASE_CHANGE_SCALE,
+      scaleY: cfg.PHASE_CHANGE_SCALE,
+      duration: cfg.PHASE_CHANGE_DURATION,
       yoyo: true,
-      repeat: 2,
+      repeat: cfg.PHASE_CHANGE_REPEATS,
       onComplete: () => {
-        this.setTint(this.phaseColors[newPhase]);
+        this.setTint(this.getPhaseTint(newPhase));
         this.resumeIdlePulse();
       }
     });
@@ -222,14 +281,18 @@ export default class Boss extends Phaser.GameObjects.Sprite {
     // Alpha flash
     this.scene.tweens.add({
       targets: this,
-      alpha: 0.5,
-      duration: 100,
+      alpha: cfg.PHASE_CHANGE_ALPHA,
+      duration: cfg.PHASE_CHANGE_FLASH,
       yoyo: true,
       repeat: 4
     });
 
     // Big screen shake for phase transition
-    this.scene.cameras.main.shake(400, 0.02);
+    this.scene.vfx.screenShake(cfg.PHASE_SHAKE_INTENSITY, cfg.PHASE_SHAKE_DURATION);
+
+    for (let phase = previousPhase + 1; phase <= newPhase; phase++) {
+      this.scene.events.emit('bossPhaseChanged', this, phase, this.getPhaseConfig(phase));
+    }
   }
 
   /**
@@ -238,7 +301,14 @@ export default class Boss extends Phaser.GameObjects.Sprite {
    * @returns {boolean} True if boss died
    */
   takeDamage(amount = 1) {
-    if (this.isDying) return false;
+    // Invulnerable while entering
+    if (this.isDying || this.isEntering) return false;
+
+    // Guarding parts soak up hits on the core
+    if (!this.isCoreExposed()) {
+      this.scene.vfx.tintPulse(this, 0x66ccff, 60, this.getPhaseTint());
+      return false;
+    }
 
     this.health -= amount;
 
@@ -249,7 +319,9 @@ export default class Boss extends Phaser.GameObjects.Sprite {
     }
 
     // Damage flash effect - white flash then back to phase color
-    this.setTint(0xffffff);
+    if (this.scene.vfx.flashesEnabled()) {
+      this.setTint(0xffffff);
+    }
     this.scene.tweens.add({
       targets: this,
       scaleX: 0.21,
@@ -258,13 +330,13 @@ export default class Boss extends Phaser.GameObjects.Sprite {
       yoyo: true,
       onComplete: () => {
         if (this.active && !this.isDying) {
-          this.setTint(this.phaseColors[this.currentPhase]);
+          this.setTint(this.getPhaseTint());
         }
       }
     });
 
     // Small screen shake on hit
-    this.scene.cameras.main.shake(50, 0.005);
+    this.scene.vfx.screenShake(0.005, 50);
 
     // Check for death
     if (this.health <= 0) {
@@ -283,19 +355,27 @@ export default class Boss extends Phaser.GameObjects.Sprite {
     this.body.enable = false;
     this.stopIdlePulse();
 
+    // Parts go down with the ship
+    this.parts.forEach(part => {
+      if (part.body) part.body.enable = false;
+    });
+    this.scene.tweens.add({ targets: this.parts, alpha: 0, duration: 500 });
+
     // Big screen shake
-    this.scene.cameras.main.shake(500, 0.03);
+    this.scene.vfx.screenShake(0.03, 500);
 
     // Flash rapidly between colors
-    let flashCount = 0;
-    const flashTimer = this.scene.time.addEvent({
-      delay: 80,
-      callback: () => {
-        flashCount++;
-        this.setTint(flashCount % 2 === 0 ? 0xffffff : 0xff0000);
-      },
-      repeat: 10
-    });
+    if (this.scene.vfx.flashesEnabled()) {
+      let flashCount = 0;
+      this.scene.time.addEvent({
+        delay: 80,
+        callback: () => {
+          flashCount++;
+          this.setTint(flashCount % 2 === 0 ? 0xffffff : 0xff0000);
+        },
+        repeat: 10
+      });
+    }
 
     // Spin and shrink
     this.scene.tweens.add({
@@ -344,6 +424,16 @@ export default class Boss extends Phaser.GameObjects.Sprite {
     return this.health / this.maxHealth;
   }
 
+  /**
+   * Destroy the boss along with its parts
+   * @param {boolean} [fromScene]
+   */
+  destroy(fromScene) {
+    this.parts.forEach(part => part.destroy());
+    this.parts = [];
+    super.destroy(fromScene);
+  }
+
   /**
    * Update boss each frame
    * @param {number} time - Current game time
@@ -358,26 +448,67 @@ export default class Boss extends Phaser.GameObjects.Sprite {
     if (this.isEntering) {
       this.y += this.enterSpeed * (delta / 1000);
       if (this.y >= this.targetY) {
-        this.y = this.targetY;
-        this.isEntering = false;
+        this.finishEntrance();
       }
+      this.parts.forEach(part => part.followBoss());
       return;
     }
 
     // Side-to-side movement
     this.updateMovement(delta);
+    this.parts.forEach(part => part.followBoss());
 
     // Attack logic
     this.updateAttacks(time);
   }
 
   /**
-   * Handle side-to-side patrol movement
+   * Arrive at the fighting position (early, if the intro is skipped):
+   * the boss and its parts can be hit from now on.
+   */
+  finishEntrance() {
+    if (!this.isEntering) return;
+
+    this.y = this.targetY;
+    this.isEntering = false;
+    this.body.enable = true;
+    this.parts.forEach(part => {
+      part.followBoss();
+      if (!part.isDestroyed) part.body.enable = true;
+    });
+    this.scene.events.emit('bossEntered', this);
+  }
+
+  /**
+   * Move in the current phase's style
    * @param {number} delta
    */
   updateMovement(delta) {
+    const phase = this.getPhaseConfig();
+    const speed = this.speed * (phase.speedMult ?? 1);
+
+    switch (phase.movement) {
+      case 'dash':
+        this.updateDash(delta, speed);
+        break;
+      case 'hover':
+        this.updateHover(delta, speed);
+        break;
+      case 'sweep':
+      default:
+        this.updateSweep(delta, speed);
+        break;
+    }
+  }
+
+  /**
+   * Handle side-to-side patrol movement
+   * @param {number} delta
+   * @param {number} speed
+   */
+  updateSweep(delta, speed) {
     const centerX = this.scene.cameras.main.centerX;
-    const moveAmount = this.speed * (delta / 1000) * this.movementDirection;
+    const moveAmount = speed * (delta / 1000) * this.movementDirection;
 
     this.x += moveAmount;
 
@@ -394,51 +525,109 @@ export default class Boss extends Phaser.GameObjects.Sprite {
     // (boss_move frames are for tilt, but we use idle as base)
   }
 
+  /**
+   * Dash to a random point within the movement range, rest, then pick another
+   * @param {number} delta
+   * @param {number} speed
+   */
+  updateDash(delta, speed) {
+    if (this.dashPause > 0) {
+      this.dashPause -= delta;
+      return;
+    }
+
+    if (this.dashTargetX === null) {
+      const centerX = this.scene.cameras.main.centerX;
+      this.dashTargetX = this.scene.rng.between(centerX - this.movementRange, centerX + this.movementRange);
+    }
+
+    if (this.moveTowardsX(this.dashTargetX, speed * GameConfig.BOSS.DASH_SPEED_MULT * (delta / 1000))) {
+      this.dashTargetX = null;
+      this.dashPause = GameConfig.BOSS.DASH_PAUSE;
+    }
+  }
+
+  /**
+   * Trail the nearest ship's x position, within the movement range
+   * @param {number} delta
+   * @param {number} speed
+   */
+  updateHover(delta, speed) {
+    const target = this.scene.getNearestPlayer(this.x, this.y);
+    if (!target) return;
+
+    const centerX = this.scene.cameras.main.centerX;
+    const targetX = Phaser.Math.Clamp(target.x, centerX - this.movementRange, centerX + this.movementRange);
+    this.moveTowardsX(targetX, speed * (delta / 1000));
+  }
+
+  /**
+   * Move horizontally towards a point
+   * @param {number} targetX
+   * @param {number} step - Largest move allowed
+   * @returns {boolean} True once the point is reached
+   */
+  moveTowardsX(targetX, step) {
+    const distance = targetX - this.x;
+    if (Math.abs(distance) <= step) {
+      this.x = targetX;
+      return true;
+    }
+    this.x += Math.sign(distance) * step;
+    return false;
+  }
+
   /**
    * Check if this boss type has a specific attack
    * @param {string} attackName
    * @returns {boolean}
    */
   hasAttack(attackName) {
-    const attackList = this.currentPhase === 3 ? this.phase3Attacks : this.attacks;
-    return attackList.includes(attackName);
+    return this.getPhaseConfig().attacks.includes(attackName);
+  }
+
+  /**
+   * Time between uses of an attack, after type and challenge multipliers
+   * @param {string} key - Attack key
+   * @param {import('./BossAttacks.js').BossAttack} attack
+   * @returns {number} Cooldown in ms
+   */
+  getAttackCooldown(key, attack) {
+    const typeMult = this.typeConfig[`${key}CooldownMult`] || 1;
+    const phaseMult = this.getPhaseConfig().cooldownMult ?? 1;
+    return attack.cooldown * typeMult * phaseMult / this.bossSpeed;
+  }
+
+  /**
+   * Attacks available now, in priority order: the phase's attack list, then
+   * the attacks of each part still intact (fired from that part).
+   * @returns {{key: string, cooldownKey: string, origin: Boss|BossPart}[]}
+   */
+  getAttackSources() {
+    return [
+      ...this.getPhaseConfig().attacks.map(key => ({ key, cooldownKey: key, origin: this })),
+      ...this.getLiveParts().flatMap(part =>
+        part.attacks.map(key => ({ key, cooldownKey: `${part.partKey}.${key}`, origin: part }))
+      ),
+    ];
   }
 
   /**
    * Handle attack patterns based on phase and cooldowns.
-   * Uses attack strategies from BossAttacks.js
+   * Uses the first ready attack (see getAttackSources and BossAttacks.js).
    * @param {number} time
    */
   updateAttacks(time) {
-    if (!this.bulletGroup || this.isAttacking) return;
-
-    const cooldownMult = this.currentPhase === 3 ? this.phase3SpeedMult : 1;
-
-    // Spray attack
-    if (this.hasAttack('spray') && time - this.lastSprayTime >= this.sprayCooldown * cooldownMult) {
-      SprayAttack.execute(this);
-      this.lastSprayTime = time;
-      return;
-    }
+    if (!this.bulletGroup || this.runningPatterns > 0) return;
 
-    // Aimed attack
-    if (this.hasAttack('aimed') && time - this.lastAimedTime >= this.aimedCooldown * cooldownMult) {
-      AimedAttack.execute(this);
-      this.lastAimedTime = time;
-      return;
-    }
+    for (const { key, cooldownKey, origin } of this.getAttackSources()) {
+      const attack = getAttack(key);
+      if (!attack || this.currentPhase < (attack.minPhase ?? 1)) continue;
+      if (time - (this.lastAttackTimes[cooldownKey] ?? 0) < this.getAttackCooldown(key, attack)) continue;
 
-    // Summon attack (phase 2+)
-    if (this.currentPhase >= 2 && this.hasAttack('summon') && time - this.lastSummonTime >= this.summonCooldown * cooldownMult) {
-      SummonAttack.execute(this);
-      this.lastSummonTime = time;
+      attack.execute(this, origin);
+      this.lastAttackTimes[cooldownKey] = time;
       return;
     }
-
-    // Ring attack
-    if (this.hasAttack('ring') && time - this.lastRingTime >= this.ringCooldown * cooldownMult) {
-      RingAttack.execute(this);
-      this.lastRingTime = time;
-    }
   }
 }
@@ -1,210 +1,78 @@
-import Phaser from 'phaser';
 import GameConfig from '../config/GameConfig.js';
+import { runPattern } from './BulletPattern.js';
 
 /**
  * Boss attack strategies - each attack is a self-contained module.
  * Attacks receive the boss instance and execute their pattern.
+ *
+ * Bullet attacks are declared in GameConfig.BOSS.PATTERNS and run by the
+ * BulletPattern interpreter; only attacks that do something other than
+ * fire bullets are written here.
  */
 
 /**
- * Spray attack - fan of bullets downward
+ * @typedef {Object} BossAttack
+ * @property {string} key - Attack key, as listed in a boss type's attacks
+ * @property {number} cooldown - Time between uses (ms, before boss type and phase multipliers)
+ * @property {number} [minPhase] - First boss phase that uses the attack
+ * @property {function(import('./Boss.js').default, AttackOrigin=): void} execute - Run the attack, fired from origin (default the boss)
  */
-export const SprayAttack = {
-  key: 'spray',
-  cooldown: GameConfig.BOSS.SPRAY_COOLDOWN,
-
-  execute(boss) {
-    boss.isAttacking = true;
-    boss.stopIdlePulse();
-
-    boss.scene.tweens.add({
-      targets: boss,
-      scaleX: 0.22,
-      scaleY: 0.22,
-      duration: 150,
-      yoyo: true,
-      onYoyo: () => {
-        if (!boss.active || boss.isDying) return;
-
-        const bulletCount = GameConfig.BOSS.SPRAY_BULLET_COUNT;
-        const angle = GameConfig.BOSS.SPRAY_ANGLE;
-        const speed = GameConfig.BOSS.SPRAY_BULLET_SPEED;
-        const angleStep = angle / (bulletCount - 1);
-        const startAngle = 90 - angle / 2;
-
-        if (boss.scene.vfx) {
-          boss.scene.vfx.screenShake(0.008, 100);
-        }
-
-        for (let i = 0; i < bulletCount; i++) {
-          const bulletAngle = startAngle + i * angleStep;
-          const radians = Phaser.Math.DegToRad(bulletAngle);
-
-          const bullet = boss.bulletGroup.get(boss.x, boss.y + 30);
-          if (bullet) {
-            bullet.setActive(true);
-            bullet.setVisible(true);
-            bullet.setPosition(boss.x, boss.y + 30);
-            bullet.setVelocity(
-              Math.cos(radians) * speed,
-              Math.sin(radians) * speed
-            );
-          }
-        }
-      },
-      onComplete: () => {
-        boss.isAttacking = false;
-        if (!boss.isDying) boss.resumeIdlePulse();
-      }
-    });
-  }
-};
 
 /**
- * Aimed attack - bullets aimed at player position
+ * Where an attack is fired from: the boss, or one of its parts.
+ * @typedef {import('./Boss.js').default|import('./BossPart.js').default} AttackOrigin
  */
-export const AimedAttack = {
-  key: 'aimed',
-  cooldown: GameConfig.BOSS.AIMED_COOLDOWN,
-
-  execute(boss) {
-    const player = boss.scene.player;
-    if (!player || !player.active) return;
-
-    boss.isAttacking = true;
-    boss.stopIdlePulse();
-
-    boss.scene.tweens.add({
-      targets: boss,
-      scaleX: 0.22,
-      scaleY: 0.15,
-      duration: 100,
-      yoyo: true,
-      onYoyo: () => {
-        if (!boss.active || boss.isDying) return;
-
-        const currentPlayer = boss.scene?.player;
-        if (!currentPlayer?.active) return;
-
-        const bulletCount = GameConfig.BOSS.AIMED_BULLET_COUNT;
-        const speed = GameConfig.BOSS.AIMED_BULLET_SPEED;
-
-        for (let i = 0; i < bulletCount; i++) {
-          const spread = (i - (bulletCount - 1) / 2) * 20;
-
-          const bullet = boss.bulletGroup.get(boss.x + spread, boss.y + 30);
-          if (bullet) {
-            bullet.setActive(true);
-            bullet.setVisible(true);
-            bullet.setPosition(boss.x + spread, boss.y + 30);
-
-            const angle = Phaser.Math.Angle.Between(
-              boss.x + spread, boss.y + 30,
-              currentPlayer.x, currentPlayer.y
-            );
-
-            bullet.setVelocity(
-              Math.cos(angle) * speed,
-              Math.sin(angle) * speed
-            );
-          }
-        }
-      },
-      onComplete: () => {
-        boss.isAttacking = false;
-        if (!boss.isDying) boss.resumeIdlePulse();
-      }
-    });
-  }
-};
-
-/**
- * Ring attack - 360 degree bullet pattern (phase 3)
- */
-export const RingAttack = {
-  key: 'ring',
-  cooldown: GameConfig.BOSS.RING_COOLDOWN,
-
-  execute(boss) {
-    boss.isAttacking = true;
-    boss.stopIdlePulse();
-    boss.setTint(0xff00ff);
-
-    boss.scene.tweens.add({
-      targets: boss,
-      scaleX: 0.24,
-      scaleY: 0.24,
-      duration: 300,
-      yoyo: true,
-      onYoyo: () => {
-        if (!boss.active || boss.isDying) return;
-
-        if (boss.scene.vfx) {
-          boss.scene.vfx.screenShake(0.012, 150);
-        }
-
-        const bulletCount = GameConfig.BOSS.RING_BULLET_COUNT;
-        const speed = GameConfig.BOSS.RING_BULLET_SPEED;
-        const angleStep = 360 / bulletCount;
-
-        for (let i = 0; i < bulletCount; i++) {
-          const angle = i * angleStep;
-          const radians = Phaser.Math.DegToRad(angle);
-
-          const bullet = boss.bulletGroup.get(boss.x, boss.y);
-          if (bullet) {
-            bullet.setActive(true);
-            bullet.setVisible(true);
-            bullet.setPosition(boss.x, boss.y);
-            bullet.setVelocity(
-              Math.cos(radians) * speed,
-              Math.sin(radians) * speed
-            );
-          }
-        }
-      },
-      onComplete: () => {
-        boss.isAttacking = false;
-        if (!boss.isDying) {
-          boss.setTint(boss.phaseColors[boss.currentPhase]);
-          boss.resumeIdlePulse();
-        }
-      }
-    });
-  }
-};
 
 /**
- * Summon attack - calls for enemy reinforcements
+ * Summon attack - calls for enemy reinforcements (phase 2+, heavies in the final phase)
+ * @type {BossAttack}
  */
 export const SummonAttack = {
   key: 'summon',
   cooldown: GameConfig.BOSS.SUMMON_COOLDOWN,
+  minPhase: 2,
 
   execute(boss) {
-    const count = boss.currentPhase === 3
+    const count = boss.isFinalPhase()
       ? GameConfig.BOSS.SUMMON_HEAVIES
       : GameConfig.BOSS.SUMMON_FIGHTERS;
-    const type = boss.currentPhase === 3 ? 'heavy' : 'fighter';
+    const type = boss.isFinalPhase() ? 'heavy' : 'fighter';
 
     boss.scene.events.emit('bossSummon', { count, type });
   }
 };
 
+/**
+ * Wrap a bullet pattern as an attack.
+ * @param {string} key - Pattern key
+ * @param {import('../config/GameConfig.js').BulletPatternConfig} pattern
+ * @returns {BossAttack}
+ */
+export function createPatternAttack(key, pattern) {
+  return {
+    key,
+    cooldown: pattern.cooldown,
+    minPhase: pattern.minPhase,
+    execute(boss, origin = boss) {
+      runPattern(boss, pattern, origin);
+    }
+  };
+}
+
 /**
  * Attack registry - maps keys to attack objects
  */
 export const AttackRegistry = {
-  spray: SprayAttack,
-  aimed: AimedAttack,
-  ring: RingAttack,
+  ...Object.fromEntries(
+    Object.entries(GameConfig.BOSS.PATTERNS).map(([key, pattern]) => [key, createPatternAttack(key, pattern)])
+  ),
   summon: SummonAttack,
 };
 
 /**
  * Get an attack by key
  * @param {string} key - Attack key
- * @returns {Object|null} Attack object or null
+ * @returns {BossAttack|null} Attack object or null
  */
 export function getAttack(key) {
   return AttackRegistry[key] || null;
@@ -0,0 +1,101 @@
+import Phaser from 'phaser';
+
+/**
+ * A destructible piece of a boss (turret, engine, shield generator) with its
+ * own hitbox and health. Parts ride along with the boss, fire their own
+ * attacks through it, and stop attacking once destroyed. Parts that guard
+ * the core keep the boss itself from taking damage until they are gone.
+ * Drawn as an outlined box over the boss sprite; destroyed parts stay as wrecks.
+ */
+export default class BossPart extends Phaser.GameObjects.Rectangle {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {import('./Boss.js').default} boss - The boss this part belongs to
+   * @param {string} key - Part key from the boss type's parts
+   * @param {import('../config/GameConfig.js').BossPartConfig} config
+   */
+  constructor(scene, boss, key, config) {
+    super(scene, boss.x + config.x, boss.y + config.y, config.width, config.height);
+    scene.add.existing(this);
+
+    this.boss = boss;
+    this.partKey = key;
+    this.partName = config.name;
+    this.offsetX = config.x;
+    this.offsetY = config.y;
+    this.maxHealth = config.health;
+    this.health = this.maxHealth;
+    this.points = config.points ?? 0;
+    this.attacks = config.attacks || [];
+    this.guardsCore = config.guardsCore === true;
+    this.color = config.color ?? 0xffaa44;
+    this.lastHitBy = null; // ship credited with destroying it
+    this.isDestroyed = false;
+
+    this.setFillStyle(this.color, 0.3);
+    this.setStrokeStyle(2, this.color);
+    this.setDepth(boss.depth + 1);
+
+    scene.physics.add.existing(this);
+  }
+
+  /**
+   * Keep the part in its place on the boss.
+   */
+  followBoss() {
+    this.setPosition(this.boss.x + this.offsetX, this.boss.y + this.offsetY);
+  }
+
+  /**
+   * Take damage from player weapons.
+   * @param {number} amount - Damage amount
+   * @returns {boolean} True if this hit destroyed the part
+   */
+  takeDamage(amount = 1) {
+    if (this.isDestroyed || this.boss.isDying || this.boss.isEntering) return false;
+
+    this.health -= amount;
+    if (this.health <= 0) {
+      this.health = 0;
+      this.explode();
+      return true;
+    }
+
+    // Brief white flash
+    if (this.scene.vfx.flashesEnabled()) {
+      this.setFillStyle(0xffffff, 0.8);
+      this.scene.time.delayedCall(60, () => {
+        if (!this.isDestroyed) this.setFillStyle(this.color, 0.3);
+      });
+    }
+    return false;
+  }
+
+  /**
+   * Destroy the part: it stops taking hits and attacking, and is left as a wreck.
+   */
+  explode() {
+    this.isDestroyed = true;
+    this.setActive(false);
+    this.body.enable = false;
+    this.setFillStyle(0x222222, 0.6);
+    this.setStrokeStyle(2, 0x555555);
+
+    this.scene.vfx.multiExplosion(this.x, this.y, [
+      { x: 0, y: 0, delay: 0, scale: 1.2 },
+      { x: -10, y: -8, delay: 80, scale: 0.8 },
+      { x: 10, y: 8, delay: 160, scale: 0.8 },
+    ]);
+    this.scene.vfx.screenShake(0.012, 200);
+    this.scene.vfx.floatingText(this.x, this.y, `${this.partName} DESTROYED`, '#ffaa44', 14);
+
+    this.scene.events.emit('bossPartDestroyed', this);
+  }
+
+  /**
+   * @returns {number} Health left (0-1)
+   */
+  getHealthPercent() {
+    return this.health / this.maxHealth;
+  }
+}
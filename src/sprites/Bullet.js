@@ -3,12 +3,25 @@ import BaseProjectile from './BaseProjectile';
 /**
  * Player bullet class for the weapons system.
  * Uses object pooling - bullets are reused when off-screen.
- * Config loaded from GameConfig.PROJECTILES.player_bullet
+ * Defaults to GameConfig.PROJECTILES.player_bullet; the scene swaps in the
+ * current weapon's projectile type via setProjectileType() before firing.
  */
 export default class Bullet extends BaseProjectile {
   constructor(scene, x, y) {
     const config = BaseProjectile.getTypeConfig('player_bullet');
     super(scene, x, y, config.texture, config.frame, config.speed, config.direction);
+    this.setProjectileType('player_bullet');
+    /** @type {number} Index of the ship that fired it, for score attribution */
+    this.owner = 0;
+  }
+
+  /**
+   * Homing bullets chase enemies on screen, the boss and its parts.
+   * @returns {Phaser.GameObjects.GameObject[]}
+   */
+  getHomingTargets() {
+    const enemies = this.scene.enemySpawner.getEnemyGroup().getChildren().filter(enemy => enemy.y >= 0);
+    return [...enemies, ...(this.scene.bossManager?.getTargets() ?? [])];
   }
 
   /**
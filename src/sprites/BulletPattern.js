@@ -0,0 +1,172 @@
+import GameConfig from '../config/GameConfig.js';
+
+/**
+ * @file Interpreter for declarative boss bullet patterns (GameConfig.BOSS.PATTERNS).
+ * A pattern fires one or more volleys; every volley fires `count` bullets
+ * from each emitter, fanned over `arc` degrees and/or spread along a `line`.
+ * Angles are in degrees, 0 pointing right and 90 straight down.
+ */
+
+/**
+ * @typedef {import('../config/GameConfig.js').BulletPatternConfig} BulletPatternConfig
+ * @typedef {import('../config/GameConfig.js').SpeedCurveConfig} SpeedCurveConfig
+ */
+
+/**
+ * One bullet of a volley, relative to its emitter.
+ * @typedef {Object} PatternShot
+ * @property {number} offsetX - Horizontal offset from the emitter
+ * @property {number} angle - Direction in degrees
+ */
+
+/**
+ * Lay out the bullets of one volley from one emitter.
+ * A 360 degree arc spaces bullets evenly around the circle; smaller arcs
+ * run from one edge to the other.
+ * @param {BulletPatternConfig} pattern
+ * @param {number} centerAngle - Direction of the volley's middle bullet
+ * @returns {PatternShot[]}
+ */
+export function getVolleyShots(pattern, centerAngle) {
+  const { count = 1, arc = 0, line = 0 } = pattern;
+  const shots = [];
+
+  for (let i = 0; i < count; i++) {
+    // Position across the volley, -0.5 (first) to 0.5 (last)
+    const t = count > 1 ? i / (count - 1) - 0.5 : 0;
+    const angle = arc >= 360 ? centerAngle + (i * 360) / count : centerAngle + t * arc;
+    shots.push({ offsetX: t * line, angle });
+  }
+  return shots;
+}
+
+/**
+ * Speed of a bullet on a speed curve, eased linearly from `from` to `to`.
+ * @param {SpeedCurveConfig} curve
+ * @param {number} age - Time since the bullet was fired (ms)
+ * @returns {number}
+ */
+export function getCurveSpeed(curve, age) {
+  const progress = Math.min(1, age / curve.duration);
+  return curve.from + (curve.to - curve.from) * progress;
+}
+
+/**
+ * @param {number|SpeedCurveConfig} speed - Pattern speed
+ * @returns {number} Speed a bullet starts at
+ */
+function getStartSpeed(speed) {
+  return typeof speed === 'number' ? speed : speed.from;
+}
+
+/**
+ * Fire one volley through the boss's bullet group.
+ * @param {import('./Boss.js').default} boss
+ * @param {BulletPatternConfig} pattern
+ * @param {number} volley - Volley index, for the per-volley rotation
+ * @param {{x: number, y: number}} [origin=boss] - What the emitters are placed around (the boss or one of its parts)
+ */
+export function fireVolley(boss, pattern, volley, origin = boss) {
+  const emitters = pattern.emitters || [{}];
+  const speed = pattern.speed ?? GameConfig.ENEMY_BULLET.SPEED;
+  const curve = typeof speed === 'number' ? null : speed;
+  const rotation = (pattern.rotation ?? 0) * volley;
+
+  if (pattern.shake && boss.scene.vfx) {
+    boss.scene.vfx.screenShake(pattern.shake.intensity, pattern.shake.duration);
+  }
+
+  for (const emitter of emitters) {
+    const x = origin.x + (emitter.x ?? 0);
+    const y = origin.y + (emitter.y ?? GameConfig.BOSS.BULLET_Y_OFFSET);
+
+    let center = pattern.angle ?? 90;
+    if (pattern.aim) {
+      // Aim at whichever ship is nearest now
+      const target = boss.scene.getNearestPlayer(origin.x, origin.y);
+      if (!target) continue;
+      center = Math.atan2(target.y - y, target.x - x) * 180 / Math.PI;
+    }
+
+    for (const shot of getVolleyShots(pattern, center + rotation + (emitter.angle ?? 0))) {
+      const bullet = boss.bulletGroup.get(x + shot.offsetX, y);
+      if (bullet) {
+        bullet.fireAt(x + shot.offsetX, y, shot.angle * Math.PI / 180, getStartSpeed(speed), curve);
+      }
+    }
+  }
+}
+
+/**
+ * Run a pattern: wind up (the boss squashes and optionally changes tint),
+ * then fire its volleys. The boss starts no other attack until the wind-up
+ * and the last volley are both done. Patterns are counted, so one finishing
+ * (its own or a part's) doesn't end another that is still firing.
+ * Patterns fired from a part stop when the part is destroyed.
+ * @param {import('./Boss.js').default} boss
+ * @param {BulletPatternConfig} pattern
+ * @param {import('./BossAttacks.js').AttackOrigin} [origin=boss] - What fires the pattern
+ */
+export function runPattern(boss, pattern, origin = boss) {
+  // Aimed patterns need someone to aim at
+  if (pattern.aim && !boss.scene.getNearestPlayer(origin.x, origin.y)) return;
+
+  const { volleys = 1, interval = 0, delay = 0, windup } = pattern;
+  const scene = boss.scene;
+  let pending = windup ? 2 : 1; // wind-up tween and volleys
+
+  boss.runningPatterns++;
+  if (windup) {
+    boss.stopIdlePulse();
+    if (windup.tint !== undefined) boss.setTint(windup.tint);
+  }
+
+  const finish = () => {
+    pending--;
+    if (pending > 0) return;
+
+    boss.runningPatterns--;
+    if (windup && boss.active && !boss.isDying) {
+      if (windup.tint !== undefined) boss.setTint(boss.getPhaseTint());
+      boss.resumeIdlePulse();
+    }
+  };
+
+  let fired = 0;
+  const fireNext = () => {
+    if (boss.active && !boss.isDying && origin.active) {
+      fireVolley(boss, pattern, fired, origin);
+    }
+    fired++;
+    if (fired === volleys) finish();
+  };
+
+  const startVolleys = () => {
+    fireNext();
+    if (volleys > 1) {
+      scene.time.addEvent({ delay: interval, repeat: volleys - 2, callback: fireNext });
+    }
+  };
+  const begin = () => {
+    if (delay > 0) {
+      scene.time.delayedCall(delay, startVolleys);
+    } else {
+      startVolleys();
+    }
+  };
+
+  if (!windup) {
+    begin();
+    return;
+  }
+
+  scene.tweens.add({
+    targets: boss,
+    scaleX: boss.bossScale * (windup.scaleX ?? 1),
+    scaleY: boss.bossScale * (windup.scaleY ?? 1),
+    duration: windup.duration,
+    yoyo: true,
+    onYoyo: begin,
+    onComplete: finish,
+  });
+}
@@ -42,7 +42,7 @@ export default class Coin extends Phaser.Physics.Arcade.Sprite {
     this.spawnTime = this.scene.time.now;
 
     // Random initial velocity (slight spread)
-    const spreadAngle = Phaser.Math.FloatBetween(-0.5, 0.5);
+    const spreadAngle = this.scene.rng.realInRange(-0.5, 0.5);
     const speed = GameConfig.CURRENCY.DROP_SPEED;
     this.setVelocity(
       Math.sin(spreadAngle) * speed * 0.5,
@@ -91,7 +91,7 @@ export default class Coin extends Phaser.Physics.Arcade.Sprite {
     if (!this.active) return;
 
     const cfg = GameConfig.CURRENCY;
-    const player = this.scene.player;
+    const player = this.scene.getNearestPlayer(this.x, this.y);
 
     // Check lifetime
     const age = time - this.spawnTime;
@@ -105,13 +105,13 @@ export default class Coin extends Phaser.Physics.Arcade.Sprite {
       this.alpha = Math.sin(time * 0.02) * 0.3 + 0.7;
     }
 
-    // Magnet effect - drift toward player when close
-    if (player && player.active) {
+    // Magnet effect - drift toward the nearest ship when close
+    if (player) {
       const dist = Phaser.Math.Distance.Between(this.x, this.y, player.x, player.y);
 
-      if (dist < cfg.MAGNET_RANGE) {
+      if (dist < player.magnetRange) {
         // Accelerate toward player (stronger when closer)
-        const magnetStrength = 1 - (dist / cfg.MAGNET_RANGE);
+        const magnetStrength = 1 - (dist / player.magnetRange);
         const angle = Phaser.Math.Angle.Between(this.x, this.y, player.x, player.y);
         const pullSpeed = 200 * magnetStrength;
 
@@ -78,7 +78,7 @@ export default class Enemy extends Phaser.Physics.Arcade.Sprite {
     this.loot = config.loot || null;
 
     // Shooting state - randomize initial delay so enemies don't all shoot at once
-    this.lastFired = -Phaser.Math.Between(0, this.fireRate);
+    this.lastFired = -scene.rng.between(0, this.fireRate);
     this.bulletGroup = null;
 
     // Current tilt state for frame updates
@@ -190,22 +190,23 @@ export default class Enemy extends Phaser.Physics.Arcade.Sprite {
         }
         break;
 
-      case 'dive':
-        // Accelerate toward player when close
-        if (!this.isDiving && this.scene.player) {
+      case 'dive': {
+        // Accelerate toward the nearest ship when close
+        const target = this.scene.getNearestPlayer(this.x, this.y);
+        if (!this.isDiving && target) {
           const distToPlayer = Phaser.Math.Distance.Between(
             this.x, this.y,
-            this.scene.player.x, this.scene.player.y
+            target.x, target.y
           );
           if (distToPlayer < this.diveDistance) {
             this.isDiving = true;
           }
         }
-        if (this.isDiving && this.scene.player) {
+        if (this.isDiving && target) {
           // Dive toward player position
           const angle = Phaser.Math.Angle.Between(
             this.x, this.y,
-            this.scene.player.x, this.scene.player.y
+            target.x, target.y
           );
           this.setVelocity(
             Math.cos(angle) * this.diveSpeed,
@@ -215,6 +216,7 @@ export default class Enemy extends Phaser.Physics.Arcade.Sprite {
           this.setVelocityY(this.speed);
         }
         break;
+      }
 
       case 'straight':
       default:
@@ -232,16 +234,17 @@ export default class Enemy extends Phaser.Physics.Arcade.Sprite {
     if (!this.bulletGroup) return;
 
     switch (this.attackPattern) {
-      case 'aimed':
-        // Fire toward player position
-        if (this.scene.player) {
+      case 'aimed': {
+        // Fire toward the nearest ship
+        const target = this.scene.getNearestPlayer(this.x, this.y);
+        if (target) {
           const yOffset = GameConfig.ENEMY.BULLET_Y_OFFSET;
           const bulletSpeed = GameConfig.ENEMY.AIMED_BULLET_SPEED;
           const bullet = this.bulletGroup.get(this.x, this.y + yOffset);
           if (bullet) {
             const angle = Phaser.Math.Angle.Between(
               this.x, this.y,
-              this.scene.player.x, this.scene.player.y
+              target.x, target.y
             );
             bullet.fire(this.x, this.y + yOffset);
             bullet.setVelocity(
@@ -252,6 +255,7 @@ export default class Enemy extends Phaser.Physics.Arcade.Sprite {
           }
         }
         break;
+      }
 
       case 'burst':
         // Fire 3 quick shots then pause
@@ -9,13 +9,16 @@ export default class EnemyBullet extends BaseProjectile {
   constructor(scene, x, y) {
     const config = BaseProjectile.getTypeConfig('enemy_bullet');
     super(scene, x, y, config.texture, config.frame, config.speed, config.direction);
+    this.setProjectileType('enemy_bullet');
   }
 
   /**
-   * Check if bullet is off-screen (below visible area)
+   * Check if bullet is off-screen. Boss patterns fire in every direction,
+   * so any edge counts.
    * @returns {boolean} True if bullet should be deactivated
    */
   isOffScreen() {
-    return this.y > this.scene.cameras.main.height + 10;
+    const { width, height } = this.scene.cameras.main;
+    return this.y > height + 10 || this.y < -10 || this.x < -10 || this.x > width + 10;
   }
 }
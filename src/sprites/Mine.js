@@ -14,13 +14,14 @@ export default class Mine extends Phaser.Physics.Arcade.Sprite {
     this.health = cfg.HEALTH;
     this.proximityRadius = cfg.PROXIMITY_RADIUS;
     this.points = cfg.POINTS;
+    this.lastHitBy = null; // ship that shot it, credited with the points
     this.explosionRadiusMultiplier = cfg.EXPLOSION_RADIUS_MULTIPLIER;
 
     // Movement pattern with randomized wave parameters from config
     this.startX = x;
-    this.waveAmplitude = Phaser.Math.Between(cfg.WAVE_AMPLITUDE_MIN, cfg.WAVE_AMPLITUDE_MAX);
-    this.waveFrequency = Phaser.Math.Between(cfg.WAVE_FREQUENCY_MIN, cfg.WAVE_FREQUENCY_MAX);
-    this.timeOffset = Phaser.Math.FloatBetween(0, Math.PI * 2);
+    this.waveAmplitude = scene.rng.between(cfg.WAVE_AMPLITUDE_MIN, cfg.WAVE_AMPLITUDE_MAX);
+    this.waveFrequency = scene.rng.between(cfg.WAVE_FREQUENCY_MIN, cfg.WAVE_FREQUENCY_MAX);
+    this.timeOffset = scene.rng.realInRange(0, Math.PI * 2);
 
     // Play spin animation
     this.play('mine1_spin');
@@ -38,9 +39,9 @@ export default class Mine extends Phaser.Physics.Arcade.Sprite {
     const elapsed = time / 1000;
     this.x = this.startX + Math.sin(elapsed * this.waveFrequency + this.timeOffset) * this.waveAmplitude;
 
-    // Check proximity to player
-    const player = this.scene.player;
-    if (player && player.active) {
+    // Check proximity to the nearest ship
+    const player = this.scene.getNearestPlayer(this.x, this.y);
+    if (player) {
       const dist = Phaser.Math.Distance.Between(this.x, this.y, player.x, player.y);
       if (dist < this.proximityRadius) {
         this.explode();
@@ -78,15 +79,16 @@ export default class Mine extends Phaser.Physics.Arcade.Sprite {
     scene.playExplosion(this.x, this.y);
 
     // Add score via event
-    scene.events.emit('addScore', this.points);
+    scene.events.emit('addScore', this.points, this.lastHitBy);
+    scene.events.emit('mineDestroyed');
 
-    // Damage player if close enough and not invincible
-    const player = scene.player;
-    if (player && player.active && !player.isInvincible) {
+    // Damage every ship close enough that is not invincible
+    for (const player of scene.players) {
+      if (!player.active || player.isInvincible) continue;
       const dist = Phaser.Math.Distance.Between(this.x, this.y, player.x, player.y);
       if (dist < this.proximityRadius * this.explosionRadiusMultiplier) {
         if (!player.takeDamage(this.damage)) {
-          scene.loseLife();
+          scene.events.emit('loseLife', player);
         } else {
           // Brief invincibility after mine damage (500ms)
           player.makeInvincible(500);
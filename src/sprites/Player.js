@@ -4,9 +4,16 @@ import GameConfig from '../config/GameConfig.js';
 /**
  * Player ship class with movement controls (keyboard + touch).
  * Extends Phaser.Physics.Arcade.Sprite for physics-based movement.
+ * Input arrives as an InputFrame (see PlayerInput) so runs can be replayed.
  */
 export default class Player extends Phaser.Physics.Arcade.Sprite {
-  constructor(scene, x, y) {
+  /**
+   * @param {Phaser.Scene} scene - The game scene
+   * @param {number} x - Spawn X position
+   * @param {number} y - Spawn Y position
+   * @param {number} [playerIndex=0] - Which ship this is (1 is the co-op partner)
+   */
+  constructor(scene, x, y, playerIndex = 0) {
     super(scene, x, y, 'sprites', 'player_r_m.png');
 
     // Add to scene and physics
@@ -15,6 +22,11 @@ export default class Player extends Phaser.Physics.Arcade.Sprite {
 
     // Store scene reference
     this.scene = scene;
+    this.playerIndex = playerIndex;
+
+    // Co-op ships are told apart by tint
+    this.baseTint = GameConfig.COOP.PLAYER_TINTS[playerIndex] ?? 0xffffff;
+    this.setTint(this.baseTint);
 
     // Add exhaust flame behind player
     this.exhaust = scene.add.sprite(x, y + GameConfig.PLAYER.EXHAUST_Y_OFFSET, 'sprites', 'exhaust_01.png');
@@ -31,6 +43,20 @@ export default class Player extends Phaser.Physics.Arcade.Sprite {
     // Weapon state (RPG-ready)
     this.weaponType = GameConfig.DEFAULT_WEAPON || 'vulcan';
     this.weaponLevel = 0; // 0 = base, 1-2 = upgraded
+    this.baseWeaponLevel = 0; // level weapons start at (raised by hangar upgrades)
+    this.lastFired = 0; // time of the last shot, for the fire rate
+
+    // Stats raised by hangar upgrades (see applyUpgrades)
+    this.magnetRange = GameConfig.CURRENCY.MAGNET_RANGE;
+    this.shieldDurationMult = 1;
+
+    // Co-op: a ship out of lives stays down until its partner revives it
+    this.isDown = false;
+    this.reviveProgress = 0; // ms the partner has spent reviving
+
+    // Smart bomb charges (see BombManager)
+    this.bombs = GameConfig.BOMB.START_CHARGES;
+    this.bombHeld = false; // bomb button held last step, so holding it fires once
 
     // Power-up state
     this.speedBoostActive = false;
@@ -54,35 +80,26 @@ export default class Player extends Phaser.Physics.Arcade.Sprite {
     };
 
     // Touch control state
-    this.touchTarget = null;
     this.touchDeadzone = GameConfig.PLAYER.TOUCH_DEADZONE;
-
-    // Setup keyboard controls
-    this.cursors = scene.input.keyboard.createCursorKeys();
-    this.wasd = scene.input.keyboard.addKeys({
-      up: Phaser.Input.Keyboard.KeyCodes.W,
-      down: Phaser.Input.Keyboard.KeyCodes.S,
-      left: Phaser.Input.Keyboard.KeyCodes.A,
-      right: Phaser.Input.Keyboard.KeyCodes.D,
-    });
   }
 
   /**
    * Update player movement and visuals.
    * Called manually from scene's update loop.
+   * @param {import('../systems/Replay.js').InputFrame} input - Input for this step
    */
-  update() {
-    // Handle keyboard input
-    const keyboardVelocity = this.handleKeyboardInput();
+  update(input) {
+    // Handle keyboard, d-pad and stick input
+    const moveVelocity = this.handleMoveInput(input);
 
     // Handle touch input (touch takes priority if active)
-    const touchVelocity = this.handleTouchInput();
+    const touchVelocity = this.handleTouchInput(input);
 
-    // Apply velocity (touch overrides keyboard if active)
+    // Apply velocity (touch overrides keys and stick if active)
     if (touchVelocity) {
       this.setVelocity(touchVelocity.x, touchVelocity.y);
     } else {
-      this.setVelocity(keyboardVelocity.x, keyboardVelocity.y);
+      this.setVelocity(moveVelocity.x, moveVelocity.y);
     }
 
     // Update tilt based on horizontal velocity
@@ -100,24 +117,30 @@ export default class Player extends Phaser.Physics.Arcade.Sprite {
   }
 
   /**
-   * Handle keyboard arrow keys and WASD input.
+   * Handle direction input: keys and d-pad at full speed, or the analog
+   * stick scaled by how far it is pushed. Directions win over the stick.
+   * @param {import('../systems/Replay.js').InputFrame} input - Input for this step
    * @returns {{ x: number, y: number }} Velocity vector
    */
-  handleKeyboardInput() {
+  handleMoveInput(input) {
+    if (!input.left && !input.right && !input.up && !input.down) {
+      return this.handleStickInput(input);
+    }
+
     let vx = 0;
     let vy = 0;
 
     // Horizontal movement
-    if (this.cursors.left.isDown || this.wasd.left.isDown) {
+    if (input.left) {
       vx = -this.speed;
-    } else if (this.cursors.right.isDown || this.wasd.right.isDown) {
+    } else if (input.right) {
       vx = this.speed;
     }
 
     // Vertical movement
-    if (this.cursors.up.isDown || this.wasd.up.isDown) {
+    if (input.up) {
       vy = -this.speed;
-    } else if (this.cursors.down.isDown || this.wasd.down.isDown) {
+    } else if (input.down) {
       vy = this.speed;
     }
 
@@ -131,22 +154,34 @@ export default class Player extends Phaser.Physics.Arcade.Sprite {
     return { x: vx, y: vy };
   }
 
+  /**
+   * Handle analog stick input.
+   * @param {import('../systems/Replay.js').InputFrame} input - Input for this step
+   * @returns {{ x: number, y: number }} Velocity vector
+   */
+  handleStickInput(input) {
+    // Rounded axes can add up to slightly more than full deflection
+    const length = Math.max(1, Math.hypot(input.moveX, input.moveY));
+    return {
+      x: (input.moveX / length) * this.speed,
+      y: (input.moveY / length) * this.speed,
+    };
+  }
+
   /**
    * Handle touch/pointer input - player moves toward touch point.
+   * @param {import('../systems/Replay.js').InputFrame} input - Input for this step
    * @returns {{ x: number, y: number } | null} Velocity vector or null if no touch
    */
-  handleTouchInput() {
-    const pointer = this.scene.input.activePointer;
-
+  handleTouchInput(input) {
     // Only handle touch if pointer is down
-    if (!pointer.isDown) {
-      this.touchTarget = null;
+    if (!input.pointerDown) {
       return null;
     }
 
-    // Get pointer position in world coordinates
-    const targetX = pointer.worldX;
-    const targetY = pointer.worldY;
+    // Pointer position in world coordinates
+    const targetX = input.pointerX;
+    const targetY = input.pointerY;
 
     // Calculate distance to target
     const dx = targetX - this.x;
@@ -191,21 +226,21 @@ export default class Player extends Phaser.Physics.Arcade.Sprite {
   }
 
   /**
-   * Apply damage to the player.
+   * Apply damage to the player, announced on the scene as 'playerHit'.
    * @param {number} amount - Amount of damage to apply
    * @returns {boolean} True if player is still alive
    */
   takeDamage(amount) {
     this.health = Math.max(0, this.health - amount);
+    this.scene.events.emit('playerHit', this, amount);
 
     // Flash effect for damage feedback
-    this.scene.tweens.add({
-      targets: this,
-      alpha: GameConfig.PLAYER.DAMAGE_FLASH_ALPHA,
-      duration: GameConfig.PLAYER.DAMAGE_FLASH_DURATION,
-      yoyo: true,
-      repeat: GameConfig.PLAYER.DAMAGE_FLASH_REPEATS,
-    });
+    this.scene.vfx.damageFlashWithAlpha(
+      this,
+      GameConfig.PLAYER.DAMAGE_FLASH_REPEATS,
+      GameConfig.PLAYER.DAMAGE_FLASH_ALPHA,
+      GameConfig.PLAYER.DAMAGE_FLASH_DURATION
+    );
 
     return this.health > 0;
   }
@@ -253,12 +288,31 @@ export default class Player extends Phaser.Physics.Arcade.Sprite {
       repeat: GameConfig.PLAYER.INVINCIBILITY_FLASH_COUNT,
       yoyo: true,
       onComplete: () => {
-        this.isInvincible = false;
+        // A shield picked up meanwhile keeps protecting the ship
+        this.isInvincible = this.shieldActive;
         this.setAlpha(1);
       }
     });
   }
 
+  /**
+   * Spend a bomb charge.
+   * @returns {boolean} True if the ship had a charge to spend
+   */
+  useBomb() {
+    if (this.bombs <= 0) return false;
+    this.bombs--;
+    return true;
+  }
+
+  /**
+   * Add bomb charges, up to BOMB.MAX_CHARGES.
+   * @param {number} [count=1]
+   */
+  addBombs(count = 1) {
+    this.bombs = Math.min(this.bombs + count, GameConfig.BOMB.MAX_CHARGES);
+  }
+
   /**
    * Respawn the player at a given position with full health and invincibility.
    * @param {number} x - X position to respawn at
@@ -267,10 +321,63 @@ export default class Player extends Phaser.Physics.Arcade.Sprite {
   respawn(x, y) {
     this.setPosition(x, y);
     this.health = this.maxHealth;
-    this.weaponLevel = 0; // Reset weapon level on death (keep weapon type)
+    this.weaponLevel = this.getBaseWeaponLevel(); // Reset weapon level on death (keep weapon type)
+    this.bombs = Math.max(this.bombs, GameConfig.BOMB.START_CHARGES);
+    this.makeInvincible();
+  }
+
+  /**
+   * Knock the ship out (co-op, no lives left). It stays on screen as a wreck
+   * that cannot move, shoot or be hit until revived.
+   */
+  goDown() {
+    this.isDown = true;
+    this.isInvincible = true;
+    this.health = 0;
+    this.reviveProgress = 0;
+    this.setVelocity(0, 0);
+    this.body.enable = false;
+    this.scene.tweens.killTweensOf(this);
+    this.setAlpha(GameConfig.COOP.DOWN_ALPHA);
+    this.exhaust.setVisible(false);
+  }
+
+  /**
+   * Bring a downed ship back where it lies, with part of its health and
+   * temporary invincibility.
+   * @param {number} healthShare - Share of max health to come back with (0-1)
+   */
+  revive(healthShare) {
+    this.isDown = false;
+    this.reviveProgress = 0;
+    this.body.enable = true;
+    this.health = Math.ceil(this.maxHealth * healthShare);
+    this.weaponLevel = this.getBaseWeaponLevel();
+    this.exhaust.setVisible(true);
     this.makeInvincible();
   }
 
+  /**
+   * Apply permanent hangar upgrades. Called once when the run is set up.
+   * @param {import('../systems/Upgrades.js').UpgradeBonuses} bonuses
+   */
+  applyUpgrades(bonuses) {
+    this.maxHealth = GameConfig.PLAYER.MAX_HEALTH + bonuses.maxHealth;
+    this.health = this.maxHealth;
+    this.baseWeaponLevel = bonuses.weaponLevel;
+    this.weaponLevel = this.getBaseWeaponLevel();
+    this.magnetRange = GameConfig.CURRENCY.MAGNET_RANGE + bonuses.magnetRange;
+    this.shieldDurationMult = 1 + bonuses.shieldDuration;
+  }
+
+  /**
+   * Level the current weapon starts at, capped at its highest level.
+   * @returns {number}
+   */
+  getBaseWeaponLevel() {
+    return Math.min(this.baseWeaponLevel, this.getWeaponConfig().levels.length - 1);
+  }
+
   /**
    * Get the current weapon configuration
    * @returns {Object} Weapon config from registry
@@ -323,7 +430,7 @@ export default class Player extends Phaser.Physics.Arcade.Sprite {
 
     this.weaponType = weaponType;
     if (resetLevel) {
-      this.weaponLevel = 0;
+      this.weaponLevel = this.getBaseWeaponLevel();
     }
 
     const weapon = this.getWeaponConfig();
@@ -395,14 +502,14 @@ export default class Player extends Phaser.Physics.Arcade.Sprite {
     this.speedBoostTimer = this.scene.time.delayedCall(duration, () => {
       this.speedBoostActive = false;
       this.speed = this.baseSpeed;
-      this.clearTint();
+      this.setTint(this.baseTint);
       console.log('Speed boost ended');
     });
   }
 
   /**
    * Apply temporary shield (invincibility with visual bubble)
-   * @param {number} duration - Duration in ms
+   * @param {number} duration - Duration in ms (before the shield upgrade bonus)
    */
   applyShield(duration) {
     // Clear existing shield if any
@@ -436,7 +543,7 @@ export default class Player extends Phaser.Physics.Arcade.Sprite {
     });
 
     // End shield after duration
-    this.shieldTimer = this.scene.time.delayedCall(duration, () => {
+    this.shieldTimer = this.scene.time.delayedCall(duration * this.shieldDurationMult, () => {
       this.deactivateShield();
     });
   }
@@ -61,10 +61,10 @@ export default class PowerUp extends Phaser.Physics.Arcade.Sprite {
     this.type = type;
     this.spawnTime = this.scene.time.now;
 
-    // Get type config and set color
+    // Get type config and set color (the player's palette can swap it)
     const typeConfig = PowerUp.getTypeConfig(type);
     if (typeConfig) {
-      this.setTint(typeConfig.color);
+      this.setTint(this.scene.gameSettings.getPowerUpColor(type));
     }
 
     // Set downward velocity
@@ -144,8 +144,10 @@ export default class PowerUp extends Phaser.Physics.Arcade.Sprite {
     // Apply effect based on type
     this.applyEffect(player, this.type, typeConfig);
 
-    // Show floating combat text
-    this.showFloatingText(typeConfig.text, typeConfig.textColor);
+    // Show floating combat text, matching the tint if the palette swapped it
+    const color = this.scene.gameSettings.getPowerUpColor(this.type);
+    const textColor = color === typeConfig.color ? typeConfig.textColor : `#${color.toString(16).padStart(6, '0')}`;
+    this.showFloatingText(typeConfig.text, textColor);
 
     // Visual feedback
     this.scene.tweens.add({
@@ -188,6 +190,9 @@ export default class PowerUp extends Phaser.Physics.Arcade.Sprite {
       case 'shield':
         player.applyShield(config.duration);
         break;
+      case 'bomb':
+        player.addBombs(config.charges);
+        break;
       default:
         console.warn(`Unknown power-up type: ${type}`);
     }
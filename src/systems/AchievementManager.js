@@ -0,0 +1,226 @@
+import GameConfig from '../config/GameConfig.js';
+
+/**
+ * @typedef {import('../config/GameConfig.js').AchievementConfig} AchievementConfig
+ */
+
+/**
+ * Persisted achievement state.
+ * @typedef {Object} AchievementData
+ * @property {Object<string, number>} unlocked - Unlock timestamp per achievement key
+ * @property {Object<string, number>} totals - Counters summed across all runs
+ * @property {Object<string, number>} bests - Highest counters reached in a single run
+ */
+
+const STORAGE_KEY = 'spacebear_achievements';
+const STORAGE_VERSION = 1;
+
+/**
+ * @returns {AchievementData}
+ */
+function getDefaultData() {
+  return {
+    unlocked: {},
+    totals: {},
+    bests: {},
+  };
+}
+
+/**
+ * @param {AchievementConfig} achievement
+ * @returns {string} Counter the achievement is measured by ('bossKills' or 'bossKills:carrier')
+ */
+export function getCounterKey(achievement) {
+  return achievement.bossType ? `${achievement.stat}:${achievement.bossType}` : achievement.stat;
+}
+
+/**
+ * AchievementManager - Unlocks the achievements in GameConfig.ACHIEVEMENTS.LIST
+ * from a game scene's events. Unlocks, lifetime totals and single-run bests are
+ * kept in localStorage next to ProgressManager's data.
+ *
+ * One instance lives in the game registry ('achievements'); GameScene binds it
+ * to each live run (not replays) and shows a toast when 'achievementUnlocked' fires.
+ */
+export default class AchievementManager {
+  constructor() {
+    /** @type {AchievementData} */
+    this.data = getDefaultData();
+    this.load();
+
+    // Counters for the run in progress
+    this.run = {};
+    this.lastHitTime = 0;
+    this.scene = null;
+  }
+
+  /**
+   * Load achievements from localStorage.
+   */
+  load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (saved) {
+        const data = JSON.parse(saved);
+        this.data = { ...getDefaultData(), ...data.achievements };
+      }
+    } catch (e) {
+      console.warn('Failed to load achievements:', e);
+      this.data = getDefaultData();
+    }
+  }
+
+  /**
+   * Save achievements to localStorage.
+   */
+  save() {
+    try {
+      const data = {
+        version: STORAGE_VERSION,
+        achievements: this.data,
+        savedAt: Date.now(),
+      };
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    } catch (e) {
+      console.warn('Failed to save achievements:', e);
+    }
+  }
+
+  /**
+   * Lock everything again and clear the counters.
+   */
+  reset() {
+    this.data = getDefaultData();
+    this.save();
+  }
+
+  /**
+   * @param {string} key - Achievement key
+   * @returns {boolean}
+   */
+  isUnlocked(key) {
+    return key in this.data.unlocked;
+  }
+
+  /**
+   * @returns {number} Number of achievements unlocked
+   */
+  getUnlockedCount() {
+    return Object.keys(GameConfig.ACHIEVEMENTS.LIST).filter(key => this.isUnlocked(key)).length;
+  }
+
+  /**
+   * Progress towards an achievement: the lifetime total for 'total' scope,
+   * the best single run otherwise.
+   * @param {string} key - Achievement key
+   * @returns {{current: number, goal: number}}
+   */
+  getProgress(key) {
+    const achievement = GameConfig.ACHIEVEMENTS.LIST[key];
+    const counters = achievement.scope === 'total' ? this.data.totals : this.data.bests;
+    const current = this.isUnlocked(key) ? achievement.goal : counters[getCounterKey(achievement)] || 0;
+    return { current: Math.min(current, achievement.goal), goal: achievement.goal };
+  }
+
+  /**
+   * Start counting a new run.
+   */
+  startRun() {
+    this.run = {};
+    this.lastHitTime = 0;
+  }
+
+  /**
+   * Add to a counter for this run and across runs.
+   * @param {string} counter - Counter key
+   * @param {number} [amount=1]
+   */
+  count(counter, amount = 1) {
+    this.run[counter] = (this.run[counter] || 0) + amount;
+    this.data.totals[counter] = (this.data.totals[counter] || 0) + amount;
+  }
+
+  /**
+   * Update the run's clock; called every frame while a run is live.
+   * @param {number} seconds - Time survived this run
+   */
+  updateTime(seconds) {
+    if (seconds === this.run.time) return;
+    this.run.time = seconds;
+    this.run.noHitTime = seconds - this.lastHitTime;
+    this.check();
+  }
+
+  /**
+   * Restart the no-hit clock.
+   */
+  recordHit() {
+    this.lastHitTime = this.run.time || 0;
+    this.run.noHitTime = 0;
+  }
+
+  /**
+   * Record single-run bests and unlock every achievement whose goal has been reached.
+   * @returns {string[]} Keys of the achievements unlocked by this check
+   */
+  check() {
+    for (const [counter, value] of Object.entries(this.run)) {
+      this.data.bests[counter] = Math.max(this.data.bests[counter] || 0, value);
+    }
+
+    const unlocked = [];
+    for (const [key, achievement] of Object.entries(GameConfig.ACHIEVEMENTS.LIST)) {
+      if (this.isUnlocked(key)) continue;
+      const counters = achievement.scope === 'total' ? this.data.totals : this.run;
+      if ((counters[getCounterKey(achievement)] || 0) >= achievement.goal) {
+        this.data.unlocked[key] = Date.now();
+        unlocked.push(key);
+        this.scene?.events.emit('achievementUnlocked', key, achievement);
+      }
+    }
+
+    if (unlocked.length > 0) {
+      this.save();
+    }
+    return unlocked;
+  }
+
+  /**
+   * Count a game scene's events towards achievements until it shuts down.
+   * Unlocks are announced on the scene as 'achievementUnlocked' (key, config).
+   * @param {Phaser.Scene} scene - The game scene
+   */
+  bindScene(scene) {
+    this.scene = scene;
+    this.startRun();
+
+    const counters = {
+      enemyKilled: () => this.count('kills'),
+      bossDefeated: (boss) => {
+        this.count('bossKills');
+        if (boss) this.count(`bossKills:${boss.bossType}`);
+      },
+      addCredits: (amount) => this.count('credits', amount),
+      playerHit: () => this.recordHit(),
+      loseLife: () => this.recordHit(),
+    };
+
+    // Every event can complete an achievement
+    const handlers = Object.entries(counters).map(([event, counter]) => [event, (...args) => {
+      counter(...args);
+      this.check();
+    }]);
+
+    for (const [event, handler] of handlers) {
+      scene.events.on(event, handler);
+    }
+    scene.events.once('shutdown', () => {
+      for (const [event, handler] of handlers) {
+        scene.events.off(event, handler);
+      }
+      // Totals and bests from the run
+      this.save();
+      this.scene = null;
+    });
+  }
+}
@@ -0,0 +1,396 @@
+import GameConfig from '../config/GameConfig.js';
+
+/**
+ * @typedef {import('../config/GameConfig.js').SfxConfig} SfxConfig
+ */
+
+/**
+ * Player audio settings.
+ * @typedef {Object} AudioSettings
+ * @property {number} musicVolume - 0-1
+ * @property {number} sfxVolume - 0-1
+ * @property {boolean} muted
+ */
+
+const STORAGE_KEY = 'spacebear_audio';
+const STORAGE_VERSION = 1;
+
+/** Gain that exponential ramps fade to (they can't reach 0) */
+const SILENT = 0.0001;
+
+/**
+ * @returns {AudioSettings}
+ */
+function getDefaultSettings() {
+  return {
+    musicVolume: GameConfig.AUDIO.MUSIC_VOLUME,
+    sfxVolume: GameConfig.AUDIO.SFX_VOLUME,
+    muted: false,
+  };
+}
+
+/**
+ * @param {number} volume
+ * @returns {number} Volume clamped to 0-1 and rounded to hundredths
+ */
+function clampVolume(volume) {
+  return Math.round(Math.min(1, Math.max(0, volume)) * 100) / 100;
+}
+
+/**
+ * @param {number} note - MIDI note number (69 is A4)
+ * @returns {number} Frequency in Hz
+ */
+export function midiToFrequency(note) {
+  return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+/**
+ * @param {string} bossType - Boss key from GameConfig.BOSS.TYPES
+ * @returns {string} Music track key for the fight
+ */
+export function getBossMusic(bossType) {
+  return GameConfig.BOSS.TYPES[bossType]?.music ?? GameConfig.AUDIO.DEFAULT_BOSS_MUSIC;
+}
+
+/**
+ * AudioManager - Music and sound effects, synthesized with WebAudio from
+ * GameConfig.AUDIO. Music and effects go through separate buses with their
+ * own volume; the music bus is ducked under boss intros. Volume and mute
+ * settings are kept in localStorage next to ProgressManager's data.
+ *
+ * One instance lives in the game registry ('audio'), so music carries on
+ * across scenes. Gameplay sounds come from scene events (see bindScene).
+ */
+export default class AudioManager {
+  /**
+   * @param {AudioContext|null} [context] - Context to play through; without one
+   *   only the settings work (no WebAudio, tests)
+   */
+  constructor(context = null) {
+    /** @type {AudioSettings} */
+    this.settings = getDefaultSettings();
+    this.load();
+
+    this.context = context;
+    this.trackKey = null;
+    this.track = null;
+    this.ducked = false;
+    // Context time (ms) each effect was last played, for cooldowns
+    this.lastPlayed = {};
+
+    if (context) {
+      this.createBuses();
+    }
+  }
+
+  /**
+   * Load settings from localStorage.
+   */
+  load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (saved) {
+        const data = JSON.parse(saved);
+        const defaults = getDefaultSettings();
+        const volume = (value, fallback) => (Number.isFinite(value) ? clampVolume(value) : fallback);
+        this.settings = {
+          musicVolume: volume(data.settings?.musicVolume, defaults.musicVolume),
+          sfxVolume: volume(data.settings?.sfxVolume, defaults.sfxVolume),
+          muted: data.settings?.muted === true,
+        };
+      }
+    } catch (e) {
+      console.warn('Failed to load audio settings:', e);
+      this.settings = getDefaultSettings();
+    }
+  }
+
+  /**
+   * Save settings to localStorage.
+   */
+  save() {
+    try {
+      const data = {
+        version: STORAGE_VERSION,
+        settings: this.settings,
+        savedAt: Date.now(),
+      };
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    } catch (e) {
+      console.warn('Failed to save audio settings:', e);
+    }
+  }
+
+  /**
+   * Restore the default volumes and unmute.
+   */
+  reset() {
+    this.settings = getDefaultSettings();
+    this.applyVolumes();
+    this.save();
+  }
+
+  /**
+   * @returns {AudioSettings}
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * @param {number} volume - 0-1
+   */
+  setMusicVolume(volume) {
+    this.settings.musicVolume = clampVolume(volume);
+    this.applyVolumes();
+    this.save();
+  }
+
+  /**
+   * @param {number} volume - 0-1
+   */
+  setSfxVolume(volume) {
+    this.settings.sfxVolume = clampVolume(volume);
+    this.applyVolumes();
+    this.save();
+  }
+
+  /**
+   * @param {boolean} muted
+   */
+  setMuted(muted) {
+    this.settings.muted = muted;
+    this.applyVolumes();
+    this.save();
+  }
+
+  /**
+   * @returns {boolean} True if now muted
+   */
+  toggleMute() {
+    this.setMuted(!this.settings.muted);
+    return this.settings.muted;
+  }
+
+  /**
+   * Build the gain graph: music and effect buses into a master gain.
+   */
+  createBuses() {
+    this.master = this.context.createGain();
+    this.master.connect(this.context.destination);
+    this.musicBus = this.context.createGain();
+    this.musicBus.connect(this.master);
+    this.sfxBus = this.context.createGain();
+    this.sfxBus.connect(this.master);
+    this.applyVolumes();
+  }
+
+  /**
+   * Move the bus gains to the current settings (and duck).
+   */
+  applyVolumes() {
+    if (!this.context) return;
+    const { musicVolume, sfxVolume, muted } = this.settings;
+    const ramp = (gain, value) => gain.setTargetAtTime(value, this.context.currentTime, GameConfig.AUDIO.DUCK_TIME / 3);
+    ramp(this.master.gain, muted ? 0 : 1);
+    ramp(this.musicBus.gain, musicVolume * (this.ducked ? GameConfig.AUDIO.DUCK_LEVEL : 1));
+    ramp(this.sfxBus.gain, sfxVolume);
+  }
+
+  /**
+   * Lower the music (or bring it back) so a moment can stand out.
+   * @param {boolean} ducked
+   */
+  duck(ducked) {
+    this.ducked = ducked;
+    this.applyVolumes();
+  }
+
+  /**
+   * Play a sound effect, unless it played less than its cooldown ago.
+   * @param {string} key - Effect key from GameConfig.AUDIO.SFX
+   */
+  playSfx(key) {
+    const sfx = GameConfig.AUDIO.SFX[key];
+    if (!this.context || !sfx) return;
+
+    const now = this.context.currentTime * 1000;
+    if (now - (this.lastPlayed[key] ?? -Infinity) < (sfx.cooldown ?? 0)) return;
+    this.lastPlayed[key] = now;
+
+    if (sfx.wave) {
+      this.playTone(this.sfxBus, sfx, this.context.currentTime);
+    } else {
+      this.playNoise(this.sfxBus, sfx, this.context.currentTime);
+    }
+  }
+
+  /**
+   * Play an oscillator sweeping from freq to endFreq, fading out.
+   * @param {AudioNode} destination
+   * @param {SfxConfig} sound
+   * @param {number} time - Context time to start at
+   */
+  playTone(destination, { wave, freq, endFreq, duration, volume }, time) {
+    const oscillator = this.context.createOscillator();
+    oscillator.type = wave;
+    oscillator.frequency.setValueAtTime(freq, time);
+    oscillator.frequency.exponentialRampToValueAtTime(endFreq, time + duration);
+
+    const gain = this.context.createGain();
+    gain.gain.setValueAtTime(volume, time);
+    gain.gain.exponentialRampToValueAtTime(SILENT, time + duration);
+
+    oscillator.connect(gain).connect(destination);
+    oscillator.start(time);
+    oscillator.stop(time + duration);
+  }
+
+  /**
+   * Play white noise through a low-pass filter sweeping from freq to endFreq.
+   * @param {AudioNode} destination
+   * @param {SfxConfig} sound
+   * @param {number} time - Context time to start at
+   */
+  playNoise(destination, { freq, endFreq, duration, volume }, time) {
+    const source = this.context.createBufferSource();
+    source.buffer = this.getNoiseBuffer();
+
+    const filter = this.context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(freq, time);
+    filter.frequency.exponentialRampToValueAtTime(endFreq, time + duration);
+
+    const gain = this.context.createGain();
+    gain.gain.setValueAtTime(volume, time);
+    gain.gain.exponentialRampToValueAtTime(SILENT, time + duration);
+
+    source.connect(filter).connect(gain).connect(destination);
+    source.start(time);
+    source.stop(time + duration);
+  }
+
+  /**
+   * Two seconds of white noise, made once and shared by every noise effect.
+   * Uses Math.random, not the run's seeded RNG, so sound never affects a replay.
+   * @returns {AudioBuffer}
+   */
+  getNoiseBuffer() {
+    if (!this.noiseBuffer) {
+      const length = this.context.sampleRate * 2;
+      this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+      const data = this.noiseBuffer.getChannelData(0);
+      for (let i = 0; i < length; i++) {
+        data[i] = Math.random() * 2 - 1;
+      }
+    }
+    return this.noiseBuffer;
+  }
+
+  /**
+   * Switch to a music track. The old track fades out; asking for the track
+   * that is already playing does nothing.
+   * @param {string} key - Track key from GameConfig.AUDIO.MUSIC
+   */
+  playMusic(key) {
+    if (key === this.trackKey) return;
+    this.stopMusic();
+    this.trackKey = key;
+
+    const config = GameConfig.AUDIO.MUSIC[key];
+    if (!this.context || !config) return;
+
+    const gain = this.context.createGain();
+    gain.connect(this.musicBus);
+    this.track = {
+      config,
+      gain,
+      step: 0,
+      nextStepTime: this.context.currentTime + 0.05,
+      timer: setInterval(() => this.scheduleMusic(), GameConfig.AUDIO.SCHEDULE_INTERVAL),
+    };
+    this.scheduleMusic();
+  }
+
+  /**
+   * Fade out the music.
+   */
+  stopMusic() {
+    this.trackKey = null;
+    if (!this.track) return;
+
+    const { gain, timer } = this.track;
+    clearInterval(timer);
+    const fadeTime = GameConfig.AUDIO.FADE_TIME;
+    gain.gain.setTargetAtTime(0, this.context.currentTime, fadeTime / 3);
+    setTimeout(() => gain.disconnect(), fadeTime * 1000 * 2);
+    this.track = null;
+  }
+
+  /**
+   * Queue the notes of the current track that start within SCHEDULE_AHEAD.
+   * Scheduling against the context clock keeps the beat steady however
+   * irregularly the timer fires, and the music stops when the context is
+   * suspended (tab hidden).
+   */
+  scheduleMusic() {
+    const track = this.track;
+    if (!track) return;
+
+    const stepTime = 60 / track.config.tempo / 2;
+    while (track.nextStepTime < this.context.currentTime + GameConfig.AUDIO.SCHEDULE_AHEAD) {
+      for (const voice of track.config.voices) {
+        const note = voice.notes[track.step % voice.notes.length];
+        if (note === null) continue;
+        const freq = midiToFrequency(note);
+        this.playTone(track.gain, {
+          wave: voice.wave,
+          freq,
+          endFreq: freq,
+          duration: stepTime * 0.9,
+          volume: voice.volume,
+        }, track.nextStepTime);
+      }
+      track.step++;
+      track.nextStepTime += stepTime;
+    }
+  }
+
+  /**
+   * Play sounds and music for a game scene's events until it shuts down.
+   * @param {Phaser.Scene} scene - The game scene
+   */
+  bindScene(scene) {
+    const handlers = {
+      weaponFired: () => this.playSfx('shoot'),
+      playExplosion: () => this.playSfx('explosion'),
+      addScore: () => this.playSfx('score'),
+      addCredits: () => this.playSfx('coin'),
+      loseLife: () => this.playSfx('playerDeath'),
+      awardLife: () => this.playSfx('extraLife'),
+      bombUsed: () => this.playSfx('bomb'),
+      bossPartDestroyed: () => this.playSfx('explosion'),
+      achievementUnlocked: () => this.playSfx('achievement'),
+      // Each boss has its own music; the music ducks under the warning until the boss is in place
+      bossSpawned: (boss) => {
+        this.playMusic(getBossMusic(boss.bossType));
+        this.duck(true);
+        this.playSfx('bossWarning');
+      },
+      bossEntered: () => this.duck(false),
+      bossDefeated: () => this.playSfx('bossExplosion'),
+      bossDefeatedUI: () => this.playMusic('stage'),
+    };
+
+    for (const [event, handler] of Object.entries(handlers)) {
+      scene.events.on(event, handler);
+    }
+    scene.events.once('shutdown', () => {
+      for (const [event, handler] of Object.entries(handlers)) {
+        scene.events.off(event, handler);
+      }
+      this.duck(false);
+    });
+  }
+}
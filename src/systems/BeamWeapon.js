@@ -0,0 +1,123 @@
+import GameConfig from '../config/GameConfig.js';
+
+/**
+ * Find what a beam fired straight up from (x, y) touches, nearest first.
+ * A beam stops at the first target unless its projectile is piercing.
+ * @param {number} x - Beam center X
+ * @param {number} y - Beam origin (its bottom end)
+ * @param {number} width - Beam width in pixels
+ * @param {Phaser.GameObjects.Sprite[]} targets - Enemies and boss
+ * @param {boolean} [piercing=false] - Whether the beam passes through targets
+ * @returns {Phaser.GameObjects.Sprite[]} Targets hit
+ */
+export function findBeamTargets(x, y, width, targets, piercing = false) {
+  const hits = targets
+    .filter(target => target.active && !target.isDying && target.y >= 0 && target.y < y
+      && Math.abs(target.x - x) <= (width + target.displayWidth) / 2)
+    .sort((a, b) => b.y - a.y);
+  return piercing ? hits : hits.slice(0, 1);
+}
+
+/**
+ * BeamWeapon - Fires weapons with the 'beam' pattern. Instead of spawning
+ * bullets, every fire rate tick damages what the beam touches (through
+ * CollisionManager, so kills score and drop loot like bullet kills), and
+ * the beam is drawn every step the fire button is held.
+ */
+export default class BeamWeapon {
+  /**
+   * @param {Phaser.Scene} scene - The game scene
+   * @param {import('./CollisionManager.js').default} collisionManager
+   * @param {Phaser.Physics.Arcade.Group} enemies - Enemy group
+   * @param {import('./BossManager.js').default} bossManager
+   */
+  constructor(scene, collisionManager, enemies, bossManager) {
+    this.scene = scene;
+    this.collisionManager = collisionManager;
+    this.enemies = enemies;
+    this.bossManager = bossManager;
+
+    /** @type {Map<Object, Phaser.GameObjects.Graphics>} Each ship's beam */
+    this.graphics = new Map();
+  }
+
+  /**
+   * @returns {Phaser.GameObjects.Sprite[]} Everything a beam can hit
+   */
+  getTargets() {
+    return [...this.enemies.getChildren(), ...this.bossManager.getTargets()];
+  }
+
+  /**
+   * @param {import('../sprites/Player.js').default} player
+   * @returns {import('../config/GameConfig.js').ProjectileConfig} The beam's projectile type
+   */
+  getProjectile(player) {
+    return GameConfig.PROJECTILES[player.getProjectileType()];
+  }
+
+  /**
+   * Deal one tick of beam damage. Called by the scene's fire pattern, so it
+   * follows the weapon's fire rate.
+   * @param {import('../sprites/Player.js').default} player - The ship firing
+   * @param {import('../config/GameConfig.js').WeaponLevelConfig} config - Weapon level
+   * @param {number} x - Beam X position
+   * @param {number} y - Beam origin
+   */
+  fire(player, config, x, y) {
+    const projectile = this.getProjectile(player);
+    const boss = this.bossManager.getBoss();
+    const damage = projectile.damage ?? 1;
+
+    for (const target of findBeamTargets(x, y, config.beamWidth, this.getTargets(), projectile.piercing === true)) {
+      if (target === boss) {
+        this.collisionManager.damageBoss(target, damage, player.playerIndex);
+      } else if (boss?.parts.includes(target)) {
+        this.collisionManager.damageBossPart(target, damage, player.playerIndex);
+      } else {
+        this.collisionManager.damageEnemy(target, damage, player.playerIndex);
+      }
+    }
+  }
+
+  /**
+   * Draw a ship's beam while it is firing one, from the ship up to the
+   * first target in its way (or the top of the screen).
+   * @param {import('../sprites/Player.js').default} player
+   * @param {boolean} firing - Whether the ship's fire button is held
+   */
+  update(player, firing) {
+    let graphics = this.graphics.get(player);
+    graphics?.clear();
+
+    const level = player.getWeaponLevelConfig();
+    if (!firing || level.pattern !== 'beam') return;
+
+    if (!graphics) {
+      graphics = this.scene.add.graphics();
+      this.graphics.set(player, graphics);
+    }
+
+    const projectile = this.getProjectile(player);
+    const x = player.x;
+    const y = player.y - GameConfig.PLAYER.MUZZLE_Y_OFFSET;
+    const piercing = projectile.piercing === true;
+    const [first] = findBeamTargets(x, y, level.beamWidth, this.getTargets(), piercing);
+    const top = first && !piercing ? Math.min(y, first.y + first.displayHeight / 2) : 0;
+
+    // Colored glow around a white core
+    const width = level.beamWidth;
+    graphics.fillStyle(projectile.color ?? 0xffffff, 0.5);
+    graphics.fillRect(x - width / 2, top, width, y - top);
+    graphics.fillStyle(0xffffff, 0.9);
+    graphics.fillRect(x - width / 6, top, width / 3, y - top);
+  }
+
+  /**
+   * Remove the beams.
+   */
+  destroy() {
+    this.graphics.forEach(graphics => graphics.destroy());
+    this.graphics.clear();
+  }
+}
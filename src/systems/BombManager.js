@@ -0,0 +1,100 @@
+import GameConfig from '../config/GameConfig.js';
+
+/**
+ * BombManager - Detonates the ships' smart bombs (GameConfig.BOMB).
+ * A bomb destroys every enemy and enemy bullet on screen, or within
+ * BOMB.RADIUS of the ship when set, takes a chunk out of the boss and
+ * makes the ship briefly invincible.
+ *
+ * Kills are announced with the same events as bullet kills ('addScore',
+ * 'enemyKilled'), so they score, chain and count towards achievements,
+ * but drop no loot. Each detonation emits 'bombUsed' (player).
+ */
+export default class BombManager {
+  /**
+   * @param {Phaser.Scene} scene - The game scene
+   * @param {Phaser.Physics.Arcade.Group} enemies - Enemy group
+   * @param {Phaser.Physics.Arcade.Group} enemyBullets - Enemy bullet group
+   * @param {import('./BossManager.js').default} bossManager
+   */
+  constructor(scene, enemies, enemyBullets, bossManager) {
+    this.scene = scene;
+    this.enemies = enemies;
+    this.enemyBullets = enemyBullets;
+    this.bossManager = bossManager;
+  }
+
+  /**
+   * Detonate a bomb when the ship's bomb button is pressed. Holding the
+   * button fires only one.
+   * @param {import('../sprites/Player.js').default} player
+   * @param {import('./Replay.js').InputFrame} input - The ship's input for this step
+   * @returns {boolean} True if a bomb went off
+   */
+  update(player, input) {
+    const pressed = input.bomb && !player.bombHeld;
+    player.bombHeld = input.bomb;
+
+    if (!pressed || !player.useBomb()) return false;
+    this.detonate(player);
+    return true;
+  }
+
+  /**
+   * Set off a bomb from a ship. Does not spend a charge (see update).
+   * @param {import('../sprites/Player.js').default} player
+   */
+  detonate(player) {
+    const config = GameConfig.BOMB;
+    const events = this.scene.events;
+
+    // Destroying an enemy removes it from the group, so work on a copy
+    for (const enemy of [...this.enemies.getChildren()]) {
+      if (!enemy.active || !this.isInRange(player, enemy)) continue;
+
+      events.emit('playExplosion', { x: enemy.x, y: enemy.y });
+      if (enemy.takeDamage(enemy.health)) {
+        events.emit('addScore', enemy.points, player.playerIndex, true);
+        events.emit('enemyKilled', enemy.enemyType, player.playerIndex);
+      }
+    }
+
+    for (const bullet of this.enemyBullets.getChildren()) {
+      if (bullet.active && this.isInRange(player, bullet)) {
+        bullet.setActive(false);
+        bullet.setVisible(false);
+      }
+    }
+
+    if (this.bossManager?.isBossActive()) {
+      const boss = this.bossManager.getBoss();
+      if (!boss.isDying) {
+        for (const part of boss.getLiveParts()) {
+          part.lastHitBy = player.playerIndex;
+          part.takeDamage(config.BOSS_DAMAGE);
+        }
+        boss.lastHitBy = player.playerIndex;
+        boss.takeDamage(config.BOSS_DAMAGE);
+      }
+    }
+
+    player.makeInvincible();
+    this.scene.vfx?.screenFlash(config.FLASH_DURATION);
+    this.scene.vfx?.screenShake(config.SHAKE_INTENSITY, config.SHAKE_DURATION);
+    events.emit('bombUsed', player);
+  }
+
+  /**
+   * @param {import('../sprites/Player.js').default} player
+   * @param {{x: number, y: number}} target
+   * @returns {boolean} True if the bomb reaches the target
+   */
+  isInRange(player, target) {
+    const radius = GameConfig.BOMB.RADIUS;
+    if (radius === null) {
+      const { width, height } = this.scene.cameras.main;
+      return target.x >= 0 && target.x <= width && target.y >= 0 && target.y <= height;
+    }
+    return Math.hypot(target.x - player.x, target.y - player.y) <= radius;
+  }
+}
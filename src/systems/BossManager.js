@@ -32,10 +32,14 @@ export default class BossManager {
 
     // Fight state
     this.isBossFight = false;
+    this.introPlaying = false;
 
     // Listen for boss events
     this.scene.events.on('bossDefeated', this.onBossDefeated, this);
     this.scene.events.on('bossSummon', this.onBossSummon, this);
+    this.scene.events.on('bossPartDestroyed', this.onBossPartDestroyed, this);
+    this.scene.events.on('bossPhaseChanged', this.onBossPhaseChanged, this);
+    this.scene.events.on('bossEntered', this.onBossEntered, this);
   }
 
   /**
@@ -62,6 +66,22 @@ export default class BossManager {
     return this.isBossFight && this.currentBoss && this.currentBoss.active;
   }
 
+  /**
+   * Check if the boss intro (warning banner and entrance) is still playing
+   * @returns {boolean}
+   */
+  isIntroPlaying() {
+    return this.introPlaying;
+  }
+
+  /**
+   * Skip the rest of the intro: the boss drops straight into position.
+   */
+  skipIntro() {
+    if (!this.introPlaying || !this.currentBoss) return;
+    this.currentBoss.finishEntrance();
+  }
+
   /**
    * Get the current boss instance
    * @returns {Boss|null}
@@ -70,6 +90,16 @@ export default class BossManager {
     return this.currentBoss;
   }
 
+  /**
+   * Everything in the boss fight that weapons can hit: the boss and its
+   * parts still intact (none outside a boss fight)
+   * @returns {Phaser.GameObjects.GameObject[]}
+   */
+  getTargets() {
+    if (!this.isBossActive()) return [];
+    return [this.currentBoss, ...this.currentBoss.getLiveParts()];
+  }
+
   /**
    * Update boss manager each frame
    * @param {number} delta - Time since last frame in ms
@@ -91,9 +121,10 @@ export default class BossManager {
 
   /**
    * Spawn the boss
-   * @param {string} [forceType] - Optional type to force spawn (for dev console)
+   * @param {string} [forceType] - Optional type to force spawn (for dev console, levels and Boss Rush)
+   * @param {import('../sprites/Boss.js').BossScaling} [scaling] - Extra health and speed (Boss Rush loops)
    */
-  spawnBoss(forceType = null) {
+  spawnBoss(forceType = null, scaling = {}) {
     // Determine boss type
     const bossType = forceType || this.getNextBossType();
     console.log(`Boss spawning: ${bossType}!`);
@@ -102,15 +133,19 @@ export default class BossManager {
     this.spawnTimer = 0;
     this.isFirstBoss = false;
 
+    // Clear the air for the fight
+    this.clearEnemyBullets();
+
     // Create boss at top center of screen
     const x = this.scene.cameras.main.centerX;
     const y = -100; // Start above screen
 
-    this.currentBoss = new Boss(this.scene, x, y, bossType);
+    this.currentBoss = new Boss(this.scene, x, y, bossType, scaling);
     this.currentBoss.setBulletGroup(this.enemyBullets);
 
-    // Enter boss fight state
+    // Enter boss fight state; the intro runs until the boss is in position
     this.isBossFight = true;
+    this.introPlaying = true;
 
     // Pause regular enemy spawning
     if (this.enemySpawner) {
@@ -120,11 +155,30 @@ export default class BossManager {
     // Clear existing enemies (optional - gives player breathing room)
     // this.clearEnemies();
 
-    // Notify UI with boss name
+    // Notify UI to start the intro
     this.scene.events.emit('bossSpawned', this.currentBoss);
 
     // Camera shake for dramatic entrance
-    this.scene.cameras.main.shake(300, 0.01);
+    this.scene.vfx.screenShake(0.01, 300);
+  }
+
+  /**
+   * Remove every enemy bullet in flight.
+   */
+  clearEnemyBullets() {
+    this.enemyBullets.getChildren().forEach(bullet => {
+      if (bullet.active) {
+        bullet.setActive(false);
+        bullet.setVisible(false);
+      }
+    });
+  }
+
+  /**
+   * Handle the boss reaching its position - the intro is over
+   */
+  onBossEntered() {
+    this.introPlaying = false;
   }
 
   /**
@@ -146,12 +200,12 @@ export default class BossManager {
 
       // Delay each spawn slightly
       this.scene.time.delayedCall(i * 200, () => {
-        const color = Phaser.Math.RND.pick(['r', 'g', 'b']);
+        const color = this.scene.rng.pick(['r', 'g', 'b']);
         const enemy = this.enemySpawner.spawnSingleEnemy(x, y, type, color);
 
         if (enemy) {
           // Make them fly inward
-          const targetX = fromLeft ? 100 + Math.random() * 200 : this.scene.cameras.main.width - 100 - Math.random() * 200;
+          const targetX = fromLeft ? 100 + this.scene.rng.frac() * 200 : this.scene.cameras.main.width - 100 - this.scene.rng.frac() * 200;
           enemy.setVelocityX(fromLeft ? 100 : -100);
 
           // Curve down after entering
@@ -166,6 +220,35 @@ export default class BossManager {
     }
   }
 
+  /**
+   * Handle a boss entering a new phase - run the phase's onEnter effects
+   * @param {Boss} boss
+   * @param {number} phaseNumber
+   * @param {import('../config/GameConfig.js').BossPhaseConfig} phase
+   */
+  onBossPhaseChanged(boss, phaseNumber, phase) {
+    const onEnter = phase.onEnter;
+    if (!onEnter) return;
+
+    if (onEnter.summon) {
+      this.onBossSummon(onEnter.summon);
+    }
+
+    // Arena hazard: mines dropped in from above the screen
+    for (let i = 0; i < (onEnter.mines || 0); i++) {
+      const x = this.scene.rng.between(50, this.scene.cameras.main.width - 50);
+      this.scene.addMine(x, -30 - i * 40);
+    }
+  }
+
+  /**
+   * Handle a boss part being destroyed - award its points
+   * @param {import('../sprites/BossPart.js').default} part
+   */
+  onBossPartDestroyed(part) {
+    this.scene.events.emit('addScore', part.points, part.lastHitBy);
+  }
+
   /**
    * Handle boss defeated event
    * @param {Boss} boss
@@ -180,8 +263,8 @@ export default class BossManager {
     this.bossesDefeated++;
     this.advanceBossType();
 
-    // Award points via event
-    this.scene.events.emit('addScore', boss.points);
+    // Award points via event, credited to the ship that landed the last hit
+    this.scene.events.emit('addScore', boss.points, boss.lastHitBy);
 
     // Spawn coins (boss drops a shower of coins!)
     const bossCredits = Math.floor(boss.points / GameConfig.CURRENCY.BOSS_CREDITS_MULT);
@@ -224,5 +307,8 @@ export default class BossManager {
   destroy() {
     this.scene.events.off('bossDefeated', this.onBossDefeated, this);
     this.scene.events.off('bossSummon', this.onBossSummon, this);
+    this.scene.events.off('bossPartDestroyed', this.onBossPartDestroyed, this);
+    this.scene.events.off('bossPhaseChanged', this.onBossPhaseChanged, this);
+    this.scene.events.off('bossEntered', this.onBossEntered, this);
   }
 }
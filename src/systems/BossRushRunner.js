@@ -0,0 +1,174 @@
+import GameConfig from '../config/GameConfig.js';
+
+/**
+ * One boss fight won in a Boss Rush.
+ * @typedef {Object} BossRushSplit
+ * @property {string} bossType - Boss type key
+ * @property {number} loop - Loop the fight was in (from 1)
+ * @property {number} time - Fight length from the end of the boss's entrance to its defeat (ms)
+ */
+
+/**
+ * How far a Boss Rush got, for the game over screen and personal bests.
+ * @typedef {Object} BossRushResult
+ * @property {number} loop - Loop reached (from 1)
+ * @property {number|null} clearTime - Time to defeat every boss type once, breaks included (ms); null if not cleared
+ * @property {BossRushSplit[]} splits - Fights won, in order
+ */
+
+/**
+ * Format a Boss Rush time as minutes, seconds and tenths.
+ * @param {number} ms
+ * @returns {string} e.g. '1:05.3'
+ */
+export function formatRushTime(ms) {
+  const tenths = Math.floor(ms / 100);
+  const mins = Math.floor(tenths / 600);
+  const secs = Math.floor(tenths / 10) % 60;
+  return `${mins}:${String(secs).padStart(2, '0')}.${tenths % 10}`;
+}
+
+/**
+ * Boss toughness for a loop: every loop after the first adds health and speed.
+ * @param {number} loop - Loop number (from 1)
+ * @returns {import('../sprites/Boss.js').BossScaling}
+ */
+export function getLoopScaling(loop) {
+  const extraLoops = loop - 1;
+  return {
+    healthMult: 1 + extraLoops * GameConfig.BOSS_RUSH.LOOP_HEALTH_MULT,
+    speedMult: 1 + extraLoops * GameConfig.BOSS_RUSH.LOOP_SPEED_MULT,
+  };
+}
+
+/**
+ * BossRushRunner - Plays every boss type back to back in place of the waves.
+ * Bosses come in BOSS.TYPES order through BossManager.spawnBoss(), with a
+ * refit break between fights; after the last type the order starts again one
+ * loop harder. Times are counted in simulation steps, so pauses don't count
+ * and replays reproduce them exactly. Splits start once the boss has entered,
+ * so skipping its intro doesn't make a fight look faster.
+ *
+ * Emits 'bossRushRefit' (split, nextType, loop) when a boss falls and the
+ * break starts, and 'bossRushCleared' (clearTime) the first time every type
+ * has been beaten.
+ */
+export default class BossRushRunner {
+  /**
+   * @param {Phaser.Scene} scene - The game scene
+   * @param {import('./BossManager.js').default} bossManager - Spawns the bosses
+   */
+  constructor(scene, bossManager) {
+    this.scene = scene;
+    this.bossManager = bossManager;
+
+    /** @type {string[]} Boss types in fight order */
+    this.order = Object.keys(GameConfig.BOSS.TYPES);
+    /** @type {number} Index of the next (or current) boss in the order */
+    this.index = 0;
+    /** @type {number} Current loop (from 1) */
+    this.loop = 1;
+    /** @type {number} Time since the rush started (ms) */
+    this.elapsed = 0;
+    /** @type {number} Time until the next fight (ms) */
+    this.breakTimer = GameConfig.BOSS_RUSH.START_DELAY;
+    /** @type {number} Time since the current boss finished entering (ms) */
+    this.fightTime = 0;
+    this.fighting = false;
+    // True once the current boss has entered and its split is running
+    this.timingFight = false;
+    /** @type {number|null} */
+    this.clearTime = null;
+    /** @type {BossRushSplit[]} */
+    this.splits = [];
+
+    this.scene.events.on('bossEntered', this.onBossEntered, this);
+    this.scene.events.on('bossDefeated', this.onBossDefeated, this);
+  }
+
+  /**
+   * Advance the clocks and start the next fight once the break is over.
+   * @param {number} delta - Time since last step in ms
+   */
+  update(delta) {
+    this.elapsed += delta;
+
+    if (this.fighting) {
+      if (this.timingFight) this.fightTime += delta;
+      return;
+    }
+
+    this.breakTimer -= delta;
+    if (this.breakTimer <= 0) {
+      this.startFight();
+    }
+  }
+
+  /**
+   * @returns {string} Type of the boss being fought, or fought next
+   */
+  getNextBossType() {
+    return this.order[this.index];
+  }
+
+  /**
+   * Bring in the next boss, scaled for the current loop.
+   */
+  startFight() {
+    this.fighting = true;
+    this.fightTime = 0;
+    this.bossManager.spawnBoss(this.getNextBossType(), getLoopScaling(this.loop));
+  }
+
+  /**
+   * Start the split once the boss is in position.
+   */
+  onBossEntered() {
+    if (this.fighting) this.timingFight = true;
+  }
+
+  /**
+   * Record the split, move to the next boss and start the refit break.
+   * @param {import('../sprites/Boss.js').default} boss
+   */
+  onBossDefeated(boss) {
+    if (!this.fighting || !boss) return;
+    this.fighting = false;
+    this.timingFight = false;
+
+    const split = { bossType: boss.bossType, loop: this.loop, time: Math.round(this.fightTime) };
+    this.splits.push(split);
+
+    this.index++;
+    if (this.index >= this.order.length) {
+      this.index = 0;
+      this.loop++;
+      if (this.clearTime === null) {
+        this.clearTime = Math.round(this.elapsed);
+        this.scene.events.emit('bossRushCleared', this.clearTime);
+      }
+    }
+
+    this.breakTimer = GameConfig.BOSS_RUSH.REFIT_DELAY;
+    this.scene.events.emit('bossRushRefit', split, this.getNextBossType(), this.loop);
+  }
+
+  /**
+   * @returns {BossRushResult}
+   */
+  getResult() {
+    return {
+      loop: this.loop,
+      clearTime: this.clearTime,
+      splits: this.splits.map(split => ({ ...split })),
+    };
+  }
+
+  /**
+   * Clean up event listeners
+   */
+  destroy() {
+    this.scene.events.off('bossEntered', this.onBossEntered, this);
+    this.scene.events.off('bossDefeated', this.onBossDefeated, this);
+  }
+}
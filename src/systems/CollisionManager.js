@@ -30,14 +30,14 @@ export default class CollisionManager {
    * @param {Phaser.Physics.Arcade.Group} enemyBullets - Enemy bullet group
    * @param {Phaser.Physics.Arcade.Group} enemies - Enemy group
    * @param {Phaser.Physics.Arcade.Group} mines - Mine group
-   * @param {Player} player - The player sprite
+   * @param {Player[]} players - The player ships (two in co-op)
    * @param {Phaser.Physics.Arcade.Group} powerUps - Power-up group
    * @param {Phaser.Physics.Arcade.Group} coins - Coin group
    */
-  setup(bullets, enemyBullets, enemies, mines, player, powerUps, coins) {
+  setup(bullets, enemyBullets, enemies, mines, players, powerUps, coins) {
     // Store references for boss collision setup
     this.bullets = bullets;
-    this.player = player;
+    this.players = players;
     this.powerUps = powerUps;
     this.coins = coins;
     this.enemies = enemies;
@@ -53,7 +53,7 @@ export default class CollisionManager {
     // Enemy bullets vs player
     this.scene.physics.add.overlap(
       enemyBullets,
-      player,
+      players,
       this.enemyBulletHitPlayer,
       null,
       this
@@ -62,7 +62,7 @@ export default class CollisionManager {
     // Enemies vs player (collision damage)
     this.scene.physics.add.overlap(
       enemies,
-      player,
+      players,
       this.enemyHitPlayer,
       null,
       this
@@ -72,7 +72,7 @@ export default class CollisionManager {
     // Keep this for direct collision
     this.scene.physics.add.overlap(
       mines,
-      player,
+      players,
       this.mineHitPlayer,
       null,
       this
@@ -90,7 +90,7 @@ export default class CollisionManager {
     // Power-ups vs player (collection)
     this.scene.physics.add.overlap(
       powerUps,
-      player,
+      players,
       this.powerUpHitPlayer,
       null,
       this
@@ -99,7 +99,7 @@ export default class CollisionManager {
     // Coins vs player (collection)
     this.scene.physics.add.overlap(
       coins,
-      player,
+      players,
       this.coinHitPlayer,
       null,
       this
@@ -112,16 +112,27 @@ export default class CollisionManager {
    * @param {Enemy} enemy - The enemy that was hit
    */
   bulletHitEnemy(bullet, enemy) {
-    bullet.setActive(false);
-    bullet.setVisible(false);
+    const damage = this.resolveBulletHit(bullet, enemy);
+    if (damage <= 0) return;
+
+    this.damageEnemy(enemy, damage, bullet.owner);
+  }
 
+  /**
+   * Deal weapon damage to an enemy, scoring and dropping loot if it dies.
+   * Used by bullets and beams.
+   * @param {Enemy} enemy - The enemy that was hit
+   * @param {number} damage - Damage to deal
+   * @param {number} owner - Index of the ship that hit it
+   */
+  damageEnemy(enemy, damage, owner) {
     // Emit explosion event (scene handles VFX)
     this.scene.events.emit('playExplosion', { x: enemy.x, y: enemy.y });
 
-    // Damage enemy and add score if killed
-    if (enemy.takeDamage(1)) {
-      this.scene.events.emit('addScore', enemy.points);
-      this.scene.events.emit('enemyKilled');
+    // Damage enemy and credit the ship that fired if killed (points count towards the kill chain)
+    if (enemy.takeDamage(damage)) {
+      this.scene.events.emit('addScore', enemy.points, owner, true);
+      this.scene.events.emit('enemyKilled', enemy.enemyType, owner);
 
       // Drop coins from loot table
       const loot = enemy.getLoot();
@@ -133,6 +144,29 @@ export default class CollisionManager {
     }
   }
 
+  /**
+   * Resolve a player bullet striking a target.
+   * Damage comes from the bullet's projectile type. Regular bullets are used up
+   * on impact; piercing bullets keep flying but only hit each target once.
+   * @param {BaseProjectile} bullet - The player bullet
+   * @param {Phaser.GameObjects.GameObject} target - Enemy, mine or boss that was hit
+   * @returns {number} Damage to apply (0 if the hit should be ignored)
+   */
+  resolveBulletHit(bullet, target) {
+    if (!bullet.active || bullet.hitTargets.has(target)) {
+      return 0;
+    }
+
+    bullet.hitTargets.add(target);
+
+    if (!bullet.piercing) {
+      bullet.setActive(false);
+      bullet.setVisible(false);
+    }
+
+    return bullet.damage;
+  }
+
   /**
    * Spawn collectible coins at position.
    * @param {number} x - X position
@@ -140,7 +174,7 @@ export default class CollisionManager {
    * @param {Object} credits - { min, max } credit range
    */
   spawnCoins(x, y, credits) {
-    const value = Phaser.Math.Between(credits.min, credits.max);
+    const value = this.scene.rng.between(credits.min, credits.max);
     const coin = this.coins.get(x, y);
     if (coin) {
       coin.spawn(x, y, value);
@@ -166,7 +200,7 @@ export default class CollisionManager {
    */
   trySpawnPowerUp(x, y, loot = null) {
     // First check global drop chance
-    if (Math.random() > GameConfig.POWER_UP.DROP_CHANCE) {
+    if (this.scene.rng.frac() > GameConfig.POWER_UP.DROP_CHANCE) {
       return;
     }
 
@@ -179,7 +213,7 @@ export default class CollisionManager {
 
     if (loot && loot.dropTable && loot.dropTable.length > 0) {
       // Use enemy's loot table with weighted chances
-      const roll = Math.random();
+      const roll = this.scene.rng.frac();
       let cumulative = 0;
 
       for (const drop of loot.dropTable) {
@@ -197,7 +231,16 @@ export default class CollisionManager {
     } else {
       // Fallback: randomly select from all power-up types
       const types = Object.keys(GameConfig.POWER_UP.TYPES);
-      type = Phaser.Math.RND.pick(types);
+      type = this.scene.rng.pick(types);
+    }
+
+    // Only drop weapons the player can use: the one a challenge modifier locks
+    // in, or else those unlocked in the hangar. Other weapon pickups become upgrades.
+    const lockedWeapon = this.scene.modifiers.weapon;
+    const weaponType = GameConfig.POWER_UP.TYPES[type]?.weaponType;
+    const usable = lockedWeapon ? weaponType === lockedWeapon : this.scene.unlockedWeapons.includes(weaponType);
+    if (weaponType && !usable) {
+      type = 'weapon';
     }
 
     powerUp.spawn(x, y, type);
@@ -209,9 +252,11 @@ export default class CollisionManager {
    * @param {Mine} mine - The mine that was hit
    */
   bulletHitMine(bullet, mine) {
-    bullet.setActive(false);
-    bullet.setVisible(false);
-    mine.takeDamage(1);
+    const damage = this.resolveBulletHit(bullet, mine);
+    if (damage > 0) {
+      mine.lastHitBy = bullet.owner;
+      mine.takeDamage(damage);
+    }
   }
 
   /**
@@ -231,13 +276,13 @@ export default class CollisionManager {
    * @param {EnemyBullet} bullet - The enemy bullet
    */
   enemyBulletHitPlayer(player, bullet) {
-    if (this.scene.player?.isInvincible) return;
+    if (player.isInvincible) return;
 
     bullet.setActive(false);
     bullet.setVisible(false);
 
-    if (!this.scene.player?.takeDamage(10)) {
-      this.scene.events.emit('loseLife');
+    if (!player.takeDamage(10)) {
+      this.scene.events.emit('loseLife', player);
     }
   }
 
@@ -247,7 +292,7 @@ export default class CollisionManager {
    * @param {Enemy} enemy - The enemy that collided
    */
   enemyHitPlayer(player, enemy) {
-    if (this.scene.player?.isInvincible) return;
+    if (player.isInvincible) return;
 
     this.scene.events.emit('playExplosion', { x: enemy.x, y: enemy.y });
 
@@ -255,8 +300,8 @@ export default class CollisionManager {
     const damage = enemy.getCollisionDamage ? enemy.getCollisionDamage() : 25;
     enemy.destroy();
 
-    if (!this.scene.player?.takeDamage(damage)) {
-      this.scene.events.emit('loseLife');
+    if (!player.takeDamage(damage)) {
+      this.scene.events.emit('loseLife', player);
     }
   }
 
@@ -267,7 +312,7 @@ export default class CollisionManager {
    * @param {Mine} mine - The mine that collided
    */
   mineHitPlayer(player, mine) {
-    if (this.scene.player?.isInvincible) return;
+    if (player.isInvincible) return;
 
     // Mine explodes on direct contact
     mine.explode();
@@ -279,6 +324,17 @@ export default class CollisionManager {
    * @param {Boss} boss - The boss sprite
    */
   setupBossCollisions(boss) {
+    // Player bullets vs boss parts, first so parts take hits in front of the core
+    if (boss.parts.length > 0) {
+      this.scene.physics.add.overlap(
+        this.bullets,
+        boss.parts,
+        this.bulletHitBossPart,
+        null,
+        this
+      );
+    }
+
     // Player bullets vs boss
     this.scene.physics.add.overlap(
       this.bullets,
@@ -291,7 +347,7 @@ export default class CollisionManager {
     // Boss vs player (body collision)
     this.scene.physics.add.overlap(
       boss,
-      this.player,
+      this.players,
       this.bossHitPlayer,
       null,
       this
@@ -308,12 +364,49 @@ export default class CollisionManager {
     const bullet = obj1 instanceof Bullet ? obj1 : obj2;
     const boss = obj1 instanceof Boss ? obj1 : obj2;
 
-    bullet.setActive(false);
-    bullet.setVisible(false);
+    const damage = this.resolveBulletHit(bullet, boss);
+    if (damage > 0) {
+      this.damageBoss(boss, damage, bullet.owner);
+    }
+  }
+
+  /**
+   * Handle player bullet hitting a boss part.
+   * @param {Object} obj1 - First collision object
+   * @param {Object} obj2 - Second collision object
+   */
+  bulletHitBossPart(obj1, obj2) {
+    const bullet = obj1 instanceof Bullet ? obj1 : obj2;
+    const part = bullet === obj1 ? obj2 : obj1;
 
-    // Damage boss (no explosion on each hit - boss is tough)
+    const damage = this.resolveBulletHit(bullet, part);
+    if (damage > 0) {
+      this.damageBossPart(part, damage, bullet.owner);
+    }
+  }
+
+  /**
+   * Deal weapon damage to a boss part. Used by bullets and beams.
+   * @param {import('../sprites/BossPart.js').default} part - The part that was hit
+   * @param {number} damage - Damage to deal
+   * @param {number} owner - Index of the ship that hit it
+   */
+  damageBossPart(part, damage, owner) {
+    part.lastHitBy = owner;
+    part.takeDamage(damage);
+  }
+
+  /**
+   * Deal weapon damage to the boss. Used by bullets and beams.
+   * @param {Boss} boss - The boss that was hit
+   * @param {number} damage - Damage to deal
+   * @param {number} owner - Index of the ship that hit it
+   */
+  damageBoss(boss, damage, owner) {
+    // No explosion on each hit - boss is tough
     if (boss.takeDamage) {
-      boss.takeDamage(1);
+      boss.lastHitBy = owner;
+      boss.takeDamage(damage);
     }
   }
 
@@ -325,18 +418,19 @@ export default class CollisionManager {
   bossHitPlayer(obj1, obj2) {
     // Use instanceof for reliable type detection (survives minification)
     const boss = obj1 instanceof Boss ? obj1 : obj2;
+    const player = obj1 instanceof Boss ? obj2 : obj1;
 
-    if (this.scene.player?.isInvincible) return;
+    if (player.isInvincible) return;
     if (boss?.isDying) return;
 
     // Heavy collision damage
     const damage = GameConfig.BOSS.COLLISION_DAMAGE;
 
-    if (!this.scene.player?.takeDamage(damage)) {
-      this.scene.events.emit('loseLife');
+    if (!player.takeDamage(damage)) {
+      this.scene.events.emit('loseLife', player);
     } else {
       // Brief invincibility after boss collision
-      this.scene.player?.makeInvincible(1000);
+      player.makeInvincible(1000);
     }
   }
 
@@ -347,7 +441,7 @@ export default class CollisionManager {
   destroy() {
     // Clear stored references
     this.bullets = null;
-    this.player = null;
+    this.players = null;
     this.bossManager = null;
   }
 }
@@ -0,0 +1,91 @@
+import GameConfig from '../config/GameConfig.js';
+import { getDayKey } from '../services/LeaderboardPeriods.js';
+import { fnv1a } from '../services/RunValidator.js';
+
+/**
+ * Daily Challenge - one seed and set of modifiers per calendar day.
+ *
+ * Both are derived from the date alone, so every player gets the same wave
+ * sequence on the same day without asking a server. Challenge scores go to
+ * their own leaderboard bucket (LeaderboardPeriod.CHALLENGE).
+ */
+
+/**
+ * @typedef {Object} DailyChallenge
+ * @property {string} day - Day key, e.g. '2026-10-19'
+ * @property {number} seed - Run seed for the day
+ * @property {string[]} modifiers - Modifier keys from DAILY_CHALLENGE.MODIFIERS
+ */
+
+/**
+ * Combined effect of the active modifiers.
+ * @typedef {Object} ModifierEffects
+ * @property {string|null} weapon - Only weapon used this run (null for any)
+ * @property {number} minesPerSpawn - Mines spawned at a time
+ * @property {number} bossSpeed - Boss movement and attack speed multiplier
+ */
+
+/** @type {ModifierEffects} Effects of a normal run */
+export const DEFAULT_MODIFIER_EFFECTS = Object.freeze({
+  weapon: null,
+  minesPerSpawn: 1,
+  bossSpeed: 1,
+});
+
+/**
+ * Get the challenge for a day.
+ * @param {Date} [date=new Date()] - Any time on that day (local calendar)
+ * @returns {DailyChallenge}
+ */
+export function getDailyChallenge(date = new Date()) {
+  const day = getDayKey(date);
+  const seed = parseInt(fnv1a(`daily:${day}`), 16);
+
+  // Rank modifiers by a per-day hash, keeping registry order for display
+  const keys = Object.keys(GameConfig.DAILY_CHALLENGE.MODIFIERS);
+  const picked = [...keys]
+    .sort((a, b) => fnv1a(`${day}:${a}`).localeCompare(fnv1a(`${day}:${b}`)))
+    .slice(0, GameConfig.DAILY_CHALLENGE.MODIFIER_COUNT);
+
+  return {
+    day,
+    seed,
+    modifiers: keys.filter(key => picked.includes(key)),
+  };
+}
+
+/**
+ * Combine modifiers into the settings a run uses.
+ * @param {string[]} [modifiers=[]] - Modifier keys
+ * @returns {ModifierEffects}
+ */
+export function getModifierEffects(modifiers = []) {
+  const effects = { ...DEFAULT_MODIFIER_EFFECTS };
+
+  for (const key of modifiers) {
+    const config = GameConfig.DAILY_CHALLENGE.MODIFIERS[key];
+    if (!config) {
+      console.warn(`Unknown challenge modifier: ${key}`);
+      continue;
+    }
+    // Copy the setting fields, skipping name/description
+    for (const [field, value] of Object.entries(config)) {
+      if (field in effects) {
+        effects[field] = value;
+      }
+    }
+  }
+
+  return effects;
+}
+
+/**
+ * Display names of a challenge's modifiers.
+ * @param {DailyChallenge} challenge
+ * @returns {string} e.g. 'SPREADER ONLY + FAST BOSSES'
+ */
+export function describeChallenge(challenge) {
+  return challenge.modifiers
+    .map(key => GameConfig.DAILY_CHALLENGE.MODIFIERS[key]?.name || key)
+    .join(' + ');
+}
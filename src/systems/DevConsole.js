@@ -9,14 +9,16 @@ import GameConfig from '../config/GameConfig.js';
  * Keyboard shortcuts:
  *   ` or F1  - Toggle console overlay
  *   1-4      - Give power-up (health, weapon, speed, shield)
- *   5-8      - Switch weapon (vulcan, laser, spreader, plasma)
+ *   5-0      - Switch weapon (vulcan, laser, spreader, plasma, homing, beam)
  *   B        - Spawn boss
  *   E        - Spawn enemy formation
  *   I        - Toggle invincibility
  *   K        - Kill all enemies
  *   L        - Add extra life
  *   N        - Skip to next wave
- *   P        - Pause/unpause spawning
+ *   O        - Pause/unpause spawning
+ *
+ * Shortcuts on keys the player has bound to an action are left out.
  */
 export default class DevConsole {
   /**
@@ -69,26 +71,40 @@ export default class DevConsole {
       this.toggle();
     });
 
-    // Power-ups (1-4)
-    keyboard.on('keydown-ONE', () => this.givePowerUp('health'));
-    keyboard.on('keydown-TWO', () => this.givePowerUp('weapon'));
-    keyboard.on('keydown-THREE', () => this.givePowerUp('speed'));
-    keyboard.on('keydown-FOUR', () => this.givePowerUp('shield'));
-
-    // Weapon switches (5-8)
-    keyboard.on('keydown-FIVE', () => this.switchWeapon('vulcan'));
-    keyboard.on('keydown-SIX', () => this.switchWeapon('laser'));
-    keyboard.on('keydown-SEVEN', () => this.switchWeapon('spreader'));
-    keyboard.on('keydown-EIGHT', () => this.switchWeapon('plasma'));
-
-    // Cheats
-    keyboard.on('keydown-B', () => this.spawnBoss());
-    keyboard.on('keydown-E', () => this.spawnEnemyFormation());
-    keyboard.on('keydown-I', () => this.toggleGodMode());
-    keyboard.on('keydown-K', () => this.killAllEnemies());
-    keyboard.on('keydown-L', () => this.addLife());
-    keyboard.on('keydown-N', () => this.nextWave());
-    keyboard.on('keydown-P', () => this.toggleSpawning());
+    const shortcuts = {
+      // Power-ups (1-4)
+      ONE: () => this.givePowerUp('health'),
+      TWO: () => this.givePowerUp('weapon'),
+      THREE: () => this.givePowerUp('speed'),
+      FOUR: () => this.givePowerUp('shield'),
+
+      // Weapon switches (5-0)
+      FIVE: () => this.switchWeapon('vulcan'),
+      SIX: () => this.switchWeapon('laser'),
+      SEVEN: () => this.switchWeapon('spreader'),
+      EIGHT: () => this.switchWeapon('plasma'),
+      NINE: () => this.switchWeapon('homing'),
+      ZERO: () => this.switchWeapon('beam'),
+
+      // Cheats
+      B: () => this.spawnBoss(),
+      E: () => this.spawnEnemyFormation(),
+      I: () => this.toggleGodMode(),
+      K: () => this.killAllEnemies(),
+      L: () => this.addLife(),
+      N: () => this.nextWave(),
+      O: () => this.toggleSpawning(),
+    };
+
+    // Player bindings win, so a rebound key never triggers a cheat mid-run
+    for (const [key, command] of Object.entries(shortcuts)) {
+      const action = this.scene.controls?.getActionForKey(key);
+      if (action) {
+        this.log(`${key} is bound to ${action}, shortcut disabled`);
+      } else {
+        keyboard.on(`keydown-${key}`, command);
+      }
+    }
   }
 
   /**
@@ -145,11 +161,11 @@ export default class DevConsole {
   getHelpText() {
     return [
       '1-4: Power-ups',
-      '5-8: Weapons',
+      '5-0: Weapons',
       'B: Boss  E: Enemies',
       'I: God  K: Kill all',
       'L: +Life  N: Wave',
-      'P: Pause spawn',
+      'O: Pause spawn',
     ].join('\n');
   }
 
@@ -329,6 +345,7 @@ export default class DevConsole {
     // Also kill boss if active
     const boss = this.scene.bossManager?.getBoss();
     if (boss && boss.active) {
+      boss.getLiveParts().forEach(part => part.takeDamage(9999));
       boss.takeDamage(9999);
       this.log('Killed boss');
     }
@@ -50,7 +50,7 @@ export default class EnemySpawner {
    * @returns {string} Random color code ('r', 'g', or 'b')
    */
   getRandomColor() {
-    return Phaser.Math.RND.pick(this.colors);
+    return this.scene.rng.pick(this.colors);
   }
 
   /**
@@ -63,12 +63,12 @@ export default class EnemySpawner {
     if (!weights) {
       // Fallback to legacy behavior
       const weight = GameConfig.SPAWNER.FIGHTER_SPAWN_WEIGHT;
-      return Math.random() < weight ? 'fighter' : 'heavy';
+      return this.scene.rng.frac() < weight ? 'fighter' : 'heavy';
     }
 
     // Weighted random selection
     const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0);
-    let random = Math.random() * totalWeight;
+    let random = this.scene.rng.frac() * totalWeight;
 
     for (const [type, weight] of Object.entries(weights)) {
       random -= weight;
@@ -90,7 +90,7 @@ export default class EnemySpawner {
     if (!allowedTypes || allowedTypes.length === 0) {
       return this.getRandomType();
     }
-    return Phaser.Math.RND.pick(allowedTypes);
+    return this.scene.rng.pick(allowedTypes);
   }
 
   /**
@@ -106,7 +106,7 @@ export default class EnemySpawner {
    * @returns {number} X coordinate for spawning
    */
   getRandomSpawnX() {
-    return Phaser.Math.Between(this.spawnMargin, this.screenWidth - this.spawnMargin);
+    return this.scene.rng.between(this.spawnMargin, this.screenWidth - this.spawnMargin);
   }
 
   /**
@@ -127,7 +127,8 @@ export default class EnemySpawner {
    * @returns {Enemy} The created enemy
    */
   createEnemy(x, y, type, color, velocityX = 0) {
-    const enemy = new Enemy(this.scene, x, y, type, color);
+    // Drawn in the color variant the player's palette swaps it to
+    const enemy = new Enemy(this.scene, x, y, type, this.scene.gameSettings.getEnemyColor(color));
     this.enemyGroup.add(enemy);
 
     // Give enemy access to the bullet group for shooting
@@ -168,7 +169,7 @@ export default class EnemySpawner {
     // Get positions, handling variable-length formations
     let positions = [...config.positions];
     if (config.minShips && config.maxShips) {
-      const shipCount = Phaser.Math.Between(config.minShips, config.maxShips);
+      const shipCount = this.scene.rng.between(config.minShips, config.maxShips);
       // Center the subset of positions
       const startIndex = Math.floor((positions.length - shipCount) / 2);
       positions = positions.slice(startIndex, startIndex + shipCount);
@@ -190,7 +191,7 @@ export default class EnemySpawner {
    */
   spawnRandomFormation() {
     const formationKeys = Object.keys(GameConfig.FORMATIONS);
-    const formationKey = Phaser.Math.RND.pick(formationKeys);
+    const formationKey = this.scene.rng.pick(formationKeys);
     const x = this.getRandomSpawnX();
     this.spawnFormation(formationKey, x);
   }
@@ -213,7 +214,7 @@ export default class EnemySpawner {
       this.spawnRandomFormation();
 
       // Randomize next spawn interval for variety
-      this.spawnInterval = Phaser.Math.Between(
+      this.spawnInterval = this.scene.rng.between(
         this.minSpawnInterval,
         this.maxSpawnInterval
       );
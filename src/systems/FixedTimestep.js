@@ -0,0 +1,56 @@
+import GameConfig from '../config/GameConfig.js';
+
+/**
+ * FixedTimestep - Splits variable frame times into fixed simulation steps.
+ * The game simulation always advances in STEP_MS increments, so a run plays
+ * out the same way at any frame rate. Leftover time carries over to the next
+ * frame.
+ */
+export default class FixedTimestep {
+  /**
+   * @param {number} [stepMs] - Length of one simulation step in ms
+   * @param {number} [maxStepsPerFrame] - Cap on catch-up steps per frame
+   */
+  constructor(stepMs = GameConfig.REPLAY.STEP_MS, maxStepsPerFrame = GameConfig.REPLAY.MAX_STEPS_PER_FRAME) {
+    this.stepMs = stepMs;
+    this.maxStepsPerFrame = maxStepsPerFrame;
+    this.accumulator = 0;
+    /** @type {number} Steps run so far */
+    this.steps = 0;
+  }
+
+  /**
+   * Add a frame's elapsed time.
+   * @param {number} delta - Frame time in ms
+   * @returns {number} Number of steps to run this frame
+   */
+  advance(delta) {
+    this.accumulator += delta;
+    const due = Math.floor(this.accumulator / this.stepMs);
+
+    if (due > this.maxStepsPerFrame) {
+      // Too far behind (tab stall, breakpoint) - slow down rather than spiral
+      this.accumulator = 0;
+      return this.maxStepsPerFrame;
+    }
+
+    this.accumulator -= due * this.stepMs;
+    return due;
+  }
+
+  /**
+   * Count a step as run.
+   * @returns {number} Simulation time after the step in ms
+   */
+  tick() {
+    this.steps++;
+    return this.getTime();
+  }
+
+  /**
+   * @returns {number} Simulation time in ms
+   */
+  getTime() {
+    return this.steps * this.stepMs;
+  }
+}
@@ -1,4 +1,5 @@
 import GameConfig from '../config/GameConfig.js';
+import { createRunSummary } from '../services/RunValidator.js';
 
 /**
  * @typedef {Object} GameStats
@@ -7,8 +8,28 @@ import GameConfig from '../config/GameConfig.js';
  * @property {number} enemiesKilled - Total enemies killed
  * @property {number} timeSurvived - Survival time in seconds
  * @property {number} credits - Credits earned this run
+ * @property {number} maxCombo - Longest kill chain
+ * @property {import('../services/RunValidator.js').RunSummary} run - Hashed run summary
+ * @property {PlayerRecord[]} players - Per-ship tallies (one entry in solo runs)
  */
 
+/**
+ * Tallies for one ship. Solo runs have a single record; in co-op the team
+ * score is the sum of these plus any points no ship can be credited with.
+ * @typedef {Object} PlayerRecord
+ * @property {number} score - Points credited to this ship
+ * @property {number} lives - Lives left, including the ship in play
+ * @property {number} enemiesKilled - Enemies this ship destroyed
+ */
+
+/**
+ * Create a random 32-bit run seed.
+ * @returns {number}
+ */
+function createSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
 /**
  * Centralized game state management.
  * This is a data class that holds all game state variables.
@@ -17,12 +38,16 @@ import GameConfig from '../config/GameConfig.js';
 export default class GameState {
   /**
    * Create a new GameState instance.
+   * @param {number} [seed] - Run seed (random if omitted)
+   * @param {number} [playerCount=1] - Ships in play (2 for co-op)
    */
-  constructor() {
+  constructor(seed, playerCount = 1) {
     /** @type {number} Current score */
     this.score = 0;
-    /** @type {number} Remaining lives */
+    /** @type {number} Remaining lives of all ships together */
     this.lives = 0;
+    /** @type {PlayerRecord[]} Per-ship score, lives and kills */
+    this.players = [];
     /** @type {number} Current difficulty level */
     this.difficulty = 1;
     /** @type {boolean} Whether game has started */
@@ -39,16 +64,39 @@ export default class GameState {
     this.gameStartTime = 0;
     /** @type {number} Credits earned this run */
     this.credits = 0;
+    /** @type {number} Seed this run was played with */
+    this.seed = 0;
+    /** @type {Object<string, number>} Kills per enemy type */
+    this.killsByType = {};
+    /** @type {number} Mines destroyed */
+    this.minesDestroyed = 0;
+    /** @type {Object<string, number>} Bosses defeated per boss type */
+    this.bossesDefeated = {};
+    /** @type {Object<string, number>} Boss parts destroyed per boss type */
+    this.bossPartsDestroyed = {};
+    /** @type {number} Kills in the current chain */
+    this.combo = 0;
+    /** @type {number} Time left to extend the chain (ms) */
+    this.comboTimer = 0;
+    /** @type {number} Longest chain this run */
+    this.maxCombo = 0;
 
-    this.reset();
+    this.reset(seed, playerCount);
   }
 
   /**
    * Reset all state to initial values.
+   * @param {number} [seed] - Seed for the next run (random if omitted)
+   * @param {number} [playerCount=1] - Ships in play (2 for co-op)
    */
-  reset() {
+  reset(seed = createSeed(), playerCount = 1) {
     this.score = 0;
-    this.lives = GameConfig.PLAYER.START_LIVES;
+    this.players = Array.from({ length: playerCount }, () => ({
+      score: 0,
+      lives: GameConfig.PLAYER.START_LIVES,
+      enemiesKilled: 0,
+    }));
+    this.lives = this.countLives();
     this.difficulty = 1;
     this.gameStarted = false;
     this.difficultyTimer = 0;
@@ -58,32 +106,185 @@ export default class GameState {
     this.timeSurvived = 0; // in seconds
     this.gameStartTime = 0;
     this.credits = 0;
+    // Run summary for leaderboard validation
+    this.seed = seed;
+    this.killsByType = {};
+    this.minesDestroyed = 0;
+    this.bossesDefeated = {};
+    this.bossPartsDestroyed = {};
+    // Kill chain
+    this.combo = 0;
+    this.comboTimer = 0;
+    this.maxCombo = 0;
   }
 
   /**
    * Add points to the score.
    * @param {number} points - Points to add
+   * @param {number|null} [playerIndex=null] - Ship to credit (null for team-only points)
+   * @param {boolean} [chained=false] - Multiply by the kill chain's multiplier (enemy kills)
    * @returns {number} The new score
    */
-  addScore(points) {
+  addScore(points, playerIndex = null, chained = false) {
+    if (chained) {
+      points *= this.getComboMultiplier();
+    }
     this.score += points;
+    if (this.players[playerIndex]) {
+      this.players[playerIndex].score += points;
+    }
     return this.score;
   }
 
   /**
-   * Lose a life.
-   * @returns {number} Remaining lives
+   * Lose a life. A ship that runs out takes a spare from a partner who has
+   * one beyond the ship they are flying (shared lives in co-op).
+   * @param {number} [playerIndex=0] - Ship that was destroyed
+   * @returns {number} Lives that ship has left (0 or less when it is out)
+   */
+  loseLife(playerIndex = 0) {
+    const player = this.players[playerIndex];
+    player.lives--;
+
+    if (player.lives <= 0) {
+      const donor = this.players.find(other => other.lives > 1);
+      if (donor) {
+        donor.lives--;
+        player.lives++;
+      }
+    }
+
+    this.lives = this.countLives();
+    return player.lives;
+  }
+
+  /**
+   * Award an extra life.
+   * @param {number} [playerIndex] - Ship to give it to (default: the one with the fewest lives)
+   * @returns {number} Index of the ship that got the life
    */
-  loseLife() {
-    this.lives--;
-    return this.lives;
+  addLife(playerIndex = this.getNeediestPlayer()) {
+    this.players[playerIndex].lives++;
+    this.lives = this.countLives();
+    return playerIndex;
   }
 
   /**
-   * Record an enemy kill.
+   * Bring back a co-op ship that was out of lives, revived by its partner.
+   * @param {number} playerIndex - Ship being revived
    */
-  recordKill() {
+  revive(playerIndex) {
+    const player = this.players[playerIndex];
+    player.lives = Math.max(player.lives, 1);
+    this.lives = this.countLives();
+  }
+
+  /**
+   * @returns {number} Index of the ship with the fewest lives (first on a tie)
+   */
+  getNeediestPlayer() {
+    return this.players.reduce((neediest, player, index) =>
+      player.lives < this.players[neediest].lives ? index : neediest, 0);
+  }
+
+  /**
+   * @returns {number} Lives of all ships together
+   */
+  countLives() {
+    return this.players.reduce((total, player) => total + player.lives, 0);
+  }
+
+  /**
+   * Record an enemy kill, which extends the kill chain.
+   * @param {string} [enemyType] - Type key of the enemy killed
+   * @param {number|null} [playerIndex=null] - Ship that destroyed it
+   */
+  recordKill(enemyType, playerIndex = null) {
     this.enemiesKilled++;
+    if (enemyType) {
+      this.killsByType[enemyType] = (this.killsByType[enemyType] || 0) + 1;
+    }
+    if (this.players[playerIndex]) {
+      this.players[playerIndex].enemiesKilled++;
+    }
+    this.extendCombo();
+  }
+
+  /**
+   * Extend the kill chain (a kill within COMBO.WINDOW of the last one).
+   * @returns {number} Kills in the chain
+   */
+  extendCombo() {
+    this.combo++;
+    this.comboTimer = GameConfig.COMBO.WINDOW;
+    this.maxCombo = Math.max(this.maxCombo, this.combo);
+    return this.combo;
+  }
+
+  /**
+   * Run down the chain window; the chain breaks when it runs out.
+   * @param {number} delta - Time since last update (ms)
+   */
+  updateCombo(delta) {
+    if (this.combo === 0) return;
+    this.comboTimer -= delta;
+    if (this.comboTimer <= 0) {
+      this.breakCombo();
+    }
+  }
+
+  /**
+   * End the kill chain (window ran out, or a ship was hit).
+   */
+  breakCombo() {
+    this.combo = 0;
+    this.comboTimer = 0;
+  }
+
+  /**
+   * @returns {number} Multiplier for enemy points: 1, plus 1 per KILLS_PER_STEP kills chained, capped
+   */
+  getComboMultiplier() {
+    const { KILLS_PER_STEP, MAX_MULTIPLIER } = GameConfig.COMBO;
+    return Math.min(MAX_MULTIPLIER, 1 + Math.floor(this.combo / KILLS_PER_STEP));
+  }
+
+  /**
+   * Record a mine destroyed by the player.
+   */
+  recordMineDestroyed() {
+    this.minesDestroyed++;
+  }
+
+  /**
+   * Record a boss defeat.
+   * @param {string} bossType - Type key of the boss defeated
+   */
+  recordBossDefeated(bossType) {
+    this.bossesDefeated[bossType] = (this.bossesDefeated[bossType] || 0) + 1;
+  }
+
+  /**
+   * Record a boss part destroyed (parts score even if the boss gets away).
+   * @param {string} bossType - Type key of the boss the part belonged to
+   */
+  recordBossPartDestroyed(bossType) {
+    this.bossPartsDestroyed[bossType] = (this.bossPartsDestroyed[bossType] || 0) + 1;
+  }
+
+  /**
+   * Build the hashed summary of this run for leaderboard validation.
+   * @returns {import('../services/RunValidator.js').RunSummary}
+   */
+  getRunSummary() {
+    return createRunSummary({
+      seed: this.seed,
+      duration: this.timeSurvived,
+      kills: this.killsByType,
+      mines: this.minesDestroyed,
+      bosses: this.bossesDefeated,
+      parts: this.bossPartsDestroyed,
+    }, this.score);
   }
 
   /**
@@ -106,6 +307,8 @@ export default class GameState {
 
   /**
    * Update the time survived.
+   * GameScene passes its simulation clock, which stands still while the game
+   * is paused, so paused time is never counted.
    * @param {number} time - Current game time in ms
    */
   updateTime(time) {
@@ -125,6 +328,9 @@ export default class GameState {
       enemiesKilled: this.enemiesKilled,
       timeSurvived: this.timeSurvived,
       credits: this.credits,
+      maxCombo: this.maxCombo,
+      run: this.getRunSummary(),
+      players: this.players.map(player => ({ ...player })),
     };
   }
 }
@@ -0,0 +1,59 @@
+import GameConfig from '../config/GameConfig.js';
+
+/**
+ * Gamepad reading shared by gameplay and menus.
+ * Works on anything shaped like a Phaser gamepad (buttons[].pressed and
+ * leftStick), so it can be tested without a browser.
+ */
+
+/**
+ * Drop stick drift near the center and rescale the rest to 0-1, so the
+ * ship can creep at small deflections instead of jumping to the deadzone speed.
+ * @param {number} x - Raw stick X (-1 to 1)
+ * @param {number} y - Raw stick Y (-1 to 1)
+ * @param {number} [deadzone=GameConfig.GAMEPAD.DEADZONE] - Radius ignored around the center
+ * @returns {{x: number, y: number}} Axes with a length of at most 1
+ */
+export function applyDeadzone(x, y, deadzone = GameConfig.GAMEPAD.DEADZONE) {
+  const length = Math.hypot(x, y);
+  if (length <= deadzone) {
+    return { x: 0, y: 0 };
+  }
+  const scaled = Math.min(1, (length - deadzone) / (1 - deadzone));
+  return { x: (x / length) * scaled, y: (y / length) * scaled };
+}
+
+/**
+ * Name of a button on the standard mapping, for showing bindings.
+ * @param {number} index - Button index
+ * @returns {string} e.g. 'A' or 'START', or 'BUTTON 16' for unnamed buttons
+ */
+export function getButtonName(index) {
+  const entry = Object.entries(GameConfig.GAMEPAD.BUTTONS).find(([, button]) => button === index);
+  return entry ? entry[0] : `BUTTON ${index}`;
+}
+
+/**
+ * @param {Phaser.Input.Gamepad.Gamepad} pad
+ * @param {number[]} indices - Standard mapping button indices
+ * @returns {boolean} True if any of the buttons is held
+ */
+export function isAnyPressed(pad, indices) {
+  return indices.some(index => pad.buttons[index]?.pressed === true);
+}
+
+/**
+ * Read a gamepad's left stick and bound buttons.
+ * @param {Phaser.Input.Gamepad.Gamepad} pad
+ * @param {Object<string, number|null>} buttons - Button index per field to read (null reads as released)
+ * @returns {Object<string, boolean|number>} A boolean per button field, plus the
+ *   left stick as moveX and moveY
+ */
+export function readGamepad(pad, buttons) {
+  const stick = applyDeadzone(pad.leftStick.x, pad.leftStick.y);
+  const input = { moveX: stick.x, moveY: stick.y };
+  for (const [field, index] of Object.entries(buttons)) {
+    input[field] = index !== null && isAnyPressed(pad, [index]);
+  }
+  return input;
+}
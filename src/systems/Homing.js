@@ -0,0 +1,42 @@
+/**
+ * Steering for homing projectiles (ProjectileConfig.motion 'homing').
+ * Angles are in radians, 0 pointing right and -PI/2 straight up the screen.
+ */
+
+/**
+ * Pick the closest target that can still be hit.
+ * @param {number} x - Projectile X position
+ * @param {number} y - Projectile Y position
+ * @param {Array<{x: number, y: number, active: boolean, isDying?: boolean}>} targets - Enemies and boss
+ * @returns {Object|null} Nearest live target, or null if there is none
+ */
+export function findNearestTarget(x, y, targets) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+
+  for (const target of targets) {
+    if (!target.active || target.isDying) continue;
+    const distance = (target.x - x) ** 2 + (target.y - y) ** 2;
+    if (distance < nearestDistance) {
+      nearest = target;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Turn a heading towards another, by at most maxTurn, the short way round.
+ * @param {number} heading - Current heading
+ * @param {number} targetHeading - Heading to turn towards
+ * @param {number} maxTurn - Largest turn allowed this step
+ * @returns {number} New heading
+ */
+export function turnTowards(heading, targetHeading, maxTurn) {
+  // Difference wrapped into -PI..PI
+  const difference = Math.atan2(Math.sin(targetHeading - heading), Math.cos(targetHeading - heading));
+  if (Math.abs(difference) <= maxTurn) {
+    return targetHeading;
+  }
+  return heading + Math.sign(difference) * maxTurn;
+}
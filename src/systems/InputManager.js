@@ -0,0 +1,254 @@
+import GameConfig from '../config/GameConfig.js';
+
+/**
+ * What an action is bound to.
+ * @typedef {Object} ActionBinding
+ * @property {Array<string|null>} keys - Phaser key name per key column (null for unbound)
+ * @property {number|null} pad - Gamepad button index (standard mapping)
+ * @property {string|null} touch - Touch zone key from CONTROLS.TOUCH_ZONES
+ */
+
+/**
+ * An input an action is bound to.
+ * @typedef {Object} BindingSlot
+ * @property {string} action - Action key from CONTROLS.ACTIONS
+ * @property {'keys'|'pad'|'touch'} device
+ * @property {number} [column=0] - Key column (keys only)
+ */
+
+const STORAGE_KEY = 'spacebear_controls';
+const STORAGE_VERSION = 1;
+
+/**
+ * Bindings from GameConfig.CONTROLS.
+ * @returns {Object<string, ActionBinding>}
+ */
+function getDefaultBindings() {
+  const bindings = {};
+  for (const [action, config] of Object.entries(GameConfig.CONTROLS.ACTIONS)) {
+    bindings[action] = { keys: [...config.keys], pad: config.pad, touch: config.touch ?? null };
+  }
+  return bindings;
+}
+
+/**
+ * Check a saved binding, falling back to the default for anything invalid.
+ * @param {string} action - Action key
+ * @param {*} saved - Saved binding
+ * @param {ActionBinding} fallback - Default binding
+ * @returns {ActionBinding}
+ */
+function sanitizeBinding(action, saved, fallback) {
+  const isKey = (key) => key === null || (typeof key === 'string' && !GameConfig.CONTROLS.RESERVED_KEYS.includes(key));
+  const keys = Array.isArray(saved?.keys) && saved.keys.length === GameConfig.CONTROLS.KEY_COLUMNS &&
+    saved.keys.every(isKey) ? [...saved.keys] : fallback.keys;
+  const pad = saved?.pad === null || Number.isInteger(saved?.pad) ? saved.pad : fallback.pad;
+  const touchable = GameConfig.CONTROLS.ACTIONS[action].touch !== undefined;
+  const touch = touchable && (saved?.touch === null || Object.hasOwn(GameConfig.CONTROLS.TOUCH_ZONES, saved?.touch))
+    ? saved.touch : fallback.touch;
+  return { keys, pad, touch };
+}
+
+/**
+ * InputManager - Maps named actions (GameConfig.CONTROLS.ACTIONS) to keys,
+ * gamepad buttons and touch zones. Bindings can be changed in ControlsScene
+ * and are kept in localStorage next to ProgressManager's data.
+ *
+ * Every input is bound to at most one action: rebinding an input that is in
+ * use swaps the two bindings, so conflicts are resolved rather than refused.
+ */
+export default class InputManager {
+  constructor() {
+    /** @type {Object<string, ActionBinding>} */
+    this.bindings = getDefaultBindings();
+    this.load();
+  }
+
+  /**
+   * Load bindings from localStorage. Actions added since the save get their defaults.
+   */
+  load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (saved) {
+        const data = JSON.parse(saved);
+        const defaults = getDefaultBindings();
+        for (const action of Object.keys(defaults)) {
+          this.bindings[action] = sanitizeBinding(action, data.bindings?.[action], defaults[action]);
+        }
+      }
+    } catch (e) {
+      console.warn('Failed to load controls:', e);
+      this.bindings = getDefaultBindings();
+    }
+  }
+
+  /**
+   * Save bindings to localStorage.
+   */
+  save() {
+    try {
+      const data = {
+        version: STORAGE_VERSION,
+        bindings: this.bindings,
+        savedAt: Date.now(),
+      };
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    } catch (e) {
+      console.warn('Failed to save controls:', e);
+    }
+  }
+
+  /**
+   * Restore the default bindings.
+   */
+  reset() {
+    this.bindings = getDefaultBindings();
+    this.save();
+  }
+
+  /**
+   * @param {string} action - Action key
+   * @returns {ActionBinding}
+   */
+  getBinding(action) {
+    const { keys, pad, touch } = this.bindings[action];
+    return { keys: [...keys], pad, touch };
+  }
+
+  /**
+   * Keys bound to an action.
+   * @param {string} action - Action key
+   * @param {number[]} [columns] - Key columns to read (default: all)
+   * @returns {string[]} Phaser key names
+   */
+  getKeys(action, columns = null) {
+    return this.bindings[action].keys
+      .filter((key, column) => key !== null && (columns === null || columns.includes(column)));
+  }
+
+  /**
+   * @param {string} action - Action key
+   * @returns {number|null} Gamepad button index
+   */
+  getPadButton(action) {
+    return this.bindings[action].pad;
+  }
+
+  /**
+   * @param {string} action - Action key
+   * @returns {string|null} Touch zone key
+   */
+  getTouchZone(action) {
+    return this.bindings[action].touch;
+  }
+
+  /**
+   * Check whether an action can be bound to a touch zone (movement is
+   * steered by dragging instead).
+   * @param {string} action - Action key
+   * @returns {boolean}
+   */
+  isTouchable(action) {
+    return GameConfig.CONTROLS.ACTIONS[action].touch !== undefined;
+  }
+
+  /**
+   * @param {string} key - Phaser key name
+   * @returns {boolean} True if the key can't be bound
+   */
+  isReservedKey(key) {
+    return GameConfig.CONTROLS.RESERVED_KEYS.includes(key);
+  }
+
+  /**
+   * Find the action an input is bound to.
+   * @param {'keys'|'pad'|'touch'} device
+   * @param {string|number} value - Key name, button index or touch zone key
+   * @returns {BindingSlot|null}
+   */
+  findBinding(device, value) {
+    for (const [action, binding] of Object.entries(this.bindings)) {
+      if (device === 'keys') {
+        const column = binding.keys.indexOf(value);
+        if (column !== -1) return { action, device, column };
+      } else if (binding[device] === value) {
+        return { action, device };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} key - Phaser key name
+   * @returns {string|null} Action bound to the key
+   */
+  getActionForKey(key) {
+    return this.findBinding('keys', key)?.action ?? null;
+  }
+
+  /**
+   * Find the action whose touch zone contains a point. Where zones overlap,
+   * the smallest wins, so corner buttons work on top of a screen half.
+   * @param {number} x - Point X
+   * @param {number} y - Point Y
+   * @param {number} width - Screen width
+   * @param {number} height - Screen height
+   * @returns {string|null} Action key
+   */
+  getActionAt(x, y, width, height) {
+    let found = null;
+    let foundArea = Infinity;
+    for (const [action, { touch }] of Object.entries(this.bindings)) {
+      const zone = GameConfig.CONTROLS.TOUCH_ZONES[touch];
+      if (!zone) continue;
+      const inside = x >= zone.x * width && x < (zone.x + zone.width) * width &&
+        y >= zone.y * height && y < (zone.y + zone.height) * height;
+      if (inside && zone.width * zone.height < foundArea) {
+        found = action;
+        foundArea = zone.width * zone.height;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Bind an action to an input and save. If another slot already uses the
+   * input, that slot takes over the action's previous binding.
+   * @param {BindingSlot} slot - Slot to change
+   * @param {string|number|null} value - Key name, button index or touch zone key (null unbinds)
+   * @returns {BindingSlot|null} The slot the input was taken from, if any
+   */
+  rebind({ action, device, column = 0 }, value) {
+    if (device === 'keys' && this.isReservedKey(value)) {
+      throw new Error(`${value} is reserved`);
+    }
+    if (device === 'touch' && !this.isTouchable(action)) {
+      throw new Error(`${action} can't be bound to a touch zone`);
+    }
+
+    const binding = this.bindings[action];
+    const previous = device === 'keys' ? binding.keys[column] : binding[device];
+    const conflict = value === null ? null : this.findBinding(device, value);
+    if (conflict) {
+      this.setSlot(conflict, previous);
+    }
+    this.setSlot({ action, device, column }, value);
+    this.save();
+
+    const unchanged = conflict?.action === action && (device !== 'keys' || conflict.column === column);
+    return unchanged ? null : conflict;
+  }
+
+  /**
+   * @param {BindingSlot} slot
+   * @param {string|number|null} value
+   */
+  setSlot({ action, device, column = 0 }, value) {
+    if (device === 'keys') {
+      this.bindings[action].keys[column] = value;
+    } else {
+      this.bindings[action][device] = value;
+    }
+  }
+}
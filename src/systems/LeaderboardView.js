@@ -0,0 +1,173 @@
+import { leaderboardService } from '../services/LeaderboardService.js';
+
+/**
+ * LeaderboardView - Period tabs and a top 10 table, shared by the game over
+ * screen and the menu's leaderboard screen. Tabs are clickable and can be
+ * cycled with cyclePeriod() for keyboard/gamepad navigation.
+ */
+export default class LeaderboardView {
+  /**
+   * @param {Phaser.Scene} scene - The scene to draw in
+   * @param {number} x - Center X position
+   * @param {number} y - Y position of the tab row
+   * @param {Object} options
+   * @param {Array<{key: string, label: string}>} options.periods - Tabs in display order
+   * @param {Date} [options.date=new Date()] - Date the boards are looked up for
+   * @param {number|null} [options.score=null] - Score to show the rank of (none if null)
+   * @param {{initials: string, score: number}|null} [options.highlight=null] - Entry to highlight
+   * @param {number} [options.tabSpacing=130] - Horizontal distance between tabs
+   * @param {string} [options.tabFont='20px monospace'] - Tab label font
+   */
+  constructor(scene, x, y, {
+    periods,
+    date = new Date(),
+    score = null,
+    highlight = null,
+    tabSpacing = 130,
+    tabFont = '20px monospace',
+  }) {
+    this.scene = scene;
+    this.x = x;
+    this.y = y;
+    this.periods = periods;
+    this.date = date;
+    this.score = score;
+    this.highlight = highlight;
+
+    this.activePeriod = periods[0].key;
+    this.renderId = 0;
+    this.rows = [];
+
+    this.tabs = periods.map((period, index) => {
+      const tabX = x + (index - (periods.length - 1) / 2) * tabSpacing;
+      return scene.add.text(tabX, y, period.label, {
+        font: tabFont,
+        fill: '#666666',
+      }).setOrigin(0.5)
+        .setInteractive({ useHandCursor: true })
+        .on('pointerdown', () => this.selectPeriod(period.key));
+    });
+
+    this.render();
+  }
+
+  /**
+   * Switch to another period tab.
+   * @param {string} period - Period key from LeaderboardPeriod
+   */
+  selectPeriod(period) {
+    if (period === this.activePeriod) return;
+    this.activePeriod = period;
+    this.render();
+  }
+
+  /**
+   * Move to the previous/next period tab.
+   * @param {number} direction - -1 for previous, 1 for next
+   */
+  cyclePeriod(direction) {
+    const count = this.periods.length;
+    const index = this.periods.findIndex(p => p.key === this.activePeriod);
+    this.selectPeriod(this.periods[(index + direction + count) % count].key);
+  }
+
+  /**
+   * Render the active period's top 10 below the tabs.
+   */
+  async render() {
+    const period = this.activePeriod;
+    const renderId = ++this.renderId;
+
+    // Highlight the active tab
+    this.tabs.forEach((tab, index) => {
+      const { key, label } = this.periods[index];
+      const active = key === period;
+      tab.setText(active ? `[${label}]` : label);
+      tab.setFill(active ? '#ffff00' : '#666666');
+    });
+
+    const { scores, source } = await leaderboardService.loadBoard(period, this.date);
+    const rank = this.score === null ? 0 : await leaderboardService.getRank(this.score, period, this.date);
+
+    // Skip stale renders (tab switched again, view destroyed or scene left while loading)
+    if (renderId !== this.renderId || !this.scene.scene.isActive()) return;
+
+    this.clearRows();
+
+    const centerX = this.x;
+    const startY = this.y;
+    const lineHeight = 26;
+    const addRow = (y, text, style) => {
+      const row = this.scene.add.text(centerX, y, text, style).setOrigin(0.5);
+      this.rows.push(row);
+      return row;
+    };
+
+    // Label where the scores came from so offline play isn't mistaken for the global board
+    if (source === 'local') {
+      const pending = leaderboardService.getPendingCount();
+      const note = pending > 0
+        ? `THIS DEVICE - ${pending} score(s) will sync when online`
+        : 'THIS DEVICE - global board offline';
+      addRow(startY + 22, note, { font: '12px monospace', fill: '#ff8800' });
+    } else {
+      addRow(startY + 22, 'GLOBAL', { font: '12px monospace', fill: '#00aaff' });
+    }
+
+    // Header
+    addRow(startY + 42, 'RNK  NAME   SCORE    WAVE  KILLS', {
+      font: '14px monospace',
+      fill: '#666666',
+    });
+
+    if (scores.length === 0) {
+      addRow(startY + 64, 'No scores yet - be the first!', {
+        font: '14px monospace',
+        fill: '#888888',
+      });
+    }
+
+    scores.forEach((entry, index) => {
+      const rankText = (index + 1).toString().padStart(2, ' ');
+      const name = entry.initials.padEnd(3, ' ');
+      const score = entry.score.toString().padStart(8, ' ');
+      const wave = entry.wave.toString().padStart(4, ' ');
+      const kills = entry.enemiesKilled.toString().padStart(6, ' ');
+
+      const isHighlighted = this.highlight !== null &&
+        entry.initials === this.highlight.initials && entry.score === this.highlight.score;
+      const color = isHighlighted ? '#00ff00' : '#ffffff';
+
+      addRow(startY + 64 + (index * lineHeight),
+        `${rankText}.  ${name}  ${score}    ${wave}  ${kills}`, {
+        font: '14px monospace',
+        fill: color,
+      });
+    });
+
+    // Player's score and rank on this board
+    if (this.score !== null) {
+      const rankLabel = rank > 0 ? `#${rank}` : 'unranked';
+      addRow(startY + 64 + (10 * lineHeight) + 6, `Your score: ${this.score}  Rank: ${rankLabel}`, {
+        font: '16px monospace',
+        fill: '#888888',
+      });
+    }
+  }
+
+  clearRows() {
+    this.rows.forEach(row => row.destroy());
+    this.rows = [];
+  }
+
+  /**
+   * Remove the tabs and rows.
+   */
+  destroy() {
+    // Invalidate any render still loading
+    this.renderId++;
+    this.clearRows();
+    this.tabs.forEach(tab => tab.destroy());
+    this.tabs = [];
+  }
+}
@@ -0,0 +1,246 @@
+import GameConfig from '../config/GameConfig.js';
+
+/**
+ * A campaign level, loaded from JSON (see src/levels).
+ * @typedef {Object} LevelData
+ * @property {string} id - Unique level ID
+ * @property {string} name - Display name
+ * @property {LevelEvent[]} events - Timeline, sorted by `at`
+ */
+
+/**
+ * One timeline entry. Which fields apply depends on `type`:
+ *   formation - formation (FORMATIONS key), x
+ *   mines     - count (mines spread evenly across the screen)
+ *   powerUp   - powerUp (POWER_UP.TYPES key), x
+ *   dialogue  - speaker, text, duration
+ *   boss      - boss (BOSS.TYPES key)
+ * @typedef {Object} LevelEvent
+ * @property {number} at - Time from level start (ms)
+ * @property {'formation'|'mines'|'powerUp'|'dialogue'|'boss'} type - Event type
+ * @property {string} [formation] - Formation key
+ * @property {string} [powerUp] - Power-up type
+ * @property {string} [boss] - Boss type
+ * @property {number} [x] - Horizontal position as a fraction of screen width (0-1, random if omitted)
+ * @property {number} [count] - Number of mines
+ * @property {string} [speaker] - Dialogue speaker
+ * @property {string} [text] - Dialogue text
+ * @property {number} [duration] - Dialogue display time (ms)
+ */
+
+/**
+ * Level event types.
+ * @enum {string}
+ */
+export const LevelEventType = {
+  FORMATION: 'formation',
+  MINES: 'mines',
+  POWER_UP: 'powerUp',
+  DIALOGUE: 'dialogue',
+  BOSS: 'boss',
+};
+
+/**
+ * Check a level against the formation, power-up and boss registries.
+ * @param {LevelData} level
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateLevel(level) {
+  const errors = [];
+
+  if (!level || typeof level.id !== 'string' || typeof level.name !== 'string') {
+    return { valid: false, errors: ['level needs an id and a name'] };
+  }
+  if (!Array.isArray(level.events) || level.events.length === 0) {
+    return { valid: false, errors: [`${level.id}: no events`] };
+  }
+
+  const types = Object.values(LevelEventType);
+  let lastAt = 0;
+
+  level.events.forEach((event, index) => {
+    const where = `${level.id} event ${index}`;
+
+    if (!Number.isFinite(event.at) || event.at < lastAt) {
+      errors.push(`${where}: 'at' must be a time no earlier than the previous event`);
+    } else {
+      lastAt = event.at;
+    }
+    if (!types.includes(event.type)) {
+      errors.push(`${where}: unknown event type '${event.type}'`);
+      return;
+    }
+    if (event.x !== undefined && !(event.x >= 0 && event.x <= 1)) {
+      errors.push(`${where}: x must be between 0 and 1`);
+    }
+
+    switch (event.type) {
+      case LevelEventType.FORMATION:
+        if (!GameConfig.FORMATIONS[event.formation]) {
+          errors.push(`${where}: unknown formation '${event.formation}'`);
+        }
+        break;
+      case LevelEventType.MINES:
+        if (!Number.isInteger(event.count) || event.count < 1) {
+          errors.push(`${where}: mine count must be a positive whole number`);
+        }
+        break;
+      case LevelEventType.POWER_UP:
+        if (!GameConfig.POWER_UP.TYPES[event.powerUp]) {
+          errors.push(`${where}: unknown power-up '${event.powerUp}'`);
+        }
+        break;
+      case LevelEventType.DIALOGUE:
+        if (typeof event.text !== 'string' || event.text.length === 0) {
+          errors.push(`${where}: dialogue needs text`);
+        }
+        break;
+      case LevelEventType.BOSS:
+        if (!GameConfig.BOSS.TYPES[event.boss]) {
+          errors.push(`${where}: unknown boss '${event.boss}'`);
+        }
+        break;
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * LevelRunner - Plays a scripted level timeline in place of random spawning.
+ * Formations and bosses go through EnemySpawner.spawnFormation() and
+ * BossManager.spawnBoss(), so scripted enemies behave exactly like endless
+ * ones. The level is complete once every event has run and the screen is
+ * clear of enemies and bosses; the runner then emits 'levelComplete'.
+ */
+export default class LevelRunner {
+  /**
+   * @param {Phaser.Scene} scene - The game scene
+   * @param {LevelData} level - Level to play
+   * @param {EnemySpawner} enemySpawner - Spawns formations
+   * @param {BossManager} bossManager - Spawns the boss
+   */
+  constructor(scene, level, enemySpawner, bossManager) {
+    this.scene = scene;
+    this.level = level;
+    this.enemySpawner = enemySpawner;
+    this.bossManager = bossManager;
+
+    /** @type {number} Time since level start (ms) */
+    this.elapsed = 0;
+    /** @type {number} Index of the next event to run */
+    this.nextEvent = 0;
+    this.complete = false;
+  }
+
+  /**
+   * Run every event that is due.
+   * @param {number} delta - Time since last step in ms
+   */
+  update(delta) {
+    if (this.complete) return;
+
+    this.elapsed += delta;
+
+    const events = this.level.events;
+    while (this.nextEvent < events.length && events[this.nextEvent].at <= this.elapsed) {
+      this.runEvent(events[this.nextEvent]);
+      this.nextEvent++;
+    }
+
+    if (this.isCleared()) {
+      this.complete = true;
+      this.scene.events.emit('levelComplete', this.level);
+    }
+  }
+
+  /**
+   * Check whether the timeline is over and nothing is left to fight.
+   * Scripted mines count too, so a mine field can't drift into the next level.
+   * @returns {boolean}
+   */
+  isCleared() {
+    return this.nextEvent >= this.level.events.length &&
+      !this.bossManager.isBossActive() &&
+      this.enemySpawner.getActiveCount() === 0 &&
+      this.scene.mines.countActive(true) === 0;
+  }
+
+  /**
+   * @returns {boolean} True once the level has been cleared
+   */
+  isComplete() {
+    return this.complete;
+  }
+
+  /**
+   * Convert an event's x fraction to a screen position.
+   * @param {LevelEvent} event
+   * @returns {number}
+   */
+  getEventX(event) {
+    if (event.x === undefined) {
+      return this.enemySpawner.getRandomSpawnX();
+    }
+    return event.x * this.scene.cameras.main.width;
+  }
+
+  /**
+   * Run a single timeline event.
+   * @param {LevelEvent} event
+   */
+  runEvent(event) {
+    switch (event.type) {
+      case LevelEventType.FORMATION:
+        this.enemySpawner.spawnFormation(event.formation, this.getEventX(event));
+        break;
+      case LevelEventType.MINES:
+        this.spawnMineField(event.count);
+        break;
+      case LevelEventType.POWER_UP:
+        this.spawnPowerUp(event.powerUp, this.getEventX(event));
+        break;
+      case LevelEventType.DIALOGUE:
+        this.scene.events.emit('levelDialogue', {
+          speaker: event.speaker || null,
+          text: event.text,
+          duration: event.duration || GameConfig.CAMPAIGN.DIALOGUE_DURATION,
+        });
+        break;
+      case LevelEventType.BOSS:
+        this.bossManager.spawnBoss(event.boss);
+        break;
+      default:
+        console.warn(`Unknown level event type: ${event.type}`);
+    }
+  }
+
+  /**
+   * Spawn a row of mines spread evenly across the screen.
+   * Alternate mines start higher so the row reads as a staggered field.
+   * @param {number} count - Number of mines
+   */
+  spawnMineField(count) {
+    const margin = GameConfig.SPAWNER.SPAWN_MARGIN;
+    const width = this.scene.cameras.main.width - margin * 2;
+
+    for (let i = 0; i < count; i++) {
+      const x = margin + (i + 0.5) * (width / count);
+      const y = -30 - (i % 2) * GameConfig.CAMPAIGN.MINE_FIELD_STAGGER;
+      this.scene.addMine(x, y);
+    }
+  }
+
+  /**
+   * Drop a power-up near the top of the screen.
+   * @param {string} type - Power-up type
+   * @param {number} x - X position
+   */
+  spawnPowerUp(type, x) {
+    const y = GameConfig.CAMPAIGN.POWER_UP_SPAWN_Y;
+    const powerUp = this.scene.powerUps.get(x, y);
+    if (powerUp) {
+      powerUp.spawn(x, y, type);
+    }
+  }
+}
@@ -0,0 +1,136 @@
+import GameConfig from '../config/GameConfig.js';
+
+/** Keyboard codes (KeyboardEvent.code) and the direction they move the selection */
+const KEY_MOVES = {
+  ArrowUp: [0, -1],
+  KeyW: [0, -1],
+  ArrowDown: [0, 1],
+  KeyS: [0, 1],
+  ArrowLeft: [-1, 0],
+  KeyA: [-1, 0],
+  ArrowRight: [1, 0],
+  KeyD: [1, 0],
+};
+const CONFIRM_KEYS = ['Enter', 'Space'];
+const BACK_KEYS = ['Escape', 'Backspace'];
+
+const { BUTTONS } = GameConfig.GAMEPAD;
+const PAD_MOVES = {
+  [BUTTONS.UP]: [0, -1],
+  [BUTTONS.DOWN]: [0, 1],
+  [BUTTONS.LEFT]: [-1, 0],
+  [BUTTONS.RIGHT]: [1, 0],
+};
+const PAD_CONFIRM = [BUTTONS.A, BUTTONS.START];
+const PAD_BACK = [BUTTONS.B];
+
+/**
+ * MenuNavigator - Turns keyboard and gamepad input into menu moves.
+ * Arrows/WASD, the d-pad and the left stick move the selection; Enter/Space
+ * and A/Start confirm; Esc/Backspace and B go back. Touch is left to the
+ * scene, since it selects items directly. Scenes that read the keyboard
+ * themselves (e.g. typing initials) can turn keyboard navigation off.
+ */
+export default class MenuNavigator {
+  /**
+   * @param {Phaser.Scene} scene - The menu scene
+   * @param {Object} handlers
+   * @param {function(number, number): void} [handlers.onMove] - Called with (dx, dy)
+   * @param {function(): void} [handlers.onConfirm] - Select the current item
+   * @param {function(): void} [handlers.onBack] - Leave the menu
+   * @param {boolean} [handlers.keyboard=true] - Also navigate with the keyboard
+   */
+  constructor(scene, { onMove = () => {}, onConfirm = () => {}, onBack = () => {}, keyboard = true }) {
+    this.scene = scene;
+    this.onMove = onMove;
+    this.onConfirm = onConfirm;
+    this.onBack = onBack;
+    this.enabled = true;
+    // Stick must return to center before it moves the selection again
+    this.stickLatched = false;
+
+    if (keyboard) {
+      scene.input.keyboard.on('keydown', this.onKeyDown, this);
+    }
+    // The gamepad plugin only exists when enabled in the game config
+    scene.input.gamepad?.on('down', this.onPadDown, this);
+    scene.events.once('shutdown', this.destroy, this);
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   */
+  onKeyDown(event) {
+    if (!this.enabled) return;
+
+    if (KEY_MOVES[event.code]) {
+      this.onMove(...KEY_MOVES[event.code]);
+    } else if (CONFIRM_KEYS.includes(event.code)) {
+      this.onConfirm();
+    } else if (BACK_KEYS.includes(event.code)) {
+      this.onBack();
+    }
+  }
+
+  /**
+   * @param {Phaser.Input.Gamepad.Gamepad} pad
+   * @param {Phaser.Input.Gamepad.Button} button
+   */
+  onPadDown(pad, button) {
+    if (!this.enabled) return;
+
+    if (PAD_MOVES[button.index]) {
+      this.onMove(...PAD_MOVES[button.index]);
+    } else if (PAD_CONFIRM.includes(button.index)) {
+      this.onConfirm();
+    } else if (PAD_BACK.includes(button.index)) {
+      this.onBack();
+    }
+  }
+
+  /**
+   * Poll the left sticks. Call from the scene's update().
+   */
+  update() {
+    const gamepads = this.scene.input.gamepad?.gamepads || [];
+    const threshold = GameConfig.MENU.STICK_THRESHOLD;
+
+    let dx = 0;
+    let dy = 0;
+    for (const pad of gamepads) {
+      if (!pad) continue;
+      const { x, y } = pad.leftStick;
+      if (Math.abs(y) >= threshold) {
+        dy = Math.sign(y);
+      } else if (Math.abs(x) >= threshold) {
+        dx = Math.sign(x);
+      }
+    }
+
+    if (dx === 0 && dy === 0) {
+      this.stickLatched = false;
+      return;
+    }
+    if (!this.stickLatched && this.enabled) {
+      this.stickLatched = true;
+      this.onMove(dx, dy);
+    }
+  }
+
+  /**
+   * Ignore input (e.g. while an overlay is open or a scene is starting).
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+  }
+
+  /**
+   * Clean up listeners.
+   */
+  destroy() {
+    this.scene.input.keyboard?.off('keydown', this.onKeyDown, this);
+    this.scene.input.gamepad?.off('down', this.onPadDown, this);
+    this.scene.events.off('shutdown', this.destroy, this);
+  }
+}
@@ -0,0 +1,173 @@
+import Phaser from 'phaser';
+import { readGamepad } from './GamepadInput.js';
+import { createInputFrame } from './Replay.js';
+
+/**
+ * Which key columns and devices a PlayerInput reads (see GameConfig.CONTROLS).
+ * Solo play takes both key columns and the first gamepad; co-op splits them so
+ * each ship has its own, with the first gamepad going to the second ship and
+ * a second gamepad to the first.
+ * @enum {string}
+ */
+export const ControlScheme = {
+  SOLO: 'solo',
+  PLAYER_ONE: 'playerOne',
+  PLAYER_TWO: 'playerTwo',
+};
+
+/** `gamepad` is the index among connected pads */
+const SCHEMES = {
+  [ControlScheme.SOLO]: { columns: [0, 1], touch: true, gamepad: 0 },
+  [ControlScheme.PLAYER_ONE]: { columns: [1], touch: true, gamepad: 1 },
+  [ControlScheme.PLAYER_TWO]: { columns: [0], touch: false, gamepad: 0 },
+};
+
+/** InputFrame buttons and the action that holds each */
+const FRAME_ACTIONS = {
+  left: 'moveLeft',
+  right: 'moveRight',
+  up: 'moveUp',
+  down: 'moveDown',
+  fire: 'fire',
+  bomb: 'bomb',
+};
+
+/**
+ * PlayerInput - Reads keyboard, touch and gamepad state into an InputFrame,
+ * using the bindings from an InputManager. Sampled once per simulation step
+ * so the same frames can be recorded and replayed. Taps are latched until
+ * the next sample so none are missed.
+ */
+export default class PlayerInput {
+  /**
+   * @param {Phaser.Scene} scene - The game scene
+   * @param {import('./InputManager.js').default} controls - Action bindings
+   * @param {ControlScheme} [scheme=ControlScheme.SOLO] - Key columns and devices to read
+   * @param {Object} [options]
+   * @param {boolean} [options.autoFire=false] - Fire without the button held
+   */
+  constructor(scene, controls, scheme = ControlScheme.SOLO, { autoFire = false } = {}) {
+    this.scene = scene;
+    this.controls = controls;
+    this.autoFire = autoFire;
+    const { columns, touch, gamepad } = SCHEMES[scheme];
+
+    const keyboard = scene.input.keyboard;
+    this.keys = {};
+    this.padButtons = {};
+    for (const [field, action] of Object.entries(FRAME_ACTIONS)) {
+      this.keys[field] = controls.getKeys(action, columns).map(key => keyboard.addKey(key));
+      this.padButtons[field] = controls.getPadButton(action);
+    }
+    // The pause button also starts a run
+    this.padButtons.pause = controls.getPadButton('pause');
+
+    // Gamepad state
+    this.padSlot = gamepad;
+    this.padFireHeld = false;
+
+    // Touch state
+    this.useTouch = touch;
+    this.startRequested = false;
+    this.bombRequested = false;
+    this.touchShooting = false;
+    // Touching a button zone (bomb, pause) doesn't steer the ship
+    this.touchOnButton = false;
+
+    if (touch) {
+      scene.input.on('pointerdown', this.onPointerDown, this);
+      scene.input.on('pointerup', this.onPointerUp, this);
+    }
+  }
+
+  /**
+   * Once the game has started, touches act on the zone they land in (the
+   * fire zone shoots while held, and a tap there skips a boss intro like the
+   * fire key does); before that any tap starts it.
+   * @param {Phaser.Input.Pointer} pointer
+   */
+  onPointerDown(pointer) {
+    if (!this.scene.gameState.gameStarted) {
+      this.startRequested = true;
+      return;
+    }
+
+    const { width, height } = this.scene.cameras.main;
+    const action = this.controls.getActionAt(pointer.worldX, pointer.worldY, width, height);
+    this.touchShooting = action === 'fire';
+    this.touchOnButton = action !== null && action !== 'fire';
+    if (action === 'fire' && this.scene.bossManager?.isIntroPlaying()) {
+      this.startRequested = true;
+    }
+    if (action === 'bomb') {
+      this.bombRequested = true;
+    }
+  }
+
+  onPointerUp() {
+    this.touchShooting = false;
+    this.touchOnButton = false;
+  }
+
+  /**
+   * Read this scheme's gamepad.
+   * @returns {Object<string, boolean|number>|null} Null if that pad isn't connected
+   */
+  readGamepad() {
+    // The gamepad plugin only exists when enabled in the game config
+    const pad = this.scene.input.gamepad?.getAll()[this.padSlot];
+    return pad ? readGamepad(pad, this.padButtons) : null;
+  }
+
+  /**
+   * Read the current input.
+   * @returns {import('./Replay.js').InputFrame}
+   */
+  sample() {
+    const pad = this.readGamepad();
+    const held = (field) => this.keys[field].some(key => key.isDown) || pad?.[field] === true;
+
+    // The pad's fire button starts the game on press, like the fire keys.
+    // Pause isn't latched: during play it pauses, see GameScene.setupPause()
+    const padFire = pad?.fire === true;
+    const padPressed = padFire && !this.padFireHeld;
+    this.padFireHeld = padFire;
+
+    const keyPressed = this.keys.fire.some(key => Phaser.Input.Keyboard.JustDown(key));
+    const start = keyPressed || padPressed || pad?.pause === true || this.startRequested;
+    this.startRequested = false;
+
+    const bomb = held('bomb') || this.bombRequested;
+    this.bombRequested = false;
+
+    const pointer = this.useTouch ? this.scene.input.activePointer : null;
+    const pointerDown = pointer?.isDown === true && !this.touchOnButton;
+
+    return createInputFrame({
+      left: held('left'),
+      right: held('right'),
+      up: held('up'),
+      down: held('down'),
+      moveX: pad?.moveX,
+      moveY: pad?.moveY,
+      // Auto-fire is recorded as held fire, so replays don't depend on the setting
+      fire: this.autoFire || held('fire'),
+      bomb,
+      start,
+      pointerDown,
+      touchFire: pointerDown && this.touchShooting,
+      pointerX: pointer?.worldX,
+      pointerY: pointer?.worldY,
+    });
+  }
+
+  /**
+   * Clean up listeners.
+   */
+  destroy() {
+    if (this.useTouch) {
+      this.scene.input.off('pointerdown', this.onPointerDown, this);
+      this.scene.input.off('pointerup', this.onPointerUp, this);
+    }
+  }
+}
@@ -5,8 +5,20 @@
  * @property {number} longestSurvival - Longest survival time in seconds
  * @property {number} totalKills - Total enemies killed
  * @property {number} bossesDefeated - Total bosses defeated
+ * @property {Object<string, number>} bossKills - Bosses defeated per boss type
+ * @property {number} bestWave - Highest wave reached in a single run
  * @property {string[]} unlockedWeapons - Array of unlocked weapon type keys
+ * @property {string} loadoutWeapon - Weapon chosen to start runs with
  * @property {Object<string, number>} upgrades - Purchased upgrade levels
+ * @property {number} bossRushBestClear - Fastest Boss Rush clear in ms (0 if never cleared)
+ * @property {Object<string, number>} bossRushBestSplits - Fastest Boss Rush fight per boss type in ms
+ */
+
+/**
+ * Personal bests set by a Boss Rush run.
+ * @typedef {Object} BossRushRecords
+ * @property {boolean} bestClear - The clear time is a new best
+ * @property {string[]} bestSplits - Boss types with a new best split
  */
 
 const STORAGE_KEY = 'spacebear_progress';
@@ -23,8 +35,13 @@ function getDefaultProgress() {
     longestSurvival: 0,
     totalKills: 0,
     bossesDefeated: 0,
+    bossKills: {},
+    bestWave: 0,
     unlockedWeapons: ['vulcan'], // Default weapon is always unlocked
+    loadoutWeapon: 'vulcan',
     upgrades: {},
+    bossRushBestClear: 0,
+    bossRushBestSplits: {},
   };
 }
 
@@ -214,6 +231,88 @@ export default class ProgressManager {
     return [...this.progress.unlockedWeapons];
   }
 
+  /**
+   * Get the weapon chosen to start runs with.
+   * @returns {string}
+   */
+  getLoadoutWeapon() {
+    return this.progress.loadoutWeapon;
+  }
+
+  /**
+   * Choose the weapon to start runs with.
+   * @param {string} weaponType - Weapon type key
+   * @returns {boolean} True if set, false if the weapon is locked
+   */
+  setLoadoutWeapon(weaponType) {
+    if (!this.isWeaponUnlocked(weaponType)) {
+      return false;
+    }
+    this.progress.loadoutWeapon = weaponType;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Get how many times a boss type has been defeated.
+   * @param {string} bossType - Boss type key
+   * @returns {number}
+   */
+  getBossKills(bossType) {
+    return this.progress.bossKills[bossType] || 0;
+  }
+
+  /**
+   * Get the highest wave reached in a single run.
+   * @returns {number}
+   */
+  getBestWave() {
+    return this.progress.bestWave;
+  }
+
+  /**
+   * Get the fastest Boss Rush clear.
+   * @returns {number} Time in ms (0 if never cleared)
+   */
+  getBossRushBestClear() {
+    return this.progress.bossRushBestClear;
+  }
+
+  /**
+   * Get the fastest Boss Rush fight against a boss type.
+   * @param {string} bossType - Boss type key
+   * @returns {number} Time in ms (0 if never beaten)
+   */
+  getBossRushBestSplit(bossType) {
+    return this.progress.bossRushBestSplits[bossType] || 0;
+  }
+
+  /**
+   * Keep the personal bests from a Boss Rush run: the clear time and the
+   * fastest fight against each boss type (from any loop).
+   * @param {import('./BossRushRunner.js').BossRushResult} result
+   * @returns {BossRushRecords} Which bests were beaten
+   */
+  recordBossRush(result) {
+    const records = { bestClear: false, bestSplits: [] };
+    const isFaster = (time, best) => best === 0 || time < best;
+
+    if (result.clearTime !== null && isFaster(result.clearTime, this.progress.bossRushBestClear)) {
+      this.progress.bossRushBestClear = result.clearTime;
+      records.bestClear = true;
+    }
+
+    for (const { bossType, time } of result.splits) {
+      if (isFaster(time, this.getBossRushBestSplit(bossType))) {
+        this.progress.bossRushBestSplits[bossType] = time;
+        if (!records.bestSplits.includes(bossType)) records.bestSplits.push(bossType);
+      }
+    }
+
+    this.save();
+    return records;
+  }
+
   /**
    * Get an upgrade level.
    * @param {string} upgradeKey - Upgrade identifier
@@ -251,6 +350,8 @@ export default class ProgressManager {
    * @param {number} stats.timeSurvived - Survival time in seconds
    * @param {number} stats.enemiesKilled - Enemies killed this run
    * @param {number} stats.credits - Credits earned this run
+   * @param {number} [stats.wave] - Wave reached
+   * @param {{bosses: Object<string, number>}} [stats.run] - Run summary (bosses defeated per type)
    */
   recordGameEnd(stats) {
     // Add credits earned this run to total
@@ -265,6 +366,14 @@ export default class ProgressManager {
     // Add kills to total
     this.progress.totalKills += stats.enemiesKilled;
 
+    this.progress.bestWave = Math.max(this.progress.bestWave, stats.wave || 0);
+
+    // Boss defeats (for milestone unlocks)
+    for (const [bossType, count] of Object.entries(stats.run?.bosses || {})) {
+      this.progress.bossKills[bossType] = this.getBossKills(bossType) + count;
+      this.progress.bossesDefeated += count;
+    }
+
     this.save();
   }
 
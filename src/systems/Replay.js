@@ -0,0 +1,406 @@
+import GameConfig from '../config/GameConfig.js';
+import { CAMPAIGN_LEVELS } from '../levels/index.js';
+
+/**
+ * Replay recording and playback.
+ *
+ * A run is fully determined by its seed and the input read on every fixed
+ * simulation step, so a replay stores just those. Consecutive identical steps
+ * are run-length encoded: each run is `[count, buttons, pointerX, pointerY, moveX, moveY]`
+ * with the stick axes in hundredths. Co-op runs append the second ship's
+ * buttons and stick (it has no pointer): `[..., partnerButtons, partnerMoveX, partnerMoveY]`.
+ */
+
+/**
+ * Player input for one simulation step.
+ * @typedef {Object} InputFrame
+ * @property {boolean} left - Move left
+ * @property {boolean} right - Move right
+ * @property {boolean} up - Move up
+ * @property {boolean} down - Move down
+ * @property {boolean} fire - Fire button held
+ * @property {boolean} bomb - Bomb button held
+ * @property {boolean} start - Start requested this step
+ * @property {boolean} pointerDown - Touch/mouse held
+ * @property {boolean} touchFire - Touch is on the shooting half of the screen
+ * @property {number} pointerX - Pointer world X (whole pixels, 0 when up)
+ * @property {number} pointerY - Pointer world Y (whole pixels, 0 when up)
+ * @property {number} moveX - Analog stick X (-1 to 1 in hundredths, 0 when centered)
+ * @property {number} moveY - Analog stick Y (-1 to 1 in hundredths, 0 when centered)
+ */
+
+/**
+ * @typedef {Object} Replay
+ * @property {number} version - Replay format version
+ * @property {number} seed - Run seed
+ * @property {import('./DailyChallenge.js').DailyChallenge|null} challenge - Daily Challenge the run was played in
+ * @property {{level: number}|null} campaign - Campaign level the run started at
+ * @property {boolean} coop - Played by two ships
+ * @property {boolean} bossRush - Played as a Boss Rush
+ * @property {Object<string, number>} upgrades - Hangar upgrade levels the run was played with
+ * @property {string} weapon - Starting weapon chosen in the loadout
+ * @property {string[]} unlockedWeapons - Weapons whose pickups could drop
+ * @property {number} stepMs - Simulation step length in ms
+ * @property {number} steps - Total steps recorded
+ * @property {Array<number[]>} runs - Run-length encoded input
+ * @property {Object} result - Final stats, used to detect desyncs
+ * @property {number} recordedAt - Recording time (ms since epoch)
+ */
+
+const STORAGE_KEY = 'spacebear_last_replay';
+
+/** Bit flags for the buttons of an InputFrame */
+export const InputButton = {
+  LEFT: 1,
+  RIGHT: 2,
+  UP: 4,
+  DOWN: 8,
+  FIRE: 16,
+  START: 32,
+  POINTER: 64,
+  TOUCH_FIRE: 128,
+  BOMB: 256,
+};
+
+const BUTTON_FIELDS = {
+  left: InputButton.LEFT,
+  right: InputButton.RIGHT,
+  up: InputButton.UP,
+  down: InputButton.DOWN,
+  fire: InputButton.FIRE,
+  start: InputButton.START,
+  pointerDown: InputButton.POINTER,
+  touchFire: InputButton.TOUCH_FIRE,
+  bomb: InputButton.BOMB,
+};
+
+/**
+ * Round a stick axis to the hundredths stored in replays.
+ * @param {number} [value=0]
+ * @returns {number} -1 to 1 (never -0)
+ */
+function quantizeAxis(value = 0) {
+  return Math.round(Math.max(-1, Math.min(1, value)) * 100) / 100 || 0;
+}
+
+/**
+ * Build an input frame, normalizing pointer coordinates and stick axes.
+ * Live play uses the same normalized frame that gets recorded, so the two
+ * cannot drift apart.
+ * @param {Partial<InputFrame>} [input={}]
+ * @returns {InputFrame}
+ */
+export function createInputFrame(input = {}) {
+  const frame = {};
+  for (const field of Object.keys(BUTTON_FIELDS)) {
+    frame[field] = input[field] === true;
+  }
+  frame.pointerX = frame.pointerDown ? Math.round(input.pointerX || 0) : 0;
+  frame.pointerY = frame.pointerDown ? Math.round(input.pointerY || 0) : 0;
+  frame.moveX = quantizeAxis(input.moveX);
+  frame.moveY = quantizeAxis(input.moveY);
+  return frame;
+}
+
+/**
+ * @param {InputFrame} frame
+ * @returns {number[]} [buttons, pointerX, pointerY, moveX, moveY] with the axes in hundredths
+ */
+export function encodeInputFrame(frame) {
+  let buttons = 0;
+  for (const [field, bit] of Object.entries(BUTTON_FIELDS)) {
+    if (frame[field]) buttons |= bit;
+  }
+  return [buttons, frame.pointerX, frame.pointerY, Math.round(frame.moveX * 100), Math.round(frame.moveY * 100)];
+}
+
+/**
+ * @param {number[]} encoded - [buttons, pointerX, pointerY, moveX, moveY]
+ * @returns {InputFrame}
+ */
+export function decodeInputFrame([buttons, pointerX, pointerY, moveX, moveY]) {
+  const frame = {};
+  for (const [field, bit] of Object.entries(BUTTON_FIELDS)) {
+    frame[field] = (buttons & bit) !== 0;
+  }
+  frame.pointerX = pointerX;
+  frame.pointerY = pointerY;
+  frame.moveX = moveX / 100;
+  frame.moveY = moveY / 100;
+  return frame;
+}
+
+/**
+ * Records one input frame per simulation step.
+ */
+export class ReplayRecorder {
+  /**
+   * @param {number} seed - Seed the run is played with
+   * @param {Object} [mode] - Game mode being played (endless if both are null)
+   * @param {import('./DailyChallenge.js').DailyChallenge|null} [mode.challenge=null] - Daily Challenge
+   * @param {{level: number}|null} [mode.campaign=null] - Campaign start level
+   * @param {boolean} [mode.coop=false] - Two ships, each recording its own input
+   * @param {boolean} [mode.bossRush=false] - Boss Rush
+   * @param {Object<string, number>} [mode.upgrades={}] - Hangar upgrade levels
+   * @param {string} [mode.weapon] - Starting weapon
+   * @param {string[]} [mode.unlockedWeapons] - Weapons whose pickups can drop (default all)
+   */
+  constructor(seed, {
+    challenge = null,
+    campaign = null,
+    coop = false,
+    bossRush = false,
+    upgrades = {},
+    weapon = GameConfig.DEFAULT_WEAPON,
+    unlockedWeapons = Object.keys(GameConfig.WEAPONS),
+  } = {}) {
+    this.seed = seed;
+    this.challenge = challenge;
+    this.campaign = campaign;
+    this.coop = coop;
+    this.bossRush = bossRush;
+    this.upgrades = { ...upgrades };
+    this.weapon = weapon;
+    this.unlockedWeapons = [...unlockedWeapons];
+    this.steps = 0;
+    /** @type {Array<number[]>} */
+    this.runs = [];
+  }
+
+  /**
+   * Append the input for the current step.
+   * @param {InputFrame} frame
+   * @param {InputFrame} [partnerFrame] - Second ship's input (co-op only)
+   */
+  record(frame, partnerFrame) {
+    const encoded = encodeInputFrame(frame);
+    if (this.coop) {
+      const [buttons, , , moveX, moveY] = encodeInputFrame(partnerFrame);
+      encoded.push(buttons, moveX, moveY);
+    }
+    const last = this.runs[this.runs.length - 1];
+
+    if (last && encoded.every((value, index) => last[index + 1] === value)) {
+      last[0]++;
+    } else {
+      this.runs.push([1, ...encoded]);
+    }
+    this.steps++;
+  }
+
+  /**
+   * Finish the recording.
+   * @param {Object} result - Final stats of the run
+   * @returns {Replay}
+   */
+  finish(result) {
+    return {
+      version: GameConfig.REPLAY.VERSION,
+      seed: this.seed,
+      challenge: this.challenge,
+      campaign: this.campaign,
+      coop: this.coop,
+      bossRush: this.bossRush,
+      upgrades: { ...this.upgrades },
+      weapon: this.weapon,
+      unlockedWeapons: [...this.unlockedWeapons],
+      stepMs: GameConfig.REPLAY.STEP_MS,
+      steps: this.steps,
+      runs: this.runs.map(run => [...run]),
+      result: { ...result },
+      recordedAt: Date.now(),
+    };
+  }
+}
+
+/**
+ * Feeds recorded input back one step at a time.
+ */
+export class ReplayPlayer {
+  /**
+   * @param {Replay} replay
+   */
+  constructor(replay) {
+    this.replay = replay;
+    this.runIndex = 0;
+    this.stepInRun = 0;
+    this.step = 0;
+  }
+
+  /**
+   * Input of every ship for the next step.
+   * @returns {InputFrame[]|null} One frame per ship, or null once the recording is exhausted
+   */
+  nextStep() {
+    const run = this.replay.runs[this.runIndex];
+    if (!run) return null;
+
+    const frames = [decodeInputFrame(run.slice(1, 6))];
+    if (run.length > 6) {
+      frames.push(decodeInputFrame([run[6], 0, 0, run[7], run[8]]));
+    }
+    this.step++;
+    this.stepInRun++;
+    if (this.stepInRun >= run[0]) {
+      this.runIndex++;
+      this.stepInRun = 0;
+    }
+    return frames;
+  }
+
+  /**
+   * Input of the first ship for the next step.
+   * @returns {InputFrame|null} Null once the recording is exhausted
+   */
+  next() {
+    return this.nextStep()?.[0] ?? null;
+  }
+
+  /**
+   * @returns {boolean} True once every recorded step has been played
+   */
+  isFinished() {
+    return this.runIndex >= this.replay.runs.length;
+  }
+
+  /**
+   * @returns {number} Playback progress (0-1)
+   */
+  getProgress() {
+    return this.replay.steps > 0 ? this.step / this.replay.steps : 1;
+  }
+}
+
+/**
+ * Serialize a replay for sharing.
+ * @param {Replay} replay
+ * @returns {string}
+ */
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+/**
+ * Bring a replay recorded by an older build up to the current format.
+ * Version 1 predates analog sticks, so every step gets centered axes.
+ * @param {Object} replay - Parsed replay file
+ * @returns {Object}
+ */
+function upgradeReplay(replay) {
+  if (replay.version !== 1) {
+    return replay;
+  }
+  const upgradeRun = (run) => (Array.isArray(run)
+    ? [...run.slice(0, 4), 0, 0, ...run.slice(4).flatMap(partnerButtons => [partnerButtons, 0, 0])]
+    : run);
+  return { ...replay, version: 2, runs: replay.runs.map(upgradeRun) };
+}
+
+/**
+ * Parse and check a shared replay.
+ * Replays from older format versions are upgraded to the current one.
+ * @param {string} text - Replay file contents
+ * @returns {Replay}
+ * @throws {Error} If the file is not a replay this build can play
+ */
+export function parseReplay(text) {
+  let replay;
+  try {
+    replay = JSON.parse(text);
+  } catch {
+    throw new Error('Replay file is not valid JSON');
+  }
+
+  if (!replay || typeof replay !== 'object' || !Array.isArray(replay.runs)) {
+    throw new Error('Not a replay file');
+  }
+  replay = upgradeReplay(replay);
+  if (replay.version !== GameConfig.REPLAY.VERSION) {
+    throw new Error(`Unsupported replay version: ${replay.version}`);
+  }
+  if (replay.stepMs !== GameConfig.REPLAY.STEP_MS) {
+    throw new Error(`Replay uses a ${replay.stepMs}ms step, this build uses ${GameConfig.REPLAY.STEP_MS}ms`);
+  }
+  if (!Number.isInteger(replay.seed)) {
+    throw new Error('Replay is missing its seed');
+  }
+
+  const { challenge } = replay;
+  if (challenge != null) {
+    const modifiers = GameConfig.DAILY_CHALLENGE.MODIFIERS;
+    if (typeof challenge.day !== 'string' || challenge.seed !== replay.seed ||
+      !Array.isArray(challenge.modifiers) || !challenge.modifiers.every(key => key in modifiers)) {
+      throw new Error('Replay has an unknown Daily Challenge');
+    }
+  }
+
+  const { campaign } = replay;
+  if (campaign != null && !(Number.isInteger(campaign.level) && CAMPAIGN_LEVELS[campaign.level])) {
+    throw new Error('Replay starts at an unknown campaign level');
+  }
+
+  // Older replays have no upgrades field and were played without upgrades
+  const upgrades = replay.upgrades ?? {};
+  const validUpgrade = ([key, level]) => GameConfig.UPGRADES[key] &&
+    Number.isInteger(level) && level >= 0 && level <= GameConfig.UPGRADES[key].maxLevel;
+  if (typeof upgrades !== 'object' || !Object.entries(upgrades).every(validUpgrade)) {
+    throw new Error('Replay has unknown upgrades');
+  }
+
+  // Older replays have no loadout: the default weapon with every pickup
+  const isWeapon = (key) => Object.hasOwn(GameConfig.WEAPONS, key);
+  const { weapon = GameConfig.DEFAULT_WEAPON, unlockedWeapons = Object.keys(GameConfig.WEAPONS) } = replay;
+  if (!isWeapon(weapon) || !Array.isArray(unlockedWeapons) || !unlockedWeapons.every(isWeapon)) {
+    throw new Error('Replay has an unknown weapon loadout');
+  }
+
+  // Older replays have no coop field and were played solo
+  const coop = replay.coop ?? false;
+  if (typeof coop !== 'boolean') {
+    throw new Error('Replay has an unknown player count');
+  }
+
+  // Older replays have no bossRush field and were not Boss Rush runs
+  const bossRush = replay.bossRush ?? false;
+  if (typeof bossRush !== 'boolean') {
+    throw new Error('Replay has an unknown game mode');
+  }
+
+  const runLength = coop ? 9 : 6;
+  const validRun = (run) => Array.isArray(run) && run.length === runLength &&
+    run.every(Number.isInteger) && run[0] > 0;
+  if (!replay.runs.every(validRun)) {
+    throw new Error('Replay input data is corrupt');
+  }
+
+  const steps = replay.runs.reduce((total, run) => total + run[0], 0);
+  if (steps !== replay.steps) {
+    throw new Error('Replay input data is truncated');
+  }
+  return replay;
+}
+
+/**
+ * Keep the most recent run so it can be watched or saved from the game over screen.
+ * @param {Replay} replay
+ */
+export function saveLastReplay(replay) {
+  try {
+    localStorage.setItem(STORAGE_KEY, serializeReplay(replay));
+  } catch (e) {
+    console.warn('Failed to save replay:', e);
+  }
+}
+
+/**
+ * @returns {Replay|null} The most recent run, if one was saved
+ */
+export function loadLastReplay() {
+  try {
+    const text = localStorage.getItem(STORAGE_KEY);
+    return text ? parseReplay(text) : null;
+  } catch (e) {
+    console.warn('Failed to load replay:', e);
+    return null;
+  }
+}
@@ -0,0 +1,168 @@
+import GameConfig from '../config/GameConfig.js';
+
+const STORAGE_KEY = 'spacebear_settings';
+const STORAGE_VERSION = 1;
+
+/**
+ * @returns {Object<string, string>} First value of every option
+ */
+function getDefaultSettings() {
+  const settings = {};
+  for (const [key, option] of Object.entries(GameConfig.SETTINGS.OPTIONS)) {
+    settings[key] = option.values[0];
+  }
+  return settings;
+}
+
+/**
+ * SettingsManager - Comfort and accessibility options (GameConfig.SETTINGS.OPTIONS),
+ * changed in SettingsScene and kept in localStorage next to ProgressManager's data.
+ *
+ * Effects read the settings when they play rather than once per run, so a
+ * change made from the pause menu applies straight away.
+ */
+export default class SettingsManager {
+  constructor() {
+    /** @type {Object<string, string>} */
+    this.settings = getDefaultSettings();
+    this.load();
+  }
+
+  /**
+   * Load settings from localStorage. Unknown or invalid values keep their default.
+   */
+  load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (saved) {
+        const data = JSON.parse(saved);
+        for (const [key, option] of Object.entries(GameConfig.SETTINGS.OPTIONS)) {
+          if (option.values.includes(data.settings?.[key])) {
+            this.settings[key] = data.settings[key];
+          }
+        }
+      }
+    } catch (e) {
+      console.warn('Failed to load settings:', e);
+      this.settings = getDefaultSettings();
+    }
+  }
+
+  /**
+   * Save settings to localStorage.
+   */
+  save() {
+    try {
+      const data = {
+        version: STORAGE_VERSION,
+        settings: this.settings,
+        savedAt: Date.now(),
+      };
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    } catch (e) {
+      console.warn('Failed to save settings:', e);
+    }
+  }
+
+  /**
+   * Restore the defaults.
+   */
+  reset() {
+    this.settings = getDefaultSettings();
+    this.save();
+  }
+
+  /**
+   * @param {string} key - Option key
+   * @returns {string}
+   */
+  get(key) {
+    return this.settings[key];
+  }
+
+  /**
+   * @param {string} key - Option key
+   * @param {string} value - One of the option's values
+   * @returns {boolean} True if set, false if the value isn't valid for the option
+   */
+  set(key, value) {
+    if (!GameConfig.SETTINGS.OPTIONS[key]?.values.includes(value)) {
+      return false;
+    }
+    this.settings[key] = value;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Step an option to its next (or previous) value, wrapping around.
+   * @param {string} key - Option key
+   * @param {number} [direction=1] - 1 for next, -1 for previous
+   * @returns {string} The new value
+   */
+  cycle(key, direction = 1) {
+    const values = GameConfig.SETTINGS.OPTIONS[key].values;
+    const index = values.indexOf(this.settings[key]);
+    const value = values[(index + direction + values.length) % values.length];
+    this.set(key, value);
+    return value;
+  }
+
+  /**
+   * @returns {number} Scale for screen shake intensity (0 disables it)
+   */
+  getShakeScale() {
+    return GameConfig.SETTINGS.INTENSITY[this.settings.screenShake];
+  }
+
+  /**
+   * @returns {number} Scale for flashes (0 disables them)
+   */
+  getFlashScale() {
+    return GameConfig.SETTINGS.INTENSITY[this.settings.flashes];
+  }
+
+  /**
+   * @returns {number} Scale for background scrolling
+   */
+  getMotionScale() {
+    return GameConfig.SETTINGS.INTENSITY[this.settings.backgroundMotion];
+  }
+
+  /**
+   * @returns {import('../config/GameConfig.js').PaletteConfig}
+   */
+  getPalette() {
+    return GameConfig.SETTINGS.PALETTES[this.settings.palette];
+  }
+
+  /**
+   * @param {string} color - Enemy color ('r', 'g' or 'b')
+   * @returns {string} Sprite color variant to draw it with
+   */
+  getEnemyColor(color) {
+    return this.getPalette().enemyColors[color] ?? color;
+  }
+
+  /**
+   * @param {string} type - Power-up type key
+   * @returns {number} Tint for the power-up and its pickup text
+   */
+  getPowerUpColor(type) {
+    return this.getPalette().powerUpColors[type] ?? GameConfig.POWER_UP.TYPES[type].color;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isAutoFire() {
+    return this.settings.autoFire === 'on';
+  }
+
+  /**
+   * @returns {number} Simulation speed (1 is normal)
+   */
+  getGameSpeed() {
+    return GameConfig.SETTINGS.GAME_SPEEDS[this.settings.gameSpeed];
+  }
+}
@@ -1,4 +1,5 @@
 import GameConfig from '../config/GameConfig.js';
+import { formatRushTime } from './BossRushRunner.js';
 
 /**
  * UIManager - Handles all UI elements for the game scene.
@@ -22,11 +23,33 @@ export default class UIManager {
     // Credits display
     this.creditsText = null;
 
+    // Smart bomb charges
+    this.bombsText = null;
+
+    // Kill chain meter
+    this.comboText = null;
+    this.comboBar = null;
+
+    // Co-op partner's health and lives, and revive progress rings
+    this.partnerHud = null;
+    this.reviveGraphics = null;
+
     // Boss UI elements
     this.bossHealthBarBg = null;
     this.bossHealthBar = null;
+    this.bossPartBars = [];
     this.bossNameText = null;
     this.bossHealthVisible = false;
+    this.bossIntro = [];
+
+    // Campaign dialogue box
+    this.dialogueBox = null;
+    this.dialogueText = null;
+    this.dialogueTimer = null;
+
+    // Achievement toasts, shown one at a time
+    this.toastQueue = [];
+    this.toast = null;
   }
 
   /**
@@ -40,6 +63,8 @@ export default class UIManager {
     this.createLivesDisplay(initialLives);
     this.createWaveDisplay();
     this.createCreditsDisplay();
+    this.createBombsDisplay();
+    this.createComboMeter();
   }
 
   /**
@@ -48,13 +73,31 @@ export default class UIManager {
    * @param {number} gameState.healthPercent - Player health as a decimal (0-1)
    * @param {number} gameState.score - Current score
    * @param {number} [gameState.credits] - Current credits (optional)
+   * @param {number} [gameState.partnerHealthPercent] - Co-op partner health (0-1, optional)
+   * @param {number} [gameState.bombs] - Bomb charges left (optional)
+   * @param {number} [gameState.partnerBombs] - Co-op partner's bomb charges (optional)
+   * @param {number} [gameState.combo] - Kills in the current chain (optional)
+   * @param {number} [gameState.comboMultiplier] - Current score multiplier
+   * @param {number} [gameState.comboPercent] - Chain window left (0-1)
    */
   update(gameState) {
     this.updateHealthBar(gameState.healthPercent);
+    if (this.partnerHud && gameState.partnerHealthPercent !== undefined) {
+      this.updateHealthBar(gameState.partnerHealthPercent, this.partnerHud.healthBar);
+    }
     this.updateScore(gameState.score);
     if (gameState.credits !== undefined) {
       this.updateCredits(gameState.credits);
     }
+    if (gameState.bombs !== undefined) {
+      this.updateBombs(gameState.bombs);
+    }
+    if (this.partnerHud && gameState.partnerBombs !== undefined) {
+      this.updateBombs(gameState.partnerBombs, 1);
+    }
+    if (gameState.combo !== undefined) {
+      this.updateCombo(gameState.combo, gameState.comboMultiplier, gameState.comboPercent);
+    }
   }
 
   /**
@@ -70,10 +113,73 @@ export default class UIManager {
   /**
    * Update health bar based on player health.
    * @param {number} percent - Health as a decimal (0-1)
+   * @param {Phaser.GameObjects.Rectangle} [bar] - Bar to update (default: first player's)
+   */
+  updateHealthBar(percent, bar = this.healthBar) {
+    const { high, mid, low } = this.scene.gameSettings.getPalette().healthColors;
+    bar.width = 100 * percent;
+    bar.fillColor = percent > 0.5 ? high : percent > 0.25 ? mid : low;
+  }
+
+  /**
+   * Create the co-op partner's health bar and lives in the bottom-left corner.
+   * @param {number} lives - Number of lives to display
+   * @param {number} tint - The partner ship's tint
    */
-  updateHealthBar(percent) {
-    this.healthBar.width = 100 * percent;
-    this.healthBar.fillColor = percent > 0.5 ? 0x00ff00 : percent > 0.25 ? 0xffff00 : 0xff0000;
+  createPartnerHud(lives, tint) {
+    const y = this.scene.cameras.main.height - 24;
+
+    const label = this.scene.add.text(10, y, 'P2', {
+      font: '14px monospace',
+      fill: '#ffffff'
+    }).setTint(tint).setScrollFactor(0).setDepth(100);
+    const healthBarBg = this.scene.add.rectangle(36, y, 104, 14, 0x000000).setOrigin(0, 0);
+    const healthBar = this.scene.add.rectangle(38, y + 2, 100, 10, 0x00ff00).setOrigin(0, 0);
+    healthBarBg.setScrollFactor(0).setDepth(100);
+    healthBar.setScrollFactor(0).setDepth(100);
+
+    const livesIcons = [];
+    for (let i = 0; i < lives; i++) {
+      const icon = this.scene.add.sprite(156 + i * 25, y + 7, 'sprites', 'player_r_m.png');
+      icon.setScale(0.3);
+      icon.setTint(tint);
+      icon.setScrollFactor(0);
+      icon.setDepth(100);
+      livesIcons.push(icon);
+    }
+
+    const bombsText = this.createBombsText(10, y - 20);
+
+    this.partnerHud = { label, healthBarBg, healthBar, livesIcons, bombsText };
+  }
+
+  /**
+   * Draw a ring around each downed co-op ship that fills up while its
+   * partner is reviving it.
+   * @param {import('../sprites/Player.js').default[]} players - All ships
+   */
+  updateReviveRings(players) {
+    if (!this.reviveGraphics) {
+      this.reviveGraphics = this.scene.add.graphics().setDepth(100);
+    }
+    this.reviveGraphics.clear();
+
+    const radius = GameConfig.COOP.REVIVE_RADIUS;
+    for (const player of players) {
+      if (!player.isDown) continue;
+
+      this.reviveGraphics.lineStyle(2, 0xffffff, 0.3);
+      this.reviveGraphics.strokeCircle(player.x, player.y, radius);
+
+      const progress = player.reviveProgress / GameConfig.COOP.REVIVE_TIME;
+      if (progress > 0) {
+        const start = -Math.PI / 2;
+        this.reviveGraphics.lineStyle(4, 0x00ff00, 1);
+        this.reviveGraphics.beginPath();
+        this.reviveGraphics.arc(player.x, player.y, radius, start, start + progress * Math.PI * 2);
+        this.reviveGraphics.strokePath();
+      }
+    }
   }
 
   /**
@@ -124,6 +230,71 @@ export default class UIManager {
     }
   }
 
+  /**
+   * Create the bomb counter below the health bar.
+   */
+  createBombsDisplay() {
+    this.bombsText = this.createBombsText(10, 30);
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @returns {Phaser.GameObjects.Text} A bomb counter
+   */
+  createBombsText(x, y) {
+    return this.scene.add.text(x, y, '', {
+      font: '14px monospace',
+      fill: '#ff3344'
+    }).setScrollFactor(0).setDepth(100);
+  }
+
+  /**
+   * Update a bomb counter.
+   * @param {number} bombs - Bomb charges left
+   * @param {number} [playerIndex=0] - Ship whose charges to show (1 is the co-op partner)
+   */
+  updateBombs(bombs, playerIndex = 0) {
+    const text = playerIndex === 0 ? this.bombsText : this.partnerHud?.bombsText;
+    if (text) {
+      text.setText(`BOMB x${bombs}`);
+    }
+  }
+
+  /**
+   * Create the kill chain meter, centered below the boss health bar:
+   * multiplier and chain length over a bar showing the time left to extend the chain.
+   */
+  createComboMeter() {
+    const x = this.scene.cameras.main.centerX;
+
+    this.comboText = this.scene.add.text(x, 56, '', {
+      font: 'bold 14px monospace',
+      fill: '#ff8800'
+    }).setOrigin(0.5, 0).setScrollFactor(0).setDepth(100).setVisible(false);
+
+    this.comboBar = this.scene.add.rectangle(x, 74, 80, 4, 0xff8800)
+      .setOrigin(0.5, 0).setScrollFactor(0).setDepth(100).setVisible(false);
+  }
+
+  /**
+   * Update the kill chain meter (hidden for short chains).
+   * @param {number} combo - Kills in the chain
+   * @param {number} multiplier - Score multiplier
+   * @param {number} percent - Chain window left (0-1)
+   */
+  updateCombo(combo, multiplier, percent) {
+    if (!this.comboText) return;
+
+    const visible = combo >= GameConfig.COMBO.METER_MIN_CHAIN;
+    this.comboText.setVisible(visible);
+    this.comboBar.setVisible(visible);
+    if (visible) {
+      this.comboText.setText(`x${multiplier}  CHAIN ${combo}`);
+      this.comboBar.setScale(Math.max(0, percent), 1);
+    }
+  }
+
   /**
    * Create lives display using ship icons.
    * @param {number} lives - Number of lives to display
@@ -142,9 +313,11 @@ export default class UIManager {
   /**
    * Update lives display.
    * @param {number} lives - Current number of lives
+   * @param {number} [playerIndex=0] - Ship whose lives to show (1 is the co-op partner)
    */
-  updateLives(lives) {
-    this.livesIcons.forEach((icon, index) => {
+  updateLives(lives, playerIndex = 0) {
+    const icons = playerIndex === 0 ? this.livesIcons : this.partnerHud.livesIcons;
+    icons.forEach((icon, index) => {
       icon.setVisible(index < lives);
     });
   }
@@ -168,15 +341,213 @@ export default class UIManager {
   }
 
   /**
-   * Show boss health bar when boss spawns.
-   * @param {string} bossName - Name to display
-   * @param {number} maxHealth - Boss max health for scaling
+   * Show the campaign level in place of the wave.
+   * @param {number} number - Level number (1-based)
+   * @param {string} name - Level name
    */
-  showBossHealth(bossName = 'MEGASHIP BOSS 1', maxHealth = 100) {
+  updateLevel(number, name) {
+    this.waveText.setText(`Level ${number}: ${name}`);
+  }
+
+  /**
+   * Show the Boss Rush loop and clock in place of the wave.
+   * @param {number} loop - Loop number (from 1)
+   * @param {number} time - Time since the rush started (ms)
+   */
+  updateBossRush(loop, time) {
+    this.waveText.setText(`Rush ${loop}: ${formatRushTime(time)}`);
+  }
+
+  /**
+   * Show a line of dialogue, replacing any line still on screen.
+   * @param {Object} dialogue
+   * @param {string|null} dialogue.speaker - Who is talking (null for announcements)
+   * @param {string} dialogue.text - Line to show
+   * @param {number} dialogue.duration - Display time in ms
+   */
+  showDialogue({ speaker, text, duration }) {
+    this.hideDialogue();
+
+    const width = this.scene.cameras.main.width;
+    const y = this.scene.cameras.main.height * 0.3;
+
+    this.dialogueBox = this.scene.add.rectangle(width / 2, y, width * 0.8, 70, 0x000000, 0.7)
+      .setStrokeStyle(1, 0x00ffff)
+      .setScrollFactor(0)
+      .setDepth(100);
+
+    this.dialogueText = this.scene.add.text(width / 2, y, speaker ? `${speaker}: ${text}` : text, {
+      font: '14px monospace',
+      fill: speaker ? '#00ffff' : '#ffff00',
+      align: 'center',
+      wordWrap: { width: width * 0.75 },
+    }).setOrigin(0.5).setScrollFactor(0).setDepth(101);
+
+    this.dialogueTimer = this.scene.time.delayedCall(duration, () => this.hideDialogue());
+  }
+
+  /**
+   * Remove the dialogue box.
+   */
+  hideDialogue() {
+    if (this.dialogueTimer) this.dialogueTimer.remove();
+    if (this.dialogueBox) this.dialogueBox.destroy();
+    if (this.dialogueText) this.dialogueText.destroy();
+    this.dialogueTimer = null;
+    this.dialogueBox = null;
+    this.dialogueText = null;
+  }
+
+  /**
+   * Announce an unlocked achievement. Toasts queue up when several unlock together.
+   * @param {import('../config/GameConfig.js').AchievementConfig} achievement
+   */
+  showAchievement(achievement) {
+    this.toastQueue.push(achievement);
+    if (!this.toast) {
+      this.showNextToast();
+    }
+  }
+
+  /**
+   * Slide in the next queued achievement toast.
+   */
+  showNextToast() {
+    const achievement = this.toastQueue.shift();
+    if (!achievement) {
+      this.toast = null;
+      return;
+    }
+
+    const width = this.scene.cameras.main.width;
+    const y = GameConfig.ACHIEVEMENTS.TOAST_Y;
+
+    const box = this.scene.add.rectangle(0, 0, width * 0.7, 44, 0x000000, 0.8)
+      .setStrokeStyle(1, 0xffdd00);
+    const title = this.scene.add.text(0, -9, `ACHIEVEMENT: ${achievement.name}`, {
+      font: 'bold 14px monospace',
+      fill: '#ffdd00',
+    }).setOrigin(0.5);
+    const description = this.scene.add.text(0, 10, achievement.description, {
+      font: '12px monospace',
+      fill: '#ffffff',
+    }).setOrigin(0.5);
+
+    this.toast = this.scene.add.container(width / 2, -30, [box, title, description])
+      .setScrollFactor(0)
+      .setDepth(102);
+
+    this.scene.tweens.add({
+      targets: this.toast,
+      y,
+      duration: 300,
+      ease: 'Back.easeOut',
+      hold: GameConfig.ACHIEVEMENTS.TOAST_DURATION,
+      yoyo: true,
+      onComplete: () => {
+        this.toast.destroy();
+        this.showNextToast();
+      },
+    });
+  }
+
+  /**
+   * Show the boss intro: a blinking WARNING banner, then the boss's name.
+   * Stays up until hideBossIntro().
+   * @param {string} bossType - Boss type key from BOSS.TYPES
+   */
+  showBossIntro(bossType) {
+    this.hideBossIntro();
+
+    const config = GameConfig.BOSS;
+    const { width, height } = this.scene.cameras.main;
+    const y = height * 0.4;
+
+    const band = this.scene.add.rectangle(width / 2, y, width, 70, 0x000000, 0.7);
+    const topLine = this.scene.add.rectangle(width / 2, y - 35, width, 3, 0xff2222);
+    const bottomLine = this.scene.add.rectangle(width / 2, y + 35, width, 3, 0xff2222);
+
+    const warning = this.scene.add.text(width / 2, y, 'WARNING', {
+      font: 'bold 40px monospace',
+      fill: '#ff2222',
+      stroke: '#000000',
+      strokeThickness: 4
+    }).setOrigin(0.5);
+
+    const name = this.scene.add.text(width / 2, y + 60, config.TYPES[bossType].name.toUpperCase(), {
+      font: 'bold 20px monospace',
+      fill: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 3
+    }).setOrigin(0.5).setAlpha(0);
+
+    const hint = this.scene.add.text(width / 2, y + 88, 'PRESS FIRE TO SKIP', {
+      font: '12px monospace',
+      fill: '#aaaaaa'
+    }).setOrigin(0.5);
+
+    this.bossIntro = [band, topLine, bottomLine, warning, name, hint];
+    this.bossIntro.forEach(element => element.setScrollFactor(0).setDepth(150));
+
+    // Blink the warning, then bring in the name card
+    this.scene.tweens.add({
+      targets: warning,
+      alpha: 0.2,
+      duration: config.INTRO_BLINK_DURATION,
+      yoyo: true,
+      repeat: -1
+    });
+    this.scene.tweens.add({
+      targets: name,
+      alpha: 1,
+      delay: config.INTRO_NAME_DELAY,
+      duration: 300
+    });
+  }
+
+  /**
+   * Remove the boss intro.
+   */
+  hideBossIntro() {
+    this.bossIntro.forEach(element => {
+      this.scene.tweens.killTweensOf(element);
+      element.destroy();
+    });
+    this.bossIntro = [];
+  }
+
+  /**
+   * Show boss health bar, with the name and health from the boss type's config.
+   * Bosses with parts get a segment per part after the core's, each sized
+   * by its share of the total health.
+   * @param {string} bossType - Boss type key from BOSS.TYPES
+   */
+  showBossHealth(bossType) {
+    const type = GameConfig.BOSS.TYPES[bossType];
+    const bossName = type.name;
+    const maxHealth = type.health || GameConfig.BOSS.MAX_HEALTH;
+    const parts = Object.values(type.parts || {});
+
     const width = this.scene.cameras.main.width;
     const barWidth = width * 0.6;
     const barX = (width - barWidth) / 2;
     const barY = 35;
+    const gap = 2;
+    const totalHealth = parts.reduce((sum, part) => sum + part.health, maxHealth);
+    const fillWidth = barWidth - gap * parts.length;
+    let segmentX = barX + 2;
+
+    // Lay segments out left to right
+    const createSegment = (health, color) => {
+      const segmentWidth = fillWidth * health / totalHealth;
+      const bar = this.scene.add.rectangle(
+        segmentX, barY + 2, segmentWidth, 12, color
+      ).setOrigin(0, 0).setScrollFactor(0).setDepth(100);
+      bar.setData('maxWidth', segmentWidth);
+      bar.setAlpha(0);
+      segmentX += segmentWidth + gap;
+      return bar;
+    };
 
     // Create boss name text
     this.bossNameText = this.scene.add.text(width / 2, barY - 5, bossName, {
@@ -191,16 +562,13 @@ export default class UIManager {
     ).setOrigin(0, 0).setScrollFactor(0).setDepth(100);
     this.bossHealthBarBg.setAlpha(0);
 
-    // Create boss health bar fill
-    this.bossHealthBar = this.scene.add.rectangle(
-      barX + 2, barY + 2, barWidth, 12, 0xff4444
-    ).setOrigin(0, 0).setScrollFactor(0).setDepth(100);
-    this.bossHealthBar.setData('maxWidth', barWidth);
-    this.bossHealthBar.setAlpha(0);
+    // Create boss health bar fill (the core), then the part segments
+    this.bossHealthBar = createSegment(maxHealth, 0xff4444);
+    this.bossPartBars = parts.map(part => createSegment(part.health, 0xffaa44));
 
     // Fade in
     this.scene.tweens.add({
-      targets: [this.bossNameText, this.bossHealthBarBg, this.bossHealthBar],
+      targets: [this.bossNameText, this.bossHealthBarBg, this.bossHealthBar, ...this.bossPartBars],
       alpha: 1,
       duration: 500
     });
@@ -211,27 +579,31 @@ export default class UIManager {
   /**
    * Update boss health bar.
    * @param {number} healthPercent - Current health as decimal (0-1)
+   * @param {number[]} [partPercents=[]] - Health of each part (0-1), in showBossHealth order
+   * @param {number} [phase=1] - Boss phase (from 1)
+   * @param {number} [phaseCount=3] - Phases in the fight
    */
-  updateBossHealth(healthPercent) {
+  updateBossHealth(healthPercent, partPercents = [], phase = 1, phaseCount = 3) {
     if (!this.bossHealthBar || !this.bossHealthVisible) return;
 
-    const maxWidth = this.bossHealthBar.getData('maxWidth');
-    const targetWidth = maxWidth * healthPercent;
-
     // Smooth width transition
-    this.scene.tweens.add({
-      targets: this.bossHealthBar,
-      width: targetWidth,
-      duration: 100
-    });
-
-    // Color changes at phase thresholds
-    if (healthPercent <= 0.33) {
-      this.bossHealthBar.fillColor = 0xff0000; // Red - phase 3
-    } else if (healthPercent <= 0.66) {
-      this.bossHealthBar.fillColor = 0xff8800; // Orange - phase 2
+    const tweenWidth = (bar, percent) => {
+      this.scene.tweens.add({
+        targets: bar,
+        width: bar.getData('maxWidth') * percent,
+        duration: 100
+      });
+    };
+    tweenWidth(this.bossHealthBar, healthPercent);
+    this.bossPartBars.forEach((bar, i) => tweenWidth(bar, partPercents[i] ?? 0));
+
+    // Color changes with the phase
+    if (phase === phaseCount && phase > 1) {
+      this.bossHealthBar.fillColor = 0xff0000; // Red - final phase
+    } else if (phase > 1) {
+      this.bossHealthBar.fillColor = 0xff8800; // Orange - middle phases
     } else {
-      this.bossHealthBar.fillColor = 0xff4444; // Light red - phase 1
+      this.bossHealthBar.fillColor = 0xff4444; // Light red - first phase
     }
   }
 
@@ -242,16 +614,19 @@ export default class UIManager {
     if (!this.bossHealthVisible) return;
 
     this.bossHealthVisible = false;
+    const partBars = this.bossPartBars;
+    this.bossPartBars = [];
 
     // Fade out and destroy
     this.scene.tweens.add({
-      targets: [this.bossNameText, this.bossHealthBarBg, this.bossHealthBar],
+      targets: [this.bossNameText, this.bossHealthBarBg, this.bossHealthBar, ...partBars],
       alpha: 0,
       duration: 500,
       onComplete: () => {
         if (this.bossNameText) this.bossNameText.destroy();
         if (this.bossHealthBarBg) this.bossHealthBarBg.destroy();
         if (this.bossHealthBar) this.bossHealthBar.destroy();
+        partBars.forEach(bar => bar.destroy());
         this.bossNameText = null;
         this.bossHealthBarBg = null;
         this.bossHealthBar = null;
@@ -273,14 +648,41 @@ export default class UIManager {
     // Destroy credits display
     if (this.creditsText) this.creditsText.destroy();
 
+    // Destroy bomb counter
+    if (this.bombsText) this.bombsText.destroy();
+
+    // Destroy kill chain meter
+    if (this.comboText) this.comboText.destroy();
+    if (this.comboBar) this.comboBar.destroy();
+
     // Destroy lives icons
     this.livesIcons.forEach(icon => icon.destroy());
     this.livesIcons = [];
 
+    // Destroy co-op elements
+    if (this.partnerHud) {
+      const { label, healthBarBg, healthBar, livesIcons, bombsText } = this.partnerHud;
+      [label, healthBarBg, healthBar, bombsText, ...livesIcons].forEach(element => element.destroy());
+      this.partnerHud = null;
+    }
+    if (this.reviveGraphics) this.reviveGraphics.destroy();
+    this.reviveGraphics = null;
+
     // Destroy boss UI elements
     if (this.bossNameText) this.bossNameText.destroy();
     if (this.bossHealthBarBg) this.bossHealthBarBg.destroy();
     if (this.bossHealthBar) this.bossHealthBar.destroy();
+    this.bossPartBars.forEach(bar => bar.destroy());
+    this.bossPartBars = [];
+    this.hideBossIntro();
+
+    // Destroy dialogue
+    this.hideDialogue();
+
+    // Destroy achievement toasts
+    if (this.toast) this.toast.destroy();
+    this.toast = null;
+    this.toastQueue = [];
 
     // Clear references
     this.healthBarBg = null;
@@ -288,6 +690,9 @@ export default class UIManager {
     this.scoreText = null;
     this.waveText = null;
     this.creditsText = null;
+    this.bombsText = null;
+    this.comboText = null;
+    this.comboBar = null;
     this.bossNameText = null;
     this.bossHealthBarBg = null;
     this.bossHealthBar = null;
@@ -0,0 +1,69 @@
+import GameConfig from '../config/GameConfig.js';
+
+/**
+ * Hangar upgrades: prices, purchases and their effect on a run.
+ * Levels are stored in ProgressManager; the catalog is GameConfig.UPGRADES.
+ */
+
+/**
+ * Stat bonuses from bought upgrades (see UpgradeConfig.stat).
+ * @typedef {Object} UpgradeBonuses
+ * @property {number} maxHealth - Extra max health
+ * @property {number} weaponLevel - Levels added to the starting weapon level
+ * @property {number} magnetRange - Extra coin magnet range (pixels)
+ * @property {number} shieldDuration - Extra shield duration (fraction, 0.25 = +25%)
+ * @property {number} lives - Extra starting lives
+ */
+
+/** @type {UpgradeBonuses} */
+export const NO_UPGRADE_BONUSES = Object.freeze({
+  maxHealth: 0,
+  weaponLevel: 0,
+  magnetRange: 0,
+  shieldDuration: 0,
+  lives: 0,
+});
+
+/**
+ * Price of the next level of an upgrade.
+ * @param {string} key - Upgrade key from GameConfig.UPGRADES
+ * @param {number} level - Level currently owned
+ * @returns {number|null} Credits, or null if the upgrade is maxed out
+ */
+export function getUpgradeCost(key, level) {
+  const config = GameConfig.UPGRADES[key];
+  if (!config || level >= config.maxLevel) {
+    return null;
+  }
+  return Math.round(config.baseCost * Math.pow(config.costGrowth, level));
+}
+
+/**
+ * Add up the bonuses of owned upgrade levels.
+ * Unknown keys are ignored and levels are capped at each upgrade's max.
+ * @param {Object<string, number>} [levels={}] - Owned level per upgrade key
+ * @returns {UpgradeBonuses}
+ */
+export function getUpgradeBonuses(levels = {}) {
+  const bonuses = { ...NO_UPGRADE_BONUSES };
+  for (const [key, config] of Object.entries(GameConfig.UPGRADES)) {
+    const level = Math.min(levels[key] || 0, config.maxLevel);
+    bonuses[config.stat] += level * config.perLevel;
+  }
+  return bonuses;
+}
+
+/**
+ * Buy the next level of an upgrade.
+ * @param {import('./ProgressManager.js').default} progress - Player progress
+ * @param {string} key - Upgrade key from GameConfig.UPGRADES
+ * @returns {boolean} True if bought, false if maxed out or unaffordable
+ */
+export function purchaseUpgrade(progress, key) {
+  const cost = getUpgradeCost(key, progress.getUpgradeLevel(key));
+  if (cost === null || !progress.spendCredits(cost)) {
+    return false;
+  }
+  progress.upgradeLevel(key);
+  return true;
+}
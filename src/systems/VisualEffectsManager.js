@@ -1,4 +1,5 @@
 import GameConfig from '../config/GameConfig.js';
+import SettingsManager from './SettingsManager.js';
 
 /**
  * @file VisualEffectsManager - Centralized visual effects for consistent game feel.
@@ -7,6 +8,7 @@ import GameConfig from '../config/GameConfig.js';
 
 /**
  * VisualEffectsManager - Centralized visual effects for consistent game feel.
+ * Shakes and flashes are scaled down or skipped per the player's settings.
  */
 export default class VisualEffectsManager {
   /**
@@ -15,6 +17,15 @@ export default class VisualEffectsManager {
   constructor(scene) {
     /** @type {Phaser.Scene} */
     this.scene = scene;
+    /** @type {SettingsManager} */
+    this.settings = scene.gameSettings || new SettingsManager();
+  }
+
+  /**
+   * @returns {boolean} False if the player has turned flashes off
+   */
+  flashesEnabled() {
+    return this.settings.getFlashScale() > 0;
   }
 
   /**
@@ -24,10 +35,10 @@ export default class VisualEffectsManager {
    * @param {number} [duration=100] - Flash duration in ms
    */
   damageFlash(target, color = GameConfig.DISPLAY.DAMAGE_FLASH_TINT, duration = GameConfig.DISPLAY.DAMAGE_FLASH_DURATION) {
-    if (!target || !target.active) return;
+    if (!target || !target.active || !this.flashesEnabled()) return;
 
     target.setTint(color);
-    this.scene.time.delayedCall(duration, () => {
+    this.scene.time.delayedCall(duration * this.settings.getFlashScale(), () => {
       if (target.active) {
         target.clearTint();
       }
@@ -38,14 +49,16 @@ export default class VisualEffectsManager {
    * Play a damage flash with alpha pulse.
    * @param {Phaser.GameObjects.Sprite} target - Sprite to flash
    * @param {number} [repeats=2] - Number of flash repeats
+   * @param {number} [alpha=0.5] - Lowest alpha at full flash intensity
+   * @param {number} [duration=100] - Duration of each fade in ms
    */
-  damageFlashWithAlpha(target, repeats = 2) {
-    if (!target || !target.active) return;
+  damageFlashWithAlpha(target, repeats = 2, alpha = 0.5, duration = 100) {
+    if (!target || !target.active || !this.flashesEnabled()) return;
 
     this.scene.tweens.add({
       targets: target,
-      alpha: 0.5,
-      duration: 100,
+      alpha: 1 - (1 - alpha) * this.settings.getFlashScale(),
+      duration,
       yoyo: true,
       repeat: repeats,
     });
@@ -57,7 +70,10 @@ export default class VisualEffectsManager {
    * @param {number} [duration=100] - Shake duration in ms
    */
   screenShake(intensity = 0.01, duration = 100) {
-    this.scene.cameras.main.shake(duration, intensity);
+    const scale = this.settings.getShakeScale();
+    if (scale > 0) {
+      this.scene.cameras.main.shake(duration, intensity * scale);
+    }
   }
 
   /**
@@ -68,7 +84,11 @@ export default class VisualEffectsManager {
    * @param {number} [b=255] - Blue component
    */
   screenFlash(duration = 300, r = 255, g = 255, b = 255) {
-    this.scene.cameras.main.flash(duration, r, g, b);
+    // Reduced flashes are dimmer rather than shorter
+    const scale = this.settings.getFlashScale();
+    if (scale > 0) {
+      this.scene.cameras.main.flash(duration, r * scale, g * scale, b * scale);
+    }
   }
 
   /**
@@ -163,7 +183,7 @@ export default class VisualEffectsManager {
    * @param {number} [returnTint=null] - Tint to return to (null = clear)
    */
   tintPulse(target, tint, duration = 100, returnTint = null) {
-    if (!target || !target.active) return;
+    if (!target || !target.active || !this.flashesEnabled()) return;
 
     target.setTint(tint);
     this.scene.time.delayedCall(duration, () => {
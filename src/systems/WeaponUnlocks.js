@@ -0,0 +1,68 @@
+import GameConfig from '../config/GameConfig.js';
+
+/**
+ * Weapon unlocks: bought in the hangar (WeaponConfig.unlockCost) or earned
+ * for free by reaching a milestone (WeaponConfig.milestone).
+ * Unlocked weapons are stored in ProgressManager.
+ */
+
+/**
+ * Describe what unlocks a weapon for free.
+ * @param {string} weaponType - Weapon key from GameConfig.WEAPONS
+ * @returns {string|null} Null if the weapon has no milestone
+ */
+export function describeMilestone(weaponType) {
+  const milestone = GameConfig.WEAPONS[weaponType]?.milestone;
+  if (milestone?.wave) {
+    return `Reach wave ${milestone.wave}`;
+  }
+  if (milestone?.boss) {
+    return `Defeat the ${GameConfig.BOSS.TYPES[milestone.boss].name}`;
+  }
+  return null;
+}
+
+/**
+ * Check whether a weapon's milestone has been reached.
+ * @param {import('./ProgressManager.js').default} progress - Player progress
+ * @param {string} weaponType - Weapon key
+ * @returns {boolean}
+ */
+export function isMilestoneReached(progress, weaponType) {
+  const milestone = GameConfig.WEAPONS[weaponType]?.milestone;
+  if (milestone?.wave) {
+    return progress.getBestWave() >= milestone.wave;
+  }
+  if (milestone?.boss) {
+    return progress.getBossKills(milestone.boss) > 0;
+  }
+  return false;
+}
+
+/**
+ * Unlock every locked weapon whose milestone has been reached.
+ * Call after progress is updated at the end of a run.
+ * @param {import('./ProgressManager.js').default} progress - Player progress
+ * @returns {string[]} Weapons unlocked by this call
+ */
+export function unlockMilestoneWeapons(progress) {
+  return Object.keys(GameConfig.WEAPONS).filter(weaponType =>
+    !progress.isWeaponUnlocked(weaponType) &&
+    isMilestoneReached(progress, weaponType) &&
+    progress.unlockWeapon(weaponType)
+  );
+}
+
+/**
+ * Buy a locked weapon.
+ * @param {import('./ProgressManager.js').default} progress - Player progress
+ * @param {string} weaponType - Weapon key
+ * @returns {boolean} True if bought, false if owned, not for sale or unaffordable
+ */
+export function purchaseWeapon(progress, weaponType) {
+  const cost = GameConfig.WEAPONS[weaponType]?.unlockCost;
+  if (cost === undefined || progress.isWeaponUnlocked(weaponType) || !progress.spendCredits(cost)) {
+    return false;
+  }
+  return progress.unlockWeapon(weaponType);
+}
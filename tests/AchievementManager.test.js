@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { EventEmitter } from 'events';
+import AchievementManager, { getCounterKey } from '../src/systems/AchievementManager.js';
+import GameConfig from '../src/config/GameConfig.js';
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {};
+  return {
+    getItem: vi.fn((key) => store[key] || null),
+    setItem: vi.fn((key, value) => { store[key] = value; }),
+    removeItem: vi.fn((key) => { delete store[key]; }),
+    clear: vi.fn(() => { store = {}; }),
+  };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+describe('AchievementManager', () => {
+  let achievements;
+  let scene;
+  let unlocked;
+
+  beforeEach(() => {
+    localStorageMock.clear();
+    vi.clearAllMocks();
+    achievements = new AchievementManager();
+    scene = { events: new EventEmitter() };
+    unlocked = [];
+    scene.events.on('achievementUnlocked', key => unlocked.push(key));
+    achievements.bindScene(scene);
+  });
+
+  describe('registry', () => {
+    const list = Object.entries(GameConfig.ACHIEVEMENTS.LIST);
+
+    it('should only use known stats and boss types', () => {
+      for (const [key, achievement] of list) {
+        expect(['kills', 'bossKills', 'credits', 'time', 'noHitTime'], key).toContain(achievement.stat);
+        expect(achievement.goal, key).toBeGreaterThan(0);
+        if (achievement.bossType) {
+          expect(GameConfig.BOSS.TYPES, key).toHaveProperty(achievement.bossType);
+        }
+      }
+    });
+
+    it('should count boss types separately', () => {
+      expect(getCounterKey(GameConfig.ACHIEVEMENTS.LIST.carrierDown)).toBe('bossKills:carrier');
+      expect(getCounterKey(GameConfig.ACHIEVEMENTS.LIST.bossHunter)).toBe('bossKills');
+    });
+  });
+
+  describe('scene events', () => {
+    it('should unlock on the first kill and announce it once', () => {
+      scene.events.emit('enemyKilled', 'fighter', 0);
+      scene.events.emit('enemyKilled', 'fighter', 0);
+      expect(unlocked).toEqual(['firstBlood']);
+      expect(achievements.isUnlocked('firstBlood')).toBe(true);
+    });
+
+    it('should unlock boss achievements for the boss type defeated', () => {
+      scene.events.emit('bossDefeated', { bossType: 'carrier' });
+      expect(unlocked).toEqual(['carrierDown']);
+      expect(achievements.isUnlocked('megashipDown')).toBe(false);
+    });
+
+    it('should count credits across runs for total goals', () => {
+      scene.events.emit('addCredits', 400);
+      scene.events.emit('shutdown');
+      expect(achievements.isUnlocked('saver')).toBe(false);
+
+      const next = new AchievementManager();
+      const nextScene = { events: new EventEmitter() };
+      next.bindScene(nextScene);
+      nextScene.events.emit('addCredits', 600);
+
+      expect(next.isUnlocked('saver')).toBe(true);
+    });
+
+    it('should only count single-run goals within one run', () => {
+      scene.events.emit('addCredits', 300);
+      achievements.bindScene({ events: new EventEmitter() });
+      achievements.count('credits', 300);
+      achievements.check();
+      expect(achievements.isUnlocked('tycoon')).toBe(false);
+      expect(achievements.getProgress('tycoon')).toEqual({ current: 300, goal: 500 });
+    });
+
+    it('should stop listening when the scene shuts down', () => {
+      scene.events.emit('shutdown');
+      expect(scene.events.listenerCount('enemyKilled')).toBe(0);
+      expect(scene.events.listenerCount('playerHit')).toBe(0);
+    });
+  });
+
+  describe('survival', () => {
+    it('should unlock by time survived', () => {
+      achievements.updateTime(599);
+      expect(achievements.isUnlocked('survivor')).toBe(false);
+      achievements.updateTime(600);
+      expect(achievements.isUnlocked('survivor')).toBe(true);
+    });
+
+    it('should restart the no-hit clock when the player is hit', () => {
+      achievements.updateTime(200);
+      scene.events.emit('playerHit', {}, 10);
+      achievements.updateTime(450);
+      expect(achievements.isUnlocked('untouchable')).toBe(false);
+
+      achievements.updateTime(500);
+      expect(achievements.isUnlocked('untouchable')).toBe(true);
+    });
+
+    it('should restart the no-hit clock when a life is lost', () => {
+      achievements.updateTime(299);
+      scene.events.emit('loseLife', {});
+      achievements.updateTime(300);
+      expect(achievements.isUnlocked('untouchable')).toBe(false);
+    });
+
+    it('should remember the best run as progress', () => {
+      achievements.updateTime(120);
+      achievements.bindScene({ events: new EventEmitter() });
+      achievements.updateTime(60);
+      expect(achievements.getProgress('survivor')).toEqual({ current: 120, goal: 600 });
+    });
+  });
+
+  describe('persistence', () => {
+    it('should keep unlocks across sessions', () => {
+      scene.events.emit('enemyKilled', 'fighter', 0);
+      const reloaded = new AchievementManager();
+      expect(reloaded.isUnlocked('firstBlood')).toBe(true);
+      expect(reloaded.getUnlockedCount()).toBe(1);
+    });
+
+    it('should reset unlocks and counters', () => {
+      scene.events.emit('enemyKilled', 'fighter', 0);
+      achievements.reset();
+      expect(new AchievementManager().getUnlockedCount()).toBe(0);
+      expect(achievements.getProgress('veteran').current).toBe(0);
+    });
+
+    it('should handle corrupted localStorage data', () => {
+      localStorageMock.setItem('spacebear_achievements', 'not json');
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(new AchievementManager().getUnlockedCount()).toBe(0);
+      warn.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,245 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'events';
+import AudioManager, { midiToFrequency, getBossMusic } from '../src/systems/AudioManager.js';
+import GameConfig from '../src/config/GameConfig.js';
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {};
+  return {
+    getItem: vi.fn((key) => store[key] || null),
+    setItem: vi.fn((key, value) => { store[key] = value; }),
+    removeItem: vi.fn((key) => { delete store[key]; }),
+    clear: vi.fn(() => { store = {}; }),
+  };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+/**
+ * Just enough of an AudioContext to build the graph and record what is played.
+ */
+function createFakeContext() {
+  const param = () => ({
+    setValueAtTime: vi.fn(),
+    setTargetAtTime: vi.fn(),
+    exponentialRampToValueAtTime: vi.fn(),
+  });
+  const node = (extra = {}) => ({
+    connect: vi.fn(target => target),
+    disconnect: vi.fn(),
+    ...extra,
+  });
+  return {
+    currentTime: 0,
+    sampleRate: 100,
+    destination: node(),
+    createGain: vi.fn(() => node({ gain: param() })),
+    createOscillator: vi.fn(() => node({ frequency: param(), start: vi.fn(), stop: vi.fn() })),
+    createBufferSource: vi.fn(() => node({ start: vi.fn(), stop: vi.fn() })),
+    createBiquadFilter: vi.fn(() => node({ frequency: param() })),
+    createBuffer: vi.fn((channels, length) => ({ getChannelData: () => new Float32Array(length) })),
+  };
+}
+
+/**
+ * @param {Object} gainNode
+ * @returns {number} Value the gain was last moved towards
+ */
+function lastTarget(gainNode) {
+  return gainNode.gain.setTargetAtTime.mock.calls.at(-1)[0];
+}
+
+describe('AudioManager', () => {
+  beforeEach(() => {
+    localStorageMock.clear();
+    vi.clearAllMocks();
+  });
+
+  describe('settings', () => {
+    it('should start from the configured volumes, unmuted', () => {
+      const audio = new AudioManager();
+      expect(audio.getSettings()).toEqual({
+        musicVolume: GameConfig.AUDIO.MUSIC_VOLUME,
+        sfxVolume: GameConfig.AUDIO.SFX_VOLUME,
+        muted: false,
+      });
+    });
+
+    it('should save and reload volumes and mute', () => {
+      const audio = new AudioManager();
+      audio.setMusicVolume(0.2);
+      audio.setSfxVolume(0.9);
+      audio.toggleMute();
+
+      expect(new AudioManager().getSettings()).toEqual({ musicVolume: 0.2, sfxVolume: 0.9, muted: true });
+    });
+
+    it('should reset to the defaults', () => {
+      const audio = new AudioManager();
+      audio.setMusicVolume(0.1);
+      audio.setMuted(true);
+      audio.reset();
+      expect(new AudioManager().getSettings()).toEqual({
+        musicVolume: GameConfig.AUDIO.MUSIC_VOLUME,
+        sfxVolume: GameConfig.AUDIO.SFX_VOLUME,
+        muted: false,
+      });
+    });
+
+    it('should clamp volumes to 0-1', () => {
+      const audio = new AudioManager();
+      audio.setMusicVolume(1.5);
+      audio.setSfxVolume(-0.1);
+      expect(audio.getSettings().musicVolume).toBe(1);
+      expect(audio.getSettings().sfxVolume).toBe(0);
+    });
+
+    it('should fall back to defaults for invalid saved settings', () => {
+      localStorageMock.setItem('spacebear_audio', JSON.stringify({
+        version: 1,
+        settings: { musicVolume: 'loud', sfxVolume: 3, muted: 'yes' },
+      }));
+      expect(new AudioManager().getSettings()).toEqual({
+        musicVolume: GameConfig.AUDIO.MUSIC_VOLUME,
+        sfxVolume: 1,
+        muted: false,
+      });
+    });
+
+    it('should handle corrupted localStorage data', () => {
+      localStorageMock.setItem('spacebear_audio', 'not json');
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(new AudioManager().getSettings().muted).toBe(false);
+      warn.mockRestore();
+    });
+  });
+
+  describe('helpers', () => {
+    it('should convert MIDI notes to frequencies', () => {
+      expect(midiToFrequency(69)).toBe(440);
+      expect(midiToFrequency(81)).toBeCloseTo(880);
+    });
+
+    it('should give every boss type a music track', () => {
+      for (const bossType of Object.keys(GameConfig.BOSS.TYPES)) {
+        expect(GameConfig.AUDIO.MUSIC[getBossMusic(bossType)], bossType).toBeDefined();
+      }
+      expect(getBossMusic('nonexistent')).toBe(GameConfig.AUDIO.DEFAULT_BOSS_MUSIC);
+    });
+  });
+
+  describe('playback', () => {
+    let context;
+    let audio;
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      context = createFakeContext();
+      audio = new AudioManager(context);
+    });
+
+    afterEach(() => {
+      audio.stopMusic();
+      vi.useRealTimers();
+    });
+
+    it('should silence the master bus when muted', () => {
+      audio.setMuted(true);
+      expect(lastTarget(audio.master)).toBe(0);
+      audio.setMuted(false);
+      expect(lastTarget(audio.master)).toBe(1);
+    });
+
+    it('should lower only the music while ducked', () => {
+      audio.duck(true);
+      expect(lastTarget(audio.musicBus)).toBeCloseTo(GameConfig.AUDIO.MUSIC_VOLUME * GameConfig.AUDIO.DUCK_LEVEL);
+      expect(lastTarget(audio.sfxBus)).toBe(GameConfig.AUDIO.SFX_VOLUME);
+      audio.duck(false);
+      expect(lastTarget(audio.musicBus)).toBe(GameConfig.AUDIO.MUSIC_VOLUME);
+    });
+
+    it('should not repeat an effect within its cooldown', () => {
+      audio.playSfx('shoot');
+      audio.playSfx('shoot');
+      expect(context.createOscillator).toHaveBeenCalledTimes(1);
+
+      context.currentTime = GameConfig.AUDIO.SFX.shoot.cooldown / 1000;
+      audio.playSfx('shoot');
+      expect(context.createOscillator).toHaveBeenCalledTimes(2);
+    });
+
+    it('should play noise effects without an oscillator', () => {
+      audio.playSfx('explosion');
+      expect(context.createBufferSource).toHaveBeenCalledTimes(1);
+      expect(context.createOscillator).not.toHaveBeenCalled();
+    });
+
+    it('should schedule music ahead and keep it going', () => {
+      audio.playMusic('stage');
+      const scheduled = context.createOscillator.mock.calls.length;
+      expect(scheduled).toBeGreaterThan(0);
+
+      context.currentTime = 1;
+      vi.advanceTimersByTime(GameConfig.AUDIO.SCHEDULE_INTERVAL);
+      expect(context.createOscillator.mock.calls.length).toBeGreaterThan(scheduled);
+    });
+
+    it('should keep playing when the same track is requested', () => {
+      audio.playMusic('menu');
+      const track = audio.track;
+      audio.playMusic('menu');
+      expect(audio.track).toBe(track);
+    });
+
+    it('should stop scheduling the old track when the music changes', () => {
+      audio.playMusic('menu');
+      const oldGain = audio.track.gain;
+      audio.playMusic('stage');
+
+      expect(audio.trackKey).toBe('stage');
+      expect(lastTarget(oldGain)).toBe(0);
+    });
+  });
+
+  describe('bindScene', () => {
+    let scene;
+    let audio;
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      scene = { events: new EventEmitter() };
+      audio = new AudioManager(createFakeContext());
+      audio.bindScene(scene);
+    });
+
+    afterEach(() => {
+      audio.stopMusic();
+      vi.useRealTimers();
+    });
+
+    it('should switch to the boss music and duck it until the boss is in place', () => {
+      scene.events.emit('bossSpawned', { bossType: 'destroyer' });
+      expect(audio.trackKey).toBe('bossDestroyer');
+      expect(audio.ducked).toBe(true);
+
+      scene.events.emit('bossEntered');
+      expect(audio.ducked).toBe(false);
+    });
+
+    it('should return to the stage music after the boss', () => {
+      scene.events.emit('bossSpawned', { bossType: 'carrier' });
+      scene.events.emit('bossDefeatedUI');
+      expect(audio.trackKey).toBe('stage');
+    });
+
+    it('should stop listening when the scene shuts down', () => {
+      scene.events.emit('bossSpawned', { bossType: 'megaship' });
+      scene.events.emit('shutdown');
+
+      expect(audio.ducked).toBe(false);
+      expect(scene.events.listenerCount('bossSpawned')).toBe(0);
+      expect(scene.events.listenerCount('addScore')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import GameConfig from '../src/config/GameConfig.js';
+import BeamWeapon, { findBeamTargets } from '../src/systems/BeamWeapon.js';
+
+function createTarget(x, y, extra = {}) {
+  return { x, y, active: true, displayWidth: 40, displayHeight: 40, ...extra };
+}
+
+describe('BeamWeapon', () => {
+  describe('findBeamTargets()', () => {
+    it('should hit the nearest target in the beam only', () => {
+      const far = createTarget(100, 100);
+      const near = createTarget(110, 300);
+      expect(findBeamTargets(100, 500, 10, [far, near])).toEqual([near]);
+    });
+
+    it('should hit every target in the beam when piercing, nearest first', () => {
+      const far = createTarget(100, 100);
+      const near = createTarget(110, 300);
+      expect(findBeamTargets(100, 500, 10, [far, near], true)).toEqual([near, far]);
+    });
+
+    it('should miss targets beside, below or above the screen', () => {
+      const beside = createTarget(200, 300);
+      const below = createTarget(100, 550);
+      const above = createTarget(100, -30);
+      expect(findBeamTargets(100, 500, 10, [beside, below, above])).toEqual([]);
+    });
+
+    it('should reach wider targets with a wider beam', () => {
+      const target = createTarget(130, 300);
+      expect(findBeamTargets(100, 500, 10, [target])).toEqual([]);
+      expect(findBeamTargets(100, 500, 30, [target])).toEqual([target]);
+    });
+
+    it('should ignore destroyed targets and dying bosses', () => {
+      const destroyed = createTarget(100, 300, { active: false });
+      const dying = createTarget(100, 200, { isDying: true });
+      expect(findBeamTargets(100, 500, 10, [destroyed, dying])).toEqual([]);
+    });
+  });
+
+  describe('fire()', () => {
+    let enemies;
+    let boss;
+    let bossActive;
+    let collisionManager;
+    let beam;
+    const player = {
+      playerIndex: 1,
+      getProjectileType: () => GameConfig.WEAPONS.beam.projectile,
+    };
+    const level = GameConfig.WEAPONS.beam.levels[0];
+
+    beforeEach(() => {
+      enemies = [];
+      boss = createTarget(100, 120, { displayWidth: 200, parts: [] });
+      bossActive = false;
+      collisionManager = { damageEnemy: vi.fn(), damageBoss: vi.fn(), damageBossPart: vi.fn() };
+      beam = new BeamWeapon(
+        {},
+        collisionManager,
+        { getChildren: () => enemies },
+        {
+          isBossActive: () => bossActive,
+          getBoss: () => boss,
+          getTargets: () => (bossActive ? [boss, ...boss.parts] : []),
+        }
+      );
+    });
+
+    it('should deal the projectile damage to the enemy in the way, credited to the ship', () => {
+      const enemy = createTarget(100, 300);
+      enemies.push(enemy);
+      beam.fire(player, level, 100, 500);
+      expect(collisionManager.damageEnemy).toHaveBeenCalledWith(enemy, GameConfig.PROJECTILES.player_beam.damage, 1);
+    });
+
+    it('should damage the boss', () => {
+      bossActive = true;
+      beam.fire(player, level, 100, 500);
+      expect(collisionManager.damageBoss).toHaveBeenCalledWith(boss, GameConfig.PROJECTILES.player_beam.damage, 1);
+      expect(collisionManager.damageEnemy).not.toHaveBeenCalled();
+    });
+
+    it('should damage a boss part in front of the core instead of the core', () => {
+      const part = createTarget(100, 160);
+      boss.parts.push(part);
+      bossActive = true;
+      beam.fire(player, level, 100, 500);
+      expect(collisionManager.damageBossPart).toHaveBeenCalledWith(part, GameConfig.PROJECTILES.player_beam.damage, 1);
+      expect(collisionManager.damageBoss).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,171 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import GameConfig from '../src/config/GameConfig.js';
+import BombManager from '../src/systems/BombManager.js';
+
+function createScene() {
+  return {
+    cameras: { main: { width: 480, height: 640 } },
+    events: { emit: vi.fn() },
+    vfx: { screenFlash: vi.fn(), screenShake: vi.fn() },
+  };
+}
+
+function createGroup(children) {
+  return { getChildren: () => children };
+}
+
+function createEnemy(x, y, group) {
+  const enemy = {
+    x,
+    y,
+    active: true,
+    health: 3,
+    points: 100,
+    enemyType: 'fighter',
+    takeDamage: vi.fn(function (amount) {
+      this.health -= amount;
+      if (this.health > 0) return false;
+      group.splice(group.indexOf(this), 1);
+      return true;
+    }),
+  };
+  group.push(enemy);
+  return enemy;
+}
+
+function createBullet(x, y) {
+  return {
+    x,
+    y,
+    active: true,
+    setActive(value) { this.active = value; return this; },
+    setVisible() { return this; },
+  };
+}
+
+function createPlayer() {
+  return {
+    x: 240,
+    y: 560,
+    playerIndex: 0,
+    bombs: 1,
+    bombHeld: false,
+    useBomb() {
+      if (this.bombs <= 0) return false;
+      this.bombs--;
+      return true;
+    },
+    makeInvincible: vi.fn(),
+  };
+}
+
+describe('BombManager', () => {
+  let scene;
+  let enemies;
+  let bullets;
+  let boss;
+  let bossManager;
+  let bombs;
+  let player;
+
+  beforeEach(() => {
+    scene = createScene();
+    enemies = [];
+    bullets = [];
+    boss = { isDying: false, takeDamage: vi.fn(), getLiveParts: () => [] };
+    bossManager = { isBossActive: () => true, getBoss: () => boss };
+    bombs = new BombManager(scene, createGroup(enemies), createGroup(bullets), bossManager);
+    player = createPlayer();
+  });
+
+  describe('detonate', () => {
+    it('should destroy every enemy on screen, scoring as a chained kill', () => {
+      createEnemy(100, 100, enemies);
+      createEnemy(400, 500, enemies);
+      const offScreen = createEnemy(200, -50, enemies);
+
+      bombs.detonate(player);
+
+      expect(enemies).toEqual([offScreen]);
+      expect(scene.events.emit).toHaveBeenCalledWith('addScore', 100, 0, true);
+      expect(scene.events.emit).toHaveBeenCalledWith('enemyKilled', 'fighter', 0);
+      expect(scene.events.emit.mock.calls.filter(([event]) => event === 'enemyKilled')).toHaveLength(2);
+    });
+
+    it('should clear enemy bullets on screen', () => {
+      bullets.push(createBullet(50, 50), createBullet(300, 600));
+      bombs.detonate(player);
+      expect(bullets.every(bullet => !bullet.active)).toBe(true);
+    });
+
+    it('should damage the boss and credit the ship', () => {
+      bombs.detonate(player);
+      expect(boss.takeDamage).toHaveBeenCalledWith(GameConfig.BOMB.BOSS_DAMAGE);
+      expect(boss.lastHitBy).toBe(0);
+    });
+
+    it('should damage the boss parts too', () => {
+      const part = { takeDamage: vi.fn() };
+      boss.getLiveParts = () => [part];
+      bombs.detonate(player);
+      expect(part.takeDamage).toHaveBeenCalledWith(GameConfig.BOMB.BOSS_DAMAGE);
+      expect(part.lastHitBy).toBe(0);
+    });
+
+    it('should leave a dying boss alone', () => {
+      boss.isDying = true;
+      bombs.detonate(player);
+      expect(boss.takeDamage).not.toHaveBeenCalled();
+    });
+
+    it('should protect the ship and announce the bomb', () => {
+      bombs.detonate(player);
+      expect(player.makeInvincible).toHaveBeenCalled();
+      expect(scene.vfx.screenFlash).toHaveBeenCalled();
+      expect(scene.events.emit).toHaveBeenCalledWith('bombUsed', player);
+    });
+  });
+
+  describe('with a blast radius', () => {
+    const radius = GameConfig.BOMB.RADIUS;
+
+    beforeEach(() => {
+      GameConfig.BOMB.RADIUS = 100;
+    });
+
+    afterEach(() => {
+      GameConfig.BOMB.RADIUS = radius;
+    });
+
+    it('should only reach enemies and bullets near the ship', () => {
+      createEnemy(player.x + 50, player.y, enemies);
+      const far = createEnemy(player.x, player.y - 300, enemies);
+      const near = createBullet(player.x, player.y - 90);
+      const farBullet = createBullet(50, 50);
+      bullets.push(near, farBullet);
+
+      bombs.detonate(player);
+
+      expect(enemies).toEqual([far]);
+      expect(near.active).toBe(false);
+      expect(farBullet.active).toBe(true);
+    });
+  });
+
+  describe('update', () => {
+    it('should go off once per press of the bomb button', () => {
+      player.bombs = 3;
+      expect(bombs.update(player, { bomb: true })).toBe(true);
+      expect(bombs.update(player, { bomb: true })).toBe(false);
+      expect(bombs.update(player, { bomb: false })).toBe(false);
+      expect(bombs.update(player, { bomb: true })).toBe(true);
+      expect(player.bombs).toBe(1);
+    });
+
+    it('should do nothing without charges', () => {
+      player.bombs = 0;
+      expect(bombs.update(player, { bomb: true })).toBe(false);
+      expect(scene.events.emit).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, vi } from 'vitest';
+import GameConfig from '../src/config/GameConfig.js';
+
+// Minimal Phaser stand-in; bosses are built without the Sprite constructor
+vi.mock('phaser', () => ({
+  default: { GameObjects: { Sprite: class {}, Rectangle: class {} } },
+}));
+
+const { default: Boss } = await import('../src/sprites/Boss.js');
+
+describe('Boss', () => {
+  describe('getPhaseForHealth()', () => {
+    const phases = [
+      { threshold: 1, attacks: [] },
+      { threshold: 0.75, attacks: [] },
+      { threshold: 0.5, attacks: [] },
+      { threshold: 0.25, attacks: [] },
+    ];
+
+    it('should start in the first phase', () => {
+      expect(Boss.getPhaseForHealth(phases, 1)).toBe(1);
+      expect(Boss.getPhaseForHealth(phases, 0.8)).toBe(1);
+    });
+
+    it('should enter a phase when health reaches its threshold', () => {
+      expect(Boss.getPhaseForHealth(phases, 0.75)).toBe(2);
+      expect(Boss.getPhaseForHealth(phases, 0.3)).toBe(3);
+      expect(Boss.getPhaseForHealth(phases, 0.1)).toBe(4);
+    });
+
+    it('should skip straight past phases on a big hit', () => {
+      expect(Boss.getPhaseForHealth(phases, 0)).toBe(4);
+    });
+
+    it('should work with the default three phases', () => {
+      expect(Boss.getPhaseForHealth(GameConfig.BOSS.DEFAULT_PHASES, 0.5)).toBe(2);
+      expect(Boss.getPhaseForHealth(GameConfig.BOSS.DEFAULT_PHASES, 0.2)).toBe(3);
+    });
+  });
+
+  describe('takeDamage()', () => {
+    const phases = [
+      { threshold: 1, attacks: [] },
+      { threshold: 0.75, attacks: [], onEnter: { mines: 1 } },
+      { threshold: 0.5, attacks: [], onEnter: { summon: { type: 'scout', count: 2 } } },
+      { threshold: 0.25, attacks: [] },
+    ];
+
+    /**
+     * A boss at full health in its first phase, with just enough scene for a hit.
+     */
+    function createBoss() {
+      const boss = Object.create(Boss.prototype);
+      Object.assign(boss, {
+        phases,
+        health: 100,
+        maxHealth: 100,
+        currentPhase: 1,
+        parts: [],
+        active: true,
+        scene: {
+          events: { emit: vi.fn() },
+          tweens: { add: vi.fn() },
+          vfx: { screenShake: vi.fn(), flashesEnabled: () => false },
+        },
+        stopIdlePulse: vi.fn(),
+      });
+      return boss;
+    }
+
+    it('should enter every phase a big hit crosses, in order', () => {
+      const boss = createBoss();
+      boss.takeDamage(60);
+
+      expect(boss.currentPhase).toBe(3);
+      expect(boss.scene.events.emit.mock.calls).toEqual([
+        ['bossPhaseChanged', boss, 2, phases[1]],
+        ['bossPhaseChanged', boss, 3, phases[2]],
+      ]);
+    });
+
+    it('should only enter the next phase on a normal hit', () => {
+      const boss = createBoss();
+      boss.takeDamage(30);
+
+      expect(boss.scene.events.emit.mock.calls).toEqual([['bossPhaseChanged', boss, 2, phases[1]]]);
+    });
+  });
+});
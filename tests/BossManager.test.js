@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Minimal Phaser stand-in; bosses themselves are mocked below
+vi.mock('phaser', () => ({
+  default: { GameObjects: { Sprite: class {}, Rectangle: class {} } },
+}));
+
+const { default: BossManager } = await import('../src/systems/BossManager.js');
+
+function createScene() {
+  return {
+    cameras: { main: { width: 480, centerX: 240 } },
+    events: { on: vi.fn(), off: vi.fn(), emit: vi.fn() },
+    time: { delayedCall: vi.fn() },
+    rng: { between: (min) => min, frac: () => 0, pick: (items) => items[0] },
+    addMine: vi.fn(),
+  };
+}
+
+function createBullet(active) {
+  return {
+    active,
+    visible: active,
+    setActive(value) { this.active = value; return this; },
+    setVisible(value) { this.visible = value; return this; },
+  };
+}
+
+describe('BossManager', () => {
+  let scene;
+  let bullets;
+  let manager;
+
+  beforeEach(() => {
+    scene = createScene();
+    bullets = [createBullet(true), createBullet(false), createBullet(true)];
+    manager = new BossManager(scene, null, { getChildren: () => bullets });
+  });
+
+  it('should clear every enemy bullet in flight', () => {
+    manager.clearEnemyBullets();
+    expect(bullets.every(bullet => !bullet.active && !bullet.visible)).toBe(true);
+  });
+
+  describe('intro', () => {
+    let boss;
+
+    beforeEach(() => {
+      boss = { finishEntrance: vi.fn() };
+      manager.currentBoss = boss;
+      manager.isBossFight = true;
+      manager.introPlaying = true;
+    });
+
+    it('should drop the boss into position when skipped', () => {
+      manager.skipIntro();
+      expect(boss.finishEntrance).toHaveBeenCalled();
+    });
+
+    it('should end once the boss has entered', () => {
+      manager.onBossEntered(boss);
+      expect(manager.isIntroPlaying()).toBe(false);
+
+      manager.skipIntro();
+      expect(boss.finishEntrance).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('onBossPhaseChanged()', () => {
+    it('should drop the phase\'s mines into the arena', () => {
+      manager.onBossPhaseChanged({}, 3, { threshold: 0.3, attacks: [], onEnter: { mines: 2 } });
+      expect(scene.addMine).toHaveBeenCalledTimes(2);
+    });
+
+    it('should summon the phase\'s reinforcements', () => {
+      const summon = vi.spyOn(manager, 'onBossSummon');
+      manager.onBossPhaseChanged({}, 2, { threshold: 0.6, attacks: [], onEnter: { summon: { type: 'scout', count: 4 } } });
+      expect(summon).toHaveBeenCalledWith({ type: 'scout', count: 4 });
+    });
+
+    it('should do nothing for phases without effects', () => {
+      manager.onBossPhaseChanged({}, 2, { threshold: 0.6, attacks: [] });
+      expect(scene.addMine).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getTargets()', () => {
+    it('should offer the boss and its intact parts to homing shots and the beam', () => {
+      const turret = { active: true };
+      const boss = { active: true, getLiveParts: () => [turret] };
+      manager.currentBoss = boss;
+      manager.isBossFight = true;
+
+      expect(manager.getTargets()).toEqual([boss, turret]);
+    });
+
+    it('should offer nothing outside a boss fight', () => {
+      expect(manager.getTargets()).toEqual([]);
+    });
+  });
+
+  it('should award a destroyed part\'s points to the ship that destroyed it', () => {
+    manager.onBossPartDestroyed({ points: 500, lastHitBy: 1 });
+    expect(scene.events.emit).toHaveBeenCalledWith('addScore', 500, 1);
+  });
+});
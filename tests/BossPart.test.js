@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Minimal Phaser stand-in so parts can be constructed in Node
+vi.mock('phaser', () => {
+  class Rectangle {
+    constructor(scene, x, y, width, height) {
+      this.scene = scene;
+      this.x = x;
+      this.y = y;
+      this.width = width;
+      this.height = height;
+      this.active = true;
+    }
+    setActive(value) { this.active = value; return this; }
+    setPosition(x, y) { this.x = x; this.y = y; return this; }
+    setFillStyle() { return this; }
+    setStrokeStyle() { return this; }
+    setDepth() { return this; }
+  }
+
+  return {
+    default: { GameObjects: { Rectangle } },
+  };
+});
+
+const { default: BossPart } = await import('../src/sprites/BossPart.js');
+
+function createScene() {
+  return {
+    add: { existing: () => {} },
+    physics: { add: { existing: (part) => { part.body = { enable: true }; } } },
+    events: { emit: vi.fn() },
+    time: { delayedCall: vi.fn() },
+    vfx: {
+      flashesEnabled: () => false,
+      multiExplosion: vi.fn(),
+      screenShake: vi.fn(),
+      floatingText: vi.fn(),
+    },
+  };
+}
+
+const TURRET = { name: 'TURRET', x: -60, y: 20, width: 26, height: 26, health: 10, points: 500, attacks: ['turretShot'] };
+
+describe('BossPart', () => {
+  let scene;
+  let boss;
+  let part;
+
+  beforeEach(() => {
+    scene = createScene();
+    boss = { x: 240, y: 100, depth: 0, isDying: false };
+    part = new BossPart(scene, boss, 'leftTurret', TURRET);
+  });
+
+  it('should sit at its offset from the boss and follow it', () => {
+    expect(part.x).toBe(180);
+    expect(part.y).toBe(120);
+
+    boss.x = 300;
+    part.followBoss();
+    expect(part.x).toBe(240);
+  });
+
+  it('should take damage until destroyed', () => {
+    expect(part.takeDamage(4)).toBe(false);
+    expect(part.getHealthPercent()).toBeCloseTo(0.6);
+    expect(part.takeDamage(6)).toBe(true);
+    expect(part.isDestroyed).toBe(true);
+  });
+
+  it('should stop taking hits once destroyed, and announce it once', () => {
+    part.takeDamage(10);
+    expect(part.active).toBe(false);
+    expect(part.body.enable).toBe(false);
+    expect(part.takeDamage(1)).toBe(false);
+    expect(scene.events.emit).toHaveBeenCalledTimes(1);
+    expect(scene.events.emit).toHaveBeenCalledWith('bossPartDestroyed', part);
+  });
+
+  it('should ignore hits while the boss is dying', () => {
+    boss.isDying = true;
+    expect(part.takeDamage(10)).toBe(false);
+    expect(part.health).toBe(10);
+  });
+
+  it('should only guard the core when configured to', () => {
+    expect(part.guardsCore).toBe(false);
+    const shield = new BossPart(scene, boss, 'shield', { ...TURRET, guardsCore: true });
+    expect(shield.guardsCore).toBe(true);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import GameConfig from '../src/config/GameConfig.js';
+import BossRushRunner, { formatRushTime, getLoopScaling } from '../src/systems/BossRushRunner.js';
+
+function createScene() {
+  return {
+    events: { on: vi.fn(), off: vi.fn(), emit: vi.fn() },
+  };
+}
+
+const TYPES = Object.keys(GameConfig.BOSS.TYPES);
+const { START_DELAY, REFIT_DELAY } = GameConfig.BOSS_RUSH;
+
+describe('BossRushRunner', () => {
+  let scene;
+  let bossManager;
+  let runner;
+
+  /**
+   * Let the current boss enter, fight it for a while and defeat it.
+   * @param {number} fightTime - ms
+   */
+  function winFight(fightTime) {
+    runner.onBossEntered();
+    runner.update(fightTime);
+    runner.onBossDefeated({ bossType: runner.getNextBossType() });
+  }
+
+  beforeEach(() => {
+    scene = createScene();
+    bossManager = { spawnBoss: vi.fn() };
+    runner = new BossRushRunner(scene, bossManager);
+  });
+
+  it('should bring in the first boss type after the start delay', () => {
+    runner.update(START_DELAY - 1);
+    expect(bossManager.spawnBoss).not.toHaveBeenCalled();
+
+    runner.update(1);
+    expect(bossManager.spawnBoss).toHaveBeenCalledWith(TYPES[0], getLoopScaling(1));
+  });
+
+  it('should time each fight and refit before the next boss', () => {
+    runner.update(START_DELAY);
+    winFight(42000);
+
+    const split = { bossType: TYPES[0], loop: 1, time: 42000 };
+    expect(runner.splits).toEqual([split]);
+    expect(scene.events.emit).toHaveBeenCalledWith('bossRushRefit', split, TYPES[1], 1);
+
+    runner.update(REFIT_DELAY - 1);
+    expect(bossManager.spawnBoss).toHaveBeenCalledTimes(1);
+    runner.update(1);
+    expect(bossManager.spawnBoss).toHaveBeenLastCalledWith(TYPES[1], getLoopScaling(1));
+  });
+
+  it('should record the clear time once every type is beaten, then loop harder', () => {
+    runner.update(START_DELAY);
+    TYPES.forEach((type, index) => {
+      if (index > 0) runner.update(REFIT_DELAY);
+      winFight(10000);
+    });
+
+    const clearTime = START_DELAY + TYPES.length * 10000 + (TYPES.length - 1) * REFIT_DELAY;
+    expect(runner.getResult()).toMatchObject({ loop: 2, clearTime });
+    expect(scene.events.emit).toHaveBeenCalledWith('bossRushCleared', clearTime);
+
+    runner.update(REFIT_DELAY);
+    expect(bossManager.spawnBoss).toHaveBeenLastCalledWith(TYPES[0], getLoopScaling(2));
+  });
+
+  it('should not count the boss entrance in the split', () => {
+    runner.update(START_DELAY);
+    runner.update(3000);
+    winFight(10000);
+
+    expect(runner.splits[0].time).toBe(10000);
+  });
+
+  it('should ignore bosses it did not bring in', () => {
+    runner.onBossDefeated({ bossType: TYPES[0] });
+    expect(runner.splits).toEqual([]);
+  });
+
+  it('should leave the clear time unset until the first loop is done', () => {
+    runner.update(START_DELAY);
+    winFight(10000);
+    expect(runner.getResult().clearTime).toBeNull();
+  });
+
+  describe('getLoopScaling()', () => {
+    it('should leave the first loop at normal strength', () => {
+      expect(getLoopScaling(1)).toEqual({ healthMult: 1, speedMult: 1 });
+    });
+
+    it('should add health and speed for every later loop', () => {
+      const { healthMult, speedMult } = getLoopScaling(3);
+      expect(healthMult).toBeCloseTo(1 + 2 * GameConfig.BOSS_RUSH.LOOP_HEALTH_MULT);
+      expect(speedMult).toBeCloseTo(1 + 2 * GameConfig.BOSS_RUSH.LOOP_SPEED_MULT);
+    });
+  });
+
+  describe('formatRushTime()', () => {
+    it('should show minutes, seconds and tenths', () => {
+      expect(formatRushTime(0)).toBe('0:00.0');
+      expect(formatRushTime(65349)).toBe('1:05.3');
+      expect(formatRushTime(600000)).toBe('10:00.0');
+    });
+  });
+});
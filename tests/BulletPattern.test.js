@@ -0,0 +1,143 @@
+import { describe, it, expect, vi } from 'vitest';
+import GameConfig from '../src/config/GameConfig.js';
+import { getVolleyShots, getCurveSpeed, fireVolley, runPattern } from '../src/sprites/BulletPattern.js';
+
+function createBoss(player = { x: 240, y: 560 }) {
+  const fired = [];
+  return {
+    x: 240,
+    y: 100,
+    fired,
+    scene: {
+      vfx: { screenShake: vi.fn() },
+      getNearestPlayer: () => player,
+    },
+    bulletGroup: {
+      get: () => ({
+        fireAt: (x, y, angle, speed, curve) => fired.push({ x, y, angle, speed, curve }),
+      }),
+    },
+  };
+}
+
+const toDegrees = radians => radians * 180 / Math.PI;
+
+describe('BulletPattern', () => {
+  describe('getVolleyShots', () => {
+    it('should fan bullets evenly across the arc', () => {
+      const shots = getVolleyShots({ count: 5, arc: 90 }, 90);
+      expect(shots.map(shot => shot.angle)).toEqual([45, 67.5, 90, 112.5, 135]);
+      expect(shots.every(shot => shot.offsetX === 0)).toBe(true);
+    });
+
+    it('should space a full ring without doubling up the first bullet', () => {
+      const shots = getVolleyShots({ count: 4, arc: 360 }, 0);
+      expect(shots.map(shot => shot.angle)).toEqual([0, 90, 180, 270]);
+    });
+
+    it('should spread bullets along a line', () => {
+      const shots = getVolleyShots({ count: 3, line: 200 }, 90);
+      expect(shots.map(shot => shot.offsetX)).toEqual([-100, 0, 100]);
+      expect(shots.every(shot => shot.angle === 90)).toBe(true);
+    });
+
+    it('should fire a single bullet at the center angle', () => {
+      expect(getVolleyShots({ arc: 90 }, 60)).toEqual([{ offsetX: 0, angle: 60 }]);
+    });
+  });
+
+  describe('getCurveSpeed', () => {
+    const curve = { from: 50, to: 250, duration: 1000 };
+
+    it('should ease between the start and end speeds', () => {
+      expect(getCurveSpeed(curve, 0)).toBe(50);
+      expect(getCurveSpeed(curve, 500)).toBe(150);
+    });
+
+    it('should hold the end speed after the duration', () => {
+      expect(getCurveSpeed(curve, 3000)).toBe(250);
+    });
+  });
+
+  describe('fireVolley', () => {
+    it('should fire from below the boss with the default speed', () => {
+      const boss = createBoss();
+      fireVolley(boss, { count: 1 }, 0);
+
+      expect(boss.fired).toHaveLength(1);
+      expect(boss.fired[0]).toMatchObject({
+        x: 240,
+        y: 100 + GameConfig.BOSS.BULLET_Y_OFFSET,
+        speed: GameConfig.ENEMY_BULLET.SPEED,
+        curve: null,
+      });
+      expect(toDegrees(boss.fired[0].angle)).toBeCloseTo(90);
+    });
+
+    it('should aim each emitter at the nearest ship', () => {
+      const boss = createBoss({ x: 340, y: 100 });
+      fireVolley(boss, { aim: true, emitters: [{ x: -20, y: 0 }, { x: 20, y: 0 }] }, 0);
+
+      expect(boss.fired.map(bullet => bullet.x)).toEqual([220, 260]);
+      boss.fired.forEach(bullet => expect(toDegrees(bullet.angle)).toBeCloseTo(0));
+    });
+
+    it('should fire from a boss part when given one', () => {
+      const boss = createBoss();
+      fireVolley(boss, { emitters: [{ y: 10 }] }, 0, { x: 180, y: 120 });
+      expect(boss.fired[0]).toMatchObject({ x: 180, y: 130 });
+    });
+
+    it('should turn each volley by the pattern rotation', () => {
+      const boss = createBoss();
+      fireVolley(boss, { angle: 90, rotation: 15 }, 2);
+      expect(toDegrees(boss.fired[0].angle)).toBeCloseTo(120);
+    });
+
+    it('should start curved bullets at the curve start speed', () => {
+      const boss = createBoss();
+      const speed = { from: 40, to: 240, duration: 1200 };
+      fireVolley(boss, { speed }, 0);
+      expect(boss.fired[0]).toMatchObject({ speed: 40, curve: speed });
+    });
+
+    it('should shake the screen when the pattern asks for it', () => {
+      const boss = createBoss();
+      fireVolley(boss, { shake: { intensity: 0.01, duration: 100 } }, 0);
+      expect(boss.scene.vfx.screenShake).toHaveBeenCalledWith(0.01, 100);
+    });
+  });
+
+  describe('runPattern', () => {
+    /**
+     * A boss whose timed volleys run only when the test steps them.
+     */
+    function createTimedBoss() {
+      const boss = createBoss();
+      const timers = [];
+      Object.assign(boss, { active: true, isDying: false, runningPatterns: 0 });
+      boss.scene.time = {
+        addEvent: ({ callback }) => timers.push(callback),
+      };
+      boss.step = (index) => timers[index]();
+      return boss;
+    }
+
+    it('should keep the boss attacking until every overlapping pattern is done', () => {
+      const boss = createTimedBoss();
+      const part = { x: 180, y: 120, active: true };
+
+      runPattern(boss, { volleys: 2, interval: 100 });
+      runPattern(boss, { volleys: 3, interval: 100 }, part);
+      expect(boss.runningPatterns).toBe(2);
+
+      boss.step(0);
+      expect(boss.runningPatterns).toBe(1);
+
+      boss.step(1);
+      boss.step(1);
+      expect(boss.runningPatterns).toBe(0);
+      expect(boss.fired).toHaveLength(5);
+    });
+  });
+});
@@ -0,0 +1,298 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import GameConfig from '../src/config/GameConfig.js';
+
+// Minimal Phaser stand-in so sprite classes can be constructed in Node
+vi.mock('phaser', () => {
+  class Sprite {
+    constructor(scene, x, y, texture, frame) {
+      this.scene = scene;
+      this.x = x;
+      this.y = y;
+      this.texture = texture;
+      this.frame = frame;
+      this.active = true;
+      this.visible = true;
+      this.body = { setSize: () => {} };
+    }
+    setActive(value) { this.active = value; return this; }
+    setVisible(value) { this.visible = value; return this; }
+    setTexture(texture, frame) { this.texture = texture; this.frame = frame; return this; }
+    setPosition(x, y) { this.x = x; this.y = y; return this; }
+    setVelocityX() { return this; }
+    setVelocityY() { return this; }
+    setRotation(value) { this.rotation = value; return this; }
+  }
+
+  return {
+    default: {
+      Physics: { Arcade: { Sprite } },
+      GameObjects: { Sprite, Rectangle: class {} },
+    },
+  };
+});
+
+const { default: CollisionManager } = await import('../src/systems/CollisionManager.js');
+const { default: Bullet } = await import('../src/sprites/Bullet.js');
+
+const PLAYER_PROJECTILES = Object.keys(GameConfig.PROJECTILES).filter((key) => key.startsWith('player_'));
+
+function createScene() {
+  return {
+    add: { existing: () => {} },
+    physics: { add: { existing: () => {} } },
+    events: { emit: vi.fn() },
+    powerUps: { get: () => null },
+    rng: { frac: () => 1, between: (min) => min, pick: (items) => items[0] },
+    modifiers: { weapon: null, minesPerSpawn: 1, bossSpeed: 1 },
+    unlockedWeapons: Object.keys(GameConfig.WEAPONS),
+  };
+}
+
+function createTarget(health = 100) {
+  return {
+    x: 0,
+    y: 0,
+    health,
+    takeDamage: vi.fn(function (amount) {
+      this.health -= amount;
+      return this.health <= 0;
+    }),
+    getLoot: () => null,
+  };
+}
+
+describe('CollisionManager', () => {
+  let scene;
+  let collisions;
+
+  beforeEach(() => {
+    scene = createScene();
+    collisions = new CollisionManager(scene);
+  });
+
+  function fireBullet(projectileType) {
+    const bullet = new Bullet(scene, 0, 0);
+    bullet.setProjectileType(projectileType);
+    bullet.fire(0, 0);
+    return bullet;
+  }
+
+  describe('bulletHitEnemy()', () => {
+    PLAYER_PROJECTILES.forEach((type) => {
+      const config = GameConfig.PROJECTILES[type];
+      const expectedDamage = config.damage ?? 1;
+
+      it(`should deal ${expectedDamage} damage for ${type}`, () => {
+        const bullet = fireBullet(type);
+        const enemy = createTarget();
+
+        collisions.bulletHitEnemy(bullet, enemy);
+
+        expect(enemy.takeDamage).toHaveBeenCalledWith(expectedDamage);
+      });
+
+      if (config.piercing) {
+        it(`should keep ${type} alive and hit each enemy once`, () => {
+          const bullet = fireBullet(type);
+          const first = createTarget();
+          const second = createTarget();
+
+          collisions.bulletHitEnemy(bullet, first);
+          collisions.bulletHitEnemy(bullet, first);
+          collisions.bulletHitEnemy(bullet, second);
+
+          expect(bullet.active).toBe(true);
+          expect(first.takeDamage).toHaveBeenCalledTimes(1);
+          expect(second.takeDamage).toHaveBeenCalledTimes(1);
+        });
+      } else {
+        it(`should deactivate ${type} on impact`, () => {
+          const bullet = fireBullet(type);
+          const first = createTarget();
+          const second = createTarget();
+
+          collisions.bulletHitEnemy(bullet, first);
+          collisions.bulletHitEnemy(bullet, second);
+
+          expect(bullet.active).toBe(false);
+          expect(second.takeDamage).not.toHaveBeenCalled();
+        });
+      }
+    });
+
+    it('should award points when the hit kills the enemy', () => {
+      const bullet = fireBullet('player_plasma');
+      const enemy = createTarget(GameConfig.PROJECTILES.player_plasma.damage);
+      enemy.points = 250;
+      enemy.enemyType = 'heavy';
+
+      collisions.bulletHitEnemy(bullet, enemy);
+
+      expect(scene.events.emit).toHaveBeenCalledWith('addScore', 250, 0, true);
+      expect(scene.events.emit).toHaveBeenCalledWith('enemyKilled', 'heavy', 0);
+    });
+
+    it('should credit the kill to the ship that fired', () => {
+      const bullet = fireBullet('player_plasma');
+      bullet.owner = 1;
+      const enemy = createTarget(1);
+      enemy.points = 100;
+      enemy.enemyType = 'fighter';
+
+      collisions.bulletHitEnemy(bullet, enemy);
+
+      expect(scene.events.emit).toHaveBeenCalledWith('addScore', 100, 1, true);
+      expect(scene.events.emit).toHaveBeenCalledWith('enemyKilled', 'fighter', 1);
+    });
+
+    it('should clear the hit list when a pooled bullet is fired again', () => {
+      const bullet = fireBullet('player_plasma');
+      const enemy = createTarget();
+
+      collisions.bulletHitEnemy(bullet, enemy);
+      bullet.fire(0, 0);
+      collisions.bulletHitEnemy(bullet, enemy);
+
+      expect(enemy.takeDamage).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('damageEnemy()', () => {
+    it('should credit kills without a bullet, as beams make them', () => {
+      const enemy = createTarget(2);
+      enemy.points = 50;
+      enemy.enemyType = 'scout';
+
+      collisions.damageEnemy(enemy, 2, 0);
+
+      expect(scene.events.emit).toHaveBeenCalledWith('addScore', 50, 0, true);
+      expect(scene.events.emit).toHaveBeenCalledWith('enemyKilled', 'scout', 0);
+    });
+  });
+
+  describe('bulletHitMine()', () => {
+    PLAYER_PROJECTILES.forEach((type) => {
+      it(`should apply ${type} damage to mines`, () => {
+        const bullet = fireBullet(type);
+        const mine = createTarget();
+
+        collisions.bulletHitMine(bullet, mine);
+
+        expect(mine.takeDamage).toHaveBeenCalledWith(GameConfig.PROJECTILES[type].damage ?? 1);
+      });
+    });
+  });
+
+  describe('damage to ships', () => {
+    function createPlayer(health) {
+      return { isInvincible: false, health, takeDamage: vi.fn((amount) => health - amount > 0) };
+    }
+
+    it('should report the destroyed ship when it runs out of health', () => {
+      const player = createPlayer(10);
+      const bullet = { setActive: vi.fn(), setVisible: vi.fn() };
+
+      collisions.enemyBulletHitPlayer(player, bullet);
+
+      expect(scene.events.emit).toHaveBeenCalledWith('loseLife', player);
+    });
+
+    it('should ignore hits on invincible or downed ships', () => {
+      const player = createPlayer(10);
+      player.isInvincible = true;
+      const bullet = { setActive: vi.fn(), setVisible: vi.fn() };
+
+      collisions.enemyBulletHitPlayer(player, bullet);
+
+      expect(player.takeDamage).not.toHaveBeenCalled();
+      expect(scene.events.emit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('bulletHitBoss()', () => {
+    PLAYER_PROJECTILES.forEach((type) => {
+      it(`should apply ${type} damage to bosses once per bullet`, () => {
+        const bullet = fireBullet(type);
+        const boss = createTarget();
+
+        collisions.bulletHitBoss(bullet, boss);
+        collisions.bulletHitBoss(bullet, boss);
+
+        expect(boss.takeDamage).toHaveBeenCalledTimes(1);
+        expect(boss.takeDamage).toHaveBeenCalledWith(GameConfig.PROJECTILES[type].damage ?? 1);
+      });
+    });
+  });
+
+  describe('bulletHitBossPart()', () => {
+    it('should damage the part once per bullet and credit the ship', () => {
+      const bullet = fireBullet('player_bullet');
+      bullet.owner = 1;
+      const part = createTarget();
+
+      collisions.bulletHitBossPart(bullet, part);
+      collisions.bulletHitBossPart(part, bullet);
+
+      expect(part.takeDamage).toHaveBeenCalledTimes(1);
+      expect(part.lastHitBy).toBe(1);
+    });
+  });
+
+  describe('trySpawnPowerUp()', () => {
+    let powerUp;
+    const laserLoot = { dropTable: [{ item: 'laser', chance: 1 }] };
+
+    beforeEach(() => {
+      powerUp = { spawn: vi.fn() };
+      scene.powerUps.get = () => powerUp;
+      scene.rng.frac = () => 0; // always drop
+    });
+
+    it('should spawn the rolled power-up', () => {
+      collisions.trySpawnPowerUp(10, 20, laserLoot);
+
+      expect(powerUp.spawn).toHaveBeenCalledWith(10, 20, 'laser');
+    });
+
+    it('should turn other weapons into upgrades when the weapon is locked', () => {
+      scene.modifiers.weapon = 'spreader';
+
+      collisions.trySpawnPowerUp(10, 20, laserLoot);
+
+      expect(powerUp.spawn).toHaveBeenCalledWith(10, 20, 'weapon');
+    });
+
+    it('should keep pickups of the locked weapon', () => {
+      scene.modifiers.weapon = 'laser';
+
+      collisions.trySpawnPowerUp(10, 20, laserLoot);
+
+      expect(powerUp.spawn).toHaveBeenCalledWith(10, 20, 'laser');
+    });
+
+    it('should turn weapons the player has not unlocked into upgrades', () => {
+      scene.unlockedWeapons = ['vulcan'];
+
+      collisions.trySpawnPowerUp(10, 20, laserLoot);
+
+      expect(powerUp.spawn).toHaveBeenCalledWith(10, 20, 'weapon');
+    });
+
+    it('should let a challenge weapon drop even if it is not unlocked', () => {
+      scene.unlockedWeapons = ['vulcan'];
+      scene.modifiers.weapon = 'laser';
+
+      collisions.trySpawnPowerUp(10, 20, laserLoot);
+
+      expect(powerUp.spawn).toHaveBeenCalledWith(10, 20, 'laser');
+    });
+
+    it('should leave other power-ups alone', () => {
+      scene.unlockedWeapons = ['vulcan'];
+
+      collisions.trySpawnPowerUp(10, 20, { dropTable: [{ item: 'shield', chance: 1 }] });
+
+      expect(powerUp.spawn).toHaveBeenCalledWith(10, 20, 'shield');
+    });
+  });
+});
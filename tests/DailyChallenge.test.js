@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import GameConfig from '../src/config/GameConfig.js';
+import {
+  DEFAULT_MODIFIER_EFFECTS,
+  getDailyChallenge,
+  getModifierEffects,
+  describeChallenge,
+} from '../src/systems/DailyChallenge.js';
+
+const MODIFIER_KEYS = Object.keys(GameConfig.DAILY_CHALLENGE.MODIFIERS);
+
+describe('DailyChallenge', () => {
+  describe('getDailyChallenge()', () => {
+    it('should be the same all day', () => {
+      const morning = getDailyChallenge(new Date(2026, 9, 19, 0, 1));
+      const night = getDailyChallenge(new Date(2026, 9, 19, 23, 59));
+
+      expect(night).toEqual(morning);
+      expect(morning.day).toBe('2026-10-19');
+    });
+
+    it('should change the seed from day to day', () => {
+      const today = getDailyChallenge(new Date(2026, 9, 19));
+      const tomorrow = getDailyChallenge(new Date(2026, 9, 20));
+
+      expect(tomorrow.seed).not.toBe(today.seed);
+    });
+
+    it('should use an unsigned 32-bit seed', () => {
+      const { seed } = getDailyChallenge(new Date(2026, 9, 19));
+
+      expect(Number.isInteger(seed)).toBe(true);
+      expect(seed).toBeGreaterThanOrEqual(0);
+      expect(seed).toBeLessThan(0x100000000);
+    });
+
+    it('should pick distinct registered modifiers in registry order', () => {
+      for (let day = 1; day <= 28; day++) {
+        const { modifiers } = getDailyChallenge(new Date(2026, 1, day));
+
+        expect(modifiers).toHaveLength(GameConfig.DAILY_CHALLENGE.MODIFIER_COUNT);
+        expect(new Set(modifiers).size).toBe(modifiers.length);
+        expect(modifiers).toEqual(MODIFIER_KEYS.filter(key => modifiers.includes(key)));
+      }
+    });
+
+    it('should rotate modifiers across days', () => {
+      const sets = new Set();
+      for (let day = 1; day <= 28; day++) {
+        sets.add(getDailyChallenge(new Date(2026, 1, day)).modifiers.join(','));
+      }
+
+      expect(sets.size).toBeGreaterThan(1);
+    });
+  });
+
+  describe('getModifierEffects()', () => {
+    it('should use defaults for a normal run', () => {
+      expect(getModifierEffects()).toEqual(DEFAULT_MODIFIER_EFFECTS);
+    });
+
+    it('should combine modifier settings', () => {
+      expect(getModifierEffects(['spreaderOnly', 'doubleMines', 'fastBosses'])).toEqual({
+        weapon: 'spreader',
+        minesPerSpawn: 2,
+        bossSpeed: 1.5,
+      });
+    });
+
+    it('should ignore unknown modifiers', () => {
+      expect(getModifierEffects(['notAModifier'])).toEqual(DEFAULT_MODIFIER_EFFECTS);
+    });
+  });
+
+  it('should describe a challenge by modifier names', () => {
+    const challenge = { day: '2026-10-19', seed: 1, modifiers: ['spreaderOnly', 'fastBosses'] };
+
+    expect(describeChallenge(challenge)).toBe('SPREADER ONLY + FAST BOSSES');
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { readFileSync } from 'node:fs';
+import GameConfig from '../src/config/GameConfig.js';
+import { createRunSummary, validateRun } from '../src/services/RunValidator.js';
+import { formatDatabaseRules, RULES_PATH } from '../scripts/build-database-rules.js';
+
+// Set by `firebase emulators:exec` (npm run test:rules)
+const EMULATOR_HOST = process.env.FIREBASE_DATABASE_EMULATOR_HOST;
+const NAMESPACE = process.env.FIREBASE_DATABASE_EMULATOR_NAMESPACE || 'spacebear-rules-test';
+
+if (!EMULATOR_HOST) {
+  console.info('Skipping the database emulator tests - run `npm run test:rules` to include them');
+}
+
+/**
+ * Build an entry for a 2 minute run that killed one heavy and one megaship.
+ */
+function createEntry(overrides = {}, runOverrides = {}) {
+  const entry = {
+    initials: 'ABC',
+    score: GameConfig.ENEMY.TYPES.heavy.points + GameConfig.BOSS.TYPES.megaship.points,
+    wave: 2,
+    enemiesKilled: 1,
+    timeSurvived: 120,
+    timestamp: Date.now(),
+    ...overrides,
+  };
+  entry.run = createRunSummary({
+    seed: 7,
+    duration: 120,
+    kills: { heavy: 1 },
+    mines: 0,
+    bosses: { megaship: 1 },
+    ...runOverrides,
+  }, entry.score);
+  return entry;
+}
+
+// Each case must be accepted or rejected by both the client and the server
+const CASES = [
+  { name: 'a possible run', entry: () => createEntry(), allowed: true },
+  { name: 'a devtools score', entry: () => createEntry({ score: 10000000 }), allowed: false },
+  { name: 'a missing run summary', entry: () => ({ ...createEntry(), run: null }), allowed: false },
+  { name: 'a kill total that does not match', entry: () => createEntry({ enemiesKilled: 5 }), allowed: false },
+  { name: 'an unreachable wave', entry: () => createEntry({ wave: 50 }), allowed: false },
+  { name: 'a kill chain', entry: () => createEntry({ maxCombo: 1 }), allowed: true },
+  { name: 'a kill chain longer than the kills', entry: () => createEntry({ maxCombo: 2 }), allowed: false },
+  {
+    name: 'too many bosses for the run length',
+    entry: () => createEntry({ score: 0 }, { bosses: { megaship: 3 } }),
+    allowed: false,
+  },
+  {
+    name: 'points from parts of a boss that got away',
+    entry: () => createEntry(
+      { score: GameConfig.BOSS.TYPES.megaship.parts.leftTurret.points, enemiesKilled: 0 },
+      { kills: {}, bosses: {}, parts: { megaship: 1 } }
+    ),
+    allowed: true,
+  },
+  {
+    name: 'more parts than the bosses had',
+    entry: () => createEntry({}, { parts: { megaship: 5 } }),
+    allowed: false,
+  },
+  {
+    name: 'an unknown enemy type',
+    entry: () => {
+      const entry = createEntry();
+      entry.run.kills.dragon = 0;
+      return entry;
+    },
+    allowed: false,
+  },
+];
+
+describe('database.rules.json', () => {
+  it('should match the rules generated from GameConfig', () => {
+    expect(readFileSync(RULES_PATH, 'utf8').replace(/\r\n/g, '\n')).toBe(formatDatabaseRules());
+  });
+
+  describe('client validation', () => {
+    CASES.forEach(({ name, entry, allowed }) => {
+      it(`should ${allowed ? 'accept' : 'reject'} ${name}`, () => {
+        expect(validateRun(entry()).valid).toBe(allowed);
+      });
+    });
+  });
+
+  describe.skipIf(!EMULATOR_HOST)('emulator', () => {
+    const url = (path) => `http://${EMULATOR_HOST}/${path}.json?ns=${NAMESPACE}`;
+    const owner = { Authorization: 'Bearer owner' };
+    let counter = 0;
+
+    /**
+     * Write an entry as an unauthenticated client.
+     * @returns {Promise<boolean>} True if the rules allowed the write
+     */
+    async function tryWrite(board, entry) {
+      counter++;
+      const response = await fetch(url(`${board}/entry${counter}`), {
+        method: 'PUT',
+        body: JSON.stringify(entry),
+      });
+      return response.ok;
+    }
+
+    beforeAll(async () => {
+      await fetch(url('.settings/rules'), {
+        method: 'PUT',
+        headers: owner,
+        body: readFileSync(RULES_PATH, 'utf8'),
+      });
+    });
+
+    afterAll(async () => {
+      await fetch(url(''), { method: 'DELETE', headers: owner });
+    });
+
+    CASES.forEach(({ name, entry, allowed }) => {
+      it(`should ${allowed ? 'accept' : 'reject'} ${name}`, async () => {
+        expect(await tryWrite('leaderboard', entry())).toBe(allowed);
+      });
+    });
+
+    it('should apply the same rules to daily and weekly boards', async () => {
+      expect(await tryWrite('leaderboard_daily/2026-10-19', createEntry())).toBe(true);
+      expect(await tryWrite('leaderboard_weekly/2026-W43', createEntry({ score: 10000000 }))).toBe(false);
+    });
+
+    it('should allow back to back bosses on the Boss Rush board only', async () => {
+      const bossRun = () => createEntry({}, { bosses: { megaship: 3 } });
+      expect(await tryWrite('leaderboard_bossrush', bossRun())).toBe(true);
+      expect(await tryWrite('leaderboard', bossRun())).toBe(false);
+    });
+
+    it('should not allow existing entries to be overwritten', async () => {
+      expect(await tryWrite('leaderboard', createEntry())).toBe(true);
+      const response = await fetch(url(`leaderboard/entry${counter}`), {
+        method: 'PUT',
+        body: JSON.stringify(createEntry({ initials: 'ZZZ' })),
+      });
+      expect(response.ok).toBe(false);
+    });
+  });
+});
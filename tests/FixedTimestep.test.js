@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import FixedTimestep from '../src/systems/FixedTimestep.js';
+
+describe('FixedTimestep', () => {
+  it('should run one step per step length', () => {
+    const timestep = new FixedTimestep(10, 4);
+    expect(timestep.advance(10)).toBe(1);
+    expect(timestep.advance(25)).toBe(2);
+  });
+
+  it('should carry leftover time to the next frame', () => {
+    const timestep = new FixedTimestep(10, 4);
+    expect(timestep.advance(6)).toBe(0);
+    expect(timestep.advance(6)).toBe(1);
+    expect(timestep.advance(8)).toBe(1);
+  });
+
+  it('should cap catch-up steps and drop the backlog', () => {
+    const timestep = new FixedTimestep(10, 4);
+    expect(timestep.advance(1000)).toBe(4);
+    expect(timestep.advance(5)).toBe(0);
+  });
+
+  it('should report simulation time from steps run', () => {
+    const timestep = new FixedTimestep(10, 4);
+    expect(timestep.tick()).toBe(10);
+    expect(timestep.tick()).toBe(20);
+    expect(timestep.getTime()).toBe(20);
+  });
+});
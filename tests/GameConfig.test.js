@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
 import GameConfig from '../src/config/GameConfig.js';
+import { getAttackKeys } from '../src/sprites/BossAttacks.js';
 
 describe('GameConfig', () => {
   describe('structure', () => {
@@ -104,7 +105,7 @@ describe('GameConfig', () => {
     });
 
     it('should have valid fire patterns in levels', () => {
-      const validPatterns = ['single', 'dual', 'spread', 'burst'];
+      const validPatterns = ['single', 'dual', 'spread', 'burst', 'beam'];
       Object.entries(GameConfig.WEAPONS).forEach(([weaponName, config]) => {
         config.levels.forEach((level, index) => {
           expect(
@@ -133,10 +134,33 @@ describe('GameConfig', () => {
       Object.entries(GameConfig.PROJECTILES).forEach(([name, config]) => {
         expect(config.texture, `${name} missing texture`).toBeDefined();
         expect(config.frame, `${name} missing frame`).toBeDefined();
-        expect(config.speed, `${name} speed`).toBeGreaterThan(0);
+        if (config.motion !== 'beam') {
+          expect(config.speed, `${name} speed`).toBeGreaterThan(0);
+        }
         expect([-1, 1], `${name} direction must be -1 or 1`).toContain(config.direction);
       });
     });
+
+    it('should give homing projectiles a turn rate', () => {
+      Object.entries(GameConfig.PROJECTILES).forEach(([name, config]) => {
+        expect(['straight', 'homing', 'beam'], `${name} motion`).toContain(config.motion ?? 'straight');
+        if (config.motion === 'homing') {
+          expect(config.turnRate, `${name} turnRate`).toBeGreaterThan(0);
+        }
+      });
+    });
+
+    it('should fire beam projectiles only from beam weapons', () => {
+      Object.entries(GameConfig.WEAPONS).forEach(([weaponName, config]) => {
+        const isBeam = GameConfig.PROJECTILES[config.projectile].motion === 'beam';
+        config.levels.forEach((level, index) => {
+          expect(level.pattern === 'beam', `${weaponName} level ${index}`).toBe(isBeam);
+          if (isBeam) {
+            expect(level.beamWidth, `${weaponName} level ${index} beamWidth`).toBeGreaterThan(0);
+          }
+        });
+      });
+    });
   });
 
   describe('FORMATIONS config', () => {
@@ -200,16 +224,60 @@ describe('GameConfig', () => {
     });
 
     it('should have valid phase thresholds', () => {
-      expect(GameConfig.BOSS.PHASE_2_THRESHOLD).toBeGreaterThan(0);
-      expect(GameConfig.BOSS.PHASE_2_THRESHOLD).toBeLessThan(1);
-      expect(GameConfig.BOSS.PHASE_3_THRESHOLD).toBeGreaterThan(0);
-      expect(GameConfig.BOSS.PHASE_3_THRESHOLD).toBeLessThan(GameConfig.BOSS.PHASE_2_THRESHOLD);
+      const phaseLists = [GameConfig.BOSS.DEFAULT_PHASES, ...Object.values(GameConfig.BOSS.TYPES).map(type => type.phases)];
+      phaseLists.forEach(phases => {
+        expect(phases[0].threshold).toBe(1);
+        for (let i = 1; i < phases.length; i++) {
+          expect(phases[i].threshold).toBeGreaterThan(0);
+          expect(phases[i].threshold).toBeLessThan(phases[i - 1].threshold);
+        }
+      });
+    });
+
+    it('should only use known phase movement styles', () => {
+      const phases = [GameConfig.BOSS.DEFAULT_PHASES, ...Object.values(GameConfig.BOSS.TYPES).map(type => type.phases)].flat();
+      phases.forEach(phase => {
+        expect([undefined, 'sweep', 'dash', 'hover']).toContain(phase.movement);
+      });
     });
 
     it('should have valid attack cooldowns', () => {
-      expect(GameConfig.BOSS.SPRAY_COOLDOWN).toBeGreaterThan(0);
-      expect(GameConfig.BOSS.AIMED_COOLDOWN).toBeGreaterThan(0);
       expect(GameConfig.BOSS.SUMMON_COOLDOWN).toBeGreaterThan(0);
+      Object.values(GameConfig.BOSS.PATTERNS).forEach(pattern => {
+        expect(pattern.cooldown).toBeGreaterThan(0);
+      });
+    });
+
+    it('should have valid bullet patterns', () => {
+      Object.values(GameConfig.BOSS.PATTERNS).forEach(pattern => {
+        expect(pattern.count ?? 1).toBeGreaterThan(0);
+        expect(pattern.volleys ?? 1).toBeGreaterThan(0);
+        if (typeof pattern.speed === 'object') {
+          expect(pattern.speed.duration).toBeGreaterThan(0);
+        }
+      });
+    });
+
+    it('should only give boss types and parts attacks that exist', () => {
+      const keys = getAttackKeys();
+      Object.values(GameConfig.BOSS.TYPES).forEach(type => {
+        const phaseAttacks = type.phases.flatMap(phase => phase.attacks);
+        const partAttacks = Object.values(type.parts || {}).flatMap(part => part.attacks || []);
+        [...phaseAttacks, ...partAttacks].forEach(attack => {
+          expect(keys).toContain(attack);
+        });
+      });
+    });
+
+    it('should have valid boss parts', () => {
+      Object.values(GameConfig.BOSS.TYPES).forEach(type => {
+        Object.values(type.parts || {}).forEach(part => {
+          expect(typeof part.name).toBe('string');
+          expect(part.health).toBeGreaterThan(0);
+          expect(part.width).toBeGreaterThan(0);
+          expect(part.height).toBeGreaterThan(0);
+        });
+      });
     });
   });
 });
@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import GameState from '../src/systems/GameState.js';
 import GameConfig from '../src/config/GameConfig.js';
+import { validateRun } from '../src/services/RunValidator.js';
 
 describe('GameState', () => {
   let gameState;
@@ -98,6 +99,192 @@ describe('GameState', () => {
       gameState.recordKill();
       expect(gameState.enemiesKilled).toBe(3);
     });
+
+    it('should count kills per enemy type', () => {
+      gameState.recordKill('fighter');
+      gameState.recordKill('fighter');
+      gameState.recordKill('heavy');
+      expect(gameState.killsByType).toEqual({ fighter: 2, heavy: 1 });
+    });
+  });
+
+  describe('kill chain', () => {
+    const { WINDOW, KILLS_PER_STEP, MAX_MULTIPLIER } = GameConfig.COMBO;
+
+    /**
+     * @param {number} count - Kills to chain
+     */
+    function chainKills(count) {
+      for (let i = 0; i < count; i++) {
+        gameState.recordKill('fighter');
+      }
+    }
+
+    it('should extend the chain with each kill', () => {
+      chainKills(3);
+      expect(gameState.combo).toBe(3);
+      expect(gameState.comboTimer).toBe(WINDOW);
+    });
+
+    it('should raise the multiplier every KILLS_PER_STEP kills, up to the cap', () => {
+      expect(gameState.getComboMultiplier()).toBe(1);
+      chainKills(KILLS_PER_STEP);
+      expect(gameState.getComboMultiplier()).toBe(2);
+      chainKills(KILLS_PER_STEP * MAX_MULTIPLIER);
+      expect(gameState.getComboMultiplier()).toBe(MAX_MULTIPLIER);
+    });
+
+    it('should multiply only chained points', () => {
+      chainKills(KILLS_PER_STEP);
+      gameState.addScore(100, 0, true);
+      gameState.addScore(50, 0);
+      expect(gameState.score).toBe(250);
+      expect(gameState.players[0].score).toBe(250);
+    });
+
+    it('should break when the window runs out', () => {
+      chainKills(2);
+      gameState.updateCombo(WINDOW - 1);
+      expect(gameState.combo).toBe(2);
+      gameState.updateCombo(1);
+      expect(gameState.combo).toBe(0);
+      expect(gameState.getComboMultiplier()).toBe(1);
+    });
+
+    it('should remember the longest chain', () => {
+      chainKills(7);
+      gameState.breakCombo();
+      chainKills(3);
+      expect(gameState.maxCombo).toBe(7);
+      expect(gameState.getStats().maxCombo).toBe(7);
+    });
+
+    it('should clear on reset', () => {
+      chainKills(4);
+      gameState.reset();
+      expect(gameState.combo).toBe(0);
+      expect(gameState.maxCombo).toBe(0);
+    });
+  });
+
+  describe('run summary', () => {
+    it('should use the seed passed to the constructor', () => {
+      expect(new GameState(99).seed).toBe(99);
+    });
+
+    it('should record the seed the run was started with', () => {
+      gameState.reset(1234);
+      expect(gameState.seed).toBe(1234);
+      expect(gameState.getRunSummary().seed).toBe(1234);
+    });
+
+    it('should record mines and bosses', () => {
+      gameState.recordMineDestroyed();
+      gameState.recordBossDefeated('megaship');
+      gameState.recordBossPartDestroyed('megaship');
+
+      const run = gameState.getRunSummary();
+      expect(run.mines).toBe(1);
+      expect(run.bosses.megaship).toBe(1);
+      expect(run.bosses.carrier).toBe(0);
+      expect(run.parts.megaship).toBe(1);
+    });
+
+    it('should clear run records on reset', () => {
+      gameState.recordKill('fighter');
+      gameState.recordMineDestroyed();
+      gameState.recordBossDefeated('megaship');
+      gameState.recordBossPartDestroyed('megaship');
+
+      gameState.reset();
+
+      expect(gameState.killsByType).toEqual({});
+      expect(gameState.minesDestroyed).toBe(0);
+      expect(gameState.bossesDefeated).toEqual({});
+      expect(gameState.bossPartsDestroyed).toEqual({});
+    });
+
+    it('should produce stats that pass validation', () => {
+      gameState.startTimer(1000);
+      gameState.updateTime(61000);
+      gameState.recordKill('fighter');
+      gameState.addScore(GameConfig.ENEMY.TYPES.fighter.points);
+      gameState.recordMineDestroyed();
+      gameState.addScore(GameConfig.MINE.POINTS);
+      gameState.difficulty = 2;
+
+      const result = validateRun({ initials: 'ABC', ...gameState.getStats() });
+      expect(result.errors).toEqual([]);
+    });
+  });
+
+  describe('co-op', () => {
+    const START = GameConfig.PLAYER.START_LIVES;
+
+    beforeEach(() => {
+      gameState = new GameState(1, 2);
+    });
+
+    it('should give each ship its own lives', () => {
+      expect(gameState.players.map(player => player.lives)).toEqual([START, START]);
+      expect(gameState.lives).toBe(START * 2);
+    });
+
+    it('should credit points and kills to the ship that earned them', () => {
+      gameState.addScore(100, 0);
+      gameState.addScore(250, 1);
+      gameState.addScore(50); // team-only points
+      gameState.recordKill('fighter', 1);
+
+      expect(gameState.score).toBe(400);
+      expect(gameState.players[0]).toMatchObject({ score: 100, enemiesKilled: 0 });
+      expect(gameState.players[1]).toMatchObject({ score: 250, enemiesKilled: 1 });
+      expect(gameState.enemiesKilled).toBe(1);
+    });
+
+    it('should take a life from the ship that was destroyed', () => {
+      expect(gameState.loseLife(1)).toBe(START - 1);
+      expect(gameState.players[0].lives).toBe(START);
+      expect(gameState.lives).toBe(START * 2 - 1);
+    });
+
+    it('should borrow a spare life from the partner when a ship runs out', () => {
+      gameState.players[1].lives = 1;
+
+      expect(gameState.loseLife(1)).toBe(1);
+      expect(gameState.players[0].lives).toBe(START - 1);
+    });
+
+    it('should not take the partner\'s last ship', () => {
+      gameState.players[0].lives = 1;
+      gameState.players[1].lives = 1;
+
+      expect(gameState.loseLife(1)).toBe(0);
+      expect(gameState.players[0].lives).toBe(1);
+      expect(gameState.lives).toBe(1);
+    });
+
+    it('should give extra lives to the ship with the fewest', () => {
+      gameState.players[0].lives = 2;
+      gameState.players[1].lives = 0;
+
+      expect(gameState.addLife()).toBe(1);
+      expect(gameState.players[1].lives).toBe(1);
+    });
+
+    it('should bring a revived ship back with one life', () => {
+      gameState.players[1].lives = 0;
+
+      gameState.revive(1);
+
+      expect(gameState.players[1].lives).toBe(1);
+      expect(gameState.lives).toBe(START + 1);
+    });
+
+    it('should report per-ship stats', () => {
+      gameState.addScore(100, 1);
+      expect(gameState.getStats().players[1]).toEqual({ score: 100, lives: START, enemiesKilled: 0 });
+    });
   });
 
   describe('addCredits()', () => {
@@ -154,13 +341,14 @@ describe('GameState', () => {
 
       const stats = gameState.getStats();
 
-      expect(stats).toEqual({
+      expect(stats).toMatchObject({
         score: 1000,
         wave: 3,
         enemiesKilled: 25,
         timeSurvived: 120,
         credits: 500,
       });
+      expect(stats.run).toMatchObject({ seed: gameState.seed, duration: 120 });
     });
 
     it('should return a new object each time', () => {
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import GameConfig from '../src/config/GameConfig.js';
+import { applyDeadzone, getButtonName, isAnyPressed, readGamepad } from '../src/systems/GamepadInput.js';
+
+const { BUTTONS } = GameConfig.GAMEPAD;
+
+/**
+ * Gamepad stand-in with the given buttons held.
+ * @param {number[]} [held=[]] - Button indices
+ * @param {{x: number, y: number}} [leftStick={x: 0, y: 0}]
+ */
+function createPad(held = [], leftStick = { x: 0, y: 0 }) {
+  const buttons = Array.from({ length: 17 }, (_, index) => ({ pressed: held.includes(index) }));
+  return { buttons, leftStick };
+}
+
+describe('GamepadInput', () => {
+  describe('applyDeadzone', () => {
+    it('should ignore drift inside the deadzone', () => {
+      expect(applyDeadzone(0.1, -0.1, 0.2)).toEqual({ x: 0, y: 0 });
+    });
+
+    it('should rescale deflection past the deadzone to 0-1', () => {
+      const { x, y } = applyDeadzone(0.6, 0, 0.2);
+      expect(x).toBeCloseTo(0.5);
+      expect(y).toBe(0);
+    });
+
+    it('should keep the stick direction', () => {
+      const { x, y } = applyDeadzone(-0.5, 0.5, 0.2);
+      expect(x).toBeCloseTo(-y);
+    });
+
+    it('should cap the length at 1 on square gates', () => {
+      const { x, y } = applyDeadzone(1, 1, 0.2);
+      expect(Math.hypot(x, y)).toBeCloseTo(1);
+    });
+  });
+
+  describe('getButtonName', () => {
+    it('should name standard buttons', () => {
+      expect(getButtonName(BUTTONS.START)).toBe('START');
+      expect(getButtonName(16)).toBe('BUTTON 16');
+    });
+  });
+
+  describe('isAnyPressed', () => {
+    it('should check any of the buttons', () => {
+      const pad = createPad([BUTTONS.RT]);
+      expect(isAnyPressed(pad, [BUTTONS.A, BUTTONS.RT])).toBe(true);
+      expect(isAnyPressed(pad, [BUTTONS.A])).toBe(false);
+    });
+
+    it('should treat buttons the pad does not have as released', () => {
+      expect(isAnyPressed({ buttons: [] }, [BUTTONS.START])).toBe(false);
+    });
+  });
+
+  describe('readGamepad', () => {
+    const buttons = { left: BUTTONS.LEFT, up: BUTTONS.UP, fire: BUTTONS.A, bomb: null };
+
+    it('should read each bound button', () => {
+      const input = readGamepad(createPad([BUTTONS.LEFT, BUTTONS.A]), buttons);
+      expect(input).toMatchObject({ left: true, up: false, fire: true, moveX: 0, moveY: 0 });
+    });
+
+    it('should read unbound buttons as released', () => {
+      const input = readGamepad(createPad([BUTTONS.X]), buttons);
+      expect(input.bomb).toBe(false);
+    });
+
+    it('should read the left stick as analog axes', () => {
+      const input = readGamepad(createPad([], { x: 1, y: 0 }), buttons);
+      expect(input.moveX).toBeCloseTo(1);
+      expect(input.left).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { findNearestTarget, turnTowards } from '../src/systems/Homing.js';
+
+const UP = -Math.PI / 2;
+
+describe('Homing', () => {
+  describe('findNearestTarget()', () => {
+    it('should pick the closest live target', () => {
+      const far = { x: 0, y: 0, active: true };
+      const near = { x: 90, y: 90, active: true };
+      expect(findNearestTarget(100, 100, [far, near])).toBe(near);
+    });
+
+    it('should skip destroyed targets and dying bosses', () => {
+      const destroyed = { x: 100, y: 90, active: false };
+      const dying = { x: 100, y: 95, active: true, isDying: true };
+      const alive = { x: 0, y: 0, active: true };
+      expect(findNearestTarget(100, 100, [destroyed, dying, alive])).toBe(alive);
+    });
+
+    it('should return null without targets', () => {
+      expect(findNearestTarget(0, 0, [])).toBeNull();
+    });
+  });
+
+  describe('turnTowards()', () => {
+    it('should turn at most maxTurn', () => {
+      expect(turnTowards(UP, 0, 0.1)).toBeCloseTo(UP + 0.1);
+      expect(turnTowards(UP, -Math.PI, 0.1)).toBeCloseTo(UP - 0.1);
+    });
+
+    it('should snap to the target heading when within reach', () => {
+      expect(turnTowards(UP, UP + 0.05, 0.1)).toBe(UP + 0.05);
+    });
+
+    it('should turn the short way across the wrap-around', () => {
+      // Pointing just below left, target just above left: turn clockwise through PI
+      expect(turnTowards(Math.PI - 0.1, -Math.PI + 0.1, 0.05)).toBeCloseTo(Math.PI - 0.05);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import GameConfig from '../src/config/GameConfig.js';
+import InputManager from '../src/systems/InputManager.js';
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {};
+  return {
+    getItem: vi.fn((key) => store[key] || null),
+    setItem: vi.fn((key, value) => { store[key] = value; }),
+    removeItem: vi.fn((key) => { delete store[key]; }),
+    clear: vi.fn(() => { store = {}; }),
+  };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+const { ACTIONS } = GameConfig.CONTROLS;
+
+describe('InputManager', () => {
+  let controls;
+
+  beforeEach(() => {
+    localStorageMock.clear();
+    vi.clearAllMocks();
+    controls = new InputManager();
+  });
+
+  describe('defaults', () => {
+    it('should start with the bindings from GameConfig', () => {
+      expect(controls.getBinding('fire')).toEqual({
+        keys: ACTIONS.fire.keys,
+        pad: ACTIONS.fire.pad,
+        touch: ACTIONS.fire.touch,
+      });
+    });
+
+    it('should only give touch zones to actions that can use them', () => {
+      expect(controls.isTouchable('fire')).toBe(true);
+      expect(controls.isTouchable('moveLeft')).toBe(false);
+      expect(controls.getTouchZone('moveLeft')).toBeNull();
+    });
+
+    it('should read keys by column', () => {
+      expect(controls.getKeys('moveLeft')).toEqual(ACTIONS.moveLeft.keys);
+      expect(controls.getKeys('moveLeft', [1])).toEqual([ACTIONS.moveLeft.keys[1]]);
+    });
+
+    it('should bind every input to at most one action', () => {
+      const keys = Object.keys(ACTIONS).flatMap(action => controls.getKeys(action));
+      const pads = Object.keys(ACTIONS).map(action => controls.getPadButton(action));
+      expect(new Set(keys).size).toBe(keys.length);
+      expect(new Set(pads).size).toBe(pads.length);
+    });
+  });
+
+  describe('rebind', () => {
+    it('should bind a free key and save it', () => {
+      expect(controls.rebind({ action: 'bomb', device: 'keys', column: 0 }, 'X')).toBeNull();
+
+      expect(controls.getKeys('bomb', [0])).toEqual(['X']);
+      expect(new InputManager().getKeys('bomb', [0])).toEqual(['X']);
+    });
+
+    it('should swap a key that another action uses', () => {
+      const conflict = controls.rebind({ action: 'bomb', device: 'keys', column: 0 }, 'SPACE');
+
+      expect(conflict).toEqual({ action: 'fire', device: 'keys', column: 1 });
+      expect(controls.getActionForKey('SPACE')).toBe('bomb');
+      expect(controls.getKeys('fire', [1])).toEqual([ACTIONS.bomb.keys[0]]);
+    });
+
+    it('should swap gamepad buttons and touch zones', () => {
+      expect(controls.rebind({ action: 'bomb', device: 'pad' }, ACTIONS.fire.pad)).toMatchObject({ action: 'fire' });
+      expect(controls.getPadButton('fire')).toBe(ACTIONS.bomb.pad);
+
+      expect(controls.rebind({ action: 'pause', device: 'touch' }, 'rightHalf')).toMatchObject({ action: 'fire' });
+      expect(controls.getTouchZone('fire')).toBe(ACTIONS.pause.touch);
+    });
+
+    it('should not report rebinding a slot to its own input as a conflict', () => {
+      expect(controls.rebind({ action: 'fire', device: 'keys', column: 1 }, 'SPACE')).toBeNull();
+      expect(controls.getKeys('fire')).toEqual(ACTIONS.fire.keys);
+    });
+
+    it('should unbind with null', () => {
+      controls.rebind({ action: 'pause', device: 'touch' }, null);
+      expect(controls.getTouchZone('pause')).toBeNull();
+    });
+
+    it('should refuse reserved keys and touch zones for movement', () => {
+      expect(() => controls.rebind({ action: 'fire', device: 'keys' }, 'F1')).toThrow('reserved');
+      expect(() => controls.rebind({ action: 'moveUp', device: 'touch' }, 'topLeft')).toThrow('touch');
+    });
+  });
+
+  describe('touch zones', () => {
+    const width = 480;
+    const height = 640;
+
+    it('should find the action for a touch', () => {
+      expect(controls.getActionAt(400, 400, width, height)).toBe('fire');
+      expect(controls.getActionAt(100, 400, width, height)).toBeNull();
+    });
+
+    it('should prefer a corner zone over the screen half it sits in', () => {
+      expect(controls.getActionAt(470, 70, width, height)).toBe('pause');
+    });
+  });
+
+  describe('persistence', () => {
+    it('should fall back to defaults for invalid saved bindings', () => {
+      localStorageMock.setItem('spacebear_controls', JSON.stringify({
+        version: 1,
+        bindings: {
+          fire: { keys: ['F1', 'SPACE'], pad: 'A', touch: 'nowhere' },
+          bomb: { keys: ['X', null], pad: null, touch: null },
+        },
+      }));
+
+      const loaded = new InputManager();
+      expect(loaded.getBinding('fire')).toEqual(controls.getBinding('fire'));
+      expect(loaded.getBinding('bomb')).toEqual({ keys: ['X', null], pad: null, touch: null });
+      expect(loaded.getBinding('pause')).toEqual(controls.getBinding('pause'));
+    });
+
+    it('should handle corrupted data', () => {
+      localStorageMock.setItem('spacebear_controls', 'not json');
+      expect(new InputManager().getBinding('fire').keys).toEqual(ACTIONS.fire.keys);
+    });
+
+    it('should restore the defaults on reset', () => {
+      controls.rebind({ action: 'fire', device: 'keys', column: 0 }, 'Z');
+      controls.reset();
+
+      expect(new InputManager().getKeys('fire')).toEqual(ACTIONS.fire.keys);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import {
+  LeaderboardPeriod,
+  LEADERBOARD_PERIODS,
+  CHALLENGE_PERIODS,
+  BOSS_RUSH_PERIODS,
+  getDayKey,
+  parseDayKey,
+  getWeekKey,
+  getBoardPath,
+} from '../src/services/LeaderboardPeriods.js';
+
+describe('LeaderboardPeriods', () => {
+  describe('getDayKey()', () => {
+    it('should format the local date with zero padding', () => {
+      expect(getDayKey(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+      expect(getDayKey(new Date(2026, 9, 19, 0, 0))).toBe('2026-10-19');
+    });
+  });
+
+  describe('parseDayKey()', () => {
+    it('should return local midnight of the day', () => {
+      expect(parseDayKey('2026-10-19')).toEqual(new Date(2026, 9, 19));
+      expect(getDayKey(parseDayKey('2026-01-05'))).toBe('2026-01-05');
+    });
+  });
+
+  describe('getWeekKey()', () => {
+    it('should use ISO week numbers', () => {
+      expect(getWeekKey(new Date(2026, 9, 19))).toBe('2026-W43');
+      expect(getWeekKey(new Date(2026, 0, 1))).toBe('2026-W01');
+    });
+
+    it('should keep Monday to Sunday in the same week', () => {
+      const monday = getWeekKey(new Date(2026, 9, 19));
+      const sunday = getWeekKey(new Date(2026, 9, 25));
+      const nextMonday = getWeekKey(new Date(2026, 9, 26));
+
+      expect(sunday).toBe(monday);
+      expect(nextMonday).not.toBe(monday);
+    });
+
+    it('should assign year-boundary days to the week-numbering year', () => {
+      // Jan 1 2027 is a Friday - it belongs to the last week of 2026
+      expect(getWeekKey(new Date(2027, 0, 1))).toBe('2026-W53');
+      // Dec 29 2025 is a Monday - it starts week 1 of 2026
+      expect(getWeekKey(new Date(2025, 11, 29))).toBe('2026-W01');
+    });
+  });
+
+  describe('getBoardPath()', () => {
+    const date = new Date(2026, 9, 19);
+
+    it('should keep all-time scores at the original path', () => {
+      expect(getBoardPath(LeaderboardPeriod.ALL_TIME, date)).toBe('leaderboard');
+      expect(getBoardPath()).toBe('leaderboard');
+    });
+
+    it('should bucket daily and weekly boards by date', () => {
+      expect(getBoardPath(LeaderboardPeriod.DAILY, date)).toBe('leaderboard_daily/2026-10-19');
+      expect(getBoardPath(LeaderboardPeriod.WEEKLY, date)).toBe('leaderboard_weekly/2026-W43');
+    });
+
+    it('should give the Daily Challenge its own board per day', () => {
+      expect(getBoardPath(LeaderboardPeriod.CHALLENGE, date)).toBe('leaderboard_challenge/2026-10-19');
+    });
+
+    it('should keep a single all-time board for Boss Rush', () => {
+      expect(getBoardPath(LeaderboardPeriod.BOSS_RUSH, date)).toBe('leaderboard_bossrush');
+    });
+  });
+
+  it('should list every period for display', () => {
+    const listed = [...LEADERBOARD_PERIODS, ...CHALLENGE_PERIODS, ...BOSS_RUSH_PERIODS].map(p => p.key);
+    expect(listed.sort()).toEqual(Object.values(LeaderboardPeriod).sort());
+  });
+});
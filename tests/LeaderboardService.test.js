@@ -0,0 +1,370 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import LeaderboardService from '../src/services/LeaderboardService.js';
+import LocalLeaderboardBackend from '../src/services/LocalLeaderboardBackend.js';
+import { LeaderboardPeriod, CHALLENGE_PERIODS, BOSS_RUSH_PERIODS, getBoardPath } from '../src/services/LeaderboardPeriods.js';
+import { createRunSummary } from '../src/services/RunValidator.js';
+import GameConfig from '../src/config/GameConfig.js';
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {};
+  return {
+    getItem: vi.fn((key) => store[key] || null),
+    setItem: vi.fn((key, value) => { store[key] = value; }),
+    removeItem: vi.fn((key) => { delete store[key]; }),
+    clear: vi.fn(() => { store = {}; }),
+  };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+/**
+ * In-memory stand-in for the Firebase backend.
+ */
+function createRemoteBackend() {
+  const remote = new LocalLeaderboardBackend('test_remote_board');
+  remote.source = 'global';
+  remote.online = true;
+  remote.isAvailable = () => remote.online;
+
+  const push = remote.push.bind(remote);
+  const fetchTop = remote.fetchTop.bind(remote);
+  remote.push = vi.fn(async (board, entry, key) => {
+    if (!remote.online) throw new Error('offline');
+    return push(board, entry, key);
+  });
+  remote.fetchTop = vi.fn(async (board, limit) => {
+    if (!remote.online) throw new Error('offline');
+    return fetchTop(board, limit);
+  });
+  return remote;
+}
+
+/**
+ * Build a valid entry - enough heavy kills (and time) to earn the score.
+ */
+const entry = (initials, score) => {
+  const kills = Math.ceil(score / GameConfig.ENEMY.TYPES.heavy.points);
+  return {
+    initials,
+    score,
+    wave: 1,
+    enemiesKilled: kills,
+    timeSurvived: kills,
+    run: createRunSummary({ seed: 1, duration: kills, kills: { heavy: kills }, mines: 0, bosses: {} }, score),
+  };
+};
+
+describe('LeaderboardService', () => {
+  let remote;
+  let service;
+
+  beforeEach(() => {
+    localStorageMock.clear();
+    vi.clearAllMocks();
+    remote = createRemoteBackend();
+    service = new LeaderboardService({ remote });
+  });
+
+  describe('with no global backend', () => {
+    beforeEach(() => {
+      service = new LeaderboardService({ remote: null });
+    });
+
+    it('should store scores on the local board', async () => {
+      const madeBoard = await service.submitScore(entry('abc', 500));
+      const { scores, source } = await service.loadBoard();
+
+      expect(madeBoard).toEqual({ daily: true, weekly: true, alltime: true });
+      expect(source).toBe('local');
+      expect(scores[0]).toMatchObject({ initials: 'ABC', score: 500 });
+    });
+
+    it('should not queue submissions', async () => {
+      await service.submitScore(entry('abc', 500));
+      expect(service.getPendingScores()).toEqual([]);
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject entries without a run summary', async () => {
+      const { run, ...noRun } = entry('abc', 500);
+      const results = await service.submitScore(noRun);
+
+      expect(results).toEqual({ daily: false, weekly: false, alltime: false });
+      expect(remote.push).not.toHaveBeenCalled();
+      expect((await service.loadBoard()).scores).toEqual([]);
+    });
+
+    it('should reject a tampered score', async () => {
+      await service.submitScore({ ...entry('abc', 500), score: 10000000 });
+
+      expect(remote.push).not.toHaveBeenCalled();
+      expect(service.getPendingScores()).toEqual([]);
+    });
+
+    it('should check a run before initials are entered', () => {
+      const { initials, ...stats } = entry('abc', 500);
+
+      expect(service.validateScore(stats)).toEqual({ valid: true, errors: [] });
+      expect(service.validateScore({ ...stats, score: 10000000 }).valid).toBe(false);
+    });
+  });
+
+  describe('while online', () => {
+    it('should submit to the global board and read from it', async () => {
+      await service.submitScore(entry('abc', 500));
+      const { scores, source } = await service.loadBoard();
+
+      expect(remote.push).toHaveBeenCalledTimes(3);
+      expect(source).toBe('global');
+      expect(scores[0].score).toBe(500);
+    });
+
+    it('should also keep a copy on the local board', async () => {
+      await service.submitScore(entry('abc', 500));
+      const localScores = await service.local.fetchTop(getBoardPath(), 10);
+      expect(localScores[0].score).toBe(500);
+    });
+  });
+
+  describe('while offline', () => {
+    beforeEach(() => {
+      remote.online = false;
+    });
+
+    it('should fall back to the local board', async () => {
+      await service.submitScore(entry('abc', 500));
+      const { scores, source } = await service.loadBoard();
+
+      expect(source).toBe('local');
+      expect(scores[0].score).toBe(500);
+    });
+
+    it('should queue failed submissions for every board', async () => {
+      await service.submitScore(entry('abc', 500));
+      await service.submitScore(entry('def', 300));
+
+      const pending = service.getPendingScores();
+      expect(pending).toHaveLength(6);
+      expect(new Set(pending.map(p => p.board)).size).toBe(3);
+      expect(pending.map(p => p.entry.initials)).toEqual(['ABC', 'ABC', 'ABC', 'DEF', 'DEF', 'DEF']);
+    });
+
+    it('should count each queued score once', async () => {
+      vi.spyOn(Date, 'now').mockReturnValueOnce(1000).mockReturnValueOnce(2000);
+      await service.submitScore(entry('abc', 500));
+      await service.submitScore(entry('def', 300));
+      vi.restoreAllMocks();
+
+      expect(service.getPendingCount()).toBe(2);
+    });
+
+    it('should fall back to local scores when the global read fails', async () => {
+      remote.isAvailable = () => true;
+      await service.local.push(getBoardPath(), { ...entry('LOC', 100), timestamp: 1 });
+
+      const { scores, source } = await service.loadBoard();
+      expect(source).toBe('local');
+      expect(scores[0].initials).toBe('LOC');
+    });
+  });
+
+  describe('syncPending()', () => {
+    it('should push queued scores once back online', async () => {
+      remote.online = false;
+      await service.submitScore(entry('abc', 500));
+
+      remote.online = true;
+      const synced = await service.syncPending();
+
+      expect(synced).toBe(3);
+      expect(service.getPendingScores()).toEqual([]);
+      expect((await remote.fetchTop(getBoardPath(), 10))[0].initials).toBe('ABC');
+    });
+
+    it('should do nothing while still offline', async () => {
+      remote.online = false;
+      await service.submitScore(entry('abc', 500));
+
+      const synced = await service.syncPending();
+
+      expect(synced).toBe(0);
+      expect(service.getPendingScores()).toHaveLength(3);
+    });
+
+    it('should drop queued entries that fail validation', async () => {
+      const { run, ...legacy } = entry('OLD', 100);
+      service.savePendingScores([{ board: getBoardPath(), entry: legacy }]);
+
+      const synced = await service.syncPending();
+
+      expect(synced).toBe(0);
+      expect(service.getPendingScores()).toEqual([]);
+      expect(remote.push).not.toHaveBeenCalled();
+    });
+
+    it('should keep unsent entries when a push fails midway', async () => {
+      remote.online = false;
+      await service.submitScore(entry('abc', 500));
+      await service.submitScore(entry('def', 300));
+
+      remote.online = true;
+      remote.push.mockRejectedValueOnce(new Error('network'));
+      const synced = await service.syncPending();
+
+      expect(synced).toBe(0);
+      expect(service.getPendingScores()).toHaveLength(6);
+    });
+
+    it('should not add a second copy of a write that timed out but landed', async () => {
+      // The write reaches the board, but the client gives up waiting for it
+      remote.push.mockImplementationOnce(async (board, entry, key) => {
+        await LocalLeaderboardBackend.prototype.push.call(remote, board, entry, key);
+        throw new Error('timed out');
+      });
+      await service.submitScore(entry('abc', 500));
+
+      const [{ board, key }] = service.getPendingScores();
+      expect(await service.syncPending()).toBe(1);
+      expect(service.getPendingScores()).toEqual([]);
+      expect(remote.push).toHaveBeenCalledTimes(3);
+      expect((await remote.fetchTop(board, 10)).map(score => score.id)).toEqual([key]);
+    });
+  });
+
+  describe('qualification', () => {
+    it('should qualify any score while the board has room', async () => {
+      expect(await service.checkIfQualifies(1)).toBe(true);
+    });
+
+    it('should require beating the lowest top 10 score once full', async () => {
+      for (let i = 1; i <= 10; i++) {
+        await service.submitScore(entry('AAA', i * 100));
+      }
+
+      expect(await service.checkIfQualifies(100)).toBe(false);
+      expect(await service.checkIfQualifies(101)).toBe(true);
+    });
+
+    it('should report rank against the current board', async () => {
+      await service.submitScore(entry('AAA', 1000));
+      await service.submitScore(entry('BBB', 500));
+
+      expect(await service.getRank(750)).toBe(2);
+      expect(await service.getRank(100)).toBe(3);
+    });
+
+    it('should rank a submitted score at its own position', async () => {
+      await service.submitScore(entry('AAA', 1000));
+      expect(await service.getRank(1000)).toBe(1);
+    });
+  });
+
+  describe('periods', () => {
+    const HISTORY_BOARDS = {
+      daily: getBoardPath(LeaderboardPeriod.DAILY, new Date(2020, 0, 1)),
+      weekly: getBoardPath(LeaderboardPeriod.WEEKLY, new Date(2020, 0, 1)),
+    };
+
+    beforeEach(async () => {
+      // An old high score that only counts on its own day/week and all-time
+      const oldEntry = { ...entry('OLD', 9000), timestamp: new Date(2020, 0, 1).getTime() };
+      await remote.push(HISTORY_BOARDS.daily, oldEntry);
+      await remote.push(HISTORY_BOARDS.weekly, oldEntry);
+      await remote.push(getBoardPath(LeaderboardPeriod.ALL_TIME), oldEntry);
+    });
+
+    it('should submit to daily, weekly and all-time boards', async () => {
+      await service.submitScore(entry('NEW', 100));
+
+      const boards = remote.push.mock.calls.map(([board]) => board);
+      expect(boards).toContain(getBoardPath(LeaderboardPeriod.DAILY));
+      expect(boards).toContain(getBoardPath(LeaderboardPeriod.WEEKLY));
+      expect(boards).toContain(getBoardPath(LeaderboardPeriod.ALL_TIME));
+    });
+
+    it('should start each day and week with a fresh board', async () => {
+      await service.submitScore(entry('NEW', 100));
+
+      expect((await service.getTopScores(LeaderboardPeriod.DAILY)).map(e => e.initials)).toEqual(['NEW']);
+      expect((await service.getTopScores(LeaderboardPeriod.WEEKLY)).map(e => e.initials)).toEqual(['NEW']);
+      expect((await service.getTopScores(LeaderboardPeriod.ALL_TIME)).map(e => e.initials)).toEqual(['OLD', 'NEW']);
+    });
+
+    it('should report rank on each board', async () => {
+      await service.submitScore(entry('NEW', 100));
+
+      expect(await service.getRanks(100)).toEqual({ daily: 1, weekly: 1, alltime: 2 });
+    });
+
+    it('should follow the board for the given date', async () => {
+      const scores = await new Promise((resolve) => {
+        service.subscribeToScores(resolve, LeaderboardPeriod.DAILY, new Date(2020, 0, 1));
+      });
+
+      expect(scores.map(e => e.initials)).toEqual(['OLD']);
+    });
+  });
+
+  describe('daily challenge', () => {
+    const challengeDay = new Date(2026, 9, 19);
+    const boards = { periods: CHALLENGE_PERIODS, date: challengeDay };
+
+    it('should only submit to the challenge board for the day', async () => {
+      const results = await service.submitScore(entry('DAY', 100), boards);
+
+      expect(results).toEqual({ challenge: true });
+      expect(remote.push.mock.calls.map(([board]) => board)).toEqual([
+        getBoardPath(LeaderboardPeriod.CHALLENGE, challengeDay),
+      ]);
+    });
+
+    it('should keep challenge scores off the regular boards', async () => {
+      await service.submitScore(entry('DAY', 100), boards);
+
+      expect(await service.getTopScores(LeaderboardPeriod.ALL_TIME)).toEqual([]);
+      expect(await service.getRanks(100, boards)).toEqual({ challenge: 1 });
+    });
+  });
+
+  describe('boss rush', () => {
+    const boards = { periods: BOSS_RUSH_PERIODS };
+
+    /**
+     * A short run that beat two bosses back to back.
+     */
+    const rushEntry = () => {
+      const score = 2 * GameConfig.BOSS.TYPES.megaship.points;
+      const { START_DELAY, REFIT_DELAY } = GameConfig.BOSS_RUSH;
+      const duration = (START_DELAY + REFIT_DELAY) / 1000;
+      return {
+        initials: 'RSH',
+        score,
+        wave: 1,
+        enemiesKilled: 0,
+        timeSurvived: duration,
+        run: createRunSummary({ seed: 1, duration, kills: {}, mines: 0, bosses: { megaship: 2 } }, score),
+      };
+    };
+
+    it('should accept back to back bosses on the Boss Rush board', async () => {
+      expect(await service.submitScore(rushEntry(), boards)).toEqual({ bossrush: true });
+      expect(remote.push.mock.calls.map(([board]) => board)).toEqual([getBoardPath(LeaderboardPeriod.BOSS_RUSH)]);
+    });
+
+    it('should reject the same run on the regular boards', async () => {
+      const results = await service.submitScore(rushEntry());
+
+      expect(results).toEqual({ daily: false, weekly: false, alltime: false });
+      expect(remote.push).not.toHaveBeenCalled();
+    });
+
+    it('should check the run against the boards it is bound for', () => {
+      const { initials, ...stats } = rushEntry();
+
+      expect(service.validateScore(stats, boards).valid).toBe(true);
+      expect(service.validateScore(stats).valid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import GameConfig from '../src/config/GameConfig.js';
+import LevelRunner, { validateLevel } from '../src/systems/LevelRunner.js';
+import { CAMPAIGN_LEVELS } from '../src/levels/index.js';
+
+function createLevel(events) {
+  return { id: 'test', name: 'Test Level', events };
+}
+
+function createScene() {
+  return {
+    cameras: { main: { width: 800 } },
+    events: { emit: vi.fn() },
+    powerUps: { get: vi.fn(() => ({ spawn: vi.fn() })) },
+    addMine: vi.fn(),
+    mines: { countActive: vi.fn(() => 0) },
+  };
+}
+
+describe('LevelRunner', () => {
+  describe('campaign levels', () => {
+    CAMPAIGN_LEVELS.forEach((level) => {
+      it(`should have a valid timeline for ${level.id}`, () => {
+        expect(validateLevel(level).errors).toEqual([]);
+      });
+
+      it(`should end ${level.id} with a boss`, () => {
+        expect(level.events[level.events.length - 1].type).toBe('boss');
+      });
+    });
+
+    it('should use unique level IDs', () => {
+      const ids = CAMPAIGN_LEVELS.map(level => level.id);
+      expect(new Set(ids).size).toBe(ids.length);
+    });
+  });
+
+  describe('validateLevel()', () => {
+    it('should reject unknown registry keys', () => {
+      const { errors } = validateLevel(createLevel([
+        { at: 0, type: 'formation', formation: 'pentagram' },
+        { at: 0, type: 'powerUp', powerUp: 'nuke' },
+        { at: 0, type: 'boss', boss: 'dragon' },
+      ]));
+
+      expect(errors).toHaveLength(3);
+    });
+
+    it('should reject events out of time order', () => {
+      const { valid } = validateLevel(createLevel([
+        { at: 5000, type: 'formation', formation: 'v' },
+        { at: 1000, type: 'formation', formation: 'v' },
+      ]));
+
+      expect(valid).toBe(false);
+    });
+
+    it('should reject positions off screen and empty mine fields', () => {
+      const { errors } = validateLevel(createLevel([
+        { at: 0, type: 'formation', formation: 'v', x: 1.5 },
+        { at: 0, type: 'mines', count: 0 },
+      ]));
+
+      expect(errors).toHaveLength(2);
+    });
+
+    it('should reject unknown event types and missing dialogue', () => {
+      const { errors } = validateLevel(createLevel([
+        { at: 0, type: 'cutscene' },
+        { at: 0, type: 'dialogue', speaker: 'COMMAND' },
+      ]));
+
+      expect(errors).toHaveLength(2);
+    });
+  });
+
+  describe('timeline', () => {
+    let scene;
+    let enemySpawner;
+    let bossManager;
+
+    beforeEach(() => {
+      scene = createScene();
+      enemySpawner = {
+        spawnFormation: vi.fn(),
+        getRandomSpawnX: () => 123,
+        getActiveCount: vi.fn(() => 0),
+      };
+      bossManager = {
+        spawnBoss: vi.fn(),
+        isBossActive: vi.fn(() => false),
+      };
+    });
+
+    function createRunner(events) {
+      return new LevelRunner(scene, createLevel(events), enemySpawner, bossManager);
+    }
+
+    it('should run events once their time is reached', () => {
+      const runner = createRunner([
+        { at: 1000, type: 'formation', formation: 'v', x: 0.5 },
+        { at: 2000, type: 'formation', formation: 'line' },
+      ]);
+
+      runner.update(999);
+      expect(enemySpawner.spawnFormation).not.toHaveBeenCalled();
+
+      runner.update(1);
+      expect(enemySpawner.spawnFormation).toHaveBeenCalledWith('v', 400);
+
+      runner.update(1000);
+      expect(enemySpawner.spawnFormation).toHaveBeenLastCalledWith('line', 123);
+    });
+
+    it('should run every event due in a long step', () => {
+      const runner = createRunner([
+        { at: 0, type: 'formation', formation: 'v' },
+        { at: 10, type: 'boss', boss: 'destroyer' },
+      ]);
+
+      runner.update(50);
+
+      expect(enemySpawner.spawnFormation).toHaveBeenCalledTimes(1);
+      expect(bossManager.spawnBoss).toHaveBeenCalledWith('destroyer');
+    });
+
+    it('should spread a mine field across the screen', () => {
+      const runner = createRunner([{ at: 0, type: 'mines', count: 4 }]);
+
+      runner.update(0);
+
+      const xs = scene.addMine.mock.calls.map(([x]) => x);
+      const margin = GameConfig.SPAWNER.SPAWN_MARGIN;
+      expect(xs).toHaveLength(4);
+      expect(xs.every(x => x > margin && x < 800 - margin)).toBe(true);
+      expect([...xs].sort((a, b) => a - b)).toEqual(xs);
+    });
+
+    it('should drop scripted power-ups', () => {
+      const powerUp = { spawn: vi.fn() };
+      scene.powerUps.get = () => powerUp;
+      const runner = createRunner([{ at: 0, type: 'powerUp', powerUp: 'shield', x: 0.25 }]);
+
+      runner.update(0);
+
+      expect(powerUp.spawn).toHaveBeenCalledWith(200, GameConfig.CAMPAIGN.POWER_UP_SPAWN_Y, 'shield');
+    });
+
+    it('should emit dialogue with a default duration', () => {
+      const runner = createRunner([{ at: 0, type: 'dialogue', speaker: 'COMMAND', text: 'Go!' }]);
+
+      runner.update(0);
+
+      expect(scene.events.emit).toHaveBeenCalledWith('levelDialogue', {
+        speaker: 'COMMAND',
+        text: 'Go!',
+        duration: GameConfig.CAMPAIGN.DIALOGUE_DURATION,
+      });
+    });
+
+    it('should complete once the timeline is done and the screen is clear', () => {
+      const runner = createRunner([{ at: 0, type: 'boss', boss: 'megaship' }]);
+      bossManager.isBossActive.mockReturnValue(true);
+
+      runner.update(100);
+      expect(runner.isComplete()).toBe(false);
+
+      bossManager.isBossActive.mockReturnValue(false);
+      enemySpawner.getActiveCount.mockReturnValue(2);
+      runner.update(100);
+      expect(runner.isComplete()).toBe(false);
+
+      enemySpawner.getActiveCount.mockReturnValue(0);
+      runner.update(100);
+      runner.update(100);
+      expect(runner.isComplete()).toBe(true);
+
+      const completions = scene.events.emit.mock.calls.filter(([name]) => name === 'levelComplete');
+      expect(completions).toHaveLength(1);
+    });
+
+    it('should wait for a mine field to clear before completing', () => {
+      const runner = createRunner([{ at: 0, type: 'mines', count: 3 }]);
+      scene.mines.countActive.mockReturnValue(3);
+
+      runner.update(100);
+      expect(runner.isComplete()).toBe(false);
+
+      scene.mines.countActive.mockReturnValue(0);
+      runner.update(100);
+      expect(runner.isComplete()).toBe(true);
+      expect(scene.mines.countActive).toHaveBeenCalledWith(true);
+    });
+  });
+});
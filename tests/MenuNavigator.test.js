@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import GameConfig from '../src/config/GameConfig.js';
+import MenuNavigator from '../src/systems/MenuNavigator.js';
+
+/**
+ * Minimal event emitter standing in for Phaser's input plugins.
+ */
+function createEmitter() {
+  const listeners = {};
+  return {
+    on(event, fn, context) { (listeners[event] ||= []).push({ fn, context }); },
+    once(event, fn, context) { this.on(event, fn, context); },
+    off(event, fn) { listeners[event] = (listeners[event] || []).filter(l => l.fn !== fn); },
+    emit(event, ...args) { (listeners[event] || []).forEach(l => l.fn.apply(l.context, args)); },
+    count(event) { return (listeners[event] || []).length; },
+  };
+}
+
+function createScene() {
+  const gamepad = createEmitter();
+  gamepad.gamepads = [];
+  return {
+    input: { keyboard: createEmitter(), gamepad },
+    events: createEmitter(),
+  };
+}
+
+describe('MenuNavigator', () => {
+  let scene;
+  let handlers;
+  let navigator;
+
+  beforeEach(() => {
+    scene = createScene();
+    handlers = { onMove: vi.fn(), onConfirm: vi.fn(), onBack: vi.fn() };
+    navigator = new MenuNavigator(scene, handlers);
+  });
+
+  const press = (code) => scene.input.keyboard.emit('keydown', { code });
+  const padButton = (index) => scene.input.gamepad.emit('down', {}, { index });
+
+  describe('keyboard', () => {
+    it('should move with arrows and WASD', () => {
+      press('ArrowDown');
+      press('KeyW');
+      press('ArrowLeft');
+
+      expect(handlers.onMove.mock.calls).toEqual([[0, 1], [0, -1], [-1, 0]]);
+    });
+
+    it('should confirm with Enter or Space and go back with Escape', () => {
+      press('Enter');
+      press('Space');
+      press('Escape');
+
+      expect(handlers.onConfirm).toHaveBeenCalledTimes(2);
+      expect(handlers.onBack).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave the keyboard alone when asked', () => {
+      const padOnly = createScene();
+      new MenuNavigator(padOnly, { ...handlers, keyboard: false });
+
+      expect(padOnly.input.keyboard.count('keydown')).toBe(0);
+      expect(padOnly.input.gamepad.count('down')).toBe(1);
+    });
+
+    it('should ignore other keys', () => {
+      press('KeyQ');
+
+      expect(handlers.onMove).not.toHaveBeenCalled();
+      expect(handlers.onConfirm).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('gamepad', () => {
+    it('should move with the d-pad, confirm with A and go back with B', () => {
+      padButton(13);
+      padButton(0);
+      padButton(1);
+
+      expect(handlers.onMove).toHaveBeenCalledWith(0, 1);
+      expect(handlers.onConfirm).toHaveBeenCalledTimes(1);
+      expect(handlers.onBack).toHaveBeenCalledTimes(1);
+    });
+
+    it('should move once per stick push', () => {
+      const pad = { leftStick: { x: 0, y: -1 } };
+      scene.input.gamepad.gamepads = [pad];
+
+      navigator.update();
+      navigator.update();
+      expect(handlers.onMove).toHaveBeenCalledTimes(1);
+      expect(handlers.onMove).toHaveBeenCalledWith(0, -1);
+
+      pad.leftStick.y = 0;
+      navigator.update();
+      pad.leftStick.x = 1;
+      navigator.update();
+      expect(handlers.onMove).toHaveBeenLastCalledWith(1, 0);
+    });
+
+    it('should ignore small stick movements', () => {
+      scene.input.gamepad.gamepads = [{ leftStick: { x: 0, y: GameConfig.MENU.STICK_THRESHOLD / 2 } }];
+
+      navigator.update();
+
+      expect(handlers.onMove).not.toHaveBeenCalled();
+    });
+
+    it('should work without the gamepad plugin', () => {
+      const noPads = createScene();
+      delete noPads.input.gamepad;
+      const menu = new MenuNavigator(noPads, handlers);
+
+      expect(() => menu.update()).not.toThrow();
+    });
+  });
+
+  it('should ignore input while disabled', () => {
+    navigator.setEnabled(false);
+
+    press('Enter');
+    padButton(0);
+
+    expect(handlers.onConfirm).not.toHaveBeenCalled();
+  });
+
+  it('should remove its listeners when the scene shuts down', () => {
+    scene.events.emit('shutdown');
+
+    expect(scene.input.keyboard.count('keydown')).toBe(0);
+    expect(scene.input.gamepad.count('down')).toBe(0);
+  });
+});
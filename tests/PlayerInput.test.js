@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Minimal Phaser stand-in; no keys are ever pressed
+vi.mock('phaser', () => ({
+  default: { Input: { Keyboard: { JustDown: () => false } } },
+}));
+
+const { default: PlayerInput } = await import('../src/systems/PlayerInput.js');
+
+function createScene() {
+  return {
+    input: {
+      keyboard: { addKey: () => ({ isDown: false }) },
+      on: vi.fn(),
+      off: vi.fn(),
+      activePointer: { isDown: false, worldX: 0, worldY: 0 },
+    },
+    cameras: { main: { width: 480, height: 640 } },
+    gameState: { gameStarted: true },
+    bossManager: { isIntroPlaying: () => false },
+  };
+}
+
+/**
+ * Bindings stub whose touch zones all report the given action.
+ * @param {string|null} action
+ */
+function createControls(action) {
+  return {
+    getKeys: () => [],
+    getPadButton: () => 0,
+    getActionAt: () => action,
+  };
+}
+
+describe('PlayerInput', () => {
+  let scene;
+
+  beforeEach(() => {
+    scene = createScene();
+  });
+
+  describe('touch', () => {
+    it('should start the run on any tap', () => {
+      scene.gameState.gameStarted = false;
+      const input = new PlayerInput(scene, createControls(null));
+
+      input.onPointerDown({ worldX: 240, worldY: 320 });
+
+      expect(input.sample().start).toBe(true);
+      expect(input.sample().start).toBe(false);
+    });
+
+    it('should skip the boss intro on a tap in the fire zone', () => {
+      scene.bossManager.isIntroPlaying = () => true;
+      const input = new PlayerInput(scene, createControls('fire'));
+
+      input.onPointerDown({ worldX: 240, worldY: 320 });
+
+      expect(input.sample().start).toBe(true);
+    });
+
+    it('should only shoot on a fire zone tap during play', () => {
+      const input = new PlayerInput(scene, createControls('fire'));
+
+      input.onPointerDown({ worldX: 240, worldY: 320 });
+
+      expect(input.sample().start).toBe(false);
+      expect(input.touchShooting).toBe(true);
+    });
+
+    it('should not skip the intro from a button zone', () => {
+      scene.bossManager.isIntroPlaying = () => true;
+      const input = new PlayerInput(scene, createControls('bomb'));
+
+      input.onPointerDown({ worldX: 240, worldY: 320 });
+
+      const frame = input.sample();
+      expect(frame.start).toBe(false);
+      expect(frame.bomb).toBe(true);
+    });
+  });
+});
@@ -147,6 +147,19 @@ describe('ProgressManager', () => {
       expect(weapons).toContain('laser');
       expect(weapons).toContain('plasma');
     });
+
+    it('should start runs with vulcan by default', () => {
+      expect(progress.getLoadoutWeapon()).toBe('vulcan');
+    });
+
+    it('should only allow unlocked weapons in the loadout', () => {
+      expect(progress.setLoadoutWeapon('laser')).toBe(false);
+      expect(progress.getLoadoutWeapon()).toBe('vulcan');
+
+      progress.unlockWeapon('laser');
+      expect(progress.setLoadoutWeapon('laser')).toBe(true);
+      expect(progress.getLoadoutWeapon()).toBe('laser');
+    });
   });
 
   describe('upgrades', () => {
@@ -191,6 +204,54 @@ describe('ProgressManager', () => {
       expect(progress.getHighScore()).toBe(5000); // Should keep the higher one
       expect(progress.getProgress().totalKills).toBe(45);
     });
+
+    it('should track the best wave and boss defeats per type', () => {
+      const run = { bosses: { megaship: 1, destroyer: 0 } };
+      progress.recordGameEnd({ score: 0, timeSurvived: 0, enemiesKilled: 0, credits: 0, wave: 7, run });
+      progress.recordGameEnd({ score: 0, timeSurvived: 0, enemiesKilled: 0, credits: 0, wave: 4, run });
+
+      expect(progress.getBestWave()).toBe(7);
+      expect(progress.getBossKills('megaship')).toBe(2);
+      expect(progress.getBossKills('destroyer')).toBe(0);
+      expect(progress.getProgress().bossesDefeated).toBe(2);
+    });
+  });
+
+  describe('recordBossRush', () => {
+    const splits = [
+      { bossType: 'megaship', loop: 1, time: 40000 },
+      { bossType: 'destroyer', loop: 1, time: 55000 },
+    ];
+
+    it('should keep split bests from a run that did not clear', () => {
+      const records = progress.recordBossRush({ loop: 1, clearTime: null, splits });
+
+      expect(records).toEqual({ bestClear: false, bestSplits: ['megaship', 'destroyer'] });
+      expect(progress.getBossRushBestClear()).toBe(0);
+      expect(progress.getBossRushBestSplit('megaship')).toBe(40000);
+    });
+
+    it('should only replace bests with faster times', () => {
+      progress.recordBossRush({ loop: 2, clearTime: 180000, splits });
+      const records = progress.recordBossRush({
+        loop: 2,
+        clearTime: 190000,
+        splits: [{ bossType: 'megaship', loop: 1, time: 35000 }, { bossType: 'destroyer', loop: 1, time: 60000 }],
+      });
+
+      expect(records).toEqual({ bestClear: false, bestSplits: ['megaship'] });
+      expect(progress.getBossRushBestClear()).toBe(180000);
+      expect(progress.getBossRushBestSplit('megaship')).toBe(35000);
+      expect(progress.getBossRushBestSplit('destroyer')).toBe(55000);
+    });
+
+    it('should persist the bests', () => {
+      progress.recordBossRush({ loop: 2, clearTime: 180000, splits });
+      const reloaded = new ProgressManager();
+
+      expect(reloaded.getBossRushBestClear()).toBe(180000);
+      expect(reloaded.getBossRushBestSplit('destroyer')).toBe(55000);
+    });
   });
 
   describe('persistence', () => {
@@ -0,0 +1,319 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import GameConfig from '../src/config/GameConfig.js';
+import {
+  InputButton,
+  createInputFrame,
+  encodeInputFrame,
+  decodeInputFrame,
+  ReplayRecorder,
+  ReplayPlayer,
+  serializeReplay,
+  parseReplay,
+  saveLastReplay,
+  loadLastReplay,
+} from '../src/systems/Replay.js';
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {};
+  return {
+    getItem: vi.fn((key) => store[key] || null),
+    setItem: vi.fn((key, value) => { store[key] = value; }),
+    clear: () => { store = {}; },
+  };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+/**
+ * Record a short run: 3 idle steps, start, 2 steps firing while moving right,
+ * then a touch at (100.4, 200.6).
+ */
+function recordRun() {
+  const recorder = new ReplayRecorder(1234);
+  const frames = [
+    {}, {}, {},
+    { start: true },
+    { right: true, fire: true },
+    { right: true, fire: true },
+    { pointerDown: true, pointerX: 100.4, pointerY: 200.6 },
+  ].map(createInputFrame);
+  frames.forEach(frame => recorder.record(frame));
+  return { recorder, frames };
+}
+
+describe('Replay', () => {
+  beforeEach(() => {
+    localStorageMock.clear();
+  });
+
+  describe('createInputFrame', () => {
+    it('should fill missing buttons with false', () => {
+      const frame = createInputFrame({ left: true });
+      expect(frame.left).toBe(true);
+      expect(frame.right).toBe(false);
+      expect(frame.touchFire).toBe(false);
+    });
+
+    it('should round pointer coordinates', () => {
+      const frame = createInputFrame({ pointerDown: true, pointerX: 10.6, pointerY: 20.2 });
+      expect(frame.pointerX).toBe(11);
+      expect(frame.pointerY).toBe(20);
+    });
+
+    it('should zero pointer coordinates when the pointer is up', () => {
+      const frame = createInputFrame({ pointerX: 50, pointerY: 60 });
+      expect(frame.pointerX).toBe(0);
+      expect(frame.pointerY).toBe(0);
+    });
+
+    it('should round stick axes to hundredths and clamp them', () => {
+      const frame = createInputFrame({ moveX: 0.456, moveY: -1.4 });
+      expect(frame.moveX).toBe(0.46);
+      expect(frame.moveY).toBe(-1);
+    });
+
+    it('should center the stick when no axes are given', () => {
+      const frame = createInputFrame({ moveX: -0.001 });
+      expect(Object.is(frame.moveX, 0)).toBe(true);
+      expect(frame.moveY).toBe(0);
+    });
+  });
+
+  describe('encoding', () => {
+    it('should pack buttons into bit flags', () => {
+      const frame = createInputFrame({ left: true, fire: true });
+      expect(encodeInputFrame(frame)).toEqual([InputButton.LEFT | InputButton.FIRE, 0, 0, 0, 0]);
+    });
+
+    it('should store stick axes as whole hundredths', () => {
+      const frame = createInputFrame({ moveX: 0.29, moveY: -0.57 });
+      expect(encodeInputFrame(frame)).toEqual([0, 0, 0, 29, -57]);
+    });
+
+    it('should round-trip a frame', () => {
+      const frame = createInputFrame({
+        up: true, pointerDown: true, touchFire: true, pointerX: 5, pointerY: 9, moveX: 0.29, moveY: -0.57,
+      });
+      expect(decodeInputFrame(encodeInputFrame(frame))).toEqual(frame);
+    });
+  });
+
+  describe('ReplayRecorder', () => {
+    it('should run-length encode identical steps', () => {
+      const { recorder } = recordRun();
+      expect(recorder.steps).toBe(7);
+      expect(recorder.runs).toEqual([
+        [3, 0, 0, 0, 0, 0],
+        [1, InputButton.START, 0, 0, 0, 0],
+        [2, InputButton.RIGHT | InputButton.FIRE, 0, 0, 0, 0],
+        [1, InputButton.POINTER, 100, 201, 0, 0],
+      ]);
+    });
+
+    it('should record the game mode', () => {
+      const recorder = new ReplayRecorder(1234, { campaign: { level: 1 } });
+      const replay = recorder.finish({});
+
+      expect(replay.campaign).toEqual({ level: 1 });
+      expect(replay.challenge).toBeNull();
+      expect(replay.upgrades).toEqual({});
+    });
+
+    it('should record a copy of the upgrade levels', () => {
+      const upgrades = { maxHull: 2 };
+      const recorder = new ReplayRecorder(1234, { upgrades });
+      upgrades.maxHull = 3;
+
+      expect(recorder.finish({}).upgrades).toEqual({ maxHull: 2 });
+    });
+
+    it('should record the weapon loadout', () => {
+      const recorder = new ReplayRecorder(1234, { weapon: 'laser', unlockedWeapons: ['vulcan', 'laser'] });
+      const replay = recorder.finish({});
+
+      expect(replay.weapon).toBe('laser');
+      expect(replay.unlockedWeapons).toEqual(['vulcan', 'laser']);
+    });
+
+    it('should include seed, step length and result when finished', () => {
+      const { recorder } = recordRun();
+      const replay = recorder.finish({ score: 500 });
+
+      expect(replay.version).toBe(GameConfig.REPLAY.VERSION);
+      expect(replay.seed).toBe(1234);
+      expect(replay.stepMs).toBe(GameConfig.REPLAY.STEP_MS);
+      expect(replay.steps).toBe(7);
+      expect(replay.result).toEqual({ score: 500 });
+    });
+  });
+
+  describe('ReplayPlayer', () => {
+    it('should play back the recorded frames in order', () => {
+      const { recorder, frames } = recordRun();
+      const player = new ReplayPlayer(recorder.finish({}));
+
+      const played = [];
+      while (!player.isFinished()) {
+        played.push(player.next());
+      }
+
+      expect(played).toEqual(frames);
+      expect(player.getProgress()).toBe(1);
+    });
+
+    it('should return null once the recording is exhausted', () => {
+      const { recorder } = recordRun();
+      const player = new ReplayPlayer(recorder.finish({}));
+      for (let i = 0; i < 7; i++) player.next();
+
+      expect(player.next()).toBeNull();
+    });
+
+    it('should play back both ships in a co-op recording', () => {
+      const recorder = new ReplayRecorder(1234, { coop: true });
+      const steps = [
+        [{ start: true }, {}],
+        [{ fire: true }, { moveX: -0.5, fire: true }],
+        [{ fire: true }, { moveX: -0.5, fire: true }],
+        [{ pointerDown: true, pointerX: 50, pointerY: 60 }, { up: true }],
+      ].map(step => step.map(createInputFrame));
+      steps.forEach(([frame, partnerFrame]) => recorder.record(frame, partnerFrame));
+
+      const replay = recorder.finish({});
+      expect(replay.coop).toBe(true);
+      expect(replay.runs).toHaveLength(3);
+      expect(replay.runs[1]).toEqual([2, InputButton.FIRE, 0, 0, 0, 0, InputButton.FIRE, -50, 0]);
+
+      const player = new ReplayPlayer(replay);
+      const played = [];
+      while (!player.isFinished()) {
+        played.push(player.nextStep());
+      }
+      expect(played).toEqual(steps);
+    });
+
+    it('should play back one frame per step for a solo recording', () => {
+      const { recorder, frames } = recordRun();
+      const player = new ReplayPlayer(recorder.finish({}));
+
+      expect(player.nextStep()).toEqual([frames[0]]);
+    });
+  });
+
+  describe('parseReplay', () => {
+    let replay;
+
+    beforeEach(() => {
+      replay = recordRun().recorder.finish({ score: 500 });
+    });
+
+    it('should parse a serialized replay', () => {
+      expect(parseReplay(serializeReplay(replay))).toEqual(replay);
+    });
+
+    it('should reject invalid JSON', () => {
+      expect(() => parseReplay('{not json')).toThrow('not valid JSON');
+    });
+
+    it('should reject other JSON files', () => {
+      expect(() => parseReplay('{"score": 5}')).toThrow('Not a replay file');
+    });
+
+    it('should reject other versions', () => {
+      const text = serializeReplay({ ...replay, version: 99 });
+      expect(() => parseReplay(text)).toThrow('Unsupported replay version');
+    });
+
+    it('should upgrade version 1 replays with centered sticks', () => {
+      const runs = replay.runs.map(run => run.slice(0, 4));
+      const parsed = parseReplay(serializeReplay({ ...replay, version: 1, runs }));
+
+      expect(parsed.version).toBe(GameConfig.REPLAY.VERSION);
+      expect(parsed.runs).toEqual(replay.runs);
+    });
+
+    it('should upgrade version 1 co-op replays', () => {
+      const runs = [[7, InputButton.FIRE, 0, 0, InputButton.LEFT]];
+      const parsed = parseReplay(serializeReplay({ ...replay, version: 1, coop: true, runs }));
+
+      expect(parsed.runs).toEqual([[7, InputButton.FIRE, 0, 0, 0, 0, InputButton.LEFT, 0, 0]]);
+    });
+
+    it('should reject a different step length', () => {
+      const text = serializeReplay({ ...replay, stepMs: 10 });
+      expect(() => parseReplay(text)).toThrow('10ms step');
+    });
+
+    it('should reject a missing seed', () => {
+      const text = serializeReplay({ ...replay, seed: undefined });
+      expect(() => parseReplay(text)).toThrow('missing its seed');
+    });
+
+    it('should reject corrupt runs', () => {
+      const text = serializeReplay({ ...replay, runs: [[0, 1, 0, 0, 0, 0]] });
+      expect(() => parseReplay(text)).toThrow('corrupt');
+    });
+
+    it('should reject an unknown Daily Challenge', () => {
+      const challenge = { day: '2026-10-19', seed: replay.seed, modifiers: ['notAModifier'] };
+      const text = serializeReplay({ ...replay, challenge });
+      expect(() => parseReplay(text)).toThrow('Daily Challenge');
+    });
+
+    it('should reject unknown or out of range upgrades', () => {
+      expect(() => parseReplay(serializeReplay({ ...replay, upgrades: { warpDrive: 1 } }))).toThrow('upgrades');
+      expect(() => parseReplay(serializeReplay({ ...replay, upgrades: { maxHull: 99 } }))).toThrow('upgrades');
+    });
+
+    it('should reject an unknown weapon loadout', () => {
+      expect(() => parseReplay(serializeReplay({ ...replay, weapon: 'railgun' }))).toThrow('loadout');
+      expect(() => parseReplay(serializeReplay({ ...replay, unlockedWeapons: ['toString'] }))).toThrow('loadout');
+    });
+
+    it('should accept replays recorded before upgrades and loadouts existed', () => {
+      const { upgrades, weapon, unlockedWeapons, ...older } = replay;
+      expect(() => parseReplay(serializeReplay(older))).not.toThrow();
+    });
+
+    it('should treat replays without a coop field as solo', () => {
+      const { coop, ...older } = replay;
+      expect(() => parseReplay(serializeReplay(older))).not.toThrow();
+      expect(() => parseReplay(serializeReplay({ ...older, coop: 'yes' }))).toThrow('player count');
+    });
+
+    it('should treat replays without a bossRush field as other modes', () => {
+      const { bossRush, ...older } = replay;
+      expect(() => parseReplay(serializeReplay(older))).not.toThrow();
+      expect(() => parseReplay(serializeReplay({ ...older, bossRush: 1 }))).toThrow('game mode');
+    });
+
+    it('should reject co-op runs without the second ship\'s input', () => {
+      const text = serializeReplay({ ...replay, coop: true });
+      expect(() => parseReplay(text)).toThrow('corrupt');
+    });
+
+    it('should reject an unknown campaign level', () => {
+      const text = serializeReplay({ ...replay, campaign: { level: 99 } });
+      expect(() => parseReplay(text)).toThrow('campaign level');
+    });
+
+    it('should reject truncated input', () => {
+      const text = serializeReplay({ ...replay, runs: replay.runs.slice(1) });
+      expect(() => parseReplay(text)).toThrow('truncated');
+    });
+  });
+
+  describe('last replay', () => {
+    it('should save and load the last replay', () => {
+      const replay = recordRun().recorder.finish({ score: 500 });
+      saveLastReplay(replay);
+
+      expect(loadLastReplay()).toEqual(replay);
+    });
+
+    it('should return null when nothing is saved', () => {
+      expect(loadLastReplay()).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,223 @@
+import { describe, it, expect } from 'vitest';
+import GameConfig from '../src/config/GameConfig.js';
+import {
+  createRunSummary,
+  hashRunSummary,
+  getMaxScore,
+  getBossPoints,
+  getBossPartLimits,
+  validateRun,
+} from '../src/services/RunValidator.js';
+
+const FIGHTER_POINTS = GameConfig.ENEMY.TYPES.fighter.points;
+
+/**
+ * Build an entry for a 2 minute run with 10 fighter kills and 2 mines.
+ */
+function createEntry(overrides = {}, runOverrides = {}) {
+  const run = {
+    seed: 42,
+    duration: 120,
+    kills: { fighter: 10 },
+    mines: 2,
+    bosses: {},
+    ...runOverrides,
+  };
+  const entry = {
+    initials: 'ABC',
+    score: 10 * FIGHTER_POINTS + 2 * GameConfig.MINE.POINTS,
+    wave: 4,
+    enemiesKilled: 10,
+    timeSurvived: 120,
+    ...overrides,
+  };
+  entry.run = createRunSummary(run, entry.score);
+  return entry;
+}
+
+describe('RunValidator', () => {
+  describe('createRunSummary()', () => {
+    it('should list every enemy and boss type', () => {
+      const run = createEntry().run;
+
+      expect(Object.keys(run.kills)).toEqual(Object.keys(GameConfig.ENEMY.TYPES));
+      expect(Object.keys(run.bosses)).toEqual(Object.keys(GameConfig.BOSS.TYPES));
+      expect(Object.keys(run.parts)).toEqual(Object.keys(GameConfig.BOSS.TYPES));
+      expect(run.kills.heavy).toBe(0);
+    });
+
+    it('should produce an 8 character hash', () => {
+      expect(createEntry().run.hash).toMatch(/^[0-9a-f]{8}$/);
+    });
+  });
+
+  describe('hashRunSummary()', () => {
+    it('should change when the score or summary changes', () => {
+      const { run, score } = createEntry();
+
+      expect(hashRunSummary(run, score)).toBe(run.hash);
+      expect(hashRunSummary(run, score + 1)).not.toBe(run.hash);
+      expect(hashRunSummary({ ...run, seed: 43 }, score)).not.toBe(run.hash);
+    });
+
+    it('should not depend on key order', () => {
+      const { run, score } = createEntry();
+      const reordered = { ...run, kills: Object.fromEntries(Object.entries(run.kills).reverse()) };
+
+      expect(hashRunSummary(reordered, score)).toBe(run.hash);
+    });
+  });
+
+  describe('getMaxScore()', () => {
+    it('should add up points for kills at the highest multiplier, mines, bosses and parts', () => {
+      const megaship = GameConfig.BOSS.TYPES.megaship;
+      const run = createEntry({}, { bosses: { megaship: 1 }, parts: { megaship: 2 } }).run;
+      const expected = 10 * FIGHTER_POINTS * GameConfig.COMBO.MAX_MULTIPLIER +
+        2 * GameConfig.MINE.POINTS + getBossPoints(megaship) + 2 * getBossPartLimits(megaship).maxPoints;
+
+      expect(getMaxScore(run)).toBe(expected);
+    });
+  });
+
+  describe('getBossPoints()', () => {
+    it('should count the boss without its parts', () => {
+      expect(getBossPoints(GameConfig.BOSS.TYPES.megaship)).toBe(GameConfig.BOSS.TYPES.megaship.points);
+    });
+  });
+
+  describe('getBossPartLimits()', () => {
+    it('should give the top part value and the part count', () => {
+      const { parts } = GameConfig.BOSS.TYPES.megaship;
+      const values = Object.values(parts).map(part => part.points);
+
+      expect(getBossPartLimits(GameConfig.BOSS.TYPES.megaship)).toEqual({
+        maxPoints: Math.max(...values),
+        count: values.length,
+      });
+    });
+
+    it('should allow nothing for a boss without parts', () => {
+      expect(getBossPartLimits({ points: 100 })).toEqual({ maxPoints: 0, count: 0 });
+    });
+  });
+
+  describe('validateRun()', () => {
+    it('should accept a possible run', () => {
+      expect(validateRun(createEntry())).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should reject a missing summary', () => {
+      const { run, ...entry } = createEntry();
+      expect(validateRun(entry).valid).toBe(false);
+    });
+
+    it('should reject a score higher than the kills allow', () => {
+      const entry = createEntry({ score: 10000000 });
+      const result = validateRun(entry);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.some(e => e.includes('exceeds'))).toBe(true);
+    });
+
+    it('should reject an edited entry', () => {
+      const entry = createEntry();
+      entry.score -= 10;
+
+      expect(validateRun(entry).errors).toContain('checksum mismatch');
+    });
+
+    it('should accept a kill chain no longer than the kills', () => {
+      expect(validateRun(createEntry({ maxCombo: 10 })).valid).toBe(true);
+    });
+
+    it('should reject a kill chain longer than the kills', () => {
+      expect(validateRun(createEntry({ maxCombo: 11 })).valid).toBe(false);
+      expect(validateRun(createEntry({ maxCombo: -1 })).errors).toContain('invalid maxCombo');
+    });
+
+    it('should reject a kill total that does not match the kill counts', () => {
+      expect(validateRun(createEntry({ enemiesKilled: 11 })).valid).toBe(false);
+    });
+
+    it('should reject unknown enemy types', () => {
+      const entry = createEntry();
+      entry.run.kills.dragon = 1;
+
+      expect(validateRun(entry).errors).toContain('invalid kill counts');
+    });
+
+    it('should reject too many kills for the run length', () => {
+      const kills = 13 * GameConfig.RUN_VALIDATION.MAX_KILLS_PER_SECOND;
+      const entry = createEntry(
+        { score: kills * FIGHTER_POINTS, enemiesKilled: kills, timeSurvived: 10, wave: 1 },
+        { kills: { fighter: kills }, duration: 10, mines: 0 }
+      );
+
+      expect(validateRun(entry).valid).toBe(false);
+    });
+
+    it('should reject a wave that cannot be reached in time', () => {
+      expect(validateRun(createEntry({ wave: 10 })).valid).toBe(false);
+    });
+
+    it('should reject a boss defeated before the first boss can spawn', () => {
+      const bossPoints = GameConfig.BOSS.TYPES.megaship.points;
+      const early = createEntry(
+        { score: bossPoints, enemiesKilled: 0, timeSurvived: 20, wave: 1 },
+        { kills: {}, mines: 0, duration: 20, bosses: { megaship: 1 } }
+      );
+      const onTime = createEntry(
+        { score: bossPoints, enemiesKilled: 0, timeSurvived: 40, wave: 1 },
+        { kills: {}, mines: 0, duration: 40, bosses: { megaship: 1 } }
+      );
+
+      expect(validateRun(early).valid).toBe(false);
+      expect(validateRun(onTime).valid).toBe(true);
+    });
+
+    it('should allow Boss Rush bosses back to back', () => {
+      const bossPoints = GameConfig.BOSS.TYPES.megaship.points;
+      const { START_DELAY, REFIT_DELAY } = GameConfig.BOSS_RUSH;
+      const duration = (START_DELAY + REFIT_DELAY) / 1000;
+      const rush = createEntry(
+        { score: 2 * bossPoints, enemiesKilled: 0, timeSurvived: duration, wave: 1 },
+        { kills: {}, mines: 0, duration, bosses: { megaship: 2 } }
+      );
+
+      expect(validateRun(rush).valid).toBe(false);
+      expect(validateRun(rush, { bossRush: true }).valid).toBe(true);
+    });
+
+    it('should accept part points from a boss that was not defeated', () => {
+      const partPoints = GameConfig.BOSS.TYPES.megaship.parts.leftTurret.points;
+      const entry = createEntry(
+        { score: partPoints, enemiesKilled: 0 },
+        { kills: {}, mines: 0, parts: { megaship: 1 } }
+      );
+
+      expect(validateRun(entry)).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should reject more parts than the bosses fought could have', () => {
+      const { count } = getBossPartLimits(GameConfig.BOSS.TYPES.megaship);
+      const parts = (n) => createEntry({ score: 0, enemiesKilled: 0 }, { kills: {}, mines: 0, parts: { megaship: n } });
+
+      expect(validateRun(parts(count)).valid).toBe(true);
+      expect(validateRun(parts(count + 1)).valid).toBe(false);
+    });
+
+    it('should allow mines arriving in pairs (double mines modifier)', () => {
+      // One spawn at the start, then one every MIN_MINE_SPAWN_INTERVAL, two mines each
+      const spawns = 120 / (GameConfig.DIFFICULTY.MIN_MINE_SPAWN_INTERVAL / 1000) + 1;
+      const mines = (n) => createEntry({}, { mines: n });
+
+      expect(validateRun(mines(spawns * 2)).valid).toBe(true);
+      expect(validateRun(mines(spawns * 2 + 1)).valid).toBe(false);
+    });
+
+    it('should reject fractional or negative counts', () => {
+      expect(validateRun(createEntry({ score: 10.5 })).valid).toBe(false);
+      expect(validateRun(createEntry({}, { mines: -1 })).valid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import SettingsManager from '../src/systems/SettingsManager.js';
+import GameConfig from '../src/config/GameConfig.js';
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {};
+  return {
+    getItem: vi.fn((key) => store[key] || null),
+    setItem: vi.fn((key, value) => { store[key] = value; }),
+    removeItem: vi.fn((key) => { delete store[key]; }),
+    clear: vi.fn(() => { store = {}; }),
+  };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+describe('SettingsManager', () => {
+  let settings;
+
+  beforeEach(() => {
+    localStorageMock.clear();
+    vi.clearAllMocks();
+    settings = new SettingsManager();
+  });
+
+  describe('defaults', () => {
+    it('should start every option on its first value', () => {
+      for (const [key, option] of Object.entries(GameConfig.SETTINGS.OPTIONS)) {
+        expect(settings.get(key)).toBe(option.values[0]);
+      }
+    });
+
+    it('should leave the game as designed by default', () => {
+      expect(settings.getShakeScale()).toBe(1);
+      expect(settings.getFlashScale()).toBe(1);
+      expect(settings.getMotionScale()).toBe(1);
+      expect(settings.getGameSpeed()).toBe(1);
+      expect(settings.isAutoFire()).toBe(false);
+      expect(settings.getEnemyColor('g')).toBe('g');
+      expect(settings.getPowerUpColor('health')).toBe(GameConfig.POWER_UP.TYPES.health.color);
+    });
+  });
+
+  describe('changing options', () => {
+    it('should save changes', () => {
+      settings.set('screenShake', 'off');
+      settings.set('autoFire', 'on');
+
+      const reloaded = new SettingsManager();
+      expect(reloaded.getShakeScale()).toBe(0);
+      expect(reloaded.isAutoFire()).toBe(true);
+    });
+
+    it('should refuse values an option does not have', () => {
+      expect(settings.set('screenShake', 'extreme')).toBe(false);
+      expect(settings.set('nonexistent', 'on')).toBe(false);
+      expect(settings.get('screenShake')).toBe('full');
+    });
+
+    it('should cycle through values in both directions, wrapping around', () => {
+      expect(settings.cycle('flashes')).toBe('reduced');
+      expect(settings.cycle('flashes')).toBe('off');
+      expect(settings.cycle('flashes')).toBe('full');
+      expect(settings.cycle('flashes', -1)).toBe('off');
+    });
+
+    it('should reset to the defaults', () => {
+      settings.set('gameSpeed', 'slow');
+      settings.reset();
+      expect(settings.getGameSpeed()).toBe(1);
+      expect(new SettingsManager().getGameSpeed()).toBe(1);
+    });
+  });
+
+  describe('persistence', () => {
+    it('should keep defaults for invalid saved values', () => {
+      localStorageMock.setItem('spacebear_settings', JSON.stringify({
+        version: 1,
+        settings: { screenShake: 'reduced', flashes: 'strobe', palette: 42 },
+      }));
+      const loaded = new SettingsManager();
+      expect(loaded.get('screenShake')).toBe('reduced');
+      expect(loaded.get('flashes')).toBe('full');
+      expect(loaded.get('palette')).toBe('standard');
+    });
+
+    it('should handle corrupted localStorage data', () => {
+      localStorageMock.setItem('spacebear_settings', 'not json');
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(new SettingsManager().get('screenShake')).toBe('full');
+      warn.mockRestore();
+    });
+  });
+
+  describe('palettes', () => {
+    const palettes = Object.entries(GameConfig.SETTINGS.PALETTES);
+
+    it('should be selectable as a palette option', () => {
+      expect(GameConfig.SETTINGS.OPTIONS.palette.values).toEqual(palettes.map(([key]) => key));
+    });
+
+    it('should draw every enemy color as an existing sprite variant', () => {
+      for (const [key, palette] of palettes) {
+        for (const color of ['r', 'g', 'b']) {
+          expect(['r', 'g', 'b'], `${key} ${color}`).toContain(palette.enemyColors[color]);
+        }
+      }
+    });
+
+    it('should only recolor power-ups that exist', () => {
+      for (const [key, palette] of palettes) {
+        for (const type of Object.keys(palette.powerUpColors)) {
+          expect(GameConfig.POWER_UP.TYPES, `${key} ${type}`).toHaveProperty(type);
+        }
+      }
+    });
+
+    it('should swap colors for the selected palette', () => {
+      settings.set('palette', 'redGreen');
+      const palette = GameConfig.SETTINGS.PALETTES.redGreen;
+      expect(settings.getEnemyColor('g')).toBe(palette.enemyColors.g);
+      expect(settings.getPowerUpColor('health')).toBe(palette.powerUpColors.health);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import GameConfig from '../src/config/GameConfig.js';
+import ProgressManager from '../src/systems/ProgressManager.js';
+import {
+  NO_UPGRADE_BONUSES,
+  getUpgradeCost,
+  getUpgradeBonuses,
+  purchaseUpgrade,
+} from '../src/systems/Upgrades.js';
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {};
+  return {
+    getItem: vi.fn((key) => store[key] || null),
+    setItem: vi.fn((key, value) => { store[key] = value; }),
+    removeItem: vi.fn((key) => { delete store[key]; }),
+    clear: vi.fn(() => { store = {}; }),
+  };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+describe('Upgrades', () => {
+  describe('catalog', () => {
+    Object.entries(GameConfig.UPGRADES).forEach(([key, config]) => {
+      it(`should define ${key} completely`, () => {
+        expect(NO_UPGRADE_BONUSES).toHaveProperty(config.stat);
+        expect(Number.isInteger(config.maxLevel) && config.maxLevel > 0).toBe(true);
+        expect(config.baseCost).toBeGreaterThan(0);
+        expect(config.costGrowth).toBeGreaterThanOrEqual(1);
+      });
+    });
+  });
+
+  describe('getUpgradeCost()', () => {
+    it('should start at the base cost and grow each level', () => {
+      const config = GameConfig.UPGRADES.maxHull;
+
+      expect(getUpgradeCost('maxHull', 0)).toBe(config.baseCost);
+      expect(getUpgradeCost('maxHull', 2)).toBe(Math.round(config.baseCost * config.costGrowth ** 2));
+      expect(getUpgradeCost('maxHull', 1)).toBeGreaterThan(getUpgradeCost('maxHull', 0));
+    });
+
+    it('should return null once maxed out or for unknown upgrades', () => {
+      expect(getUpgradeCost('maxHull', GameConfig.UPGRADES.maxHull.maxLevel)).toBeNull();
+      expect(getUpgradeCost('warpDrive', 0)).toBeNull();
+    });
+  });
+
+  describe('getUpgradeBonuses()', () => {
+    it('should give no bonuses without upgrades', () => {
+      expect(getUpgradeBonuses()).toEqual(NO_UPGRADE_BONUSES);
+    });
+
+    it('should add up bonuses per stat', () => {
+      const bonuses = getUpgradeBonuses({ maxHull: 2, extraLife: 1 });
+
+      expect(bonuses.maxHealth).toBe(2 * GameConfig.UPGRADES.maxHull.perLevel);
+      expect(bonuses.lives).toBe(1);
+      expect(bonuses.magnetRange).toBe(0);
+    });
+
+    it('should cap levels and ignore unknown keys', () => {
+      const { maxLevel, perLevel } = GameConfig.UPGRADES.coinMagnet;
+      const bonuses = getUpgradeBonuses({ coinMagnet: maxLevel + 5, warpDrive: 3 });
+
+      expect(bonuses.magnetRange).toBe(maxLevel * perLevel);
+    });
+  });
+
+  describe('purchaseUpgrade()', () => {
+    let progress;
+
+    beforeEach(() => {
+      localStorageMock.clear();
+      progress = new ProgressManager();
+    });
+
+    it('should spend credits and raise the level', () => {
+      progress.addCredits(1000);
+
+      expect(purchaseUpgrade(progress, 'coinMagnet')).toBe(true);
+      expect(progress.getUpgradeLevel('coinMagnet')).toBe(1);
+      expect(progress.getCredits()).toBe(1000 - GameConfig.UPGRADES.coinMagnet.baseCost);
+    });
+
+    it('should refuse when the player cannot afford it', () => {
+      progress.addCredits(GameConfig.UPGRADES.extraLife.baseCost - 1);
+
+      expect(purchaseUpgrade(progress, 'extraLife')).toBe(false);
+      expect(progress.getUpgradeLevel('extraLife')).toBe(0);
+      expect(progress.getCredits()).toBe(GameConfig.UPGRADES.extraLife.baseCost - 1);
+    });
+
+    it('should refuse once maxed out', () => {
+      progress.addCredits(100000);
+      progress.setUpgradeLevel('weaponTuning', GameConfig.UPGRADES.weaponTuning.maxLevel);
+
+      expect(purchaseUpgrade(progress, 'weaponTuning')).toBe(false);
+      expect(progress.getCredits()).toBe(100000);
+    });
+  });
+});
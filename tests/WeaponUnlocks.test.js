@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import GameConfig from '../src/config/GameConfig.js';
+import ProgressManager from '../src/systems/ProgressManager.js';
+import {
+  describeMilestone,
+  isMilestoneReached,
+  unlockMilestoneWeapons,
+  purchaseWeapon,
+} from '../src/systems/WeaponUnlocks.js';
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {};
+  return {
+    getItem: vi.fn((key) => store[key] || null),
+    setItem: vi.fn((key, value) => { store[key] = value; }),
+    removeItem: vi.fn((key) => { delete store[key]; }),
+    clear: vi.fn(() => { store = {}; }),
+  };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+/**
+ * Stats for a finished run.
+ * @param {Object} [overrides]
+ */
+function runStats({ wave = 1, bosses = {} } = {}) {
+  return { score: 0, timeSurvived: 0, enemiesKilled: 0, credits: 0, wave, run: { bosses } };
+}
+
+describe('WeaponUnlocks', () => {
+  let progress;
+
+  beforeEach(() => {
+    localStorageMock.clear();
+    progress = new ProgressManager();
+  });
+
+  describe('weapon registry', () => {
+    it('should never lock the default weapon', () => {
+      const weapon = GameConfig.WEAPONS[GameConfig.DEFAULT_WEAPON];
+      expect(weapon.unlockCost).toBeUndefined();
+      expect(weapon.milestone).toBeUndefined();
+    });
+
+    it('should give every other weapon a price and a valid milestone', () => {
+      Object.entries(GameConfig.WEAPONS)
+        .filter(([key]) => key !== GameConfig.DEFAULT_WEAPON)
+        .forEach(([key, weapon]) => {
+          expect(weapon.unlockCost, key).toBeGreaterThan(0);
+          if (weapon.milestone?.boss) {
+            expect(GameConfig.BOSS.TYPES[weapon.milestone.boss], key).toBeDefined();
+          }
+          expect(describeMilestone(key), key).toBeTruthy();
+        });
+    });
+  });
+
+  describe('describeMilestone()', () => {
+    it('should name the wave or boss', () => {
+      expect(describeMilestone('laser')).toBe(`Reach wave ${GameConfig.WEAPONS.laser.milestone.wave}`);
+      expect(describeMilestone('plasma')).toContain(GameConfig.BOSS.TYPES.destroyer.name);
+    });
+
+    it('should return null without a milestone', () => {
+      expect(describeMilestone('vulcan')).toBeNull();
+    });
+  });
+
+  describe('milestones', () => {
+    it('should be reached by the best wave', () => {
+      const { wave } = GameConfig.WEAPONS.laser.milestone;
+      progress.recordGameEnd(runStats({ wave: wave - 1 }));
+      expect(isMilestoneReached(progress, 'laser')).toBe(false);
+
+      progress.recordGameEnd(runStats({ wave }));
+      expect(isMilestoneReached(progress, 'laser')).toBe(true);
+    });
+
+    it('should unlock a weapon once its boss is defeated', () => {
+      progress.recordGameEnd(runStats({ bosses: { destroyer: 1 } }));
+
+      expect(unlockMilestoneWeapons(progress)).toEqual(['plasma']);
+      expect(progress.isWeaponUnlocked('plasma')).toBe(true);
+    });
+
+    it('should only report each unlock once', () => {
+      progress.recordGameEnd(runStats({ bosses: { destroyer: 1 } }));
+      unlockMilestoneWeapons(progress);
+
+      expect(unlockMilestoneWeapons(progress)).toEqual([]);
+    });
+  });
+
+  describe('purchaseWeapon()', () => {
+    it('should spend credits and unlock the weapon', () => {
+      progress.addCredits(GameConfig.WEAPONS.spreader.unlockCost);
+
+      expect(purchaseWeapon(progress, 'spreader')).toBe(true);
+      expect(progress.isWeaponUnlocked('spreader')).toBe(true);
+      expect(progress.getCredits()).toBe(0);
+    });
+
+    it('should refuse when the player cannot afford it', () => {
+      progress.addCredits(GameConfig.WEAPONS.spreader.unlockCost - 1);
+
+      expect(purchaseWeapon(progress, 'spreader')).toBe(false);
+      expect(progress.isWeaponUnlocked('spreader')).toBe(false);
+    });
+
+    it('should not charge for owned or unpriced weapons', () => {
+      progress.addCredits(5000);
+      progress.unlockWeapon('laser');
+
+      expect(purchaseWeapon(progress, 'laser')).toBe(false);
+      expect(purchaseWeapon(progress, 'vulcan')).toBe(false);
+      expect(progress.getCredits()).toBe(5000);
+    });
+  });
+});